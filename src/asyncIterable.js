@@ -0,0 +1,2248 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+/**
+ * @license
+ * MIT License
+ *
+ * Copyright (c) 2019 Alexis Munsayac
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ *
+ * @author Alexis Munsayac <alexis.munsayac@gmail.com>
+ * @copyright Alexis Munsayac 2019
+ */
+import { isAsyncIterable, AsyncIterableCheck, defineAsyncField } from './internal/utils';
+import {
+  map, filter, concat, just, first, last, repeat,
+  startWith, zip, flat, all, any, isEmpty, empty,
+  skip, take, takeLast, skipLast, split, skipWhile,
+  takeWhile, onYield, onDone, onStart, count,
+  contains, indexOf, find, breakWith, spanWith,
+  partition, flatMap, range, elementAt, replace,
+  reverse, cache, compose, buffer, step, reduce,
+  intercalate, intersperse, toArray, intersect,
+  distinct, distinctAdjacent, equal, sort, sorted,
+  scan, average, max, min, sum, defaultIfEmpty,
+  scanRight, reduceRight, breadthFirst, depthFirst,
+  slice, diff, innerJoin, outerJoin, leftJoin, skipUntil,
+  takeUntil, ignoreElements, doWhile, whileDo,
+} from './internal/async/dependency';
+import extend, { use } from './internal/extend';
+import BaseAsyncIterable, { registerAsyncIterable } from './internal/async/base';
+
+/**
+ * The AsyncIterable class is the asynchronous counterpart of Iterable:
+ * it serves as a super set of all objects that implements the
+ * Async Iteration Protocol, as well as the Iteration Protocol.
+ *
+ * AsyncIterable yields are consumed with the for-await loop, and
+ * the callbacks supplied to its operators may return Promises,
+ * which are awaited before the result is used.
+ *
+ * Like Iterable, AsyncIterable provides operators which allows to
+ * transform an AsyncIterable into a new one, whose callbacks
+ * also receive the index of the item.
+ */
+export default class AsyncIterable extends BaseAsyncIterable {
+  /**
+   * Checks if a given Object follows either the Async Iteration Protocol
+   * or the Iteration Protocol.
+   * @param {Object} it
+   * @returns {boolean}
+   */
+  static is(it) {
+    return isAsyncIterable(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if all of the yields of the
+   * source AsyncIterable passes the predicate function, false if not.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static all(it, predicate) {
+    return all(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if all of the yields of
+   * this AsyncIterable passes the predicate function, false if not.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  all(predicate) {
+    return all(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if any of the yields of the
+   * source AsyncIterable passes the predicate function, false if not.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static any(it, predicate) {
+    return any(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if any of the yields of
+   * this AsyncIterable passes the predicate function, false if not.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  any(predicate) {
+    return any(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the average value of
+   * the source AsyncIterable's yields.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static average(it) {
+    return average(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the average value of
+   * this AsyncIterable's yields.
+   * @returns {AsyncIterable}
+   */
+  average() {
+    return average(this.it);
+  }
+
+  /**
+   * Performs a breadth-first flattening method to the source AsyncIterable:
+   * shallow elements are yielded first before deeper elements.
+   * @param {AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static breadthFirst(it) {
+    return breadthFirst(it);
+  }
+
+
+  /**
+   * Performs a breadth-first flattening method to this AsyncIterable:
+   * shallow elements are yielded first before deeper elements.
+   * @returns {AsyncIterable}
+   */
+  breadthFirst() {
+    return breadthFirst(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields Array buffers of the given amount
+   * of items it collects from the source AsyncIterable.
+   *
+   * A new buffer is started every given gap of items, which defaults
+   * to the amount, so that the buffers overlap if the gap is lower than
+   * the amount, and items are left out if it is greater. The buffers
+   * that are not filled by the end are yielded as they are.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @param {number} gap
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given gap is not a number greater than zero or undefined
+   * @returns {AsyncIterable}
+   */
+  static buffer(it, amount, gap) {
+    return buffer(it, amount, gap);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields Array buffers of the given amount
+   * of items it collects from this AsyncIterable.
+   *
+   * A new buffer is started every given gap of items, which defaults
+   * to the amount, so that the buffers overlap if the gap is lower than
+   * the amount, and items are left out if it is greater. The buffers
+   * that are not filled by the end are yielded as they are.
+   * @param {!number} amount
+   * @param {number} gap
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given gap is not a number greater than zero or undefined
+   * @returns {AsyncIterable}
+   */
+  buffer(amount, gap) {
+    return buffer(this.it, amount, gap);
+  }
+
+  /**
+   * Split an AsyncIterable into a longest prefix such that all
+   * the elements of it do not satisfy a given predicate,
+   * and the rest of the AsyncIterable following them.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static breakWith(it, predicate) {
+    return breakWith(it, predicate);
+  }
+
+  /**
+   * Split an AsyncIterable into a longest prefix such that all
+   * the elements of it do not satisfy a given predicate,
+   * and the rest of the AsyncIterable following them.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  breakWith(predicate) {
+    return breakWith(this.it, predicate);
+  }
+
+  /**
+   * Caches all yields of the source AsyncIterable, for the purpose
+   * of not re-running the computing function that yields
+   * the result.
+   *
+   * The source is read once, by a single iterator that is shared by the
+   * iterations of the cache, which continue with the items that
+   * are yet to be read. When a consumer stops early, the iterator
+   * is kept open for the later consumers.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static cache(it) {
+    return cache(it);
+  }
+
+  /**
+   * Caches all yields of this AsyncIterable, for the purpose
+   * of not re-running the computing function that yields
+   * the result.
+   *
+   * This AsyncIterable is read once, by a single iterator that is shared by the
+   * iterations of the cache, which continue with the items that
+   * are yet to be read. When a consumer stops early, the iterator
+   * is kept open for the later consumers.
+   * @returns {AsyncIterable}
+   */
+  cache() {
+    return cache(this.it);
+  }
+
+  /**
+   * Transforms the source AsyncIterable by applying a composer function. This
+   * is useful for creating your own AsyncIterable operators.
+   * @param {!AsyncIterable} it
+   * @param  {...function(iterable: AsyncIterable):AsyncIterable} composers
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if one of the given composers is not a function.
+   * @throws {TypeError}
+   * throws error if a given composer returned a non-AsyncIterable.
+   * @returns {AsyncIterable}
+   */
+  static compose(it, ...composers) {
+    return compose(it, ...composers);
+  }
+
+  /**
+   * Transforms this AsyncIterable by applying a composer function. This
+   * is useful for creating your own AsyncIterable operators.
+   * @param  {...function(iterable: AsyncIterable):AsyncIterable} composers
+   * @throws {BadArgumentError}
+   * throws error if one of the given composers is not a function.
+   * @throws {TypeError}
+   * throws error if a given composer returned a non-AsyncIterable.
+   * @returns {AsyncIterable}
+   */
+  compose(...composers) {
+    return compose(this.it, ...composers);
+  }
+
+  /**
+   * Concatenates the given set of AsyncIterables into a single AsyncIterable.
+   *
+   * If a value is an AsyncIterable, concat removes a single layer
+   * of nesting
+   * @param  {...any} its
+   * @returns {AsyncIterable}
+   */
+  static concat(...its) {
+    return concat(...its);
+  }
+
+  /**
+   * Concatenates the given AsyncIterables to this AsyncIterable.
+   *
+   * If a value is an AsyncIterable, concat removes a single layer
+   * of nesting
+   *
+   * @param  {...any} its
+   * @returns {AsyncIterable}
+   */
+  concat(...its) {
+    return concat(this.it, ...its);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields a Boolean that indicates
+   * whether the source AsyncIterable yielded a specified item.
+   * @param {!AsyncIterable} it
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static contains(it, value) {
+    return contains(it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields a Boolean that indicates
+   * whether the source AsyncIterable yielded a specified item.
+   * @param {any} value
+   * @returns {AsyncIterable}
+   */
+  contains(value) {
+    return contains(this.it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that counts the total number of items
+   * yielded by the source AsyncIterable and yields this count.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static count(it) {
+    return count(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that counts the total number of items
+   * yielded by this AsyncIterable and yields this count.
+   * @returns {AsyncIterable}
+   */
+  count() {
+    return count(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items yielded by
+   * the source AsyncIterable or a specified default item if
+   * the source AsyncIterable is empty.
+   * @param {!AsyncIterable} it
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static defaultIfEmpty(it, value) {
+    return defaultIfEmpty(it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items yielded by
+   * the source AsyncIterable or a specified default item if
+   * the source AsyncIterable is empty.
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  defaultIfEmpty(value) {
+    return defaultIfEmpty(this.it, value);
+  }
+
+  /**
+   * Performs a depth-first flattening method to the source AsyncIterable. This
+   * is the same as the flat method except that depthFirst removes all nesting.
+   * @param {AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static depthFirst(it) {
+    return depthFirst(it);
+  }
+
+
+  /**
+   * Performs a depth-first flattening method to this AsyncIterable. This
+   * is the same as the flat method except that depthFirst removes all nesting.
+   * @returns {AsyncIterable}
+   */
+  depthFirst() {
+    return depthFirst(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items of the source AsyncIterable
+   * that does not exist in the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static diff(it, other, keySelector, comparer) {
+    return diff(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items of the source AsyncIterable
+   * that does not exist in the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  diff(other, keySelector, comparer) {
+    return diff(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields all items yielded by the
+   * source AsyncIterable that are distinct.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static distinct(it, keySelector, comparer) {
+    return distinct(it, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields all items yielded by this AsyncIterable
+   * that are distinct.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  distinct(keySelector, comparer) {
+    return distinct(this.it, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields all items yielded by the
+   * source AsyncIterable that are distinct from their immediate
+   * predecessors.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with strict equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static distinctAdjacent(it, keySelector, comparer) {
+    return distinctAdjacent(it, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields all items yielded by this
+   * AsyncIterable that are distinct from their immediate predecessors
+   * based on strict equality comparison.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with strict equality,
+   * or with the comparer if one is given.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  distinctAdjacent(keySelector, comparer) {
+    return distinctAdjacent(this.it, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the values of the source AsyncIterable
+   * and repeats the sequence as long as the given predicate supplies a truthy
+   * value.
+   * @param {!AsyncIterable} it
+   * @param {!function():boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static doWhile(it, predicate) {
+    return doWhile(it, predicate);
+  }
+
+
+  /**
+   * Returns an AsyncIterable that yields the values of the source AsyncIterable
+   * and repeats the sequence as long as the given predicate supplies a truthy
+   * value.
+   * @param {!function():boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  doWhile(predicate) {
+    return doWhile(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the single item at a specified
+   * index in a sequence of yields from the source AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!number} index
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {AsyncIterable}
+   */
+  static elementAt(it, index) {
+    return elementAt(it, index);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the single item at a specified
+   * index in a sequence of yields from this AsyncIterable.
+   * @param {!number} index
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {AsyncIterable}
+   */
+  elementAt(index) {
+    return elementAt(this.it, index);
+  }
+
+  /**
+   * Returns an AsyncIterable that doesn't yield any value.
+   * @returns {AsyncIterable}
+   */
+  static empty() {
+    return empty();
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if the source AsyncIterable
+   * has the same exact sequence as the other AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static equal(it, other) {
+    return equal(it, other);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if the source AsyncIterable
+   * has the same exact sequence as the other AsyncIterable.
+   * @param {!AsyncIterable} other
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  equal(other) {
+    return equal(this.it, other);
+  }
+
+  /**
+   * Installs the given operators as both the static and the instance
+   * methods of AsyncIterable, and returns AsyncIterable.
+   *
+   * Each operator receives the source AsyncIterable followed by the arguments
+   * of the method, and should return an AsyncIterable to be chainable. The static
+   * method checks that its source implements the Async Iteration Protocol, while
+   * the instance method passes its own source. The methods are also
+   * available through the bracket notation of the instances.
+   *
+   * An operator cannot replace an existing method unless override is set,
+   * and the names used by the instances (it, constructor and prototype)
+   * cannot be replaced at all.
+   * @example
+   * AsyncIterable.extend({
+   *   double: it => AsyncIterable.map(it, x => x * 2),
+   * });
+   *
+   * await new AsyncIterable([1, 2, 3]).double().toArray(); // [2, 4, 6]
+   * @param {!Object} operators
+   * an Object whose keys are the names of the methods and whose
+   * values are the operator functions
+   * @param {?Object} options
+   * @param {?boolean} options.override
+   * whether the existing methods can be replaced
+   * @throws {BadArgumentError}
+   * throws error if the given operators is not an Object of functions,
+   * or has numeric keys
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
+   * @throws {TypeError}
+   * throws error if one of the names is reserved, or already defined
+   * and override is not set
+   * @returns {AsyncIterable}
+   */
+  static extend(operators, options) {
+    return extend(AsyncIterable, operators, options, defineAsyncField, AsyncIterableCheck);
+  }
+
+  /**
+   * Filters the yields of a source AsyncIterable with a filter function.
+   *
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} fn
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static filter(it, fn) {
+    return filter(it, fn);
+  }
+
+  /**
+   * Filters the yields of this AsyncIterable with a filter function.
+   * @param {!function(item: any, index: number):boolean} fn
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  filter(fn) {
+    return filter(this.it, fn);
+  }
+
+  /**
+   * Finds the index of the first element that satisfy a predicate.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static find(it, predicate) {
+    return find(it, predicate);
+  }
+
+  /**
+   * Finds the index of the first element that satisfy a predicate.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @returns {AsyncIterable}
+   */
+  find(predicate) {
+    return find(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the first value of the source
+   * AsyncIterable that satisfy a predicate(optional).
+   * @param {!AsyncIterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static first(it, predicate) {
+    return first(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the first value of the source
+   * AsyncIterable that satisfy a predicate(optional).
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  first(predicate) {
+    return first(this.it, predicate);
+  }
+
+  /**
+   * Flattens the source AsyncIterable by removing the given depth of
+   * nesting for the yielded AsyncIterables.
+   *
+   * Like Array.prototype.flat, the depth defaults to 1 and can be Infinity
+   * to remove all nesting. Strings are not flattened into their characters,
+   * unless the isLeaf option is given, which decides the nested AsyncIterables
+   * that are yielded as they are.
+   *
+   * The options can also be provided in place of the depth.
+   * @param {!AsyncIterable} it
+   * @param {number} depth
+   * @param {{isLeaf: function(item: any):boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {AsyncIterable}
+   */
+  static flat(it, depth, options) {
+    return flat(it, depth, options);
+  }
+
+  /**
+   * Flattens this AsyncIterable by removing the given depth of nesting
+   * for the yielded AsyncIterables.
+   *
+   * Like Array.prototype.flat, the depth defaults to 1 and can be Infinity
+   * to remove all nesting. Strings are not flattened into their characters,
+   * unless the isLeaf option is given, which decides the nested AsyncIterables
+   * that are yielded as they are.
+   *
+   * The options can also be provided in place of the depth.
+   * @param {number} depth
+   * @param {{isLeaf: function(item: any):boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {AsyncIterable}
+   */
+  flat(depth, options) {
+    return flat(this.it, depth, options);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items based on applying a
+   * function that you supply to each item yielded by the source
+   * AsyncIterable, where that function returns an AsyncIterable, and then
+   * merging those resulting AsyncIterable and yielding the results of this merger.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):AsyncIterable} mapper
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given mapper is not a function
+   * @returns {AsyncIterable}
+   */
+  static flatMap(it, mapper) {
+    return flatMap(it, mapper);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items based on applying a
+   * function that you supply to each item yielded by this
+   * AsyncIterable, where that function returns an AsyncIterable, and then
+   * merging those resulting AsyncIterable and yielding the results of this merger.
+   * @param {!function(item: any, index: number):AsyncIterable} mapper
+   * @throws {BadArgumentError}
+   * throws error if the given mapper is not a function
+   * @returns {AsyncIterable}
+   */
+  flatMap(mapper) {
+    return flatMap(this.it, mapper);
+  }
+
+  /**
+   * Returns an AsyncIterable that ignores the source AsyncIterable's yields;
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static ignoreElements(it) {
+    return ignoreElements(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that doesn't yield any value.
+   * @returns {AsyncIterable}
+   */
+  ignoreElements() {
+    return ignoreElements(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the index of the
+   * given value if it the source AsyncIterable yields the same
+   * value.
+   * @param {!AsyncIterable} it
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static indexOf(it, value) {
+    return indexOf(it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the index of the
+   * given value if it this AsyncIterable yields the same
+   * value.
+   * @param {any} value
+   * @returns {AsyncIterable}
+   */
+  indexOf(value) {
+    return indexOf(this.it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the mutual items of the source AsyncIterable
+   * and the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static innerJoin(it, other, keySelector, comparer) {
+    return innerJoin(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the mutual items of this AsyncIterable
+   * and the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  innerJoin(other, keySelector, comparer) {
+    return innerJoin(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Inserts the yields of the other AsyncIterable in between
+   * the source AsyncIterable adjacent yields.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static intercalate(it, other) {
+    return intercalate(it, other);
+  }
+
+  /**
+   * Inserts the yields of the other AsyncIterable in between
+   * this AsyncIterable adjacent yields.
+   * @param {!AsyncIterable} other
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  intercalate(other) {
+    return intercalate(this.it, other);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items of the source AsyncIterable
+   * that exists in the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static intersect(it, other, keySelector, comparer) {
+    return intersect(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the items of the source AsyncIterable
+   * that exists in the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  intersect(other, keySelector, comparer) {
+    return intersect(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Inserts the given value in between
+   * the source AsyncIterable adjacent yields.
+   * @param {!AsyncIterable} it
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static intersperse(it, value) {
+    return intersperse(it, value);
+  }
+
+  /**
+   * Inserts the yields of the other AsyncIterable in between
+   * this AsyncIterable adjacent yields.
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  intersperse(value) {
+    return intersperse(this.it, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if this
+   * AsyncIterable is empty.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static isEmpty(it) {
+    return isEmpty(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the true if this
+   * AsyncIterable is empty.
+   * @returns {AsyncIterable}
+   */
+  isEmpty() {
+    return isEmpty(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields a single value.
+   * @param {any} value
+   * @returns {AsyncIterable}
+   */
+  static just(value) {
+    return just(value);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the last value of the source
+   * AsyncIterable that satisfy a predicate(optional).
+   * @param {!AsyncIterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static last(it, predicate) {
+    return last(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the last value of the source
+   * AsyncIterable that satisfy a predicate(optional).
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  last(predicate) {
+    return last(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields theitems of the source AsyncIterable
+   * and the items of the other AsyncIterable that are in the source AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static leftJoin(it, other, keySelector, comparer) {
+    return leftJoin(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields theitems of the source AsyncIterable
+   * and the items of the other AsyncIterable that are in this AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  leftJoin(other, keySelector, comparer) {
+    return leftJoin(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Applies a mapping function to each yielded value of the source
+   * AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):any} fn
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given mapper is not a function
+   * @returns {AsyncIterable}
+   */
+  static map(it, fn) {
+    return map(it, fn);
+  }
+
+  /**
+   * Applies a mapping function to each yielded value of this
+   * AsyncIterable.
+   * @param {!function(item: any, index: number):any} fn
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  map(fn) {
+    return map(this.it, fn);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the maximum value of
+   * the source AsyncIterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {!AsyncIterable} it
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number, and may return a Promise
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function
+   * @returns {AsyncIterable}
+   */
+  static max(it, comparer) {
+    return max(it, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the maximum value of
+   * this AsyncIterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number, and may return a Promise
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function
+   * @returns {AsyncIterable}
+   */
+  max(comparer) {
+    return max(this.it, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the minimum value of
+   * the source AsyncIterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {!AsyncIterable} it
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number, and may return a Promise
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function
+   * @returns {AsyncIterable}
+   */
+  static min(it, comparer) {
+    return min(it, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the minimum value of
+   * this AsyncIterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number, and may return a Promise
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function
+   * @returns {AsyncIterable}
+   */
+  min(comparer) {
+    return min(this.it, comparer);
+  }
+
+  /**
+   * Attaches a callback to a source AsyncIterable that is
+   * executed when the AsyncIterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!AsyncIterable} it
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {AsyncIterable}
+   */
+  static onDone(it, fn) {
+    return onDone(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this AsyncIterable that is
+   * executed when this AsyncIterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {AsyncIterable}
+   */
+  onDone(fn) {
+    return onDone(this.it, fn);
+  }
+
+  /**
+   * Attaches a callback to a source AsyncIterable that is
+   * executed when the AsyncIterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!AsyncIterable} it
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {AsyncIterable}
+   */
+  static onStart(it, fn) {
+    return onStart(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this AsyncIterable that is
+   * executed when this AsyncIterable finishes the iteration
+   * process.
+   * @param {!function} fn
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {AsyncIterable}
+   */
+  onStart(fn) {
+    return onStart(this.it, fn);
+  }
+
+  /**
+   * Attaches a callback to a source AsyncIterable that is
+   * executed whenever the source AsyncIterable yields
+   * a value.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {AsyncIterable}
+   */
+  static onYield(it, fn) {
+    return onYield(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this AsyncIterable that is
+   * executed whenever this AsyncIterable yields
+   * a value.
+   * @param {!function(item: any, index: number)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {AsyncIterable}
+   */
+  onYield(fn) {
+    return onYield(this.it, fn);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the non-mutual items of the source AsyncIterable
+   * and the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} it
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static outerJoin(it, other, keySelector, comparer) {
+    return outerJoin(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the non-mutual items of this AsyncIterable
+   * and the other AsyncIterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!AsyncIterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  outerJoin(other, keySelector, comparer) {
+    return outerJoin(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Given a predicate and an AsyncIterable, return a pair of AsyncIterables
+   * which do and do not satisfy the predicate, respectively.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {AsyncIterable}
+   */
+  static partition(it, predicate) {
+    return partition(it, predicate);
+  }
+
+  /**
+   * Given a predicate and an AsyncIterable, return a pair of AsyncIterables
+   * which do and do not satisfy the predicate, respectively.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {AsyncIterable}
+   */
+  partition(predicate) {
+    return partition(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields a sequence of numbers
+   * within a specified range.
+   * @param {!number} start
+   * @param {!number} end
+   * @param {?number} steps
+   * @returns {AsyncIterable}
+   */
+  static range(start, end, steps) {
+    return range(start, end, steps);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the first item yielded by a source AsyncIterable, then feeds the
+   * result of that function along with the second item yielded by
+   * the source AsyncIterable into the same function, and so on until all
+   * items have been yielded by the finite source AsyncIterable, and yields
+   * the final result from the final call to your function as its sole item.
+   * @param {!AsyncIterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  static reduce(it, reducer, seed) {
+    return reduce(it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the first item yielded by a source AsyncIterable, then feeds the
+   * result of that function along with the second item yielded by
+   * the source AsyncIterable into the same function, and so on until all
+   * items have been yielded by the finite source AsyncIterable, and yields
+   * the final result from the final call to your function as its sole item.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  reduce(reducer, seed) {
+    return reduce(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the last item yielded by a source AsyncIterable, then feeds the
+   * result of that function along with the second last item yielded by
+   * the source AsyncIterable into the same function, and so on until all
+   * items have been yielded by the finite source AsyncIterable, and yields
+   * the final result from the final call to your function as its sole item.
+   *
+   * The index given to the reducer is the position of the item
+   * in the source AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  static reduceRight(it, reducer, seed) {
+    return reduceRight(it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the last item yielded by a source AsyncIterable, then feeds the
+   * result of that function along with the second last item yielded by
+   * the source AsyncIterable into the same function, and so on until all
+   * items have been yielded by the finite source AsyncIterable, and yields
+   * the final result from the final call to your function as its sole item.
+   *
+   * The index given to the reducer is the position of the item
+   * in this AsyncIterable.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  reduceRight(reducer, seed) {
+    return reduceRight(this.it, reducer, seed);
+  }
+
+  /**
+   * Repeats the yielded values of a source AsyncIterable by a certain
+   * amount.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static repeat(it, amount) {
+    return repeat(it, amount);
+  }
+
+  /**
+   * Repeats the yielded values of this AsyncIterable by a certain
+   * amount.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  repeat(amount) {
+    return repeat(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that replaces the value at the
+   * given index of the source AsyncIterable with the given value.
+   * @param {!AsyncIterable} it
+   * @param {!number} index
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {AsyncIterable}
+   */
+  static replace(it, index, value) {
+    return replace(it, index, value);
+  }
+
+  /**
+   * Returns an AsyncIterable that replaces the value at the
+   * given index of this AsyncIterable with the given value.
+   * @param {!number} index
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {AsyncIterable}
+   */
+  replace(index, value) {
+    return replace(this.it, index, value);
+  }
+
+  /**
+   * Reverses the yield sequence of the source AsyncIterable
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static reverse(it) {
+    return reverse(it);
+  }
+
+  /**
+   * Reverses the yield sequence of this AsyncIterable
+   * @returns {AsyncIterable}
+   */
+  reverse() {
+    return reverse(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the first item yielded by a source AsyncIterable, then feeds the result
+   * of that function along with the second item yielded by the source
+   * AsyncIterable into the same function, and so on until all items have been
+   * yielded by the source AsyncIterable, yielding the result of each of these iterations.
+   * @param {!AsyncIterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  static scan(it, reducer, seed) {
+    return scan(it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the first item yielded by a source AsyncIterable, then feeds the result
+   * of that function along with the second item yielded by the source
+   * AsyncIterable into the same function, and so on until all items have been
+   * yielded by the source AsyncIterable, yielding the result of each of these iterations.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  scan(reducer, seed) {
+    return scan(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the last item yielded by a source AsyncIterable, then feeds the result
+   * of that function along with the second last item yielded by the source
+   * AsyncIterable into the same function, and so on until all items have been
+   * yielded by the source AsyncIterable, yielding the result of each of these iterations.
+   *
+   * The index given to the reducer is the position of the item
+   * in the source AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  static scanRight(it, reducer, seed) {
+    return scanRight(it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that applies a specified accumulator function
+   * to the last item yielded by a source AsyncIterable, then feeds the result
+   * of that function along with the second last item yielded by the source
+   * AsyncIterable into the same function, and so on until all items have been
+   * yielded by the source AsyncIterable, yielding the result of each of these iterations.
+   *
+   * The index given to the reducer is the position of the item
+   * in this AsyncIterable.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {AsyncIterable}
+   */
+  scanRight(reducer, seed) {
+    return scanRight(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips the first count items yielded by
+   * the source AsyncIterable and yields the remainder.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static skip(it, amount) {
+    return skip(it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips the first count items yielded by
+   * the source AsyncIterable and yields the remainder.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  skip(amount) {
+    return skip(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that drops a specified number of items
+   * from the end of the sequence yielded by the source
+   * AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static skipLast(it, amount) {
+    return skipLast(it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that drops a specified number of items
+   * from the end of the sequence yielded by this AsyncIterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  skipLast(amount) {
+    return skipLast(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips all items yielded by the source
+   * AsyncIterable as long as a specified condition holds false, but yields
+   * all further source items as soon as the condition becomes true.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static skipUntil(it, predicate) {
+    return skipUntil(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips all items yielded by the source
+   * AsyncIterable as long as a specified condition holds false, but yields
+   * all further source items as soon as the condition becomes true.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  skipUntil(predicate) {
+    return skipUntil(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips all items yielded by the source
+   * AsyncIterable as long as a specified condition holds true, but yields
+   * all further source items as soon as the condition becomes false.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static skipWhile(it, predicate) {
+    return skipWhile(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that skips all items yielded by the source
+   * AsyncIterable as long as a specified condition holds true, but yields
+   * all further source items as soon as the condition becomes false.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  skipWhile(predicate) {
+    return skipWhile(this.it, predicate);
+  }
+
+  /**
+   * Returns a portion of the source AsyncIterable as a new AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!number} start
+   * @param {!number} end
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @returns {AsyncIterable}
+   */
+  static slice(it, start, end) {
+    return slice(it, start, end);
+  }
+
+
+  /**
+   * Returns a portion of this AsyncIterable as a new AsyncIterable.
+   * @param {!number} start
+   * @param {!number} end
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @returns {AsyncIterable}
+   */
+  slice(start, end) {
+    return slice(this.it, start, end);
+  }
+
+  /**
+   * Returns a new sorted AsyncIterable base from the source AsyncIterable.
+   * which returns a signum can be provided.
+   *
+   * The comparator may return a Promise, which is awaited, and the
+   * items that compare equal keep their order.
+   * @param {!AsyncIterable} it
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static sort(it, comparator) {
+    return sort(it, comparator);
+  }
+
+  /**
+   * Returns a new sorted AsyncIterable base from this AsyncIterable.
+   * A comparator function which returns a signum can be provided.
+   *
+   * The comparator may return a Promise, which is awaited, and the
+   * items that compare equal keep their order.
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  sort(comparator) {
+    return sort(this.it, comparator);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if the source AsyncIterable
+   * (with an optional comparator) is sorted.
+   * @param {!AsyncIterable} it
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  static sorted(it, comparator) {
+    return sorted(it, comparator);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields true if the source AsyncIterable
+   * (with an optional comparator) is sorted.
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {AsyncIterable}
+   */
+  sorted(comparator) {
+    return sorted(this.it, comparator);
+  }
+
+  /**
+   * Split an AsyncIterable into a longest prefix such that all
+   * the elements of it do satisfy a given predicate,
+   * and the rest of the AsyncIterable following them.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static spanWith(it, predicate) {
+    return spanWith(it, predicate);
+  }
+
+  /**
+   * Split an AsyncIterable into a longest prefix such that all
+   * the elements of it do satisfy a given predicate,
+   * and the rest of the AsyncIterable following them.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  spanWith(predicate) {
+    return spanWith(this.it, predicate);
+  }
+
+  /**
+   * Given an index, get a two-tuple of AsyncIterable
+   * from the start of the source AsyncIterable,
+   * and the AsyncIterable that follows them.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Array}
+   */
+  static split(it, amount) {
+    return split(it, amount);
+  }
+
+  /**
+   * Given an index, get a two-tuple of AsyncIterable
+   * from the start of this AsyncIterable,
+   * and the AsyncIterable that follows them.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Array}
+   */
+  split(amount) {
+    return split(this.it, amount);
+  }
+
+  /**
+   * Same to concat, except that it prefixes the source AsyncIterable
+   * to a set of values into a single AsyncIterable.
+   *
+   * If a value is an AsyncIterable, startWith removes a single layer
+   * of nesting
+   *
+   * @param {!AsyncIterable} it
+   * @param  {...any} its
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static startWith(it, ...its) {
+    return startWith(it, ...its);
+  }
+
+  /**
+   * Same to concat, except that it prefixes this AsyncIterable
+   * to a set of values into a single AsyncIterable.
+   *
+   * If a value is an AsyncIterable, startWith removes a single layer
+   * of nesting
+   *
+   * @param  {...any} its
+   * @returns {AsyncIterable}
+   */
+  startWith(...its) {
+    return startWith(this.it, ...its);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields only the elements whose indices
+   * are divisible by the given amount
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static step(it, amount) {
+    return step(it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields only the first count items yielded by
+   * this AsyncIterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  step(amount) {
+    return step(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the summation of
+   * the source AsyncIterable's yields.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {AsyncIterable}
+   */
+  static sum(it) {
+    return sum(it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields the summation of
+   * this AsyncIterable's yields.
+   * @returns {AsyncIterable}
+   */
+  sum() {
+    return sum(this.it);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields only the first count items yielded by the
+   * source AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static take(it, amount) {
+    return take(it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields only the first count items yielded by
+   * this AsyncIterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  take(amount) {
+    return take(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields at most the last amount
+   * items yielded by the source AsyncIterable.
+   * @param {!AsyncIterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  static takeLast(it, amount) {
+    return takeLast(it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields at most the last amount
+   * items yielded by the source AsyncIterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {AsyncIterable}
+   */
+  takeLast(amount) {
+    return takeLast(this.it, amount);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items yielded by the source AsyncIterable
+   * so long as each item does not satisfie a specified condition, and then
+   * completes as soon as this condition is satisfied.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static takeUntil(it, predicate) {
+    return takeUntil(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items yielded by this AsyncIterable
+   * so long as each item does not satisfie a specified condition, and then
+   * completes as soon as this condition is satisfied.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  takeUntil(predicate) {
+    return takeUntil(this.it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items yielded by the source AsyncIterable
+   * so long as each item satisfied a specified condition, and then
+   * completes as soon as this condition is not satisfied.
+   * @param {!AsyncIterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static takeWhile(it, predicate) {
+    return takeWhile(it, predicate);
+  }
+
+  /**
+   * Returns an AsyncIterable that yields items yielded by this AsyncIterable
+   * so long as each item satisfied a specified condition, and then
+   * completes as soon as this condition is not satisfied.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  takeWhile(predicate) {
+    return takeWhile(this.it, predicate);
+  }
+
+  /**
+   * Converts the source AsyncIterable into an array of its yield
+   * sequence.
+   * @param {!AsyncIterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @returns {Promise<Array>}
+   */
+  static toArray(it) {
+    return toArray(it);
+  }
+
+  /**
+   * Converts this AsyncIterable into an array of its yield
+   * sequence.
+   * @returns {Promise<Array>}
+   */
+  toArray() {
+    return toArray(this.it);
+  }
+
+  /**
+   * Installs the operators of the given plugin like extend, and returns AsyncIterable.
+   *
+   * The plugin is a function that receives AsyncIterable and the argument-check
+   * helpers (e.g. BadArgumentError, AsyncIterableCheck, FunctionCheck,
+   * PositiveNumberCheck), and returns the Object of the operators.
+   * @example
+   * AsyncIterable.use((AsyncIterable, { AsyncIterableCheck, FunctionCheck }) => ({
+   *   mapTwice(it, fn) {
+   *     AsyncIterableCheck(it, 1, 'AsyncIterable.mapTwice');
+   *     FunctionCheck(fn, 2, 'AsyncIterable.mapTwice');
+   *     return AsyncIterable.map(it, fn).map(fn);
+   *   },
+   * }));
+   * @param {!function(Class: AsyncIterable, utils: Object):Object} plugin
+   * @param {?Object} options
+   * @param {?boolean} options.override
+   * whether the existing methods can be replaced
+   * @throws {BadArgumentError}
+   * throws error if the given plugin is not a function
+   * @throws {BadArgumentError}
+   * throws error if the plugin doesn't return an Object of functions
+   * @throws {TypeError}
+   * throws error if one of the names is reserved, or already defined
+   * and override is not set
+   * @returns {AsyncIterable}
+   */
+  static use(plugin, options) {
+    return use(AsyncIterable, plugin, options, defineAsyncField, AsyncIterableCheck);
+  }
+
+  /**
+   * Returns an AsyncIterable that repeats the yields of the source
+   * AsyncIterable as long as the given predicate supplies a truthy
+   * value.
+   * @param {!AsyncIterable} it
+   * @param {!function():boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given AsyncIterable doesn't implement the Async Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  static whileDo(it, predicate) {
+    return whileDo(it, predicate);
+  }
+
+
+  /**
+   * Returns an AsyncIterable that repeats the yields of this
+   * AsyncIterable as long as the given predicate supplies a truthy
+   * value.
+   * @param {!function():boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {AsyncIterable}
+   */
+  whileDo(predicate) {
+    return whileDo(this.it, predicate);
+  }
+
+  /**
+   * combine the yields of multiple AsyncIterables together via a specified function and
+   * yields single items for each combination based on the results of this function.
+   *
+   * The AsyncIterables are iterated in lockstep, and the mode option
+   * decides what happens when one of them runs out of items:
+   * - 'shortest' (default): the iteration stops, closing the rest.
+   * - 'longest': the iteration continues until all are exhausted, using the
+   *   fill option in place of the missing items.
+   * - 'strict': throws a RangeError if the lengths differ, closing the rest.
+   *
+   * The options can also be provided in place of the zipper function.
+   * @param {!Array} its
+   * @param {function(yields: Array):any} fn
+   * @param {{mode: string, fill: any}} options
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array of AsyncIterables
+   * @throws {BadArgumentError}
+   * throws error if the given zipper is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is not one of 'shortest', 'longest' or 'strict'
+   * @returns {AsyncIterable}
+   */
+  static zip(its, fn, options) {
+    return zip(its, fn, options);
+  }
+
+  /**
+   * combine the yields of this AsyncIterable with multiple AsyncIterables together via a specified
+   * function and yields single items for each combination based on the results of this
+   * function.
+   *
+   * The AsyncIterables are iterated in lockstep, and the mode option
+   * decides what happens when one of them runs out of items:
+   * - 'shortest' (default): the iteration stops, closing the rest.
+   * - 'longest': the iteration continues until all are exhausted, using the
+   *   fill option in place of the missing items.
+   * - 'strict': throws a RangeError if the lengths differ, closing the rest.
+   *
+   * The options can also be provided in place of the zipper function.
+   * @param {!Array} its
+   * @param {function(yields: Array):any} fn
+   * @param {{mode: string, fill: any}} options
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array of AsyncIterables
+   * @throws {BadArgumentError}
+   * throws error if the given zipper is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is not one of 'shortest', 'longest' or 'strict'
+   * @returns {AsyncIterable}
+   */
+  zip(its, fn, options) {
+    return zip([this.it, ...its], fn, options);
+  }
+}
+/**
+ * Makes the operators create instances of AsyncIterable.
+ * @ignore
+ */
+registerAsyncIterable(AsyncIterable);
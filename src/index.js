@@ -1,3 +1,14 @@
-import Iterable from './iterable';
+import Iterable, { OrderedIterable } from './iterable';
+import AsyncIterable from './asyncIterable';
+
+/**
+ * @ignore
+ */
+Iterable.AsyncIterable = AsyncIterable;
+/**
+ * @ignore
+ */
+// eslint-disable-next-line import/no-named-as-default-member
+Iterable.OrderedIterable = OrderedIterable;
 
 export default Iterable;
@@ -1,6 +1,6 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { IterablePredicateCheck, defineField } from './utils';
 
 /**
@@ -12,12 +12,14 @@ const FIELD = defineField('any');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    let index = 0;
     for (const i of iterable) {
-      if (predicate(i)) {
+      if (predicate(i, index)) {
         yield true;
         return;
       }
+      index += 1;
     }
     yield false;
   });
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { AsyncIterablePredicateCheck, defineAsyncField } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('any');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    let index = 0;
+    for await (const i of iterable) {
+      if (await predicate(i, index)) {
+        yield true;
+        return;
+      }
+      index += 1;
+    }
+    yield false;
+  });
+};
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('average');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return createAsyncIterable(async function* () {
+    let acc = 0;
+    let c = 0;
+
+    for await (const i of iterable) {
+      acc += i;
+      c += 1;
+    }
+
+    yield acc / c;
+  });
+};
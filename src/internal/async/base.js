@@ -0,0 +1,120 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  isAsyncIterable, isFunction, isPromise, ASYNC_ITERATOR, BadArgumentError, isUndefined,
+} from '../utils';
+
+const { isNaN } = Number;
+/**
+ * Only numeric keys are treated as indexes: any other key
+ * (e.g. "then") must not start an iteration.
+ * @ignore
+ */
+const isIndex = k => typeof k === 'string' && k !== '' && !isNaN(Number(k));
+/**
+ * The base of AsyncIterable, which holds the source and implements
+ * the Async Iteration Protocol, without any of the operators.
+ *
+ * Like BaseIterable, the results of the operators are instances
+ * of this class until AsyncIterable is loaded.
+ * @ignore
+ */
+export default class BaseAsyncIterable {
+  /**
+   * Returns an AsyncIterable with the given object.
+   *
+   * This object must be either an object that implements
+   * the Async Iteration Protocol or the Iteration Protocol,
+   * a Promise that resolves to such object, or a function
+   * (generator or async generator) that returns an iterator.
+   *
+   * @param {!AsyncIterable|Iterable|Promise|function} iterable
+   * @returns {AsyncIterable}
+   */
+  constructor(iterable) {
+    const it = iterable;
+
+    const exists = !isUndefined(it);
+    if (exists && isFunction(it)) {
+      /**
+       * @ignore
+       */
+      this.it = {
+        async* [ASYNC_ITERATOR]() {
+          yield* it();
+        },
+      };
+    } else if (exists && isPromise(it)) {
+      /**
+       * @ignore
+       */
+      this.it = {
+        async* [ASYNC_ITERATOR]() {
+          yield* await it;
+        },
+      };
+    } else if (exists && isAsyncIterable(it)) {
+      /**
+       * @ignore
+       */
+      this.it = it;
+    } else {
+      throw new BadArgumentError(1, 'AsyncIterable.<constructor>', 'AsyncIterable, Iterable, Promise or Generator');
+    }
+
+    return new Proxy(this, {
+      get: (t, k) => ((k in t && t[k]) || (isIndex(k) ? this.get(k) : undefined)),
+    });
+  }
+
+  /**
+   * Similar to elementAt, excepts that this method
+   * resolves to the actual value at the given index.
+   * @param {!number} index
+   * @returns {Promise}
+   */
+  async get(index) {
+    const { it } = this;
+    let s = 0;
+    for await (const i of it) {
+      if (`${s}` === `${index}`) {
+        return i;
+      }
+      s += 1;
+    }
+    return undefined;
+  }
+
+  /**
+   * Implements the Async Iteration Protocol for this AsyncIterable.
+   * @ignore
+   */
+  [ASYNC_ITERATOR]() {
+    const { it } = this;
+
+    if (isFunction(it[ASYNC_ITERATOR])) {
+      return it[ASYNC_ITERATOR]();
+    }
+    return (async function* () {
+      yield* it;
+    }());
+  }
+}
+/**
+ * The class of the AsyncIterables created by the operators.
+ * @ignore
+ */
+const classes = {
+  AsyncIterable: BaseAsyncIterable,
+};
+/**
+ * Makes the operators create instances of the given class.
+ * @ignore
+ */
+export const registerAsyncIterable = (iterable) => {
+  classes.AsyncIterable = iterable;
+};
+/**
+ * @ignore
+ */
+export const createAsyncIterable = iterable => new classes.AsyncIterable(iterable);
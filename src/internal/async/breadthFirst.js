@@ -0,0 +1,35 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import {
+  AsyncIterableCheck, defineAsyncField, isAsyncIterable, isString,
+} from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('breadthFirst');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  return createAsyncIterable(async function* () {
+    const stack = [];
+    stack.push(iterable);
+
+    while (stack.length !== 0) {
+      const top = stack.shift();
+
+      if (isAsyncIterable(top) && !isString(top)) {
+        for await (const i of top) {
+          stack.push(i);
+        }
+      } else {
+        yield top;
+      }
+    }
+  });
+};
@@ -0,0 +1,18 @@
+import { AsyncIterablePredicateCheck, defineAsyncField } from '../utils';
+import takeUntil from './takeUntil';
+import skipUntil from './skipUntil';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('breakWith');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return [
+    takeUntil(iterable, predicate),
+    skipUntil(iterable, predicate),
+  ];
+};
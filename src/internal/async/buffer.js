@@ -0,0 +1,56 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  AsyncIterablePositiveNumberCheck, NumberCheck, BadArgumentError, defineAsyncField,
+  isUndefined, TYPE_POS_NUM,
+} from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('buffer');
+/**
+ * @ignore
+ */
+export default (iterable, count, skip) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+
+  let step = skip;
+  if (!isUndefined(step)) {
+    NumberCheck(step, 3, FIELD);
+    if (step < 1) {
+      throw new BadArgumentError(3, FIELD, TYPE_POS_NUM);
+    }
+  } else {
+    step = count;
+  }
+
+  return createAsyncIterable(async function* () {
+    if (count === 0) {
+      return;
+    }
+
+    const frame = [];
+    let index = 0;
+
+    for await (const i of iterable) {
+      frame.push(i);
+      if (frame.length > count) {
+        frame.shift();
+      }
+      index += 1;
+
+      const start = index - count;
+      if (start >= 0 && start % step === 0) {
+        yield frame.slice();
+      }
+    }
+
+    const offset = index - frame.length;
+    const first = Math.ceil(Math.max(0, index - count + 1) / step) * step;
+    for (let start = first; start < index; start += step) {
+      yield frame.slice(start - offset);
+    }
+  });
+};
@@ -0,0 +1,58 @@
+/* eslint-disable func-names */
+/* eslint-disable no-await-in-loop */
+import {
+  AsyncIterableCheck, defineAsyncField, isUndefined, ASYNC_ITERATOR,
+} from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('cache');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  // the source is read by a single iterator, which is shared
+  // by all of the iterations of the cache.
+  const items = [];
+  let iterator;
+  let done = false;
+  let pending;
+
+  // the iterations that run side by side wait for the same read.
+  const read = () => {
+    if (isUndefined(pending)) {
+      if (isUndefined(iterator)) {
+        iterator = createAsyncIterable(iterable)[ASYNC_ITERATOR]();
+      }
+      pending = (async () => {
+        try {
+          const result = await iterator.next();
+          if (result.done) {
+            done = true;
+          } else {
+            items.push(result.value);
+          }
+        } finally {
+          pending = undefined;
+        }
+      })();
+    }
+    return pending;
+  };
+
+  return createAsyncIterable(async function* () {
+    let position = 0;
+    while (position < items.length || !done) {
+      if (position === items.length) {
+        await read();
+      } else {
+        yield items[position];
+        position += 1;
+      }
+    }
+  });
+};
@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  isAsyncIterable, FunctionCheck, AsyncIterableCheck, defineAsyncField,
+} from '../utils';
+import BaseAsyncIterable, { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('compose');
+/**
+ * @ignore
+ */
+export default (iterable, ...composers) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  let i = 1;
+
+  let result = iterable;
+  for (const c of composers) {
+    i += 1;
+    FunctionCheck(c, i, FIELD);
+    result = c(result);
+
+    if (!isAsyncIterable(result)) {
+      throw new TypeError('AsyncIterable.compose: a composer function returned a non-AsyncIterable.');
+    }
+  }
+
+  if (result instanceof BaseAsyncIterable) {
+    return result;
+  }
+  return createAsyncIterable(result);
+};
@@ -0,0 +1,6 @@
+import { createAsyncIterable } from './base';
+import flat from './flat';
+/**
+ * @ignore
+ */
+export default (...iterables) => flat(createAsyncIterable(iterables));
@@ -0,0 +1,15 @@
+import { AsyncIterableCheck, defineAsyncField } from '../utils';
+import map from './map';
+import indexOf from './indexOf';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('contains');
+/**
+ * @ignore
+ */
+export default (iterable, value) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return map(indexOf(iterable, value), x => x > -1);
+};
@@ -0,0 +1,24 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { AsyncIterableCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('count');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  return createAsyncIterable(async function* () {
+    let c = 0;
+    // eslint-disable-next-line no-unused-vars
+    for await (const i of iterable) {
+      c += 1;
+    }
+    yield c;
+  });
+};
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { AsyncIterableCheck, defineAsyncField } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('defaultIfEmpty');
+/**
+ * @ignore
+ */
+export default (iterable, value) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return createAsyncIterable(async function* () {
+    let flag = true;
+
+    for await (const i of iterable) {
+      yield i;
+      flag = false;
+    }
+    if (flag) {
+      yield value;
+    }
+  });
+};
@@ -0,0 +1,70 @@
+export { default as all } from './all';
+export { default as any } from './any';
+export { default as average } from './average';
+export { default as breadthFirst } from './breadthFirst';
+export { default as breakWith } from './breakWith';
+export { default as buffer } from './buffer';
+export { default as cache } from './cache';
+export { default as compose } from './compose';
+export { default as concat } from './concat';
+export { default as contains } from './contains';
+export { default as count } from './count';
+export { default as defaultIfEmpty } from './defaultIfEmpty';
+export { default as depthFirst } from './depthFirst';
+export { default as diff } from './diff';
+export { default as distinct } from './distinct';
+export { default as distinctAdjacent } from './distinctAdjacent';
+export { default as doWhile } from './doWhile';
+export { default as elementAt } from './elementAt';
+export { default as empty } from './empty';
+export { default as equal } from './equal';
+export { default as filter } from './filter';
+export { default as find } from './find';
+export { default as first } from './first';
+export { default as flat } from './flat';
+export { default as flatMap } from './flatMap';
+export { default as ignoreElements } from './ignoreElements';
+export { default as indexOf } from './indexOf';
+export { default as innerJoin } from './innerJoin';
+export { default as intercalate } from './intercalate';
+export { default as intersect } from './intersect';
+export { default as intersperse } from './intersperse';
+export { default as isEmpty } from './isEmpty';
+export { default as just } from './just';
+export { default as last } from './last';
+export { default as leftJoin } from './leftJoin';
+export { default as map } from './map';
+export { default as max } from './max';
+export { default as min } from './min';
+export { default as onDone } from './onDone';
+export { default as onStart } from './onStart';
+export { default as onYield } from './onYield';
+export { default as outerJoin } from './outerJoin';
+export { default as partition } from './partition';
+export { default as range } from './range';
+export { default as reduce } from './reduce';
+export { default as reduceRight } from './reduceRight';
+export { default as repeat } from './repeat';
+export { default as replace } from './replace';
+export { default as reverse } from './reverse';
+export { default as scan } from './scan';
+export { default as scanRight } from './scanRight';
+export { default as skip } from './skip';
+export { default as skipLast } from './skipLast';
+export { default as skipUntil } from './skipUntil';
+export { default as skipWhile } from './skipWhile';
+export { default as slice } from './slice';
+export { default as sort } from './sort';
+export { default as sorted } from './sorted';
+export { default as spanWith } from './spanWith';
+export { default as split } from './split';
+export { default as startWith } from './startWith';
+export { default as step } from './step';
+export { default as sum } from './sum';
+export { default as take } from './take';
+export { default as takeLast } from './takeLast';
+export { default as takeUntil } from './takeUntil';
+export { default as takeWhile } from './takeWhile';
+export { default as toArray } from './toArray';
+export { default as whileDo } from './whileDo';
+export { default as zip } from './zip';
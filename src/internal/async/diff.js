@@ -0,0 +1,47 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  defineAsyncField, DoubleAsyncIterableCheck, FunctionCheck, isUndefined, createAsyncKeySet,
+} from '../utils';
+import { createAsyncIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('diff');
+/**
+ * @ignore
+ */
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, comparer) => {
+  DoubleAsyncIterableCheck(iterable, other, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 3, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 4, FIELD);
+  }
+
+  return createAsyncIterable(async function* () {
+    const B = createAsyncKeySet(comparer);
+    let otherIndex = 0;
+    for await (const o of other) {
+      B.add(await key(o, otherIndex));
+      otherIndex += 1;
+    }
+
+    let index = 0;
+    for await (const i of iterable) {
+      if (!await B.has(await key(i, index))) {
+        yield i;
+      }
+      index += 1;
+    }
+  });
+};
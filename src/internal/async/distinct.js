@@ -0,0 +1,44 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  AsyncIterableCheck, FunctionCheck, defineAsyncField, isUndefined, createAsyncKeySet,
+} from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('distinct');
+/**
+ * @ignore
+ */
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, comparer) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 3, FIELD);
+  }
+
+  return createAsyncIterable(async function* () {
+    const keys = createAsyncKeySet(comparer);
+    let index = 0;
+    for await (const i of iterable) {
+      const k = await key(i, index);
+      if (!await keys.has(k)) {
+        keys.add(k);
+        yield i;
+      }
+      index += 1;
+    }
+  });
+};
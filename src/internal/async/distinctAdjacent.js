@@ -0,0 +1,56 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  AsyncIterableCheck, FunctionCheck, defineAsyncField, isUndefined,
+} from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('distinctAdjacent');
+/**
+ * @ignore
+ */
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+const defaultComparer = (a, b) => a === b;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, comparer) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = defaultKey;
+  }
+
+  let equals = comparer;
+  if (!isUndefined(equals)) {
+    FunctionCheck(equals, 3, FIELD);
+  } else {
+    equals = defaultComparer;
+  }
+
+  return createAsyncIterable(async function* () {
+    let first = true;
+    let prev;
+    let index = 0;
+    for await (const i of iterable) {
+      const k = await key(i, index);
+      if (first) {
+        yield i;
+        first = false;
+      } else if (!await equals(prev, k)) {
+        yield i;
+      }
+      prev = k;
+      index += 1;
+    }
+  });
+};
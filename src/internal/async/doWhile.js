@@ -0,0 +1,23 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('doWhile');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    do {
+      for await (const i of iterable) {
+        yield i;
+      }
+    } while (await predicate());
+  });
+};
@@ -0,0 +1,27 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('elementAt');
+/**
+ * @ignore
+ */
+export default (iterable, index) => {
+  AsyncIterablePositiveNumberCheck(iterable, index, FIELD);
+
+  return createAsyncIterable(async function* () {
+    let c = 0;
+
+    for await (const i of iterable) {
+      if (c === index) {
+        yield i;
+        return;
+      }
+      c += 1;
+    }
+  });
+};
@@ -0,0 +1,16 @@
+import { createAsyncIterable } from './base';
+import { isUndefined } from '../utils';
+
+/**
+ * @ignore
+ */
+let INSTANCE;
+/**
+ * @ignore
+ */
+export default () => {
+  if (isUndefined(INSTANCE)) {
+    INSTANCE = createAsyncIterable([]);
+  }
+  return INSTANCE;
+};
@@ -0,0 +1,29 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { DoubleAsyncIterableCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+import toArray from './toArray';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('equal');
+/**
+ * @ignore
+ */
+export default (iterable, other) => {
+  DoubleAsyncIterableCheck(iterable, other, FIELD);
+
+  return createAsyncIterable(async function* () {
+    const arr = await toArray(iterable);
+
+    for await (const i of other) {
+      if (i !== arr.shift()) {
+        yield false;
+        return;
+      }
+    }
+
+    yield arr.length === 0;
+  });
+};
@@ -0,0 +1,24 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('filter');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    let index = 0;
+    for await (const i of iterable) {
+      if (await predicate(i, index)) {
+        yield i;
+      }
+      index += 1;
+    }
+  });
+};
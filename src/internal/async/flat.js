@@ -0,0 +1,32 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import {
+  isAsyncIterable, defineAsyncField, AsyncIterableCheck, resolveFlatOptions,
+} from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('flat');
+/**
+ * @ignore
+ */
+export default (iterable, depth, options) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  const { depth: d, isLeaf } = resolveFlatOptions(depth, options, FIELD);
+
+  async function* walk(it, level) {
+    for await (const i of it) {
+      if (level < d && isAsyncIterable(i) && !isLeaf(i)) {
+        yield* walk(i, level + 1);
+      } else {
+        yield i;
+      }
+    }
+  }
+
+  return createAsyncIterable(async function* () {
+    yield* walk(iterable, 0);
+  });
+};
@@ -0,0 +1,15 @@
+import { AsyncIterablePredicateCheck, defineAsyncField } from '../utils';
+import flat from './flat';
+import map from './map';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('flatMap');
+/**
+ * @ignore
+ */
+export default (iterable, mapper) => {
+  AsyncIterablePredicateCheck(iterable, mapper, FIELD);
+  return flat(map(iterable, mapper));
+};
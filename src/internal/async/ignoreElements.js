@@ -0,0 +1,14 @@
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+import empty from './empty';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('ignoreElements');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return empty();
+};
@@ -0,0 +1,14 @@
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+import find from './find';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('indexOf');
+/**
+ * @ignore
+ */
+export default (iterable, value) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return find(iterable, x => x === value);
+};
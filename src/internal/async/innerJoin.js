@@ -0,0 +1,63 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable no-await-in-loop */
+import {
+  defineAsyncField, DoubleAsyncIterableCheck, FunctionCheck, isUndefined, createAsyncKeySet,
+} from '../utils';
+import { createAsyncIterable } from './base';
+import toArray from './toArray';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('innerJoin');
+/**
+ * @ignore
+ */
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, comparer) => {
+  DoubleAsyncIterableCheck(iterable, other, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 3, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 4, FIELD);
+  }
+
+  return createAsyncIterable(async function* () {
+    const A = await toArray(iterable);
+    const B = await toArray(other);
+
+    const keysA = [];
+    for (const i of A) {
+      keysA.push(await key(i, keysA.length));
+    }
+    const keysB = [];
+    for (const o of B) {
+      keysB.push(await key(o, keysB.length));
+    }
+
+    const setA = createAsyncKeySet(comparer);
+    keysA.forEach(k => setA.add(k));
+    const setB = createAsyncKeySet(comparer);
+    keysB.forEach(k => setB.add(k));
+
+    for (let index = 0; index < A.length; index += 1) {
+      if (await setB.has(keysA[index])) {
+        yield A[index];
+      }
+    }
+
+    for (let index = 0; index < B.length; index += 1) {
+      if (await setA.has(keysB[index])) {
+        yield B[index];
+      }
+    }
+  });
+};
@@ -0,0 +1,29 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { DoubleAsyncIterableCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('intercalate');
+/**
+ * @ignore
+ */
+export default (iterable, other) => {
+  DoubleAsyncIterableCheck(iterable, other, FIELD);
+  return createAsyncIterable(async function* () {
+    const buffer = [];
+    let prev = [];
+    for await (const i of iterable) {
+      buffer.push(i);
+      prev = buffer.slice(0);
+      for await (const o of other) {
+        buffer.push(o);
+      }
+    }
+    for (const i of prev) {
+      yield i;
+    }
+  });
+};
@@ -0,0 +1,27 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { AsyncIterableCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('intersperse');
+/**
+ * @ignore
+ */
+export default (iterable, value) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return createAsyncIterable(async function* () {
+    const buffer = [];
+    let prev = [];
+    for await (const i of iterable) {
+      buffer.push(i);
+      prev = buffer.slice(0);
+      buffer.push(value);
+    }
+    for (const i of prev) {
+      yield i;
+    }
+  });
+};
@@ -0,0 +1,6 @@
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+export default x => createAsyncIterable([x]);
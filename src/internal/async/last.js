@@ -0,0 +1,40 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import {
+  AsyncIterableCheck, defineAsyncField, FunctionCheck, isUndefined,
+} from '../utils';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('last');
+/**
+ * @ignore
+ */
+const defaultTest = () => true;
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  let fn = predicate;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(predicate, 2, FIELD);
+  } else {
+    fn = defaultTest;
+  }
+
+  return createAsyncIterable(async function* () {
+    let v;
+    let index = 0;
+    for await (const i of iterable) {
+      if (await fn(i, index)) {
+        v = i;
+      }
+      index += 1;
+    }
+    yield v;
+  });
+};
@@ -0,0 +1,22 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('map');
+/**
+ * @ignore
+ */
+export default (iterable, mapper) => {
+  AsyncIterablePredicateCheck(iterable, mapper, FIELD);
+  return createAsyncIterable(async function* () {
+    let index = 0;
+    for await (const i of iterable) {
+      yield mapper(i, index);
+      index += 1;
+    }
+  });
+};
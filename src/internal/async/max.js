@@ -0,0 +1,31 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterableCheck, resolveComparer } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('max');
+/**
+ * @ignore
+ */
+export default (iterable, comparer) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  const compare = resolveComparer(comparer, 2, FIELD);
+  return createAsyncIterable(async function* () {
+    let acc;
+    let found = false;
+
+    for await (const i of iterable) {
+      if (!found) {
+        acc = i;
+        found = true;
+      } else if (await compare(i, acc) > 0) {
+        acc = i;
+      }
+    }
+
+    yield acc;
+  });
+};
@@ -0,0 +1,32 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { AsyncIterablePredicateCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('onDone');
+/**
+ * @ignore
+ */
+export default (iterable, fn) => {
+  AsyncIterablePredicateCheck(iterable, fn, FIELD);
+  return createAsyncIterable(async function* () {
+    let aborted = true;
+    let failed = false;
+    try {
+      for await (const i of iterable) {
+        yield i;
+      }
+      aborted = false;
+    } catch (e) {
+      failed = true;
+      throw e;
+    } finally {
+      if (!failed) {
+        await fn({ aborted });
+      }
+    }
+  });
+};
@@ -0,0 +1,21 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('onStart');
+/**
+ * @ignore
+ */
+export default (iterable, fn) => {
+  AsyncIterablePredicateCheck(iterable, fn, FIELD);
+  return createAsyncIterable(async function* () {
+    await fn();
+    for await (const i of iterable) {
+      yield i;
+    }
+  });
+};
@@ -0,0 +1,23 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('onYield');
+/**
+ * @ignore
+ */
+export default (iterable, fn) => {
+  AsyncIterablePredicateCheck(iterable, fn, FIELD);
+  return createAsyncIterable(async function* () {
+    let index = 0;
+    for await (const i of iterable) {
+      await fn(i, index);
+      yield i;
+      index += 1;
+    }
+  });
+};
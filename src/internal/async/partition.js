@@ -0,0 +1,17 @@
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+import filter from './filter';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('partition');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return [
+    filter(iterable, predicate),
+    filter(iterable, async (x, index) => !await predicate(x, index)),
+  ];
+};
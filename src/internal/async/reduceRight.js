@@ -0,0 +1,33 @@
+/* eslint-disable func-names */
+/* eslint-disable no-await-in-loop */
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+import { createAsyncIterable } from './base';
+import toArray from './toArray';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('reduceRight');
+/**
+ * @ignore
+ */
+export default (iterable, predicate, seed) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    const items = await toArray(iterable);
+    let acc = seed;
+    let flag = seed == null;
+
+    // the indices are the positions of the items in the source.
+    for (let index = items.length - 1; index >= 0; index -= 1) {
+      if (flag) {
+        acc = items[index];
+        flag = false;
+      } else {
+        acc = await predicate(acc, items[index], index);
+      }
+    }
+
+    yield acc;
+  });
+};
@@ -0,0 +1,23 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('repeat');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    for (let c = count; c > 0; c -= 1) {
+      for await (const i of iterable) {
+        yield i;
+      }
+    }
+  });
+};
@@ -0,0 +1,27 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('replace');
+/**
+ * @ignore
+ */
+export default (iterable, index, value) => {
+  AsyncIterablePositiveNumberCheck(iterable, index, FIELD);
+  return createAsyncIterable(async function* () {
+    let c = 0;
+
+    for await (const i of iterable) {
+      if (c === index) {
+        yield value;
+      } else {
+        yield i;
+      }
+      c += 1;
+    }
+  });
+};
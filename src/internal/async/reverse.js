@@ -0,0 +1,25 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('reverse');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return createAsyncIterable(async function* () {
+    const buffer = [];
+
+    for await (const i of iterable) {
+      buffer.unshift(i);
+    }
+    for (const i of buffer) {
+      yield i;
+    }
+  });
+};
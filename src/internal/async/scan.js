@@ -0,0 +1,31 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('scan');
+/**
+ * @ignore
+ */
+export default (iterable, predicate, seed) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    let acc = seed;
+    let flag = seed == null;
+    let index = 0;
+
+    for await (const i of iterable) {
+      if (flag) {
+        acc = i;
+        flag = false;
+      } else {
+        acc = await predicate(acc, i, index);
+      }
+      yield acc;
+      index += 1;
+    }
+  });
+};
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('skip');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    let c = count;
+
+    for await (const i of iterable) {
+      if (c > 0) {
+        c -= 1;
+      } else {
+        yield i;
+      }
+    }
+  });
+};
@@ -0,0 +1,31 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { AsyncIterablePositiveNumberCheck, defineAsyncField } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('skipLast');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    const buffer = [];
+    let c = 0;
+    for await (const i of iterable) {
+      if (count > 0) {
+        buffer.push(i);
+        if (c === count) {
+          yield buffer.shift();
+        } else {
+          c += 1;
+        }
+      } else {
+        yield i;
+      }
+    }
+  });
+};
@@ -0,0 +1,28 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('skipUntil');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return createAsyncIterable(async function* () {
+    let flag = true;
+    let index = 0;
+    for await (const i of iterable) {
+      if (flag) {
+        flag = !await predicate(i, index);
+      }
+      if (!flag) {
+        yield i;
+      }
+      index += 1;
+    }
+  });
+};
@@ -0,0 +1,18 @@
+import { defineAsyncField, PositiveNumberCheck, AsyncIterableCheck } from '../utils';
+import skip from './skip';
+import take from './take';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('slice');
+/**
+ * @ignore
+ */
+export default (iterable, start, end) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  PositiveNumberCheck(start, 2, FIELD);
+  PositiveNumberCheck(end, 3, FIELD);
+
+  return skip(take(iterable, end), start);
+};
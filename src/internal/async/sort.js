@@ -0,0 +1,60 @@
+/* eslint-disable func-names */
+/* eslint-disable no-await-in-loop */
+import {
+  isUndefined, AsyncIterableCheck, defineAsyncField, FunctionCheck,
+} from '../utils';
+import { createAsyncIterable } from './base';
+import toArray from './toArray';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('sort');
+/**
+ * @ignore
+ */
+const defaultComparator = (a, b) => a - b;
+/**
+ * A stable merge sort that awaits each comparison, since
+ * Array.prototype.sort cannot wait for an async comparator.
+ * @ignore
+ */
+const mergeSort = async (items, comparator) => {
+  if (items.length < 2) {
+    return items;
+  }
+  const middle = Math.floor(items.length / 2);
+  const left = await mergeSort(items.slice(0, middle), comparator);
+  const right = await mergeSort(items.slice(middle), comparator);
+
+  const result = [];
+  let l = 0;
+  let r = 0;
+  while (l < left.length && r < right.length) {
+    if (await comparator(left[l], right[r]) <= 0) {
+      result.push(left[l]);
+      l += 1;
+    } else {
+      result.push(right[r]);
+      r += 1;
+    }
+  }
+  return result.concat(left.slice(l), right.slice(r));
+};
+/**
+ * @ignore
+ */
+export default (iterable, comparator) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  let fn = comparator;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(comparator, 2, FIELD);
+  } else {
+    fn = defaultComparator;
+  }
+
+  return createAsyncIterable(async function* () {
+    yield* await mergeSort(await toArray(iterable), fn);
+  });
+};
@@ -0,0 +1,41 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  isUndefined, defineAsyncField, AsyncIterableCheck, FunctionCheck,
+} from '../utils';
+import { createAsyncIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('sorted');
+/**
+ * @ignore
+ */
+const defaultComparator = (a, b) => a - b;
+/**
+ * @ignore
+ */
+export default (iterable, comparator) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+
+  let fn = comparator;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(comparator, 2, FIELD);
+  } else {
+    fn = defaultComparator;
+  }
+
+  return createAsyncIterable(async function* () {
+    let prev;
+
+    for await (const i of iterable) {
+      if (typeof prev !== 'undefined' && await fn(prev, i) > 0) {
+        yield false;
+        return;
+      }
+      prev = i;
+    }
+    yield true;
+  });
+};
@@ -0,0 +1,18 @@
+import skipWhile from './skipWhile';
+import takeWhile from './takeWhile';
+import { defineAsyncField, AsyncIterablePredicateCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('spanWith');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  AsyncIterablePredicateCheck(iterable, predicate, FIELD);
+  return [
+    takeWhile(iterable, predicate),
+    skipWhile(iterable, predicate),
+  ];
+};
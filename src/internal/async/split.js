@@ -0,0 +1,15 @@
+import take from './take';
+import skip from './skip';
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('split');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return [take(iterable, count), skip(iterable, count)];
+};
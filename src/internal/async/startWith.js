@@ -0,0 +1,14 @@
+import concat from './concat';
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('startWith');
+/**
+ * @ignore
+ */
+export default (iterable, ...iterables) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return concat(...iterables, iterable);
+};
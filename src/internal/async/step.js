@@ -0,0 +1,27 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('step');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    if (count < 1) {
+      return;
+    }
+    let c = 0;
+    for await (const i of iterable) {
+      if (c % count === 0) {
+        yield i;
+      }
+      c += 1;
+    }
+  });
+};
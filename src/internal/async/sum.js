@@ -0,0 +1,24 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+import { createAsyncIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('sum');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return createAsyncIterable(async function* () {
+    let acc = 0;
+
+    for await (const i of iterable) {
+      acc += i;
+    }
+
+    yield acc;
+  });
+};
@@ -0,0 +1,31 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('take');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    if (count === 0) {
+      return;
+    }
+
+    let c = count;
+
+    for await (const i of iterable) {
+      yield i;
+
+      c -= 1;
+      if (c <= 0) {
+        return;
+      }
+    }
+  });
+};
@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import { defineAsyncField, AsyncIterablePositiveNumberCheck } from '../utils';
+
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('takeLast');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  AsyncIterablePositiveNumberCheck(iterable, count, FIELD);
+  return createAsyncIterable(async function* () {
+    if (count === 0) {
+      return;
+    }
+
+    const buffer = [];
+
+    for await (const i of iterable) {
+      buffer.push(i);
+    }
+
+    for (const i of buffer.slice(-count)) {
+      yield i;
+    }
+  });
+};
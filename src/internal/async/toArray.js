@@ -0,0 +1,25 @@
+/* eslint-disable no-restricted-syntax */
+import { defineAsyncField, AsyncIterableCheck } from '../utils';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('toArray');
+/**
+ * @ignore
+ */
+const collect = async (iterable) => {
+  const buffer = [];
+
+  for await (const i of iterable) {
+    buffer.push(i);
+  }
+
+  return buffer;
+};
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  AsyncIterableCheck(iterable, 1, FIELD);
+  return collect(iterable);
+};
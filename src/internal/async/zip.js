@@ -0,0 +1,118 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createAsyncIterable } from './base';
+import {
+  BadArgumentError, isFunction, isUndefined, defineAsyncField, FunctionCheck,
+  AsyncIterableCheck, ASYNC_ITERATOR,
+} from '../utils';
+/**
+ * @ignore
+ */
+const FIELD = defineAsyncField('zip');
+/**
+ * @ignore
+ */
+const defaultZipper = x => x;
+/**
+ * @ignore
+ */
+const SHORTEST = 'shortest';
+/**
+ * @ignore
+ */
+const LONGEST = 'longest';
+/**
+ * @ignore
+ */
+const STRICT = 'strict';
+/**
+ * @ignore
+ */
+const MODES = [SHORTEST, LONGEST, STRICT];
+/**
+ * @ignore
+ */
+const zip = (iterables, fn, options) => {
+  if (!(iterables instanceof Array)) {
+    throw new BadArgumentError(1, FIELD, 'Array');
+  }
+  iterables.forEach(x => AsyncIterableCheck(x, 1, FIELD));
+
+  let zipper = fn;
+  let opts = options;
+
+  if (!isUndefined(fn) && !isFunction(fn) && typeof fn === 'object') {
+    zipper = undefined;
+    opts = fn;
+  }
+
+  if (!isUndefined(zipper)) {
+    FunctionCheck(zipper, 2, FIELD);
+  } else {
+    zipper = defaultZipper;
+  }
+
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, FIELD, 'Object');
+  }
+
+  const { mode = SHORTEST, fill } = opts;
+
+  if (!MODES.includes(mode)) {
+    throw new BadArgumentError(3, FIELD, `mode of ${MODES.join(', ')}`);
+  }
+
+  return createAsyncIterable(async function* () {
+    const iterators = iterables.map(x => createAsyncIterable(x)[ASYNC_ITERATOR]());
+    // marks the iterators that either completed or must not be closed.
+    const settled = iterators.map(() => false);
+
+    try {
+      while (iterators.length > 0) {
+        const row = [];
+        let finished = 0;
+
+        for (let k = 0; k < iterators.length; k += 1) {
+          if (settled[k]) {
+            finished += 1;
+            row.push(fill);
+          } else {
+            settled[k] = true;
+            const { value, done } = await iterators[k].next();
+            settled[k] = !!done;
+
+            if (done) {
+              if (mode === SHORTEST) {
+                return;
+              }
+              finished += 1;
+              row.push(fill);
+            } else {
+              row.push(value);
+            }
+          }
+        }
+
+        if (finished === iterators.length) {
+          return;
+        }
+        if (finished > 0 && mode === STRICT) {
+          throw new RangeError('AsyncIterable.zip: the given AsyncIterables have different lengths.');
+        }
+
+        yield zipper(row);
+      }
+    } finally {
+      for (let k = 0; k < iterators.length; k += 1) {
+        if (!settled[k] && isFunction(iterators[k].return)) {
+          await iterators[k].return();
+        }
+      }
+    }
+  });
+};
+
+export default zip;
@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { defineField, IterableCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('average');
  */
 export default (iterable) => {
   IterableCheck(iterable, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let acc = 0;
     let c = 0;
 
@@ -0,0 +1,129 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  isIterable, ITERATOR, BadArgumentError, isUndefined,
+} from './utils';
+
+const { isNaN } = Number;
+/**
+ * The base of Iterable, which holds the source and implements
+ * the Iteration Protocol, without any of the operators.
+ *
+ * The operators create their results with createIterable instead
+ * of depending on Iterable, so that an operator can be imported
+ * without the rest. The results are instances of this class
+ * until Iterable is loaded, which registers itself.
+ * @ignore
+ */
+export default class BaseIterable {
+  /**
+   * Returns an Iterable with the given object.
+   *
+   * This object must be either a generator or an object
+   * that implements the Iteration Protocol.
+   *
+   * @param {!Iterable} iterable
+   * @returns {Iterable}
+   */
+  constructor(iterable) {
+    const it = iterable;
+
+    const exists = !isUndefined(it);
+    if (exists && it.constructor.name === 'GeneratorFunction') {
+      it[ITERATOR] = it;
+      /**
+       * @ignore
+       */
+      this.it = it;
+    } else if (exists && isIterable(it)) {
+      /**
+       * @ignore
+       */
+      this.it = it;
+    } else {
+      throw new BadArgumentError(1, 'Iterable.<constructor>', 'Iterable or Generator');
+    }
+    /**
+     * @ignore
+     */
+    this.it = it;
+
+    return new Proxy(this, {
+      get: (t, k) => ((k in t && t[k]) || (!isNaN(k) ? this.get(k) : undefined)),
+    });
+  }
+
+  /**
+   * Similar to elementAt, excepts that this method
+   * returns the actual value at the given index.
+   * @param {!number} index
+   * @returns {any}
+   */
+  get(index) {
+    const { it } = this;
+    let s = 0;
+    for (const i of it) {
+      if (`${s}` === index) {
+        return i;
+      }
+      s += 1;
+    }
+    return undefined;
+  }
+
+  /**
+   * Implements the Iterator Protocol for this Iterable.
+   * @ignore
+   */
+  [ITERATOR]() {
+    return this.it[ITERATOR]();
+  }
+}
+/**
+ * The base of OrderedIterable, which also holds the source
+ * and the orderings that thenBy extends.
+ * @ignore
+ */
+export class BaseOrderedIterable extends BaseIterable {
+  constructor(iterable, source, orderings) {
+    super(iterable);
+    /**
+     * @ignore
+     */
+    this.source = source;
+    /**
+     * @ignore
+     */
+    this.orderings = orderings;
+  }
+}
+/**
+ * The classes of the Iterables created by the operators.
+ * @ignore
+ */
+const classes = {
+  Iterable: BaseIterable,
+  OrderedIterable: BaseOrderedIterable,
+};
+/**
+ * Makes the operators create instances of the given classes.
+ * @ignore
+ */
+export const registerIterable = (iterable, ordered) => {
+  classes.Iterable = iterable;
+  classes.OrderedIterable = ordered;
+};
+/**
+ * @ignore
+ */
+export const createIterable = iterable => new classes.Iterable(iterable);
+/**
+ * @ignore
+ */
+export const createOrderedIterable = (iterable, source, orderings) => new classes.OrderedIterable(
+  iterable, source, orderings,
+);
+/**
+ * @ignore
+ */
+export const isOrderedIterable = x => x instanceof BaseOrderedIterable
+  || x instanceof classes.OrderedIterable;
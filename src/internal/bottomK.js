@@ -0,0 +1,28 @@
+import {
+  IterablePositiveNumberCheck, FunctionCheck, defineField, isUndefined,
+} from './utils';
+import topK from './topK';
+/**
+ * @ignore
+ */
+const FIELD = defineField('bottomK');
+/**
+ * @ignore
+ */
+const defaultComparator = (a, b) => a - b;
+/**
+ * @ignore
+ */
+export default (iterable, count, comparator) => {
+  IterablePositiveNumberCheck(iterable, count, FIELD);
+
+  let fn = comparator;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(fn, 3, FIELD);
+  } else {
+    fn = defaultComparator;
+  }
+
+  return topK(iterable, count, (a, b) => fn(b, a));
+};
@@ -1,7 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
-import { IterableCheck, defineField, isIterable } from './utils';
+import { createIterable } from './base';
+import {
+  IterableCheck, defineField, isIterable, isString,
+} from './utils';
 
 const FIELD = defineField('breadthFirst');
 /**
@@ -10,14 +12,14 @@ const FIELD = defineField('breadthFirst');
 export default (iterable) => {
   IterableCheck(iterable, 1, FIELD);
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const stack = [];
     stack.push(iterable);
 
     while (stack.length !== 0) {
       const top = stack.shift();
 
-      if (isIterable(top)) {
+      if (isIterable(top) && !isString(top)) {
         for (const i of top) {
           stack.push(i);
         }
@@ -1,6 +1,7 @@
 import { IterablePredicateCheck, defineField } from './utils';
 import takeUntil from './takeUntil';
 import skipUntil from './skipUntil';
+import tee from './tee';
 
 /**
  * @ignore
@@ -11,8 +12,9 @@ const FIELD = defineField('breakWith');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
+  const [prefix, rest] = tee(iterable, 2);
   return [
-    takeUntil(iterable, predicate),
-    skipUntil(iterable, predicate),
+    takeUntil(prefix, predicate),
+    skipUntil(rest, predicate),
   ];
 };
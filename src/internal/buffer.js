@@ -1,7 +1,10 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { IterablePositiveNumberCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import {
+  IterablePositiveNumberCheck, NumberCheck, BadArgumentError, defineField, isUndefined,
+  TYPE_POS_NUM, slide,
+} from './utils';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -10,21 +13,20 @@ const FIELD = defineField('buffer');
 /**
  * @ignore
  */
-export default (iterable, count) => {
+export default (iterable, count, skip) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
 
-  return new Iterable(function* () {
-    let b = [];
-
-    for (const i of iterable) {
-      b.push(i);
-      if (b.length === count) {
-        yield b;
-        b = [];
-      }
-    }
-    if (b.length > 0) {
-      yield b;
+  let step = skip;
+  if (!isUndefined(step)) {
+    NumberCheck(step, 3, FIELD);
+    if (step < 1) {
+      throw new BadArgumentError(3, FIELD, TYPE_POS_NUM);
     }
+  } else {
+    step = count;
+  }
+
+  return createIterable(function* () {
+    yield* slide(iterable, count, step, true);
   });
 };
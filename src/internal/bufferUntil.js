@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { IterablePredicateCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('bufferUntil');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  IterablePredicateCheck(iterable, predicate, FIELD);
+  return createIterable(function* () {
+    let b = [];
+    let index = 0;
+    for (const i of iterable) {
+      b.push(i);
+      if (predicate(i, index)) {
+        yield b;
+        b = [];
+      }
+      index += 1;
+    }
+    if (b.length > 0) {
+      yield b;
+    }
+  });
+};
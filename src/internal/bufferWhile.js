@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { IterablePredicateCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('bufferWhile');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  IterablePredicateCheck(iterable, predicate, FIELD);
+  return createIterable(function* () {
+    let b = [];
+    let index = 0;
+    for (const i of iterable) {
+      if (!predicate(i, index) && b.length > 0) {
+        yield b;
+        b = [];
+      }
+      b.push(i);
+      index += 1;
+    }
+    if (b.length > 0) {
+      yield b;
+    }
+  });
+};
@@ -0,0 +1,41 @@
+/* eslint-disable func-names */
+import {
+  FunctionCheck, IterableCheck, BadArgumentError, defineField, isUndefined, isIterable,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('case');
+/**
+ * @ignore
+ */
+export default (selector, sources, defaultSource) => {
+  FunctionCheck(selector, 1, FIELD);
+  if (isUndefined(sources) || typeof sources !== 'object') {
+    throw new BadArgumentError(2, FIELD, 'Map or Object');
+  }
+
+  let fallback = defaultSource;
+  if (!isUndefined(fallback)) {
+    IterableCheck(fallback, 3, FIELD);
+  } else {
+    fallback = [];
+  }
+
+  const lookup = sources instanceof Map
+    ? key => sources.get(key)
+    : key => (Object.prototype.hasOwnProperty.call(sources, key) ? sources[key] : undefined);
+
+  return createIterable(function* () {
+    const source = lookup(selector());
+    if (isUndefined(source)) {
+      yield* fallback;
+    } else if (isIterable(source)) {
+      yield* source;
+    } else {
+      throw new BadArgumentError(2, FIELD, 'Map or Object of Iterables');
+    }
+  });
+};
@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createIterable } from './base';
+import {
+  defineField, IterableCheck, isFunction, isIterable, BadArgumentError,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('catchError');
+/**
+ * @ignore
+ */
+export default (iterable, handler) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  if (!isFunction(handler) && !isIterable(handler)) {
+    throw new BadArgumentError(2, FIELD, 'Iterable or function');
+  }
+
+  return createIterable(function* () {
+    try {
+      for (const i of iterable) {
+        yield i;
+      }
+    } catch (e) {
+      const fallback = isFunction(handler) ? handler(e) : handler;
+
+      if (!isIterable(fallback)) {
+        throw new TypeError('Iterable.catchError: the handler returned a non-Iterable.');
+      }
+
+      for (const i of fallback) {
+        yield i;
+      }
+    }
+  });
+};
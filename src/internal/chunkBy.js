@@ -0,0 +1,49 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  IterablePredicateCheck, FunctionCheck, defineField, isUndefined,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('chunkBy');
+/**
+ * @ignore
+ */
+const defaultComparer = (a, b) => a === b;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, comparer) => {
+  IterablePredicateCheck(iterable, keySelector, FIELD);
+
+  let equals = comparer;
+  if (!isUndefined(equals)) {
+    FunctionCheck(equals, 3, FIELD);
+  } else {
+    equals = defaultComparer;
+  }
+
+  return createIterable(function* () {
+    let key;
+    let values = [];
+    let index = 0;
+    for (const i of iterable) {
+      const k = keySelector(i, index);
+      if (values.length > 0 && !equals(key, k)) {
+        yield { key, values: createIterable(values) };
+        values = [];
+      }
+      if (values.length === 0) {
+        key = k;
+      }
+      values.push(i);
+      index += 1;
+    }
+    if (values.length > 0) {
+      yield { key, values: createIterable(values) };
+    }
+  });
+};
@@ -2,7 +2,7 @@
 import {
   isIterable, FunctionCheck, IterableCheck, defineField,
 } from './utils';
-import Iterable from '../iterable';
+import BaseIterable, { createIterable } from './base';
 
 /**
  * @ignore
@@ -26,8 +26,8 @@ export default (iterable, ...composers) => {
     }
   }
 
-  if (result instanceof Iterable) {
+  if (result instanceof BaseIterable) {
     return result;
   }
-  return new Iterable(result);
+  return createIterable(result);
 };
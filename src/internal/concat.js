@@ -1,8 +1,8 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import flat from './flat';
 /**
  * @ignore
  */
-export default (...iterables) => flat(new Iterable(iterables));
+export default (...iterables) => flat(createIterable(iterables));
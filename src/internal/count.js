@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { IterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -13,7 +13,7 @@ const FIELD = defineField('count');
 export default (iterable) => {
   IterableCheck(iterable, 1, FIELD);
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let c = 0;
     // eslint-disable-next-line no-unused-vars
     for (const i of iterable) {
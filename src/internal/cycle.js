@@ -0,0 +1,26 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { IterableCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('cycle');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  IterableCheck(iterable, 1, FIELD);
+  return createIterable(function* () {
+    // stops once a whole pass yields nothing,
+    // instead of looping over an empty Iterable forever.
+    for (let empty = false; !empty;) {
+      empty = true;
+      for (const i of iterable) {
+        empty = false;
+        yield i;
+      }
+    }
+  });
+};
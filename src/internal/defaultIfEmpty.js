@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { IterableCheck, defineField } from './utils';
 
 const FIELD = defineField('defaultIfEmpty');
@@ -9,7 +9,7 @@ const FIELD = defineField('defaultIfEmpty');
  */
 export default (iterable, value) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let flag = true;
 
     for (const i of iterable) {
@@ -0,0 +1,23 @@
+/* eslint-disable func-names */
+import {
+  FunctionCheck, BadArgumentError, defineField, isIterable,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('defer');
+/**
+ * @ignore
+ */
+export default (factory) => {
+  FunctionCheck(factory, 1, FIELD);
+  return createIterable(function* () {
+    const source = factory();
+    if (!isIterable(source)) {
+      throw new BadArgumentError(1, FIELD, 'function that returns an Iterable');
+    }
+    yield* source;
+  });
+};
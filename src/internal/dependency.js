@@ -1,16 +1,23 @@
-/* eslint-disable import/no-cycle */
 export { default as all } from './all';
 export { default as any } from './any';
 export { default as average } from './average';
+export { default as bottomK } from './bottomK';
 export { default as breadthFirst } from './breadthFirst';
 export { default as breakWith } from './breakWith';
 export { default as buffer } from './buffer';
+export { default as bufferUntil } from './bufferUntil';
+export { default as bufferWhile } from './bufferWhile';
 export { default as cache } from './cache';
+export { default as caseOf } from './caseOf';
+export { default as catchError } from './catchError';
+export { default as chunkBy } from './chunkBy';
 export { default as compose } from './compose';
 export { default as concat } from './concat';
 export { default as contains } from './contains';
 export { default as count } from './count';
+export { default as cycle } from './cycle';
 export { default as defaultIfEmpty } from './defaultIfEmpty';
+export { default as defer } from './defer';
 export { default as depthFirst } from './depthFirst';
 export { default as diff } from './diff';
 export { default as distinct } from './distinct';
@@ -18,12 +25,24 @@ export { default as distinctAdjacent } from './distinctAdjacent';
 export { default as doWhile } from './doWhile';
 export { default as elementAt } from './elementAt';
 export { default as empty } from './empty';
+export { default as entries } from './entries';
 export { default as equal } from './equal';
+export { default as except } from './except';
+export { default as expand } from './expand';
 export { default as filter } from './filter';
+export { default as finalize } from './finalize';
 export { default as find } from './find';
 export { default as first } from './first';
+export { default as firstOrDefault } from './firstOrDefault';
 export { default as flat } from './flat';
 export { default as flatMap } from './flatMap';
+export { default as forOf } from './forOf';
+export { default as fullOuterJoin } from './fullOuterJoin';
+export { default as generate } from './generate';
+export { default as groupBy } from './groupBy';
+export { default as groupJoin } from './groupJoin';
+export { default as histogram } from './histogram';
+export { default as ifElse } from './ifElse';
 export { default as ignoreElements } from './ignoreElements';
 export { default as indexOf } from './indexOf';
 export { default as innerJoin } from './innerJoin';
@@ -31,25 +50,50 @@ export { default as intercalate } from './intercalate';
 export { default as intersect } from './intersect';
 export { default as intersperse } from './intersperse';
 export { default as isEmpty } from './isEmpty';
+export { default as iterate } from './iterate';
+export { default as join } from './join';
 export { default as just } from './just';
+export { default as keys } from './keys';
 export { default as last } from './last';
+export { default as lazySort } from './lazySort';
 export { default as leftJoin } from './leftJoin';
+export { default as leftOuterJoin } from './leftOuterJoin';
 export { default as map } from './map';
 export { default as max } from './max';
+export { default as maxBy } from './maxBy';
+export { default as median } from './median';
+export { default as memoize } from './memoize';
 export { default as min } from './min';
+export { default as minBy } from './minBy';
+export { default as minMax } from './minMax';
+export { default as mode } from './mode';
 export { default as onDone } from './onDone';
+export { default as onError } from './onError';
+export { default as onErrorResumeNext } from './onErrorResumeNext';
 export { default as onStart } from './onStart';
 export { default as onYield } from './onYield';
+export { default as orderBy } from './orderBy';
 export { default as outerJoin } from './outerJoin';
+export { default as pairwise } from './pairwise';
 export { default as partition } from './partition';
+export { default as percentile } from './percentile';
+export { default as product } from './product';
+export { default as publish } from './publish';
+export { default as quantiles } from './quantiles';
 export { default as range } from './range';
 export { default as reduce } from './reduce';
 export { default as reduceRight } from './reduceRight';
 export { default as repeat } from './repeat';
+export { default as repeatValue } from './repeatValue';
 export { default as replace } from './replace';
+export { default as retry } from './retry';
 export { default as reverse } from './reverse';
+export { default as rightOuterJoin } from './rightOuterJoin';
 export { default as scan } from './scan';
 export { default as scanRight } from './scanRight';
+export { default as share } from './share';
+export { default as single } from './single';
+export { default as singleOrDefault } from './singleOrDefault';
 export { default as skip } from './skip';
 export { default as skipLast } from './skipLast';
 export { default as skipUntil } from './skipUntil';
@@ -59,13 +103,33 @@ export { default as sort } from './sort';
 export { default as sorted } from './sorted';
 export { default as spanWith } from './spanWith';
 export { default as split } from './split';
+export { default as splitOn } from './splitOn';
+export { default as splitWhen } from './splitWhen';
 export { default as startWith } from './startWith';
+export { default as stdDev } from './stdDev';
 export { default as step } from './step';
 export { default as sum } from './sum';
+export { default as summary } from './summary';
+export { default as symmetricDifference } from './symmetricDifference';
 export { default as take } from './take';
 export { default as takeLast } from './takeLast';
 export { default as takeUntil } from './takeUntil';
 export { default as takeWhile } from './takeWhile';
+export { default as tee } from './tee';
+export { default as thenBy } from './thenBy';
+export { default as thenByDescending } from './thenByDescending';
 export { default as toArray } from './toArray';
+export { default as toLookup } from './toLookup';
+export { default as toMap } from './toMap';
+export { default as toObject } from './toObject';
+export { default as topK } from './topK';
+export { default as toSet } from './toSet';
+export { default as toValue } from './toValue';
+export { default as traverse } from './traverse';
+export { default as unfold } from './unfold';
+export { default as union } from './union';
+export { default as values } from './values';
+export { default as variance } from './variance';
 export { default as whileDo } from './whileDo';
+export { default as windowed } from './windowed';
 export { default as zip } from './zip';
@@ -1,7 +1,8 @@
 /* eslint-disable func-names */
-/* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
-import { IterableCheck, defineField, isIterable } from './utils';
+import { createIterable } from './base';
+import {
+  IterableCheck, defineField, isIterable, isString, isFunction, ITERATOR,
+} from './utils';
 
 const FIELD = defineField('depthFirst');
 /**
@@ -10,26 +11,28 @@ const FIELD = defineField('depthFirst');
 export default (iterable) => {
   IterableCheck(iterable, 1, FIELD);
 
-  return new Iterable(function* () {
-    const stack = [];
-    stack.push(iterable);
+  return createIterable(function* () {
+    const stack = [iterable[ITERATOR]()];
 
-    const result = [];
+    try {
+      while (stack.length !== 0) {
+        const result = stack[stack.length - 1].next();
 
-    while (stack.length !== 0) {
-      const top = stack.pop();
-
-      if (isIterable(top)) {
-        for (const i of top) {
-          stack.push(i);
+        if (result.done) {
+          stack.pop();
+        } else if (isIterable(result.value) && !isString(result.value)) {
+          stack.push(result.value[ITERATOR]());
+        } else {
+          yield result.value;
+        }
+      }
+    } finally {
+      while (stack.length !== 0) {
+        const iterator = stack.pop();
+        if (isFunction(iterator.return)) {
+          iterator.return();
         }
-      } else {
-        result.push(top);
       }
-    }
-
-    for (const i of result.reverse()) {
-      yield i;
     }
   });
 };
@@ -1,8 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { defineField, DoubleIterableCheck } from './utils';
-import Iterable from '../iterable';
-import toArray from './toArray';
+import {
+  defineField, DoubleIterableCheck, FunctionCheck, isUndefined, createKeySet,
+} from './utils';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -10,17 +11,37 @@ const FIELD = defineField('diff');
 /**
  * @ignore
  */
-export default (iterable, other) => {
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, comparer) => {
   DoubleIterableCheck(iterable, other, FIELD);
 
-  return new Iterable(function* () {
-    const A = toArray(iterable);
-    const B = toArray(other);
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 3, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 4, FIELD);
+  }
+
+  return createIterable(function* () {
+    const B = createKeySet(comparer);
+    let otherIndex = 0;
+    for (const o of other) {
+      B.add(key(o, otherIndex));
+      otherIndex += 1;
+    }
 
-    for (const i of A) {
-      if (!B.includes(i)) {
+    let index = 0;
+    for (const i of iterable) {
+      if (!B.has(key(i, index))) {
         yield i;
       }
+      index += 1;
     }
   });
 };
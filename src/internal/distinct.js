@@ -1,7 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { IterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import {
+  IterableCheck, FunctionCheck, defineField, isUndefined, createKeySet,
+} from './utils';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -10,15 +12,33 @@ const FIELD = defineField('distinct');
 /**
  * @ignore
  */
-export default (iterable) => {
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, comparer) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
-    const buffer = [];
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 3, FIELD);
+  }
+
+  return createIterable(function* () {
+    const keys = createKeySet(comparer);
+    let index = 0;
     for (const i of iterable) {
-      if (!buffer.includes(i)) {
+      const k = key(i, index);
+      if (!keys.has(k)) {
+        keys.add(k);
         yield i;
       }
-      buffer.push(i);
+      index += 1;
     }
   });
 };
@@ -1,7 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { IterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import {
+  IterableCheck, FunctionCheck, defineField, isUndefined,
+} from './utils';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -10,19 +12,45 @@ const FIELD = defineField('distinctAdjacent');
 /**
  * @ignore
  */
-export default (iterable) => {
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+const defaultComparer = (a, b) => a === b;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, comparer) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = defaultKey;
+  }
+
+  let equals = comparer;
+  if (!isUndefined(equals)) {
+    FunctionCheck(equals, 3, FIELD);
+  } else {
+    equals = defaultComparer;
+  }
+
+  return createIterable(function* () {
     let first = true;
     let prev;
+    let index = 0;
     for (const i of iterable) {
+      const k = key(i, index);
       if (first) {
         yield i;
         first = false;
-      } else if (prev !== i) {
+      } else if (!equals(prev, k)) {
         yield i;
       }
-      prev = i;
+      prev = k;
+      index += 1;
     }
   });
 };
@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterablePositiveNumberCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -12,7 +12,7 @@ const FIELD = defineField('elementAt');
 export default (iterable, index) => {
   IterablePositiveNumberCheck(iterable, index, FIELD);
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let c = 0;
 
     for (const i of iterable) {
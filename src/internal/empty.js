@@ -1,4 +1,4 @@
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { isUndefined } from './utils';
 
 /**
@@ -10,7 +10,7 @@ let INSTANCE;
  */
 export default () => {
   if (isUndefined(INSTANCE)) {
-    INSTANCE = new Iterable([]);
+    INSTANCE = createIterable([]);
   }
   return INSTANCE;
 };
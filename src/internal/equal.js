@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { DoubleIterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import toArray from './toArray';
 /**
  * @ignore
@@ -13,7 +13,7 @@ const FIELD = defineField('equal');
 export default (iterable, other) => {
   DoubleIterableCheck(iterable, other, FIELD);
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const arr = toArray(iterable);
 
     for (const i of other) {
@@ -0,0 +1,58 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, DoubleIterableCheck, resolveSetOptions, createKeySet, createKeyCounter, BAG_MODE,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('except');
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, options) => {
+  DoubleIterableCheck(iterable, other, FIELD);
+
+  const { key, mode, comparer } = resolveSetOptions(keySelector, options, 3, FIELD);
+
+  if (mode === BAG_MODE) {
+    return createIterable(function* () {
+      const counts = createKeyCounter(comparer);
+      let otherIndex = 0;
+      for (const o of other) {
+        counts.add(key(o, otherIndex));
+        otherIndex += 1;
+      }
+
+      let index = 0;
+      for (const i of iterable) {
+        if (!counts.take(key(i, index))) {
+          yield i;
+        }
+        index += 1;
+      }
+    });
+  }
+
+  return createIterable(function* () {
+    const keys = createKeySet(comparer);
+    let otherIndex = 0;
+    for (const o of other) {
+      keys.add(key(o, otherIndex));
+      otherIndex += 1;
+    }
+
+    const seen = createKeySet(comparer);
+    let index = 0;
+    for (const i of iterable) {
+      const k = key(i, index);
+      if (!keys.has(k) && !seen.has(k)) {
+        seen.add(k);
+        yield i;
+      }
+      index += 1;
+    }
+  });
+};
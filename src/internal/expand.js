@@ -0,0 +1,42 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  IterablePredicateCheck, PositiveNumberCheck, defineField, isUndefined, isIterable,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('expand');
+/**
+ * @ignore
+ */
+export default (iterable, fn, depth) => {
+  IterablePredicateCheck(iterable, fn, FIELD);
+
+  let d = depth;
+  if (!isUndefined(d)) {
+    PositiveNumberCheck(d, 3, FIELD);
+  } else {
+    d = Infinity;
+  }
+
+  return createIterable(function* () {
+    const queue = [[iterable, 0]];
+    let index = 0;
+    while (queue.length !== 0) {
+      const [source, level] = queue.shift();
+      for (const i of source) {
+        yield i;
+        if (level < d) {
+          const result = fn(i, index);
+          if (isIterable(result)) {
+            queue.push([result, level + 1]);
+          }
+        }
+        index += 1;
+      }
+    }
+  });
+};
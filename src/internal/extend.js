@@ -0,0 +1,88 @@
+/* eslint-disable no-restricted-syntax */
+import * as utils from './utils';
+
+const {
+  BadArgumentError, FunctionCheck, isFunction, isUndefined,
+} = utils;
+/**
+ * Names that are used by the instances themselves, which
+ * cannot be replaced even with the override option.
+ * @ignore
+ */
+const RESERVED = ['it', 'constructor', 'prototype'];
+/**
+ * Numeric names are read as indexes by the Proxy of the instances.
+ * @ignore
+ */
+const isOperatorName = k => k !== '' && Number.isNaN(Number(k));
+/**
+ * Installs the given operators as the static and the prototype
+ * methods of the given class. All of the operators are checked
+ * before any of them is installed.
+ * @ignore
+ */
+const install = (Class, operators, options, define, check, field) => {
+  if (isUndefined(operators) || typeof operators !== 'object') {
+    throw new BadArgumentError(1, field, 'Object');
+  }
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(2, field, 'Object');
+  }
+  const { override = false } = opts;
+
+  const names = Object.keys(operators);
+  for (const name of names) {
+    if (!isFunction(operators[name])) {
+      throw new BadArgumentError(1, field, 'Object of functions');
+    }
+    if (!isOperatorName(name)) {
+      throw new BadArgumentError(1, field, 'Object with non-numeric keys');
+    }
+    if (RESERVED.includes(name)) {
+      throw new TypeError(`${field}: ${name} is reserved.`);
+    }
+    if (!override && (name in Class || name in Class.prototype)) {
+      throw new TypeError(`${field}: ${name} is already defined, set override to replace it.`);
+    }
+  }
+
+  for (const name of names) {
+    const operator = operators[name];
+    const methodField = define(name);
+    Object.defineProperty(Class, name, {
+      value: (it, ...args) => {
+        check(it, 1, methodField);
+        return operator(it, ...args);
+      },
+      writable: true,
+      configurable: true,
+    });
+    Object.defineProperty(Class.prototype, name, {
+      value(...args) {
+        return operator(this.it, ...args);
+      },
+      writable: true,
+      configurable: true,
+    });
+  }
+  return Class;
+};
+/**
+ * @ignore
+ */
+export default (Class, operators, options, define, check) => install(
+  Class, operators, options, define, check, define('extend'),
+);
+/**
+ * Installs the operators returned by the given plugin, which
+ * receives the class and the argument-check helpers.
+ * @ignore
+ */
+export const use = (Class, plugin, options, define, check) => {
+  const field = define('use');
+  FunctionCheck(plugin, 1, field);
+  return install(Class, plugin(Class, utils), options, define, check, field);
+};
@@ -0,0 +1,23 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { IterablePredicateCheck, defineField } from './utils';
+import { createIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineField('finally');
+/**
+ * @ignore
+ */
+export default (iterable, fn) => {
+  IterablePredicateCheck(iterable, fn, FIELD);
+  return createIterable(function* () {
+    try {
+      for (const i of iterable) {
+        yield i;
+      }
+    } finally {
+      fn();
+    }
+  });
+};
@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { IterablePredicateCheck, defineField } from './utils';
 /**
  * @ignore
@@ -11,10 +11,10 @@ const FIELD = defineField('find');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let c = 0;
     for (const i of iterable) {
-      if (predicate(i)) {
+      if (predicate(i, c)) {
         yield c;
         return;
       }
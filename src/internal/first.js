@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import {
   IterableCheck, defineField, FunctionCheck, isUndefined,
 } from './utils';
@@ -26,12 +26,14 @@ export default (iterable, predicate) => {
     fn = defaultTest;
   }
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    let index = 0;
     for (const i of iterable) {
-      if (fn(i)) {
+      if (fn(i, index)) {
         yield i;
         return;
       }
+      index += 1;
     }
   });
 };
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  IterableCheck, defineField, FunctionCheck, isUndefined,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('firstOrDefault');
+/**
+ * @ignore
+ */
+const defaultTest = () => true;
+/**
+ * @ignore
+ */
+export default (iterable, predicate, defaultValue) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let fn = predicate;
+  if (!isUndefined(fn)) {
+    FunctionCheck(fn, 2, FIELD);
+  } else {
+    fn = defaultTest;
+  }
+
+  let index = 0;
+  for (const i of iterable) {
+    if (fn(i, index)) {
+      return i;
+    }
+    index += 1;
+  }
+
+  return defaultValue;
+};
@@ -1,7 +1,9 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
-import Iterable from '../iterable';
-import { isIterable, defineField, IterableCheck } from './utils';
+import { createIterable } from './base';
+import {
+  isIterable, defineField, IterableCheck, resolveFlatOptions,
+} from './utils';
 /**
  * @ignore
  */
@@ -9,17 +11,21 @@ const FIELD = defineField('flat');
 /**
  * @ignore
  */
-export default (iterable) => {
+export default (iterable, depth, options) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
-    for (const i of iterable) {
-      if (isIterable(i)) {
-        for (const e of i) {
-          yield e;
-        }
+  const { depth: d, isLeaf } = resolveFlatOptions(depth, options, FIELD);
+
+  function* walk(it, level) {
+    for (const i of it) {
+      if (level < d && isIterable(i) && !isLeaf(i)) {
+        yield* walk(i, level + 1);
       } else {
         yield i;
       }
     }
+  }
+
+  return createIterable(function* () {
+    yield* walk(iterable, 0);
   });
 };
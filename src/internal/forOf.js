@@ -0,0 +1,13 @@
+import { IterablePredicateCheck, defineField } from './utils';
+import flatMap from './flatMap';
+/**
+ * @ignore
+ */
+const FIELD = defineField('for');
+/**
+ * @ignore
+ */
+export default (values, resultSelector) => {
+  IterablePredicateCheck(values, resultSelector, FIELD);
+  return flatMap(values, resultSelector);
+};
@@ -0,0 +1,61 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createIterable } from './base';
+import {
+  DoubleIterableCheck, FunctionCheck, defineField, isUndefined, createLookup,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('fullOuterJoin');
+/**
+ * @ignore
+ */
+const defaultResult = (o, i) => [o, i];
+/**
+ * @ignore
+ */
+export default (outer, inner, outerKey, innerKey, resultSelector) => {
+  DoubleIterableCheck(outer, inner, FIELD);
+  FunctionCheck(outerKey, 3, FIELD);
+  FunctionCheck(innerKey, 4, FIELD);
+
+  let result = resultSelector;
+  if (!isUndefined(result)) {
+    FunctionCheck(result, 5, FIELD);
+  } else {
+    result = defaultResult;
+  }
+
+  return createIterable(function* () {
+    // the unmatched inner items are yielded in their own order.
+    const rows = [];
+    const lookup = createLookup(inner, (i, index) => {
+      const key = innerKey(i, index);
+      rows.push([key, i]);
+      return key;
+    });
+
+    const matched = new Set();
+    let outerIndex = 0;
+    for (const o of outer) {
+      const key = outerKey(o, outerIndex);
+      const group = lookup.get(key);
+      if (!isUndefined(group)) {
+        matched.add(key);
+        for (const i of group) {
+          yield result(o, i);
+        }
+      } else {
+        yield result(o, undefined);
+      }
+      outerIndex += 1;
+    }
+
+    for (const [key, i] of rows) {
+      if (!matched.has(key)) {
+        yield result(undefined, i);
+      }
+    }
+  });
+};
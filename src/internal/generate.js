@@ -0,0 +1,34 @@
+/* eslint-disable func-names */
+import { FunctionCheck, defineField, isUndefined } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('generate');
+/**
+ * @ignore
+ */
+const defaultSelector = x => x;
+/**
+ * @ignore
+ */
+export default (initial, condition, iterate, selector) => {
+  FunctionCheck(condition, 2, FIELD);
+  FunctionCheck(iterate, 3, FIELD);
+
+  let select = selector;
+  if (!isUndefined(select)) {
+    FunctionCheck(select, 4, FIELD);
+  } else {
+    select = defaultSelector;
+  }
+
+  return createIterable(function* () {
+    let index = 0;
+    for (let state = initial; condition(state, index); state = iterate(state, index)) {
+      yield select(state, index);
+      index += 1;
+    }
+  });
+};
@@ -0,0 +1,46 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createIterable } from './base';
+import {
+  IterablePredicateCheck, FunctionCheck, defineField, isUndefined, createLookup,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('groupBy');
+/**
+ * @ignore
+ */
+const defaultSelector = x => x;
+/**
+ * @ignore
+ */
+const defaultResult = (key, values) => ({ key, values });
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, elementSelector, resultSelector) => {
+  IterablePredicateCheck(iterable, keySelector, FIELD);
+
+  let element = elementSelector;
+  if (!isUndefined(element)) {
+    FunctionCheck(element, 3, FIELD);
+  } else {
+    element = defaultSelector;
+  }
+
+  let result = resultSelector;
+  if (!isUndefined(result)) {
+    FunctionCheck(result, 4, FIELD);
+  } else {
+    result = defaultResult;
+  }
+
+  return createIterable(function* () {
+    const groups = createLookup(iterable, keySelector, element);
+
+    for (const [key, values] of groups) {
+      yield result(key, createIterable(values));
+    }
+  });
+};
@@ -0,0 +1,40 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createIterable } from './base';
+import {
+  DoubleIterableCheck, FunctionCheck, defineField, isUndefined, createLookup,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('groupJoin');
+/**
+ * @ignore
+ */
+const defaultResult = (o, group) => [o, group];
+/**
+ * @ignore
+ */
+export default (outer, inner, outerKey, innerKey, resultSelector) => {
+  DoubleIterableCheck(outer, inner, FIELD);
+  FunctionCheck(outerKey, 3, FIELD);
+  FunctionCheck(innerKey, 4, FIELD);
+
+  let result = resultSelector;
+  if (!isUndefined(result)) {
+    FunctionCheck(result, 5, FIELD);
+  } else {
+    result = defaultResult;
+  }
+
+  return createIterable(function* () {
+    const lookup = createLookup(inner, innerKey);
+
+    let outerIndex = 0;
+    for (const o of outer) {
+      const group = lookup.get(outerKey(o, outerIndex));
+      yield result(o, createIterable(isUndefined(group) ? [] : group));
+      outerIndex += 1;
+    }
+  });
+};
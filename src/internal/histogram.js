@@ -0,0 +1,93 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, IterableCheck, BadArgumentError, isNumber,
+} from './utils';
+import { resolveValueSelector, collect } from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('histogram');
+/**
+ * Creates the boundaries of the bins of equal width
+ * from the lowest to the highest value, or of a single
+ * bin if all of the values are the same.
+ * @ignore
+ */
+const equalWidth = (values, amount) => {
+  let lowest = Infinity;
+  let highest = -Infinity;
+  for (const value of values) {
+    lowest = Math.min(lowest, value);
+    highest = Math.max(highest, value);
+  }
+  if (lowest === highest) {
+    return [lowest, highest];
+  }
+  const width = (highest - lowest) / amount;
+  const boundaries = [];
+  for (let i = 0; i < amount; i += 1) {
+    boundaries.push(lowest + width * i);
+  }
+  boundaries.push(highest);
+  return boundaries;
+};
+/**
+ * @ignore
+ */
+const findBin = (boundaries, value) => {
+  const last = boundaries.length - 1;
+  if (value < boundaries[0] || value > boundaries[last]) {
+    return -1;
+  }
+  // the last bin includes its end.
+  if (value === boundaries[last]) {
+    return last - 1;
+  }
+  let low = 0;
+  let high = last - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (boundaries[mid] <= value) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+/**
+ * @ignore
+ */
+export default (iterable, bins, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  const isCount = isNumber(bins) && Number.isInteger(bins) && bins > 0;
+  const isBoundaries = bins instanceof Array && bins.length > 1
+    && bins.every((x, i) => isNumber(x) && (i === 0 || bins[i - 1] < x));
+  if (!isCount && !isBoundaries) {
+    throw new BadArgumentError(2, FIELD, 'integer greater than zero or Array of ascending numbers');
+  }
+
+  const select = resolveValueSelector(selector, 3, FIELD);
+  return createIterable(function* () {
+    // NaN and infinite values cannot be placed in a bin.
+    const values = collect(iterable, select).filter(Number.isFinite);
+    if (isCount && values.length === 0) {
+      return;
+    }
+    const boundaries = isCount ? equalWidth(values, bins) : bins.slice();
+    const counts = boundaries.slice(1).map(() => 0);
+    for (const value of values) {
+      const bin = findBin(boundaries, value);
+      if (bin !== -1) {
+        counts[bin] += 1;
+      }
+    }
+    for (let i = 0; i < counts.length; i += 1) {
+      yield { start: boundaries[i], end: boundaries[i + 1], count: counts[i] };
+    }
+  });
+};
@@ -0,0 +1,28 @@
+/* eslint-disable func-names */
+import {
+  FunctionCheck, IterableCheck, defineField, isUndefined,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('if');
+/**
+ * @ignore
+ */
+export default (condition, thenSource, elseSource) => {
+  FunctionCheck(condition, 1, FIELD);
+  IterableCheck(thenSource, 2, FIELD);
+
+  let otherwise = elseSource;
+  if (!isUndefined(otherwise)) {
+    IterableCheck(otherwise, 3, FIELD);
+  } else {
+    otherwise = [];
+  }
+
+  return createIterable(function* () {
+    yield* (condition() ? thenSource : otherwise);
+  });
+};
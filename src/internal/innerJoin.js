@@ -1,7 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { defineField, DoubleIterableCheck } from './utils';
-import Iterable from '../iterable';
+import {
+  defineField, DoubleIterableCheck, FunctionCheck, isUndefined, createKeySet,
+} from './utils';
+import { createIterable } from './base';
 import toArray from './toArray';
 /**
  * @ignore
@@ -10,22 +12,44 @@ const FIELD = defineField('innerJoin');
 /**
  * @ignore
  */
-export default (iterable, other) => {
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, comparer) => {
   DoubleIterableCheck(iterable, other, FIELD);
 
-  return new Iterable(function* () {
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 3, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 4, FIELD);
+  }
+
+  return createIterable(function* () {
     const A = toArray(iterable);
     const B = toArray(other);
 
-    for (const i of A) {
-      if (B.includes(i)) {
-        yield i;
+    const keysA = A.map((x, index) => key(x, index));
+    const keysB = B.map((x, index) => key(x, index));
+
+    const setA = createKeySet(comparer);
+    keysA.forEach(k => setA.add(k));
+    const setB = createKeySet(comparer);
+    keysB.forEach(k => setB.add(k));
+
+    for (let index = 0; index < A.length; index += 1) {
+      if (setB.has(keysA[index])) {
+        yield A[index];
       }
     }
 
-    for (const o of B) {
-      if (A.includes(o)) {
-        yield o;
+    for (let index = 0; index < B.length; index += 1) {
+      if (setA.has(keysB[index])) {
+        yield B[index];
       }
     }
   });
@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { DoubleIterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('intercalate');
  */
 export default (iterable, other) => {
   DoubleIterableCheck(iterable, other, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const buffer = [];
     let prev;
     for (const i of iterable) {
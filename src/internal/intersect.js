@@ -1,8 +1,10 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { defineField, DoubleIterableCheck } from './utils';
-import Iterable from '../iterable';
-import toArray from './toArray';
+import {
+  defineField, DoubleIterableCheck, FunctionCheck, isUndefined, isFunction,
+  createKeySet, createKeyCounter, resolveSetOptions, BAG_MODE,
+} from './utils';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -10,17 +12,78 @@ const FIELD = defineField('intersect');
 /**
  * @ignore
  */
-export default (iterable, other) => {
+const isOptions = x => !isUndefined(x) && !isFunction(x) && typeof x === 'object';
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, options) => {
   DoubleIterableCheck(iterable, other, FIELD);
 
-  return new Iterable(function* () {
-    const A = toArray(iterable);
-    const B = toArray(other);
+  // the calls without options, and with a comparer in place of them,
+  // keep yielding the matching items with their duplicates.
+  const positional = !isOptions(keySelector) && !isOptions(options);
+  let opts = options;
+  if (positional && !isUndefined(options)) {
+    FunctionCheck(options, 4, FIELD);
+    opts = { comparer: options };
+  }
+  const { key, mode, comparer } = resolveSetOptions(keySelector, opts, 3, FIELD);
+
+  if (positional) {
+    return createIterable(function* () {
+      const B = createKeySet(comparer);
+      let otherIndex = 0;
+      for (const o of other) {
+        B.add(key(o, otherIndex));
+        otherIndex += 1;
+      }
+
+      let index = 0;
+      for (const i of iterable) {
+        if (B.has(key(i, index))) {
+          yield i;
+        }
+        index += 1;
+      }
+    });
+  }
+
+  if (mode === BAG_MODE) {
+    return createIterable(function* () {
+      const counts = createKeyCounter(comparer);
+      let otherIndex = 0;
+      for (const o of other) {
+        counts.add(key(o, otherIndex));
+        otherIndex += 1;
+      }
+
+      let index = 0;
+      for (const i of iterable) {
+        if (counts.take(key(i, index))) {
+          yield i;
+        }
+        index += 1;
+      }
+    });
+  }
+
+  return createIterable(function* () {
+    const keys = createKeySet(comparer);
+    let otherIndex = 0;
+    for (const o of other) {
+      keys.add(key(o, otherIndex));
+      otherIndex += 1;
+    }
 
-    for (const i of A) {
-      if (B.includes(i)) {
+    const seen = createKeySet(comparer);
+    let index = 0;
+    for (const i of iterable) {
+      const k = key(i, index);
+      if (keys.has(k) && !seen.has(k)) {
+        seen.add(k);
         yield i;
       }
+      index += 1;
     }
   });
 };
@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { IterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('intersperse');
  */
 export default (iterable, value) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const buffer = [];
     let prev;
     for (const i of iterable) {
@@ -2,7 +2,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { IterableCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -13,7 +13,7 @@ const FIELD = defineField('isEmpty');
 export default (iterable) => {
   IterableCheck(iterable, 1, FIELD);
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     for (const i of iterable) {
       yield false;
       return;
@@ -0,0 +1,21 @@
+/* eslint-disable func-names */
+import { FunctionCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('iterate');
+/**
+ * @ignore
+ */
+export default (seed, next) => {
+  FunctionCheck(next, 2, FIELD);
+  return createIterable(function* () {
+    let value = seed;
+    for (let index = 0; ; index += 1) {
+      yield value;
+      value = next(value, index);
+    }
+  });
+};
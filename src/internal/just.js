@@ -1,6 +1,6 @@
-import Iterable from '../iterable';
+import { createIterable } from './base';
 
 /**
  * @ignore
  */
-export default x => new Iterable([x]);
+export default x => createIterable([x]);
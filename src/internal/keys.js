@@ -0,0 +1,23 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { defineField, resolveObjectKeys } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('keys');
+/**
+ * @ignore
+ */
+export default (obj, options) => {
+  const keys = resolveObjectKeys(obj, options, FIELD);
+  if (obj instanceof Map || obj instanceof Set) {
+    return createIterable(function* () {
+      yield* obj.keys();
+    });
+  }
+  return createIterable(function* () {
+    yield* keys();
+  });
+};
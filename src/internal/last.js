@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import {
   defineField, IterableCheck, FunctionCheck, isUndefined,
 } from './utils';
@@ -25,12 +25,14 @@ export default (iterable, predicate) => {
   } else {
     fn = defaultTest;
   }
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let v;
+    let index = 0;
     for (const i of iterable) {
-      if (fn(i)) {
+      if (fn(i, index)) {
         v = i;
       }
+      index += 1;
     }
     yield v;
   });
@@ -0,0 +1,39 @@
+/* eslint-disable func-names */
+import {
+  isUndefined, IterableCheck, defineField, FunctionCheck, createHeap,
+} from './utils';
+import { createIterable } from './base';
+import toArray from './toArray';
+/**
+ * @ignore
+ */
+const FIELD = defineField('lazySort');
+/**
+ * @ignore
+ */
+const defaultComparator = (a, b) => a - b;
+/**
+ * @ignore
+ */
+export default (iterable, comparator) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let fn = comparator;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(comparator, 2, FIELD);
+  } else {
+    fn = defaultComparator;
+  }
+
+  return createIterable(function* () {
+    const entries = toArray(iterable).map((item, index) => ({ item, index }));
+
+    // the index keeps the equal items in their source order.
+    const heap = createHeap((a, b) => fn(a.item, b.item) || a.index - b.index, entries);
+
+    while (heap.size() > 0) {
+      yield heap.pop().item;
+    }
+  });
+};
@@ -1,8 +1,9 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { defineField, DoubleIterableCheck } from './utils';
-import Iterable from '../iterable';
-import toArray from './toArray';
+import {
+  defineField, DoubleIterableCheck, FunctionCheck, isUndefined, createKeySet,
+} from './utils';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -10,21 +11,38 @@ const FIELD = defineField('leftJoin');
 /**
  * @ignore
  */
-export default (iterable, other) => {
+const defaultKey = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, comparer) => {
   DoubleIterableCheck(iterable, other, FIELD);
 
-  return new Iterable(function* () {
-    const A = toArray(iterable);
-    const B = toArray(other);
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 3, FIELD);
+  } else {
+    key = defaultKey;
+  }
+  if (!isUndefined(comparer)) {
+    FunctionCheck(comparer, 4, FIELD);
+  }
 
-    for (const i of A) {
+  return createIterable(function* () {
+    const keysA = createKeySet(comparer);
+    let index = 0;
+    for (const i of iterable) {
+      keysA.add(key(i, index));
       yield i;
+      index += 1;
     }
 
-    for (const o of B) {
-      if (A.includes(o)) {
+    let otherIndex = 0;
+    for (const o of other) {
+      if (keysA.has(key(o, otherIndex))) {
         yield o;
       }
+      otherIndex += 1;
     }
   });
 };
@@ -1,6 +1,6 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { defineField, IterablePredicateCheck } from './utils';
 /**
  * @ignore
@@ -11,9 +11,11 @@ const FIELD = defineField('flatMap');
  */
 export default (iterable, mapper) => {
   IterablePredicateCheck(iterable, mapper, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    let index = 0;
     for (const i of iterable) {
-      yield mapper(i);
+      yield mapper(i, index);
+      index += 1;
     }
   });
 };
@@ -0,0 +1,15 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineField } from './utils';
+import { createExtremumBy } from './statistics';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('maxBy');
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, options) => createExtremumBy(
+  iterable, keySelector, options, FIELD, 1,
+);
@@ -0,0 +1,110 @@
+/* eslint-disable func-names */
+import {
+  IterableCheck, BadArgumentError, defineField, isUndefined, isNumber,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('memoize');
+/**
+ * @ignore
+ */
+const PositiveOption = (value, name, fallback) => {
+  if (isUndefined(value)) {
+    return fallback;
+  }
+  if (!isNumber(value) || !(value >= 0)) {
+    throw new BadArgumentError(2, FIELD, `${name} of positive number`);
+  }
+  return value;
+};
+/**
+ * @ignore
+ */
+export default (iterable, options) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(2, FIELD, 'Object');
+  }
+
+  const maxSize = PositiveOption(opts.maxSize, 'maxSize', Infinity);
+  const ttl = PositiveOption(opts.ttl, 'ttl', Infinity);
+  const readAhead = PositiveOption(opts.readAhead, 'readAhead', 0);
+
+  // the buffer holds the items from the absolute position of the offset,
+  // along with the time they were read for the ttl.
+  const items = [];
+  const times = [];
+  let offset = 0;
+  let iterator;
+  let done = false;
+
+  const evict = () => {
+    let amount = Math.max(0, items.length - maxSize);
+    if (ttl !== Infinity) {
+      const now = Date.now();
+      while (amount < items.length && now - times[amount] > ttl) {
+        amount += 1;
+      }
+    }
+    items.splice(0, amount);
+    times.splice(0, amount);
+    offset += amount;
+  };
+
+  // the items read ahead never exceed the maxSize,
+  // so none of them is evicted before it is yielded.
+  const batch = Math.max(1, Math.min(readAhead + 1, maxSize));
+
+  const read = () => {
+    if (isUndefined(iterator)) {
+      iterator = iterable[Symbol.iterator]();
+    }
+    for (let i = 0; i < batch && !done; i += 1) {
+      const result = iterator.next();
+      if (result.done) {
+        done = true;
+      } else {
+        items.push(result.value);
+        times.push(Date.now());
+      }
+    }
+  };
+
+  const memoized = createIterable(function* () {
+    evict();
+    let position = offset;
+    for (;;) {
+      if (position < offset) {
+        position = offset;
+      }
+      if (position === offset + items.length) {
+        if (done) {
+          return;
+        }
+        read();
+        if (position === offset + items.length) {
+          return;
+        }
+      }
+      const value = items[position - offset];
+      position += 1;
+      evict();
+      yield value;
+    }
+  });
+
+  memoized.clear = () => {
+    offset += items.length;
+    items.length = 0;
+    times.length = 0;
+  };
+
+  return memoized;
+};
@@ -1,9 +1,8 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import { defineField, IterableCheck, isUndefined } from './utils';
-import Iterable from '../iterable';
+import { defineField, IterableCheck, resolveComparer } from './utils';
+import { createIterable } from './base';
 
-const { min } = Math;
 /**
  * @ignore
  */
@@ -11,16 +10,19 @@ const FIELD = defineField('min');
 /**
  * @ignore
  */
-export default (iterable) => {
-  IterableCheck(iterable, FIELD);
-  return new Iterable(function* () {
+export default (iterable, comparer) => {
+  IterableCheck(iterable, 1, FIELD);
+  const compare = resolveComparer(comparer, 2, FIELD);
+  return createIterable(function* () {
     let acc;
+    let found = false;
 
     for (const i of iterable) {
-      if (isUndefined(acc)) {
+      if (!found) {
+        acc = i;
+        found = true;
+      } else if (compare(i, acc) < 0) {
         acc = i;
-      } else {
-        acc = min(acc, i);
       }
     }
 
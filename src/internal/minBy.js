@@ -0,0 +1,13 @@
+import { defineField } from './utils';
+import { createExtremumBy } from './statistics';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('minBy');
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, options) => createExtremumBy(
+  iterable, keySelector, options, FIELD, -1,
+);
@@ -0,0 +1,37 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineField, IterableCheck, resolveComparer } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('minMax');
+/**
+ * @ignore
+ */
+export default (iterable, comparer) => {
+  IterableCheck(iterable, 1, FIELD);
+  const compare = resolveComparer(comparer, 2, FIELD);
+  return createIterable(function* () {
+    let min;
+    let max;
+    let found = false;
+
+    for (const i of iterable) {
+      if (!found) {
+        min = i;
+        max = i;
+        found = true;
+      } else if (compare(i, min) < 0) {
+        min = i;
+      } else if (compare(i, max) > 0) {
+        max = i;
+      }
+    }
+
+    if (found) {
+      yield { min, max };
+    }
+  });
+};
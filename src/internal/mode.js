@@ -0,0 +1,22 @@
+/* eslint-disable func-names */
+import { defineField, IterableCheck } from './utils';
+import { resolveValueSelector, collect, findMode } from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('mode');
+/**
+ * @ignore
+ */
+export default (iterable, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+  const select = resolveValueSelector(selector, 2, FIELD);
+  return createIterable(function* () {
+    const values = collect(iterable, select);
+    if (values.length > 0) {
+      yield findMode(values);
+    }
+  });
+};
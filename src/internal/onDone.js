@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { IterablePredicateCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,10 +11,21 @@ const FIELD = defineField('onDone');
  */
 export default (iterable, fn) => {
   IterablePredicateCheck(iterable, fn, FIELD);
-  return new Iterable(function* () {
-    for (const i of iterable) {
-      yield i;
+  return createIterable(function* () {
+    let aborted = true;
+    let failed = false;
+    try {
+      for (const i of iterable) {
+        yield i;
+      }
+      aborted = false;
+    } catch (e) {
+      failed = true;
+      throw e;
+    } finally {
+      if (!failed) {
+        fn({ aborted });
+      }
     }
-    fn();
   });
 };
@@ -0,0 +1,24 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { IterablePredicateCheck, defineField } from './utils';
+import { createIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineField('onError');
+/**
+ * @ignore
+ */
+export default (iterable, fn) => {
+  IterablePredicateCheck(iterable, fn, FIELD);
+  return createIterable(function* () {
+    try {
+      for (const i of iterable) {
+        yield i;
+      }
+    } catch (e) {
+      fn(e);
+      throw e;
+    }
+  });
+};
@@ -0,0 +1,25 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { IterableCheck, defineField } from './utils';
+import { createIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineField('onErrorResumeNext');
+/**
+ * @ignore
+ */
+export default (...iterables) => {
+  iterables.forEach((x, i) => IterableCheck(x, i + 1, FIELD));
+  return createIterable(function* () {
+    for (const iterable of iterables) {
+      try {
+        for (const i of iterable) {
+          yield i;
+        }
+      } catch (e) {
+        // the error is discarded and the next Iterable takes over.
+      }
+    }
+  });
+};
@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterablePredicateCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('onStart');
  */
 export default (iterable, fn) => {
   IterablePredicateCheck(iterable, fn, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     fn();
     for (const i of iterable) {
       yield i;
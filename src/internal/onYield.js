@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterablePredicateCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,10 +11,12 @@ const FIELD = defineField('onYield');
  */
 export default (iterable, fn) => {
   IterablePredicateCheck(iterable, fn, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    let index = 0;
     for (const i of iterable) {
-      fn(i);
+      fn(i, index);
       yield i;
+      index += 1;
     }
   });
 };
@@ -0,0 +1,13 @@
+import { IterableCheck, defineField, resolveOrdering } from './utils';
+import createOrdered from './ordering';
+/**
+ * @ignore
+ */
+const FIELD = defineField('orderBy');
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, options) => {
+  IterableCheck(iterable, 1, FIELD);
+  return createOrdered(iterable, [resolveOrdering(keySelector, options, 2, FIELD)]);
+};
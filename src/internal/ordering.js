@@ -0,0 +1,56 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { isUndefined } from './utils';
+import { createOrderedIterable } from './base';
+import toArray from './toArray';
+/**
+ * @ignore
+ */
+const compareRows = (orderings, a, b) => {
+  for (let i = 0; i < orderings.length; i += 1) {
+    const { compare, descending, nullsFirst } = orderings[i];
+    const x = a.keys[i];
+    const y = b.keys[i];
+
+    let result;
+    if (isUndefined(x) || isUndefined(y)) {
+      // nulls are placed regardless of the direction.
+      if (isUndefined(x) && isUndefined(y)) {
+        result = 0;
+      } else if (isUndefined(x)) {
+        result = nullsFirst ? -1 : 1;
+      } else {
+        result = nullsFirst ? 1 : -1;
+      }
+    } else {
+      result = compare(x, y);
+      if (descending) {
+        result = -result;
+      }
+    }
+
+    if (result !== 0) {
+      return result;
+    }
+  }
+  // falls back to the source order, keeping the sort stable on every engine.
+  return a.index - b.index;
+};
+/**
+ * Creates an OrderedIterable which sorts the source Iterable
+ * by the given orderings, on every iteration.
+ * @ignore
+ */
+export default (iterable, orderings) => createOrderedIterable(function* () {
+  const rows = toArray(iterable).map((item, index) => ({
+    item,
+    index,
+    keys: orderings.map(({ key }) => key(item, index)),
+  }));
+
+  rows.sort((a, b) => compareRows(orderings, a, b));
+
+  for (const { item } of rows) {
+    yield item;
+  }
+}, iterable, orderings);
@@ -0,0 +1,27 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { IterableCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('pairwise');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  IterableCheck(iterable, 1, FIELD);
+  return createIterable(function* () {
+    let first = true;
+    let prev;
+    for (const i of iterable) {
+      if (first) {
+        first = false;
+      } else {
+        yield [prev, i];
+      }
+      prev = i;
+    }
+  });
+};
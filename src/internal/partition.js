@@ -1,5 +1,6 @@
 import { defineField, IterablePredicateCheck } from './utils';
 import filter from './filter';
+import tee from './tee';
 /**
  * @ignore
  */
@@ -9,8 +10,9 @@ const FIELD = defineField('partition');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
+  const [passed, failed] = tee(iterable, 2);
   return [
-    filter(iterable, predicate),
-    filter(iterable, x => !predicate(x)),
+    filter(passed, predicate),
+    filter(failed, (x, index) => !predicate(x, index)),
   ];
 };
@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+import {
+  defineField, IterableCheck, NumberCheck, BadArgumentError,
+} from './utils';
+import {
+  resolveValueSelector, collect, sortNumbers, interpolate,
+} from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('percentile');
+/**
+ * @ignore
+ */
+export default (iterable, p, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+  NumberCheck(p, 2, FIELD);
+  if (p < 0 || p > 100) {
+    throw new BadArgumentError(2, FIELD, 'number from 0 to 100');
+  }
+  const select = resolveValueSelector(selector, 3, FIELD);
+  return createIterable(function* () {
+    const values = collect(iterable, select);
+    if (values.length > 0) {
+      yield interpolate(sortNumbers(values), p);
+    }
+  });
+};
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineField, IterableCheck } from './utils';
+import { resolveValueSelector } from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('product');
+/**
+ * @ignore
+ */
+export default (iterable, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+  const select = resolveValueSelector(selector, 2, FIELD);
+  return createIterable(function* () {
+    let acc = 1;
+    let index = 0;
+    for (const i of iterable) {
+      acc *= select(i, index);
+      index += 1;
+    }
+    yield acc;
+  });
+};
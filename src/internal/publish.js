@@ -0,0 +1,46 @@
+import { IterableCheck, createSharedBuffer, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('publish');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  const buffer = createSharedBuffer(iterable);
+  return createIterable({
+    // the cursor is opened as soon as the iterator is requested,
+    // so that consumers started together receive the same items.
+    [Symbol.iterator]: () => {
+      const cursor = buffer.open();
+      let closed = false;
+      const close = () => {
+        if (!closed) {
+          closed = true;
+          buffer.close(cursor);
+        }
+        return { done: true };
+      };
+      return {
+        next: () => {
+          if (closed) {
+            return { done: true };
+          }
+          let result;
+          try {
+            result = buffer.next(cursor);
+          } catch (e) {
+            close();
+            throw e;
+          }
+          return result.done ? close() : result;
+        },
+        return: close,
+      };
+    },
+  });
+};
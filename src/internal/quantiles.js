@@ -0,0 +1,40 @@
+/* eslint-disable func-names */
+import {
+  defineField, IterableCheck, NumberCheck, BadArgumentError, isUndefined,
+} from './utils';
+import {
+  resolveValueSelector, collect, sortNumbers, interpolate,
+} from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('quantiles');
+/**
+ * @ignore
+ */
+export default (iterable, count, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let n = count;
+  if (!isUndefined(n)) {
+    NumberCheck(n, 2, FIELD);
+    if (n < 1 || !Number.isInteger(n)) {
+      throw new BadArgumentError(2, FIELD, 'integer greater than zero');
+    }
+  } else {
+    n = 4;
+  }
+
+  const select = resolveValueSelector(selector, 3, FIELD);
+  return createIterable(function* () {
+    const values = collect(iterable, select);
+    if (values.length > 0) {
+      const sorted = sortNumbers(values);
+      for (let k = 1; k < n; k += 1) {
+        yield interpolate(sorted, (100 * k) / n);
+      }
+    }
+  });
+};
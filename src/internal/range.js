@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 import { isUndefined, NumberCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -20,7 +20,7 @@ const range = (start, end, steps) => {
     step = 1;
   }
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const direction = step * Math.sign(end - start);
     for (let c = start; (direction < 0 ? c >= end : c <= end); c += direction) {
       yield c;
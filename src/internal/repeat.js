@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterablePositiveNumberCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -12,7 +12,7 @@ const FIELD = defineField('repeat');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     for (let c = count; c > 0; c -= 1) {
       for (const i of iterable) {
         yield i;
@@ -0,0 +1,24 @@
+/* eslint-disable func-names */
+import { PositiveNumberCheck, defineField, isUndefined } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('repeatValue');
+/**
+ * @ignore
+ */
+export default (value, count) => {
+  let c = count;
+  if (!isUndefined(c)) {
+    PositiveNumberCheck(c, 2, FIELD);
+  } else {
+    c = Infinity;
+  }
+  return createIterable(function* () {
+    for (let i = 0; i < c; i += 1) {
+      yield value;
+    }
+  });
+};
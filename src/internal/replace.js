@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterablePositiveNumberCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('replace');
  */
 export default (iterable, index, value) => {
   IterablePositiveNumberCheck(iterable, index, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let c = 0;
 
     for (const i of iterable) {
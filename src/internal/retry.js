@@ -0,0 +1,43 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import {
+  IterableCheck, PositiveNumberCheck, defineField, isUndefined,
+} from './utils';
+import { createIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineField('retry');
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let attempts = count;
+
+  if (!isUndefined(count)) {
+    PositiveNumberCheck(count, 2, FIELD);
+  } else {
+    attempts = Infinity;
+  }
+
+  return createIterable(function* () {
+    let c = attempts;
+    let done = false;
+
+    while (!done) {
+      try {
+        for (const i of iterable) {
+          yield i;
+        }
+        done = true;
+      } catch (e) {
+        if (c <= 0) {
+          throw e;
+        }
+        c -= 1;
+      }
+    }
+  });
+};
@@ -1,7 +1,7 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
 import { defineField, IterableCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 
 /**
  * @ignore
@@ -12,7 +12,7 @@ const FIELD = defineField('reverse');
  */
 export default (iterable) => {
   IterableCheck(iterable, 1, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const buffer = [];
 
     for (const i of iterable) {
@@ -0,0 +1,46 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { createIterable } from './base';
+import {
+  DoubleIterableCheck, FunctionCheck, defineField, isUndefined, createLookup,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('rightOuterJoin');
+/**
+ * @ignore
+ */
+const defaultResult = (o, i) => [o, i];
+/**
+ * @ignore
+ */
+export default (outer, inner, outerKey, innerKey, resultSelector) => {
+  DoubleIterableCheck(outer, inner, FIELD);
+  FunctionCheck(outerKey, 3, FIELD);
+  FunctionCheck(innerKey, 4, FIELD);
+
+  let result = resultSelector;
+  if (!isUndefined(result)) {
+    FunctionCheck(result, 5, FIELD);
+  } else {
+    result = defaultResult;
+  }
+
+  return createIterable(function* () {
+    const lookup = createLookup(outer, outerKey);
+
+    let innerIndex = 0;
+    for (const i of inner) {
+      const group = lookup.get(innerKey(i, innerIndex));
+      if (!isUndefined(group)) {
+        for (const o of group) {
+          yield result(o, i);
+        }
+      } else {
+        yield result(undefined, i);
+      }
+      innerIndex += 1;
+    }
+  });
+};
@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { defineField, IterablePredicateCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,18 +11,20 @@ const FIELD = defineField('scan');
  */
 export default (iterable, predicate, seed) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let acc = seed;
     let flag = seed == null;
+    let index = 0;
 
     for (const i of iterable) {
       if (flag) {
         acc = i;
         flag = false;
       } else {
-        acc = predicate(acc, i);
+        acc = predicate(acc, i, index);
       }
       yield acc;
+      index += 1;
     }
   });
 };
@@ -1,8 +1,8 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { defineField, IterablePredicateCheck } from './utils';
-import reverse from './reverse';
-import scan from './scan';
+import { createIterable } from './base';
+import toArray from './toArray';
 /**
  * @ignore
  */
@@ -12,5 +12,20 @@ const FIELD = defineField('scanRight');
  */
 export default (iterable, predicate, seed) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return scan(reverse(iterable), predicate, seed);
+  return createIterable(function* () {
+    const items = toArray(iterable);
+    let acc = seed;
+    let flag = seed == null;
+
+    // the indices are the positions of the items in the source.
+    for (let index = items.length - 1; index >= 0; index -= 1) {
+      if (flag) {
+        acc = items[index];
+        flag = false;
+      } else {
+        acc = predicate(acc, items[index], index);
+      }
+      yield acc;
+    }
+  });
 };
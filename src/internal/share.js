@@ -0,0 +1,24 @@
+/* eslint-disable func-names */
+import { IterableCheck, defineField, isUndefined } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('share');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let iterator;
+  return createIterable(function* () {
+    if (isUndefined(iterator)) {
+      iterator = iterable[Symbol.iterator]();
+    }
+    for (let r = iterator.next(); !r.done; r = iterator.next()) {
+      yield r.value;
+    }
+  });
+};
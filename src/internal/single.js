@@ -0,0 +1,28 @@
+import {
+  IterableCheck, defineField, FunctionCheck, isUndefined, BadSequenceError, findSingle,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('single');
+/**
+ * @ignore
+ */
+const defaultTest = () => true;
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let fn = predicate;
+  if (!isUndefined(fn)) {
+    FunctionCheck(fn, 2, FIELD);
+  } else {
+    fn = defaultTest;
+  }
+
+  return findSingle(iterable, fn, FIELD, () => {
+    throw new BadSequenceError(FIELD, 'a matching item');
+  });
+};
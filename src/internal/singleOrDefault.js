@@ -0,0 +1,27 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  IterableCheck, defineField, FunctionCheck, isUndefined, findSingle,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('singleOrDefault');
+/**
+ * @ignore
+ */
+const defaultTest = () => true;
+/**
+ * @ignore
+ */
+export default (iterable, predicate, defaultValue) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let fn = predicate;
+  if (!isUndefined(fn)) {
+    FunctionCheck(fn, 2, FIELD);
+  } else {
+    fn = defaultTest;
+  }
+
+  return findSingle(iterable, fn, FIELD, () => defaultValue);
+};
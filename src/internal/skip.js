@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { defineField, IterablePositiveNumberCheck } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('skip');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let c = count;
 
     for (const i of iterable) {
@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import { IterablePositiveNumberCheck, defineField } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -11,7 +11,7 @@ const FIELD = defineField('skipLast');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     const buffer = [];
     let c = 0;
     for (const i of iterable) {
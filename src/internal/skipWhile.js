@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { defineField, IterablePredicateCheck } from './utils';
 /**
  * @ignore
@@ -12,15 +12,17 @@ const FIELD = defineField('skipWhile');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let flag = true;
+    let index = 0;
     for (const i of iterable) {
       if (flag) {
-        flag = predicate(i);
+        flag = predicate(i, index);
       }
       if (!flag) {
         yield i;
       }
+      index += 1;
     }
   });
 };
@@ -1,7 +1,7 @@
 import {
   isUndefined, IterableCheck, defineField, FunctionCheck,
 } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import toArray from './toArray';
 /**
  * @ignore
@@ -25,5 +25,5 @@ export default (iterable, comparator) => {
     fn = defaultComparator;
   }
 
-  return new Iterable(toArray(iterable).sort(fn));
+  return createIterable(toArray(iterable).sort(fn));
 };
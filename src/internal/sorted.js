@@ -3,7 +3,7 @@
 import {
   isUndefined, defineField, IterableCheck, FunctionCheck,
 } from './utils';
-import Iterable from '../iterable';
+import { createIterable } from './base';
 /**
  * @ignore
  */
@@ -26,7 +26,7 @@ export default (iterable, comparator) => {
     fn = defaultComparator;
   }
 
-  return new Iterable(function* () {
+  return createIterable(function* () {
     let prev;
 
     for (const i of iterable) {
@@ -1,6 +1,6 @@
-
 import skipWhile from './skipWhile';
 import takeWhile from './takeWhile';
+import tee from './tee';
 import { defineField, IterablePredicateCheck } from './utils';
 /**
  * @ignore
@@ -11,8 +11,9 @@ const FIELD = defineField('spanWith');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
+  const [prefix, rest] = tee(iterable, 2);
   return [
-    takeWhile(iterable, predicate),
-    skipWhile(iterable, predicate),
+    takeWhile(prefix, predicate),
+    skipWhile(rest, predicate),
   ];
 };
@@ -1,5 +1,6 @@
 import take from './take';
 import skip from './skip';
+import tee from './tee';
 import { defineField, IterablePositiveNumberCheck } from './utils';
 /**
  * @ignore
@@ -10,5 +11,6 @@ const FIELD = defineField('split');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return [take(iterable, count), skip(iterable, count)];
+  const [prefix, rest] = tee(iterable, 2);
+  return [take(prefix, count), skip(rest, count)];
 };
@@ -0,0 +1,55 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { IterableCheck, BadArgumentError, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('splitOn');
+/**
+ * @ignore
+ */
+const endsWith = (segment, sequence) => {
+  const offset = segment.length - sequence.length;
+  if (offset < 0) {
+    return false;
+  }
+  for (let i = 0; i < sequence.length; i += 1) {
+    if (segment[offset + i] !== sequence[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+/**
+ * @ignore
+ */
+export default (iterable, delimiter) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let sequence = [delimiter];
+  if (delimiter instanceof Array) {
+    if (delimiter.length === 0) {
+      throw new BadArgumentError(2, FIELD, 'non-empty Array');
+    }
+    sequence = delimiter.slice();
+  }
+
+  return createIterable(function* () {
+    let segment = [];
+    let empty = true;
+    for (const i of iterable) {
+      segment.push(i);
+      if (endsWith(segment, sequence)) {
+        segment.length -= sequence.length;
+        yield segment;
+        segment = [];
+      }
+      empty = false;
+    }
+    if (!empty) {
+      yield segment;
+    }
+  });
+};
@@ -0,0 +1,33 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { IterablePredicateCheck, defineField } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('splitWhen');
+/**
+ * @ignore
+ */
+export default (iterable, predicate) => {
+  IterablePredicateCheck(iterable, predicate, FIELD);
+  return createIterable(function* () {
+    let segment = [];
+    let empty = true;
+    let index = 0;
+    for (const i of iterable) {
+      if (predicate(i, index)) {
+        yield segment;
+        segment = [];
+      } else {
+        segment.push(i);
+      }
+      empty = false;
+      index += 1;
+    }
+    if (!empty) {
+      yield segment;
+    }
+  });
+};
@@ -0,0 +1,171 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  FunctionCheck, BadArgumentError, isUndefined, IterableCheck, resolveComparer,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const identity = x => x;
+/**
+ * @ignore
+ */
+export const resolveValueSelector = (selector, argNo, field) => {
+  if (isUndefined(selector)) {
+    return identity;
+  }
+  FunctionCheck(selector, argNo, field);
+  return selector;
+};
+/**
+ * Resolves the options of variance and stdDev,
+ * where the options may also be given in place of the selector.
+ * @ignore
+ */
+export const resolveVarianceOptions = (selector, options, field) => {
+  let fn = selector;
+  let opts = options;
+  if (!isUndefined(fn) && typeof fn === 'object') {
+    fn = undefined;
+    opts = selector;
+  }
+
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, field, 'Object');
+  }
+
+  const { population = false } = opts;
+  return { select: resolveValueSelector(fn, 2, field), population };
+};
+/**
+ * Collects the selected values of the Iterable.
+ * @ignore
+ */
+export const collect = (iterable, select) => {
+  const values = [];
+  let index = 0;
+  for (const i of iterable) {
+    values.push(select(i, index));
+    index += 1;
+  }
+  return values;
+};
+/**
+ * @ignore
+ */
+export const sortNumbers = values => values.sort((a, b) => a - b);
+/**
+ * Computes the count, the mean and the sum of the squared deviations
+ * in a single pass, with Welford's method.
+ * @ignore
+ */
+export const createMoments = () => {
+  let count = 0;
+  let mean = 0;
+  let squares = 0;
+  return {
+    push: (x) => {
+      count += 1;
+      const delta = x - mean;
+      mean += delta / count;
+      squares += delta * (x - mean);
+    },
+    count: () => count,
+    mean: () => mean,
+    // the population variance needs at least one value,
+    // and the sample variance at least two.
+    variance: population => (population ? squares / count : squares / (count - 1)),
+    defined: population => count > (population ? 0 : 1),
+  };
+};
+/**
+ * Returns the percentile of the sorted values, interpolated
+ * linearly between the closest ranks.
+ * @ignore
+ */
+export const interpolate = (sorted, p) => {
+  const rank = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (rank - lower) * (sorted[upper] - sorted[lower]);
+};
+/**
+ * Returns the most frequent value, where the ties go
+ * to the value that occurs first.
+ * @ignore
+ */
+export const findMode = (values) => {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let result;
+  let highest = 0;
+  for (const [value, c] of counts) {
+    if (c > highest) {
+      highest = c;
+      result = value;
+    }
+  }
+  return result;
+};
+/**
+ * @ignore
+ */
+export const createVariance = (iterable, selector, options, field, transform) => {
+  IterableCheck(iterable, 1, field);
+  const { select, population } = resolveVarianceOptions(selector, options, field);
+  return createIterable(function* () {
+    const moments = createMoments();
+    let index = 0;
+    for (const i of iterable) {
+      moments.push(select(i, index));
+      index += 1;
+    }
+    if (moments.defined(population)) {
+      yield transform(moments.variance(population));
+    }
+  });
+};
+/**
+ * Creates the Iterable of the item with the greatest key
+ * after the keys are compared with the given sign.
+ * @ignore
+ */
+export const createExtremumBy = (iterable, keySelector, options, field, sign) => {
+  IterableCheck(iterable, 1, field);
+  FunctionCheck(keySelector, 2, field);
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, field, 'Object');
+  }
+  const { comparer, all = false } = opts;
+  const compare = resolveComparer(comparer, 3, field);
+  return createIterable(function* () {
+    let found = false;
+    let best;
+    let items;
+    let index = 0;
+    for (const i of iterable) {
+      const key = keySelector(i, index);
+      const result = found ? sign * compare(key, best) : 1;
+      if (result > 0) {
+        best = key;
+        items = [i];
+        found = true;
+      } else if (result === 0 && all) {
+        items.push(i);
+      }
+      index += 1;
+    }
+    if (found) {
+      yield all ? items : items[0];
+    }
+  });
+};
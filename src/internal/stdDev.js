@@ -0,0 +1,13 @@
+import { defineField } from './utils';
+import { createVariance } from './statistics';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('stdDev');
+/**
+ * @ignore
+ */
+export default (iterable, selector, options) => createVariance(
+  iterable, selector, options, FIELD, Math.sqrt,
+);
@@ -0,0 +1,66 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineField, IterableCheck } from './utils';
+import {
+  resolveValueSelector, sortNumbers, interpolate, findMode, createMoments,
+} from './statistics';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('summary');
+/**
+ * @ignore
+ */
+export default (iterable, selector) => {
+  IterableCheck(iterable, 1, FIELD);
+  const select = resolveValueSelector(selector, 2, FIELD);
+  return createIterable(function* () {
+    const values = [];
+    const moments = createMoments();
+    let sum = 0;
+    let product = 1;
+    let index = 0;
+    for (const i of iterable) {
+      const value = select(i, index);
+      values.push(value);
+      moments.push(value);
+      sum += value;
+      product *= value;
+      index += 1;
+    }
+
+    const result = {
+      count: values.length,
+      sum,
+      product,
+      min: undefined,
+      max: undefined,
+      mean: undefined,
+      median: undefined,
+      mode: undefined,
+      variance: undefined,
+      stdDev: undefined,
+      populationVariance: undefined,
+      populationStdDev: undefined,
+    };
+
+    if (values.length > 0) {
+      result.mode = findMode(values);
+      const sorted = sortNumbers(values);
+      [result.min] = sorted;
+      result.max = sorted[sorted.length - 1];
+      result.mean = moments.mean();
+      result.median = interpolate(sorted, 50);
+      result.populationVariance = moments.variance(true);
+      result.populationStdDev = Math.sqrt(result.populationVariance);
+    }
+    if (moments.defined(false)) {
+      result.variance = moments.variance(false);
+      result.stdDev = Math.sqrt(result.variance);
+    }
+
+    yield result;
+  });
+};
@@ -0,0 +1,84 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, DoubleIterableCheck, resolveSetOptions, createKeySet, createKeyCounter, BAG_MODE,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('symmetricDifference');
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, options) => {
+  DoubleIterableCheck(iterable, other, FIELD);
+
+  const { key, mode, comparer } = resolveSetOptions(keySelector, options, 3, FIELD);
+
+  if (mode === BAG_MODE) {
+    return createIterable(function* () {
+      const B = [];
+      const counts = createKeyCounter(comparer);
+      let otherIndex = 0;
+      for (const o of other) {
+        const k = key(o, otherIndex);
+        B.push([k, o]);
+        counts.add(k);
+        otherIndex += 1;
+      }
+
+      const matched = createKeyCounter(comparer);
+      let index = 0;
+      for (const i of iterable) {
+        const k = key(i, index);
+        if (counts.take(k)) {
+          matched.add(k);
+        } else {
+          yield i;
+        }
+        index += 1;
+      }
+
+      for (const [k, o] of B) {
+        if (!matched.take(k)) {
+          yield o;
+        }
+      }
+    });
+  }
+
+  return createIterable(function* () {
+    const B = [];
+    const keysB = createKeySet(comparer);
+    let otherIndex = 0;
+    for (const o of other) {
+      const k = key(o, otherIndex);
+      B.push([k, o]);
+      keysB.add(k);
+      otherIndex += 1;
+    }
+
+    const keysA = createKeySet(comparer);
+    let index = 0;
+    for (const i of iterable) {
+      const k = key(i, index);
+      if (!keysA.has(k)) {
+        keysA.add(k);
+        if (!keysB.has(k)) {
+          yield i;
+        }
+      }
+      index += 1;
+    }
+
+    const seen = createKeySet(comparer);
+    for (const [k, o] of B) {
+      if (!keysA.has(k) && !seen.has(k)) {
+        seen.add(k);
+        yield o;
+      }
+    }
+  });
+};
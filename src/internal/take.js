@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { defineField, IterablePositiveNumberCheck } from './utils';
 /**
  * @ignore
@@ -11,15 +11,18 @@ const FIELD = defineField('take');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    if (count === 0) {
+      return;
+    }
+
     let c = count;
 
     for (const i of iterable) {
-      if (c > 0) {
-        c -= 1;
+      yield i;
 
-        yield i;
-      } else {
+      c -= 1;
+      if (c <= 0) {
         return;
       }
     }
@@ -1,6 +1,6 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { defineField, IterablePositiveNumberCheck } from './utils';
 /**
  * @ignore
@@ -11,7 +11,7 @@ const FIELD = defineField('takeLast');
  */
 export default (iterable, count) => {
   IterablePositiveNumberCheck(iterable, count, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
     if (count === 0) {
       return;
     }
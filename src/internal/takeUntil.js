@@ -1,7 +1,7 @@
 /* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import { defineField, IterablePredicateCheck } from './utils';
 /**
  * @ignore
@@ -12,13 +12,15 @@ const FIELD = defineField('takeUntil');
  */
 export default (iterable, predicate) => {
   IterablePredicateCheck(iterable, predicate, FIELD);
-  return new Iterable(function* () {
+  return createIterable(function* () {
+    let index = 0;
     for (const i of iterable) {
-      if (!predicate(i)) {
+      if (!predicate(i, index)) {
         yield i;
       } else {
         return;
       }
+      index += 1;
     }
   });
 };
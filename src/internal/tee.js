@@ -0,0 +1,64 @@
+/* eslint-disable func-names */
+import {
+  IterableCheck, PositiveNumberCheck, createSharedBuffer, defineField, isUndefined,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('tee');
+/**
+ * Creates a branch that reads the shared buffer with its own cursor,
+ * which is released once its iteration ends, even early.
+ * @ignore
+ */
+const createBranch = (buffer, end) => {
+  const cursor = buffer.open(0);
+  let closed = false;
+  return createIterable(function* () {
+    if (closed) {
+      return;
+    }
+    try {
+      for (let r = buffer.next(cursor); !r.done; r = buffer.next(cursor)) {
+        yield r.value;
+      }
+    } finally {
+      if (!closed) {
+        closed = true;
+        buffer.close(cursor);
+        end();
+      }
+    }
+  });
+};
+/**
+ * @ignore
+ */
+export default (iterable, count) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let n = count;
+  if (!isUndefined(n)) {
+    PositiveNumberCheck(n, 2, FIELD);
+  } else {
+    n = 2;
+  }
+
+  const buffer = createSharedBuffer(iterable);
+  let open = 0;
+  const end = () => {
+    open -= 1;
+    if (open === 0) {
+      buffer.dispose();
+    }
+  };
+
+  const branches = [];
+  for (let i = 0; i < n; i += 1) {
+    open += 1;
+    branches.push(createBranch(buffer, end));
+  }
+  return branches;
+};
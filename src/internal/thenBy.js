@@ -0,0 +1,17 @@
+import { BadArgumentError, defineField, resolveOrdering } from './utils';
+import { isOrderedIterable } from './base';
+import createOrdered from './ordering';
+/**
+ * @ignore
+ */
+const FIELD = defineField('thenBy');
+/**
+ * @ignore
+ */
+export default (ordered, keySelector, options) => {
+  if (!isOrderedIterable(ordered)) {
+    throw new BadArgumentError(1, FIELD, 'OrderedIterable');
+  }
+  const ordering = resolveOrdering(keySelector, options, 2, FIELD);
+  return createOrdered(ordered.source, [...ordered.orderings, ordering]);
+};
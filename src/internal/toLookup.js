@@ -0,0 +1,26 @@
+import {
+  defineField, IterablePredicateCheck, FunctionCheck, isUndefined, createLookup,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('toLookup');
+/**
+ * @ignore
+ */
+const identity = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, elementSelector) => {
+  IterablePredicateCheck(iterable, keySelector, FIELD);
+
+  let element = elementSelector;
+  if (!isUndefined(element)) {
+    FunctionCheck(element, 3, FIELD);
+  } else {
+    element = identity;
+  }
+
+  return createLookup(iterable, keySelector, element);
+};
@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, IterableCheck, FunctionCheck, isUndefined, entryKey, entryValue,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('toMap');
+/**
+ * @ignore
+ */
+const identity = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, valueSelector) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = entryKey;
+  }
+
+  let value = valueSelector;
+  if (!isUndefined(value)) {
+    FunctionCheck(value, 3, FIELD);
+  } else {
+    value = isUndefined(keySelector) ? entryValue : identity;
+  }
+
+  const map = new Map();
+
+  let index = 0;
+  for (const i of iterable) {
+    map.set(key(i, index), value(i, index));
+    index += 1;
+  }
+
+  return map;
+};
@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, IterableCheck, FunctionCheck, isUndefined, entryKey, entryValue,
+} from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('toObject');
+/**
+ * @ignore
+ */
+const identity = x => x;
+/**
+ * @ignore
+ */
+export default (iterable, keySelector, valueSelector) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, 2, FIELD);
+  } else {
+    key = entryKey;
+  }
+
+  let value = valueSelector;
+  if (!isUndefined(value)) {
+    FunctionCheck(value, 3, FIELD);
+  } else {
+    value = isUndefined(keySelector) ? entryValue : identity;
+  }
+
+  const obj = {};
+
+  let index = 0;
+  for (const i of iterable) {
+    // defined instead of assigned, so that keys like __proto__
+    // become own properties rather than change the prototype.
+    Object.defineProperty(obj, key(i, index), {
+      value: value(i, index),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+    index += 1;
+  }
+
+  return obj;
+};
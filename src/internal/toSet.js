@@ -0,0 +1,19 @@
+/* eslint-disable no-restricted-syntax */
+import { defineField, IterableCheck } from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('toSet');
+/**
+ * @ignore
+ */
+export default (iterable) => {
+  IterableCheck(iterable, 1, FIELD);
+  const set = new Set();
+
+  for (const i of iterable) {
+    set.add(i);
+  }
+
+  return set;
+};
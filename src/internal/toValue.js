@@ -0,0 +1,18 @@
+/* eslint-disable no-restricted-syntax */
+import { defineField, IterableCheck } from './utils';
+/**
+ * @ignore
+ */
+const FIELD = defineField('toValue');
+/**
+ * @ignore
+ */
+export default (iterable, defaultValue) => {
+  IterableCheck(iterable, 1, FIELD);
+
+  for (const i of iterable) {
+    return i;
+  }
+
+  return defaultValue;
+};
@@ -0,0 +1,61 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  IterablePositiveNumberCheck, FunctionCheck, defineField, isUndefined, createHeap,
+} from './utils';
+import { createIterable } from './base';
+/**
+ * @ignore
+ */
+const FIELD = defineField('topK');
+/**
+ * @ignore
+ */
+const defaultComparator = (a, b) => a - b;
+/**
+ * @ignore
+ */
+export default (iterable, count, comparator) => {
+  IterablePositiveNumberCheck(iterable, count, FIELD);
+
+  let fn = comparator;
+
+  if (!isUndefined(fn)) {
+    FunctionCheck(fn, 3, FIELD);
+  } else {
+    fn = defaultComparator;
+  }
+
+  // ranks the greater items higher, and the earlier items among equal ones.
+  const rank = (a, b) => fn(a.item, b.item) || b.index - a.index;
+
+  return createIterable(function* () {
+    if (count === 0) {
+      return;
+    }
+
+    // the top of the heap is the lowest ranked item kept.
+    const heap = createHeap(rank);
+    let index = 0;
+
+    for (const item of iterable) {
+      const entry = { item, index };
+      index += 1;
+
+      if (heap.size() < count) {
+        heap.push(entry);
+      } else if (rank(entry, heap.peek()) > 0) {
+        heap.replace(entry);
+      }
+    }
+
+    const result = [];
+    while (heap.size() > 0) {
+      result.push(heap.pop().item);
+    }
+
+    for (let i = result.length - 1; i >= 0; i -= 1) {
+      yield result[i];
+    }
+  });
+};
@@ -0,0 +1,120 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  FunctionCheck, BadArgumentError, defineField, isUndefined, isNumber, isFunction,
+  isIterable, ITERATOR,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('traverse');
+/**
+ * @ignore
+ */
+const PRE = 'pre';
+/**
+ * @ignore
+ */
+const POST = 'post';
+/**
+ * @ignore
+ */
+const LEVEL = 'level';
+/**
+ * @ignore
+ */
+const ORDERS = [PRE, POST, LEVEL];
+/**
+ * @ignore
+ */
+const entry = path => ({
+  node: path[path.length - 1],
+  depth: path.length - 1,
+  path: path.slice(),
+});
+/**
+ * @ignore
+ */
+export default (root, getChildren, options) => {
+  FunctionCheck(getChildren, 2, FIELD);
+
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, FIELD, 'Object');
+  }
+
+  const { order = PRE, maxDepth = Infinity } = opts;
+  if (!ORDERS.includes(order)) {
+    throw new BadArgumentError(3, FIELD, 'order of pre, post, level');
+  }
+  if (!isNumber(maxDepth) || !(maxDepth >= 0)) {
+    throw new BadArgumentError(3, FIELD, 'maxDepth of positive number');
+  }
+
+  // the children that are already in the path are skipped,
+  // which keeps the cycles from being walked indefinitely.
+  const children = (path) => {
+    const depth = path.length - 1;
+    if (depth >= maxDepth) {
+      return [];
+    }
+    const result = getChildren(path[depth], depth);
+    return isIterable(result) ? result : [];
+  };
+
+  if (order === LEVEL) {
+    return createIterable(function* () {
+      const queue = [[root]];
+      while (queue.length !== 0) {
+        const path = queue.shift();
+        yield entry(path);
+        for (const child of children(path)) {
+          if (!path.includes(child)) {
+            queue.push([...path, child]);
+          }
+        }
+      }
+    });
+  }
+
+  return createIterable(function* () {
+    const stack = [];
+    const open = (path) => {
+      stack.push({ path, iterator: children(path)[ITERATOR]() });
+    };
+
+    try {
+      if (order === PRE) {
+        yield entry([root]);
+      }
+      open([root]);
+      while (stack.length !== 0) {
+        const top = stack[stack.length - 1];
+        const result = top.iterator.next();
+        if (result.done) {
+          stack.pop();
+          if (order === POST) {
+            yield entry(top.path);
+          }
+        } else if (!top.path.includes(result.value)) {
+          const path = [...top.path, result.value];
+          if (order === PRE) {
+            yield entry(path);
+          }
+          open(path);
+        }
+      }
+    } finally {
+      while (stack.length !== 0) {
+        const { iterator } = stack.pop();
+        if (isFunction(iterator.return)) {
+          iterator.return();
+        }
+      }
+    }
+  });
+};
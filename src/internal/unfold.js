@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+import { FunctionCheck, defineField, isUndefined } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('unfold');
+/**
+ * @ignore
+ */
+export default (seed, fn) => {
+  FunctionCheck(fn, 2, FIELD);
+  return createIterable(function* () {
+    let state = seed;
+    for (let index = 0; ; index += 1) {
+      const result = fn(state, index);
+      if (isUndefined(result)) {
+        return;
+      }
+      const [value, next] = result;
+      yield value;
+      state = next;
+    }
+  });
+};
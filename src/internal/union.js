@@ -0,0 +1,62 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  defineField, DoubleIterableCheck, resolveSetOptions, createKeySet, createKeyCounter, BAG_MODE,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('union');
+/**
+ * @ignore
+ */
+export default (iterable, other, keySelector, options) => {
+  DoubleIterableCheck(iterable, other, FIELD);
+
+  const { key, mode, comparer } = resolveSetOptions(keySelector, options, 3, FIELD);
+
+  if (mode === BAG_MODE) {
+    return createIterable(function* () {
+      const counts = createKeyCounter(comparer);
+      let index = 0;
+      for (const i of iterable) {
+        counts.add(key(i, index));
+        yield i;
+        index += 1;
+      }
+
+      let otherIndex = 0;
+      for (const o of other) {
+        if (!counts.take(key(o, otherIndex))) {
+          yield o;
+        }
+        otherIndex += 1;
+      }
+    });
+  }
+
+  return createIterable(function* () {
+    const seen = createKeySet(comparer);
+    let index = 0;
+    for (const i of iterable) {
+      const k = key(i, index);
+      if (!seen.has(k)) {
+        seen.add(k);
+        yield i;
+      }
+      index += 1;
+    }
+
+    let otherIndex = 0;
+    for (const o of other) {
+      const k = key(o, otherIndex);
+      if (!seen.has(k)) {
+        seen.add(k);
+        yield o;
+      }
+      otherIndex += 1;
+    }
+  });
+};
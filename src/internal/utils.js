@@ -5,6 +5,10 @@
  * @ignore
  */
 export const CLASS_NAME = 'Iterable';
+/**
+ * @ignore
+ */
+export const ASYNC_CLASS_NAME = 'AsyncIterable';
 /**
  * @ignore
  */
@@ -21,6 +25,10 @@ export const TYPE_POS_NUM = 'positive number';
  * @ignore
  */
 export const ITERATOR = Symbol.iterator;
+/**
+ * @ignore
+ */
+export const ASYNC_ITERATOR = Symbol.asyncIterator;
 /**
  * @ignore
  */
@@ -38,6 +46,19 @@ export const isUndefined = x => typeof x === 'undefined' || x === null;
  * @ignore
  */
 export const isIterable = x => !isUndefined(x) && isFunction(x[ITERATOR]);
+/**
+ * @ignore
+ */
+export const isAsyncIterable = x => !isUndefined(x)
+  && (isFunction(x[ASYNC_ITERATOR]) || isFunction(x[ITERATOR]));
+/**
+ * @ignore
+ */
+export const isPromise = x => !isUndefined(x) && isFunction(x.then);
+/**
+ * @ignore
+ */
+export const isString = x => typeof x === 'string' || x instanceof String;
 /**
  * @ignore
  */
@@ -47,6 +68,15 @@ export class BadArgumentError extends TypeError {
     this.message = `bad argument #${argumentNo} to ${methodName} (${expectedType} expected)`;
   }
 }
+/**
+ * @ignore
+ */
+export class BadSequenceError extends RangeError {
+  constructor(methodName, expectedSequence) {
+    super();
+    this.message = `bad sequence to ${methodName} (${expectedSequence} expected)`;
+  }
+}
 /**
  * @ignore
  */
@@ -55,6 +85,14 @@ export const IterableCheck = (iterable, argNo, field) => {
     throw new BadArgumentError(argNo, field, CLASS_NAME);
   }
 };
+/**
+ * @ignore
+ */
+export const AsyncIterableCheck = (iterable, argNo, field) => {
+  if (!isAsyncIterable(iterable)) {
+    throw new BadArgumentError(argNo, field, ASYNC_CLASS_NAME);
+  }
+};
 /**
  * @ignore
  */
@@ -101,7 +139,562 @@ export const DoubleIterableCheck = (iterable, other, field) => {
   IterableCheck(iterable, 1, field);
   IterableCheck(other, 2, field);
 };
+/**
+ * @ignore
+ */
+export const AsyncIterablePredicateCheck = (iterable, predicate, field) => {
+  AsyncIterableCheck(iterable, 1, field);
+  FunctionCheck(predicate, 2, field);
+};
+/**
+ * @ignore
+ */
+export const AsyncIterablePositiveNumberCheck = (iterable, num, field) => {
+  AsyncIterableCheck(iterable, 1, field);
+  PositiveNumberCheck(num, 2, field);
+};
+/**
+ * @ignore
+ */
+export const DoubleAsyncIterableCheck = (iterable, other, field) => {
+  AsyncIterableCheck(iterable, 1, field);
+  AsyncIterableCheck(other, 2, field);
+};
+/**
+ * Groups the items of the given Iterable into a Map of arrays, by the
+ * keys returned by the key selector. The element selector defaults to
+ * the item itself.
+ * @ignore
+ */
+export const createLookup = (iterable, keySelector, elementSelector = x => x) => {
+  const lookup = new Map();
+
+  let index = 0;
+  for (const i of iterable) {
+    const key = keySelector(i, index);
+
+    let values = lookup.get(key);
+    if (isUndefined(values)) {
+      values = [];
+      lookup.set(key, values);
+    }
+    values.push(elementSelector(i, index));
+    index += 1;
+  }
+
+  return lookup;
+};
+/**
+ * Creates a collection of keys which uses a Set for
+ * SameValueZero equality, or a linear search if a
+ * comparer is provided.
+ * @ignore
+ */
+export const createKeySet = (comparer) => {
+  if (isUndefined(comparer)) {
+    const set = new Set();
+    return {
+      add: (key) => { set.add(key); },
+      has: key => set.has(key),
+    };
+  }
+  const keys = [];
+  return {
+    add: (key) => { keys.push(key); },
+    has: key => keys.some(x => comparer(x, key)),
+  };
+};
+/**
+ * The async counterpart of createKeySet, which awaits
+ * the comparer.
+ * @ignore
+ */
+export const createAsyncKeySet = (comparer) => {
+  if (isUndefined(comparer)) {
+    return createKeySet();
+  }
+  const keys = [];
+  return {
+    add: (key) => { keys.push(key); },
+    has: async (key) => {
+      for (const x of keys) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await comparer(x, key)) {
+          return true;
+        }
+      }
+      return false;
+    },
+  };
+};
+/**
+ * Counts the occurrences of the keys for the "bag" mode of the set
+ * algebra operators, with SameValueZero equality, or a linear search
+ * if a comparer is provided. Taking a key removes one of its
+ * occurrences, if there are any left.
+ * @ignore
+ */
+export const createKeyCounter = (comparer) => {
+  if (isUndefined(comparer)) {
+    const counts = new Map();
+    return {
+      add: (key) => { counts.set(key, (counts.get(key) || 0) + 1); },
+      take: (key) => {
+        const count = counts.get(key) || 0;
+        if (count > 0) {
+          counts.set(key, count - 1);
+        }
+        return count > 0;
+      },
+    };
+  }
+  const entries = [];
+  return {
+    add: (key) => {
+      const entry = entries.find(x => comparer(x.key, key));
+      if (isUndefined(entry)) {
+        entries.push({ key, count: 1 });
+      } else {
+        entry.count += 1;
+      }
+    },
+    take: (key) => {
+      const entry = entries.find(x => x.count > 0 && comparer(x.key, key));
+      if (isUndefined(entry)) {
+        return false;
+      }
+      entry.count -= 1;
+      return true;
+    },
+  };
+};
+/**
+ * @ignore
+ */
+export const SET_MODE = 'set';
+/**
+ * @ignore
+ */
+export const BAG_MODE = 'bag';
+/**
+ * @ignore
+ */
+const defaultKey = x => x;
+/**
+ * Resolves the key selector, the mode and the comparer of the set
+ * algebra operators, which also accept the options in place of the
+ * key selector.
+ * @ignore
+ */
+export const resolveSetOptions = (keySelector, options, argNo, field) => {
+  let key = keySelector;
+  let opts = options;
+
+  if (!isUndefined(key) && !isFunction(key) && typeof key === 'object') {
+    opts = key;
+    key = undefined;
+  }
+
+  if (!isUndefined(key)) {
+    FunctionCheck(key, argNo, field);
+  } else {
+    key = defaultKey;
+  }
+
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object' || opts === null) {
+    throw new BadArgumentError(argNo + 1, field, 'Object');
+  }
+
+  const { mode = SET_MODE, comparer } = opts;
+  if (mode !== SET_MODE && mode !== BAG_MODE) {
+    throw new BadArgumentError(argNo + 1, field, 'mode of set, bag');
+  }
+  if (!isUndefined(comparer) && !isFunction(comparer)) {
+    throw new BadArgumentError(argNo + 1, field, 'function comparer');
+  }
+
+  return { key, mode, comparer };
+};
+/**
+ * @ignore
+ */
+const ASCENDING = 'asc';
+/**
+ * @ignore
+ */
+const DESCENDING = 'desc';
+/**
+ * @ignore
+ */
+const NULLS_FIRST = 'first';
+/**
+ * @ignore
+ */
+const NULLS_LAST = 'last';
+/**
+ * @ignore
+ */
+const defaultKeyComparer = (a, b) => {
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+};
+/**
+ * Resolves the comparer of the extremum operators,
+ * which defaults to the relational operators.
+ * @ignore
+ */
+export const resolveComparer = (comparer, argNo, field) => {
+  if (isUndefined(comparer)) {
+    return defaultKeyComparer;
+  }
+  FunctionCheck(comparer, argNo, field);
+  return comparer;
+};
+/**
+ * Resolves the depth and the options of the flattening operators,
+ * where the options may also be given in place of the depth.
+ * @ignore
+ */
+export const resolveFlatOptions = (depth, options, field) => {
+  let d = depth;
+  let opts = options;
+  if (!isUndefined(d) && !isNumber(d) && typeof d === 'object') {
+    d = undefined;
+    opts = depth;
+  }
+
+  if (!isUndefined(d)) {
+    PositiveNumberCheck(d, 2, field);
+  } else {
+    d = 1;
+  }
+
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, field, 'Object');
+  }
+
+  const { isLeaf = isString } = opts;
+  if (!isFunction(isLeaf)) {
+    throw new BadArgumentError(3, field, 'isLeaf of function');
+  }
+
+  return { depth: d, isLeaf };
+};
+/**
+ * Resolves the key selector and the options of the ordering
+ * operators, where the options may also be the direction.
+ * @ignore
+ */
+export const resolveOrdering = (keySelector, options, argNo, field) => {
+  let key = keySelector;
+  if (!isUndefined(key)) {
+    FunctionCheck(key, argNo, field);
+  } else {
+    key = defaultKey;
+  }
+
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts === 'string') {
+    opts = { direction: opts };
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(argNo + 1, field, 'string or Object');
+  }
+
+  const {
+    direction = ASCENDING, nulls = NULLS_LAST, locale, localeOptions, comparer,
+  } = opts;
+
+  if (direction !== ASCENDING && direction !== DESCENDING) {
+    throw new BadArgumentError(argNo + 1, field, 'direction of asc, desc');
+  }
+  if (nulls !== NULLS_FIRST && nulls !== NULLS_LAST) {
+    throw new BadArgumentError(argNo + 1, field, 'nulls of first, last');
+  }
+
+  let compare = comparer;
+  if (!isUndefined(compare)) {
+    FunctionCheck(compare, argNo + 1, field);
+  } else if (!isUndefined(locale) || !isUndefined(localeOptions)) {
+    const collator = new Intl.Collator(locale, localeOptions);
+    compare = (a, b) => (typeof a === 'string' && typeof b === 'string'
+      ? collator.compare(a, b)
+      : defaultKeyComparer(a, b));
+  } else {
+    compare = defaultKeyComparer;
+  }
+
+  return {
+    key,
+    compare,
+    descending: direction === DESCENDING,
+    nullsFirst: nulls === NULLS_FIRST,
+  };
+};
+/**
+ * Creates a binary heap of the given items, which keeps
+ * the lowest item based on the comparator at the top.
+ * @ignore
+ */
+export const createHeap = (compare, items = []) => {
+  const heap = items;
+
+  const swap = (a, b) => {
+    const temp = heap[a];
+    heap[a] = heap[b];
+    heap[b] = temp;
+  };
+
+  const up = (index) => {
+    let child = index;
+    while (child > 0) {
+      const parent = Math.floor((child - 1) / 2);
+      if (compare(heap[child], heap[parent]) >= 0) {
+        return;
+      }
+      swap(child, parent);
+      child = parent;
+    }
+  };
+
+  const down = (index) => {
+    let parent = index;
+    for (;;) {
+      const left = 2 * parent + 1;
+      const right = left + 1;
+      let lowest = parent;
+      if (left < heap.length && compare(heap[left], heap[lowest]) < 0) {
+        lowest = left;
+      }
+      if (right < heap.length && compare(heap[right], heap[lowest]) < 0) {
+        lowest = right;
+      }
+      if (lowest === parent) {
+        return;
+      }
+      swap(parent, lowest);
+      parent = lowest;
+    }
+  };
+
+  for (let i = Math.floor(heap.length / 2) - 1; i >= 0; i -= 1) {
+    down(i);
+  }
+
+  return {
+    size: () => heap.length,
+    peek: () => heap[0],
+    push: (item) => {
+      heap.push(item);
+      up(heap.length - 1);
+    },
+    pop: () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        down(0);
+      }
+      return top;
+    },
+    replace: (item) => {
+      const top = heap[0];
+      heap[0] = item;
+      down(0);
+      return top;
+    },
+  };
+};
+/**
+ * Creates a buffer that reads the source Iterable once for any
+ * number of cursors, and only keeps the items that are yet to be
+ * read by the slowest cursor. Disposing the buffer closes the source
+ * iterator if it is still open, after which the cursors read nothing.
+ * @ignore
+ */
+export const createSharedBuffer = (iterable) => {
+  const items = [];
+  const cursors = new Set();
+  let offset = 0;
+  let iterator;
+  let done = false;
+
+  const release = () => {
+    let lowest = offset + items.length;
+    cursors.forEach((cursor) => {
+      lowest = Math.min(lowest, cursor.position);
+    });
+    items.splice(0, lowest - offset);
+    offset = lowest;
+  };
+
+  return {
+    open: (position = offset + items.length) => {
+      const cursor = { position };
+      cursors.add(cursor);
+      return cursor;
+    },
+    close: (cursor) => {
+      cursors.delete(cursor);
+      release();
+    },
+    next: (cursor) => {
+      const c = cursor;
+      if (c.position === offset + items.length) {
+        if (done) {
+          return { done: true };
+        }
+        if (isUndefined(iterator)) {
+          iterator = iterable[Symbol.iterator]();
+        }
+        const result = iterator.next();
+        if (result.done) {
+          done = true;
+          return { done: true };
+        }
+        items.push(result.value);
+      }
+      const value = items[c.position - offset];
+      c.position += 1;
+      release();
+      return { done: false, value };
+    },
+    dispose: () => {
+      if (!done) {
+        done = true;
+        if (!isUndefined(iterator) && isFunction(iterator.return)) {
+          iterator.return();
+        }
+      }
+      items.length = 0;
+    },
+  };
+};
 /**
  * @ignore
  */
 export const defineField = x => `${CLASS_NAME}.${x}`;
+/**
+ * @ignore
+ */
+export const defineAsyncField = x => `${ASYNC_CLASS_NAME}.${x}`;
+/**
+ * Checks the object and the options of the object sources,
+ * and returns the function that lists the keys of the object.
+ * @ignore
+ */
+export const resolveObjectKeys = (obj, options, field) => {
+  if (isUndefined(obj) || (typeof obj !== 'object' && typeof obj !== 'function')) {
+    throw new BadArgumentError(1, field, 'Object');
+  }
+
+  let opts = options;
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(2, field, 'Object');
+  }
+
+  const { inherited = false, symbols = false } = opts;
+
+  return () => {
+    const result = [];
+    const seen = new Set();
+    for (let o = obj; !isUndefined(o); o = inherited ? Object.getPrototypeOf(o) : null) {
+      const own = symbols ? Reflect.ownKeys(o) : Object.getOwnPropertyNames(o);
+      for (const key of own) {
+        // the keys that are shadowed along the prototype chain
+        // are only listed once, like in a for...in loop.
+        if (!seen.has(key)) {
+          seen.add(key);
+          if (Object.prototype.propertyIsEnumerable.call(o, key)) {
+            result.push(key);
+          }
+        }
+      }
+    }
+    return result;
+  };
+};
+/**
+ * Finds the only item that passes the predicate, stopping
+ * at the second one, which is reported as an error.
+ * @ignore
+ */
+export const findSingle = (iterable, fn, field, none) => {
+  let found = false;
+  let result;
+  let index = 0;
+  for (const i of iterable) {
+    if (fn(i, index)) {
+      if (found) {
+        throw new BadSequenceError(field, 'at most one matching item');
+      }
+      found = true;
+      result = i;
+    }
+    index += 1;
+  }
+  return found ? result : none();
+};
+/**
+ * Yields the windows of the given size which start every
+ * given step, holding only the items of the current window.
+ * The partial windows at the end are yielded if specified.
+ * @ignore
+ */
+export function* slide(iterable, size, step, partial) {
+  if (size === 0) {
+    return;
+  }
+
+  const frame = [];
+  let index = 0;
+
+  for (const i of iterable) {
+    frame.push(i);
+    if (frame.length > size) {
+      frame.shift();
+    }
+    index += 1;
+
+    const start = index - size;
+    if (start >= 0 && start % step === 0) {
+      yield frame.slice();
+    }
+  }
+
+  if (partial) {
+    const offset = index - frame.length;
+    const first = Math.ceil(Math.max(0, index - size + 1) / step) * step;
+    for (let start = first; start < index; start += step) {
+      yield frame.slice(start - offset);
+    }
+  }
+}
+/**
+ * The groups of groupBy, which are read as [key, values] entries.
+ * @ignore
+ */
+const isGroup = x => typeof x === 'object' && x !== null && !Array.isArray(x)
+  && 'key' in x && 'values' in x;
+/**
+ * Reads the key of a [key, value] entry, or of a group.
+ * @ignore
+ */
+export const entryKey = x => (isGroup(x) ? x.key : x[0]);
+/**
+ * Reads the value of a [key, value] entry, or the values of a group.
+ * @ignore
+ */
+export const entryValue = x => (isGroup(x) ? x.values : x[1]);
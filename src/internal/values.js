@@ -0,0 +1,25 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable func-names */
+import { defineField, resolveObjectKeys } from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('values');
+/**
+ * @ignore
+ */
+export default (obj, options) => {
+  const keys = resolveObjectKeys(obj, options, FIELD);
+  if (obj instanceof Map || obj instanceof Set) {
+    return createIterable(function* () {
+      yield* obj.values();
+    });
+  }
+  return createIterable(function* () {
+    for (const key of keys()) {
+      yield obj[key];
+    }
+  });
+};
@@ -0,0 +1,15 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import { defineField } from './utils';
+import { createVariance } from './statistics';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('variance');
+/**
+ * @ignore
+ */
+export default (iterable, selector, options) => createVariance(
+  iterable, selector, options, FIELD, x => x,
+);
@@ -0,0 +1,49 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import {
+  IterablePositiveNumberCheck, NumberCheck, BadArgumentError, defineField, isUndefined,
+  isNumber, TYPE_POS_NUM, slide,
+} from './utils';
+import { createIterable } from './base';
+
+/**
+ * @ignore
+ */
+const FIELD = defineField('windowed');
+/**
+ * @ignore
+ */
+export default (iterable, size, step, options) => {
+  IterablePositiveNumberCheck(iterable, size, FIELD);
+
+  let s = step;
+  let opts = options;
+
+  if (!isUndefined(s) && !isNumber(s) && typeof s === 'object') {
+    s = undefined;
+    opts = step;
+  }
+
+  if (!isUndefined(s)) {
+    NumberCheck(s, 3, FIELD);
+    if (s < 1) {
+      throw new BadArgumentError(3, FIELD, TYPE_POS_NUM);
+    }
+  } else {
+    s = 1;
+  }
+
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(4, FIELD, 'Object');
+  }
+
+  const { partial = false } = opts;
+
+  return createIterable(function* () {
+    for (const frame of slide(iterable, size, s, partial)) {
+      yield createIterable(frame);
+    }
+  });
+};
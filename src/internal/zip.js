@@ -1,8 +1,9 @@
 /* eslint-disable no-restricted-syntax */
 /* eslint-disable func-names */
-import Iterable from '../iterable';
+import { createIterable } from './base';
 import {
   BadArgumentError, isFunction, isUndefined, defineField, FunctionCheck,
+  IterableCheck, ITERATOR,
 } from './utils';
 /**
  * @ignore
@@ -15,42 +16,100 @@ const defaultZipper = x => x;
 /**
  * @ignore
  */
-const zip = (iterables, fn) => {
+const SHORTEST = 'shortest';
+/**
+ * @ignore
+ */
+const LONGEST = 'longest';
+/**
+ * @ignore
+ */
+const STRICT = 'strict';
+/**
+ * @ignore
+ */
+const MODES = [SHORTEST, LONGEST, STRICT];
+/**
+ * @ignore
+ */
+const zip = (iterables, fn, options) => {
   if (!(iterables instanceof Array)) {
     throw new BadArgumentError(1, FIELD, 'Array');
   }
+  iterables.forEach(x => IterableCheck(x, 1, FIELD));
 
   let zipper = fn;
+  let opts = options;
 
-  if (!isUndefined(fn)) {
-    if (!isFunction(fn)) {
-      FunctionCheck(fn, 2, FIELD);
-    }
+  if (!isUndefined(fn) && !isFunction(fn) && typeof fn === 'object') {
+    zipper = undefined;
+    opts = fn;
+  }
+
+  if (!isUndefined(zipper)) {
+    FunctionCheck(zipper, 2, FIELD);
   } else {
     zipper = defaultZipper;
   }
 
-  return new Iterable(function* () {
-    const buffer = [];
+  if (isUndefined(opts)) {
+    opts = {};
+  } else if (typeof opts !== 'object') {
+    throw new BadArgumentError(3, FIELD, 'Object');
+  }
+
+  const { mode = SHORTEST, fill } = opts;
+
+  if (!MODES.includes(mode)) {
+    throw new BadArgumentError(3, FIELD, `mode of ${MODES.join(', ')}`);
+  }
+
+  return createIterable(function* () {
+    const iterators = iterables.map(x => x[ITERATOR]());
+    // marks the iterators that either completed or must not be closed.
+    const settled = iterators.map(() => false);
 
-    for (const iterable of iterables) {
-      let c = 0;
-      for (const i of iterable) {
-        let current = buffer[c];
+    try {
+      while (iterators.length > 0) {
+        const row = [];
+        let finished = 0;
 
-        if (isUndefined(current)) {
-          current = [];
-          buffer[c] = current;
+        for (let k = 0; k < iterators.length; k += 1) {
+          if (settled[k]) {
+            finished += 1;
+            row.push(fill);
+          } else {
+            settled[k] = true;
+            const { value, done } = iterators[k].next();
+            settled[k] = !!done;
+
+            if (done) {
+              if (mode === SHORTEST) {
+                return;
+              }
+              finished += 1;
+              row.push(fill);
+            } else {
+              row.push(value);
+            }
+          }
         }
 
-        current.push(i);
+        if (finished === iterators.length) {
+          return;
+        }
+        if (finished > 0 && mode === STRICT) {
+          throw new RangeError('Iterable.zip: the given Iterables have different lengths.');
+        }
 
-        c += 1;
+        yield zipper(row);
       }
-    }
-
-    for (const i of buffer) {
-      yield zipper(i);
+    } finally {
+      iterators.forEach((x, k) => {
+        if (!settled[k] && isFunction(x.return)) {
+          x.return();
+        }
+      });
     }
   });
 };
@@ -29,9 +29,7 @@
 /**
  * @external {Iteration Protocol} https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
  */
-import {
-  isIterable, ITERATOR, BadArgumentError, isUndefined,
-} from './internal/utils';
+import { isIterable, IterableCheck, defineField } from './internal/utils';
 import {
   map, filter, concat, just, first, last, repeat,
   startWith, zip, flat, all, any, isEmpty, empty,
@@ -46,9 +44,22 @@ import {
   scanRight, reduceRight, breadthFirst, depthFirst,
   slice, diff, innerJoin, outerJoin, leftJoin, skipUntil,
   takeUntil, ignoreElements, doWhile, whileDo,
+  catchError, retry, onErrorResumeNext, onError, finalize,
+  groupBy, toMap, join, leftOuterJoin, rightOuterJoin,
+  fullOuterJoin, groupJoin, union, except, symmetricDifference,
+  orderBy, thenBy, thenByDescending, topK, bottomK, lazySort,
+  windowed, pairwise, bufferWhile, bufferUntil, splitWhen, splitOn, chunkBy,
+  publish, share, tee, memoize, traverse,
+  iterate, unfold, generate, cycle, repeatValue,
+  entries, keys, values, toSet, toObject, toLookup,
+  toValue, firstOrDefault, single, singleOrDefault,
+  defer, ifElse, caseOf, forOf, expand,
+  product, median, mode, variance, stdDev, percentile, quantiles, histogram, summary,
+  maxBy, minBy, minMax,
 } from './internal/dependency';
+import extend, { use } from './internal/extend';
+import BaseIterable, { registerIterable } from './internal/base';
 
-const { isNaN } = Number;
 /**
  * The Iterable class serves as a super set of all objects
  * that implements the Iteration Protocol.
@@ -59,63 +70,12 @@ const { isNaN } = Number;
  * Iterable also provides operators which allows to
  * transform an Iterable into a new one, making Iterable
  * an Immutable.
+ *
+ * Like the Array methods, the callbacks of the operators
+ * receive the index of the item after the item itself,
+ * and the reducers receive it after the accumulator and the item.
  */
-export default class Iterable {
-  /**
-   * Returns an Iterable with the given object.
-   *
-   * This object must be either a generator or an object
-   * that implements the Iteration Protocol.
-   *
-   * @param {!Iterable} iterable
-   * @returns {Iterable}
-   */
-  constructor(iterable) {
-    const it = iterable;
-
-    const exists = !isUndefined(it);
-    if (exists && it.constructor.name === 'GeneratorFunction') {
-      it[ITERATOR] = it;
-      /**
-       * @ignore
-       */
-      this.it = it;
-    } else if (exists && isIterable(it)) {
-      /**
-       * @ignore
-       */
-      this.it = it;
-    } else {
-      throw new BadArgumentError(1, 'Iterable.<constructor>', 'Iterable or Generator');
-    }
-    /**
-     * @ignore
-     */
-    this.it = it;
-
-    return new Proxy(this, {
-      get: (t, k) => ((k in t && t[k]) || (!isNaN(k) ? this.get(k) : undefined)),
-    });
-  }
-
-  /**
-   * Similar to elementAt, excepts that this method
-   * returns the actual value at the given index.
-   * @param {!number} index
-   * @returns {any}
-   */
-  get(index) {
-    const { it } = this;
-    let s = 0;
-    for (const i of it) {
-      if (`${s}` === index) {
-        return i;
-      }
-      s += 1;
-    }
-    return undefined;
-  }
-
+export default class Iterable extends BaseIterable {
   /**
    * Checks if a given Object follows the Iterator Protocol.
    * @param {Object} it
@@ -129,7 +89,7 @@ export default class Iterable {
    * Returns an Iterable that yields true if all of the yields of the
    * source Iterable passes the predicate function, false if not.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
@@ -143,7 +103,7 @@ export default class Iterable {
   /**
    * Returns an Iterable that yields true if all of the yields of
    * this Iterable passes the predicate function, false if not.
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given predicate is not a function
    * @returns {Iterable}
@@ -156,7 +116,7 @@ export default class Iterable {
    * Returns an Iterable that yields true if any of the yields of the
    * source Iterable passes the predicate function, false if not.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
@@ -170,7 +130,7 @@ export default class Iterable {
   /**
    * Returns an Iterable that yields true if any of the yields of
    * this Iterable passes the predicate function, false if not.
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given predicate is not a function
    * @returns {Iterable}
@@ -200,6 +160,47 @@ export default class Iterable {
     return average(this.it);
   }
 
+  /**
+   * Returns an Iterable that yields the given amount of the lowest items of the source
+   * Iterable, from the lowest.
+   *
+   * Only the kept items are held in memory, in a bounded heap.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
+   * @param {!Iterable} it
+   * @param {!number} amount
+   * @param {function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
+   * @returns {Iterable}
+   */
+  static bottomK(it, amount, comparator) {
+    return bottomK(it, amount, comparator);
+  }
+
+  /**
+   * Returns an Iterable that yields the given amount of the lowest items of this
+   * Iterable, from the lowest.
+   *
+   * Only the kept items are held in memory, in a bounded heap.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
+   * @param {!number} amount
+   * @param {function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
+   * @returns {Iterable}
+   */
+  bottomK(amount, comparator) {
+    return bottomK(this.it, amount, comparator);
+  }
+
   /**
    * Performs a breadth-first flattening method to the source Iterable:
    * shallow elements are yielded first before deeper elements.
@@ -223,32 +224,57 @@ export default class Iterable {
   }
 
   /**
-   * Returns an Iterable that yields Iterable buffers of items
-   * it collects from the source Iterable.
+   * Returns an Iterable that yields Array buffers of the given amount
+   * of items it collects from the source Iterable.
+   *
+   * A new buffer is started every given gap of items, which defaults
+   * to the amount, so that the buffers overlap if the gap is lower than
+   * the amount, and items are left out if it is greater. The buffers
+   * that are not filled by the end are yielded as they are.
    * @param {!Iterable} it
    * @param {!number} amount
+   * @param {number} gap
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given gap is not a number greater than zero or undefined
    * @returns {Iterable}
    */
-  static buffer(it, amount) {
-    return buffer(it, amount);
+  static buffer(it, amount, gap) {
+    return buffer(it, amount, gap);
   }
 
   /**
-   * Returns an Iterable that yields Iterable buffers of items
-   * it collects from this Iterable.
+   * Returns an Iterable that yields Array buffers of the given amount
+   * of items it collects from this Iterable.
+   *
+   * A new buffer is started every given gap of items, which defaults
+   * to the amount, so that the buffers overlap if the gap is lower than
+   * the amount, and items are left out if it is greater. The buffers
+   * that are not filled by the end are yielded as they are.
    * @param {!number} amount
+   * @param {number} gap
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given gap is not a number greater than zero or undefined
    * @returns {Iterable}
    */
-  buffer(amount) {
-    return buffer(this.it, amount);
+  buffer(amount, gap) {
+    return buffer(this.it, amount, gap);
   }
 
   /**
    * Split an Iterable into a longest prefix such that all
    * the elements of it do not satisfy a given predicate,
    * and the rest of the Iterable following them.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
@@ -263,7 +289,10 @@ export default class Iterable {
    * Split an Iterable into a longest prefix such that all
    * the elements of it do not satisfy a given predicate,
    * and the rest of the Iterable following them.
-   * @param {!function(item: any):boolean} predicate
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given predicate is not a function
    * @returns {Iterable}
@@ -276,6 +305,10 @@ export default class Iterable {
    * Caches all yields of the source Iterable, for the purpose
    * of not re-running the computing function that yields
    * the result.
+   *
+   * The source is read only once, and is the same as
+   * memoize without any options.
+   * Like memoize, it keeps the source open when a consumer stops early.
    * @param {!Iterable} it
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
@@ -289,12 +322,191 @@ export default class Iterable {
    * Caches all yields of this Iterable, for the purpose
    * of not re-running the computing function that yields
    * the result.
+   *
+   * This Iterable is read only once, and is the same as
+   * memoize without any options.
+   * Like memoize, it keeps the source open when a consumer stops early.
    * @returns {Iterable}
    */
   cache() {
     return cache(this.it);
   }
 
+  /**
+   * Returns an Iterable that yields Array buffers of the items
+   * of the source Iterable, where each buffer ends with the item
+   * that passes the predicate.
+   *
+   * The last buffer is yielded even if no item has closed it.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static bufferUntil(it, predicate) {
+    return bufferUntil(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields Array buffers of the items
+   * of this Iterable, where each buffer ends with the item
+   * that passes the predicate.
+   *
+   * The last buffer is yielded even if no item has closed it.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  bufferUntil(predicate) {
+    return bufferUntil(this.it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields Array buffers of the items
+   * of the source Iterable, where each buffer collects the items
+   * as long as they pass the predicate.
+   *
+   * An item that fails the predicate closes the current buffer
+   * and starts the next one.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static bufferWhile(it, predicate) {
+    return bufferWhile(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields Array buffers of the items
+   * of this Iterable, where each buffer collects the items
+   * as long as they pass the predicate.
+   *
+   * An item that fails the predicate closes the current buffer
+   * and starts the next one.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  bufferWhile(predicate) {
+    return bufferWhile(this.it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields the items of the source
+   * that is picked by the key of the selector, which is called
+   * each time the Iterable is iterated.
+   *
+   * The sources can be either a Map or an Object of the keys to the
+   * Iterables. If none matches the key, the items of the default source
+   * are yielded, which is empty if not provided.
+   * @param {!function():any} selector
+   * @param {!(Map|Object)} sources
+   * @param {Iterable} defaultSource
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given sources is not a Map or an Object
+   * @throws {BadArgumentError}
+   * throws error if the given default source doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static case(selector, sources, defaultSource) {
+    return caseOf(selector, sources, defaultSource);
+  }
+
+  /**
+   * Catches the error thrown while iterating the source Iterable
+   * and continues the iteration with a fallback Iterable.
+   *
+   * The handler can either be an Iterable or a function that receives
+   * the error and returns an Iterable.
+   * @param {!Iterable} it
+   * @param {!(Iterable|function(error: Error):Iterable)} handler
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given handler is neither an Iterable nor a function
+   * @throws {TypeError}
+   * throws error if the handler function returned a non-Iterable.
+   * @returns {Iterable}
+   */
+  static catchError(it, handler) {
+    return catchError(it, handler);
+  }
+
+  /**
+   * Catches the error thrown while iterating this Iterable
+   * and continues the iteration with a fallback Iterable.
+   *
+   * The handler can either be an Iterable or a function that receives
+   * the error and returns an Iterable.
+   * @param {!(Iterable|function(error: Error):Iterable)} handler
+   * @throws {BadArgumentError}
+   * throws error if the given handler is neither an Iterable nor a function
+   * @throws {TypeError}
+   * throws error if the handler function returned a non-Iterable.
+   * @returns {Iterable}
+   */
+  catchError(handler) {
+    return catchError(this.it, handler);
+  }
+
+  /**
+   * Returns an Iterable that yields the runs of consecutive items
+   * of the source Iterable that share the same key, as objects
+   * with the key and an Iterable of the items of the run.
+   *
+   * Unlike groupBy, items with the same key that are not adjacent
+   * end up in separate runs, and each run is yielded as soon as an
+   * item with a different key is read.
+   *
+   * The keys are compared with strict equality unless a comparer is provided.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given keySelector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {Iterable}
+   */
+  static chunkBy(it, keySelector, comparer) {
+    return chunkBy(it, keySelector, comparer);
+  }
+
+  /**
+   * Returns an Iterable that yields the runs of consecutive items
+   * of this Iterable that share the same key, as objects
+   * with the key and an Iterable of the items of the run.
+   *
+   * Unlike groupBy, items with the same key that are not adjacent
+   * end up in separate runs, and each run is yielded as soon as an
+   * item with a different key is read.
+   *
+   * The keys are compared with strict equality unless a comparer is provided.
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given keySelector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {Iterable}
+   */
+  chunkBy(keySelector, comparer) {
+    return chunkBy(this.it, keySelector, comparer);
+  }
+
   /**
    * Transforms the source Iterable by applying a composer function. This
    * is useful for creating your own Iterable operators.
@@ -395,6 +607,33 @@ export default class Iterable {
     return count(this.it);
   }
 
+  /**
+   * Returns an Iterable that repeats the items of the source Iterable
+   * indefinitely.
+   *
+   * The source is iterated again on every pass, and the repetition stops
+   * if a pass yields nothing.
+   * @param {!Iterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static cycle(it) {
+    return cycle(it);
+  }
+
+  /**
+   * Returns an Iterable that repeats the items of this Iterable
+   * indefinitely.
+   *
+   * This Iterable is iterated again on every pass, and the repetition stops
+   * if a pass yields nothing.
+   * @returns {Iterable}
+   */
+  cycle() {
+    return cycle(this.it);
+  }
+
   /**
    * Returns an Iterable that yields the items yielded by
    * the source Iterable or a specified default item if
@@ -422,6 +661,18 @@ export default class Iterable {
     return defaultIfEmpty(this.it, value);
   }
 
+  /**
+   * Returns an Iterable that calls the factory each time it is iterated,
+   * and yields the items of the Iterable that the factory returns.
+   * @param {!function():Iterable} factory
+   * @throws {BadArgumentError}
+   * throws error if the given factory is not a function
+   * @returns {Iterable}
+   */
+  static defer(factory) {
+    return defer(factory);
+  }
+
   /**
    * Performs a depth-first flattening method to the source Iterable. This
    * is the same as the flat method except that depthFirst removes all nesting.
@@ -447,73 +698,131 @@ export default class Iterable {
   /**
    * Returns an Iterable that yields the items of the source Iterable
    * that does not exist in the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} it
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static diff(it, other) {
-    return diff(it, other);
+  static diff(it, other, keySelector, comparer) {
+    return diff(it, other, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields the items of the source Iterable
    * that does not exist in the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  diff(other) {
-    return diff(this.it, other);
+  diff(other, keySelector, comparer) {
+    return diff(this.it, other, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields all items yielded by the
-   * source Iterable that are distinct based on the strict equality
-   * comparison.
+   * source Iterable that are distinct.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static distinct(it) {
-    return distinct(it);
+  static distinct(it, keySelector, comparer) {
+    return distinct(it, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields all items yielded by this Iterable
-   * that are distinct based on the strict equality comparison.
+   * that are distinct.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  distinct() {
-    return distinct(this.it);
+  distinct(keySelector, comparer) {
+    return distinct(this.it, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields all items yielded by the
    * source Iterable that are distinct from their immediate
-   * predecessors based on strict equality comparison.
+   * predecessors.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with strict equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static distinctAdjacent(it) {
-    return distinctAdjacent(it);
+  static distinctAdjacent(it, keySelector, comparer) {
+    return distinctAdjacent(it, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields all items yielded by this
-   * Iterable that are distinct from their immediate predecessors
-   * based on strict equality comparison.
+   * Iterable that are distinct from their immediate predecessors.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with strict equality,
+   * or with the comparer if one is given.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  distinctAdjacent() {
-    return distinctAdjacent(this.it);
+  distinctAdjacent(keySelector, comparer) {
+    return distinctAdjacent(this.it, keySelector, comparer);
   }
 
   /**
@@ -581,6 +890,28 @@ export default class Iterable {
     return empty();
   }
 
+  /**
+   * Returns an Iterable that yields the [key, value] entries of the given object.
+   *
+   * By default, only the own enumerable string keys of the object are used.
+   * The options are:
+   * - inherited: also use the enumerable keys of the prototype chain.
+   * - symbols: also use the enumerable symbol keys.
+   *
+   * The object is read as the Iterable is iterated. Maps and Sets
+   * yield their own entries, and the options are ignored for them.
+   * @param {!Object} obj
+   * @param {{inherited: boolean, symbols: boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given object is not an Object
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  static entries(obj, options) {
+    return entries(obj, options);
+  }
+
   /**
    * Returns an Iterable that yields true if the source Iterable
    * has the same exact sequence as the other Iterable.
@@ -609,98 +940,337 @@ export default class Iterable {
   }
 
   /**
-   * Filters the yields of a source Iterable with a filter function.
+   * Returns an Iterable that yields the items of the source Iterable
+   * that are not in the other Iterable.
    *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, each occurrence in the other Iterable
+   * removes a single occurrence from the source Iterable.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} fn
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static filter(it, fn) {
-    return filter(it, fn);
+  static except(it, other, keySelector, options) {
+    return except(it, other, keySelector, options);
   }
 
   /**
-   * Filters the yields of this Iterable with a filter function.
-   * @param {!function(item: any):boolean} fn
+   * Returns an Iterable that yields the items of this Iterable
+   * that are not in the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, each occurrence in the other Iterable
+   * removes a single occurrence from the source Iterable.
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  filter(fn) {
-    return filter(this.it, fn);
+  except(other, keySelector, options) {
+    return except(this.it, other, keySelector, options);
   }
 
   /**
-   * Finds the index of the first element that satisfy a predicate.
+   * Returns an Iterable that yields the items of the source Iterable,
+   * followed by the items of the Iterables returned by the function
+   * for each of the yielded items, breadth-first.
+   *
+   * The items of the returned Iterables are also passed to the function,
+   * up to the given depth of expansion, which defaults to Infinity.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):Iterable} fn
+   * @param {number} depth
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given fn is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
    * @returns {Iterable}
    */
-  static find(it, predicate) {
-    return find(it, predicate);
+  static expand(it, fn, depth) {
+    return expand(it, fn, depth);
   }
 
   /**
-   * Finds the index of the first element that satisfy a predicate.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields the items of this Iterable,
+   * followed by the items of the Iterables returned by the function
+   * for each of the yielded items, breadth-first.
+   *
+   * The items of the returned Iterables are also passed to the function,
+   * up to the given depth of expansion, which defaults to Infinity.
+   * @param {!function(item: any, index: number):Iterable} fn
+   * @param {number} depth
+   * @throws {BadArgumentError}
+   * throws error if the given fn is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
    * @returns {Iterable}
    */
-  find(predicate) {
-    return find(this.it, predicate);
+  expand(fn, depth) {
+    return expand(this.it, fn, depth);
   }
 
   /**
-   * Returns an Iterable that yields the first value of the source
-   * Iterable that satisfy a predicate(optional).
+   * Installs the given operators as both the static and the instance
+   * methods of Iterable, and returns Iterable.
+   *
+   * Each operator receives the source Iterable followed by the arguments
+   * of the method, and should return an Iterable to be chainable. The static
+   * method checks that its source implements the Iteration Protocol, while
+   * the instance method passes its own source. The methods are also
+   * available through the bracket notation of the instances.
+   *
+   * An operator cannot replace an existing method unless override is set,
+   * and the names used by the instances (it, constructor and prototype)
+   * cannot be replaced at all.
+   * @example
+   * Iterable.extend({
+   *   double: it => Iterable.map(it, x => x * 2),
+   * });
+   *
+   * new Iterable([1, 2, 3]).double().toArray(); // [2, 4, 6]
+   * @param {!Object} operators
+   * an Object whose keys are the names of the methods and whose
+   * values are the operator functions
+   * @param {?Object} options
+   * @param {?boolean} options.override
+   * whether the existing methods can be replaced
+   * @throws {BadArgumentError}
+   * throws error if the given operators is not an Object of functions,
+   * or has numeric keys
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
+   * @throws {TypeError}
+   * throws error if one of the names is reserved, or already defined
+   * and override is not set
+   * @returns {Iterable}
+   */
+  static extend(operators, options) {
+    return extend(Iterable, operators, options, defineField, IterableCheck);
+  }
+
+  /**
+   * Filters the yields of a source Iterable with a filter function.
+   *
    * @param {!Iterable} it
-   * @param {function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} fn
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
+   * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  static first(it, predicate) {
-    return first(it, predicate);
+  static filter(it, fn) {
+    return filter(it, fn);
   }
 
   /**
-   * Returns an Iterable that yields the first value of the source
-   * Iterable that satisfy a predicate(optional).
-   * @param {function(item: any):boolean} predicate
+   * Filters the yields of this Iterable with a filter function.
+   * @param {!function(item: any, index: number):boolean} fn
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
+   * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  first(predicate) {
-    return first(this.it, predicate);
+  filter(fn) {
+    return filter(this.it, fn);
   }
 
   /**
-   * Flattens the source Iterable by removing a single layer of
-   * nesting for the yielded Iterables.
+   * Attaches a callback to a source Iterable that is
+   * executed when the iteration process ends, whether
+   * the Iterable completed, threw an error or was
+   * closed early by the consumer.
    * @param {!Iterable} it
+   * @param {!function} fn
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
    * @returns {Iterable}
    */
-  static flat(it) {
-    return flat(it);
+  static finally(it, fn) {
+    return finalize(it, fn);
   }
 
   /**
-   * Flattens this Iterable by removing a single layer of nesting
-   * for the yielded Iterables.
+   * Attaches a callback to this Iterable that is
+   * executed when the iteration process ends, whether
+   * this Iterable completed, threw an error or was
+   * closed early by the consumer.
+   * @param {!function} fn
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
    * @returns {Iterable}
    */
-  flat() {
-    return flat(this.it);
+  finally(fn) {
+    return finalize(this.it, fn);
+  }
+
+  /**
+   * Finds the index of the first element that satisfy a predicate.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static find(it, predicate) {
+    return find(it, predicate);
+  }
+
+  /**
+   * Finds the index of the first element that satisfy a predicate.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @returns {Iterable}
+   */
+  find(predicate) {
+    return find(this.it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields the first value of the source
+   * Iterable that satisfy a predicate(optional).
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  static first(it, predicate) {
+    return first(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields the first value of the source
+   * Iterable that satisfy a predicate(optional).
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  first(predicate) {
+    return first(this.it, predicate);
+  }
+
+  /**
+   * Returns the first item of the source Iterable that passes
+   * the predicate, or the default value if there is none.
+   *
+   * Unlike first, the item itself is returned instead of an Iterable.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @param {any} defaultValue
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {any}
+   */
+  static firstOrDefault(it, predicate, defaultValue) {
+    return firstOrDefault(it, predicate, defaultValue);
+  }
+
+  /**
+   * Returns the first item of this Iterable that passes
+   * the predicate, or the default value if there is none.
+   *
+   * Unlike first, the item itself is returned instead of an Iterable.
+   * @param {function(item: any, index: number):boolean} predicate
+   * @param {any} defaultValue
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {any}
+   */
+  firstOrDefault(predicate, defaultValue) {
+    return firstOrDefault(this.it, predicate, defaultValue);
+  }
+
+  /**
+   * Flattens the source Iterable by removing the given depth of
+   * nesting for the yielded Iterables.
+   *
+   * Like Array.prototype.flat, the depth defaults to 1 and can be Infinity
+   * to remove all nesting. Strings are not flattened into their characters,
+   * unless the isLeaf option is given, which decides the nested Iterables
+   * that are yielded as they are.
+   *
+   * The options can also be provided in place of the depth.
+   * @param {!Iterable} it
+   * @param {number} depth
+   * @param {{isLeaf: function(item: any):boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  static flat(it, depth, options) {
+    return flat(it, depth, options);
+  }
+
+  /**
+   * Flattens this Iterable by removing the given depth of nesting
+   * for the yielded Iterables.
+   *
+   * Like Array.prototype.flat, the depth defaults to 1 and can be Infinity
+   * to remove all nesting. Strings are not flattened into their characters,
+   * unless the isLeaf option is given, which decides the nested Iterables
+   * that are yielded as they are.
+   *
+   * The options can also be provided in place of the depth.
+   * @param {number} depth
+   * @param {{isLeaf: function(item: any):boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given depth is not a positive number or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  flat(depth, options) {
+    return flat(this.it, depth, options);
   }
 
   /**
@@ -709,7 +1279,7 @@ export default class Iterable {
    * Iterable, where that function returns an Iterable, and then
    * merging those resulting Iterable and yielding the results of this merger.
    * @param {!Iterable} it
-   * @param {!function(item: any):Iterable} mapper
+   * @param {!function(item: any, index: number):Iterable} mapper
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
@@ -725,7 +1295,7 @@ export default class Iterable {
    * function that you supply to each item yielded by this
    * Iterable, where that function returns an Iterable, and then
    * merging those resulting Iterable and yielding the results of this merger.
-   * @param {!function(item: any):Iterable} mapper
+   * @param {!function(item: any, index: number):Iterable} mapper
    * @throws {BadArgumentError}
    * throws error if the given mapper is not a function
    * @returns {Iterable}
@@ -734,6 +1304,288 @@ export default class Iterable {
     return flatMap(this.it, mapper);
   }
 
+  /**
+   * Returns an Iterable that yields the items of the Iterables
+   * that the result selector returns for each of the items of the source Iterable.
+   *
+   * This is the same as flatMap, provided as a creation operator.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):Iterable} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function
+   * @returns {Iterable}
+   */
+  static for(it, resultSelector) {
+    return forOf(it, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of the source Iterable and the inner Iterable
+   * with equal keys, as well as the rows of either side without
+   * a match, paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} outer
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static fullOuterJoin(outer, inner, outerKey, innerKey, resultSelector) {
+    return fullOuterJoin(outer, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of this Iterable and the inner Iterable
+   * with equal keys, as well as the rows of either side without
+   * a match, paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  fullOuterJoin(inner, outerKey, innerKey, resultSelector) {
+    return fullOuterJoin(this.it, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the selected values of the states
+   * that start from the initial state and are advanced with the next
+   * function, for as long as they pass the condition.
+   *
+   * The values are the states themselves unless a selector is provided.
+   * @param {any} initial
+   * @param {!function(state: any, index: number):boolean} condition
+   * @param {!function(state: any, index: number):any} next
+   * @param {function(state: any, index: number):any} selector
+   * @throws {BadArgumentError}
+   * throws error if the given condition is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given next is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static generate(initial, condition, next, selector) {
+    return generate(initial, condition, next, selector);
+  }
+
+  /**
+   * Groups the yields of the source Iterable by the key returned by
+   * the key selector, iterating the source Iterable once.
+   *
+   * Yields an object with the key and an Iterable of the group's
+   * values for each distinct key, in the order the keys were first seen.
+   * The values can be transformed by an element selector, while the
+   * yielded group can be transformed by a result selector.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} elementSelector
+   * @param {function(key: any, values: Iterable):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given element selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static groupBy(it, keySelector, elementSelector, resultSelector) {
+    return groupBy(it, keySelector, elementSelector, resultSelector);
+  }
+
+  /**
+   * Groups the yields of this Iterable by the key returned by
+   * the key selector, iterating this Iterable once.
+   *
+   * Yields an object with the key and an Iterable of the group's
+   * values for each distinct key, in the order the keys were first seen.
+   * The values can be transformed by an element selector, while the
+   * yielded group can be transformed by a result selector.
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} elementSelector
+   * @param {function(key: any, values: Iterable):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given element selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  groupBy(keySelector, elementSelector, resultSelector) {
+    return groupBy(this.it, keySelector, elementSelector, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for each row of the source Iterable and an Iterable of the rows
+   * of the inner Iterable with an equal key, which is empty if
+   * there are none.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} outer
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: Iterable):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static groupJoin(outer, inner, outerKey, innerKey, resultSelector) {
+    return groupJoin(outer, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for each row of this Iterable and an Iterable of the rows
+   * of the inner Iterable with an equal key, which is empty if
+   * there are none.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: Iterable):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  groupJoin(inner, outerKey, innerKey, resultSelector) {
+    return groupJoin(this.it, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the bins of the values of
+   * the source Iterable, as objects with the start, the end and the count of the bin.
+   *
+   * The bins are either the given amount of bins of equal width from the
+   * lowest to the highest value, or the bins between the given Array
+   * of ascending boundaries. Each bin includes its start, and the last
+   * one also includes its end. The values outside of the bins are left out,
+   * and so are the values that are not finite numbers (e.g. NaN).
+   *
+   * If there are no finite values, nothing is yielded for an amount of bins,
+   * and if all of them are the same, a single bin that holds all of them is yielded.
+   * @param {!Iterable} it
+   * @param {!(number|Array)} bins
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given bins is not a positive integer or an Array of ascending numbers
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static histogram(it, bins, selector) {
+    return histogram(it, bins, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the bins of the values of
+   * this Iterable, as objects with the start, the end and the count of the bin.
+   *
+   * The bins are either the given amount of bins of equal width from the
+   * lowest to the highest value, or the bins between the given Array
+   * of ascending boundaries. Each bin includes its start, and the last
+   * one also includes its end. The values outside of the bins are left out,
+   * and so are the values that are not finite numbers (e.g. NaN).
+   *
+   * If there are no finite values, nothing is yielded for an amount of bins,
+   * and if all of them are the same, a single bin that holds all of them is yielded.
+   * @param {!(number|Array)} bins
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given bins is not a positive integer or an Array of ascending numbers
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  histogram(bins, selector) {
+    return histogram(this.it, bins, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the items of the then source
+   * if the condition is true, or the items of the else source otherwise.
+   *
+   * The condition is checked each time the Iterable is iterated,
+   * and the else source is empty if not provided.
+   * @param {!function():boolean} condition
+   * @param {!Iterable} thenSource
+   * @param {Iterable} elseSource
+   * @throws {BadArgumentError}
+   * throws error if the given condition is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given then source doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given else source doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static if(condition, thenSource, elseSource) {
+    return ifElse(condition, thenSource, elseSource);
+  }
+
   /**
    * Returns an Iterable that ignores the source Iterable's yields;
    * @param {!Iterable} it
@@ -781,28 +1633,48 @@ export default class Iterable {
   /**
    * Returns an Iterable that yields the mutual items of the source Iterable
    * and the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} it
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static innerJoin(it, other) {
-    return innerJoin(it, other);
+  static innerJoin(it, other, keySelector, comparer) {
+    return innerJoin(it, other, keySelector, comparer);
   }
 
   /**
    * Returns an Iterable that yields the mutual items of this Iterable
    * and the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  innerJoin(other) {
-    return innerJoin(this.it, other);
+  innerJoin(other, keySelector, comparer) {
+    return innerJoin(this.it, other, keySelector, comparer);
   }
 
   /**
@@ -835,28 +1707,72 @@ export default class Iterable {
   /**
    * Returns an Iterable that yields the items of the source Iterable
    * that exists in the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct mutual items are yielded,
+   * while in the "bag" mode, each mutual item is yielded as many times
+   * as it occurs in both. Without any options, or with a comparer given
+   * in place of them, the matching items are yielded with their duplicates.
    * @param {!Iterable} it
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object|function(a: any, b: any):boolean} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object, a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static intersect(it, other) {
-    return intersect(it, other);
+  static intersect(it, other, keySelector, options) {
+    return intersect(it, other, keySelector, options);
   }
 
   /**
    * Returns an Iterable that yields the items of the source Iterable
    * that exists in the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct mutual items are yielded,
+   * while in the "bag" mode, each mutual item is yielded as many times
+   * as it occurs in both. Without any options, or with a comparer given
+   * in place of them, the matching items are yielded with their duplicates.
    * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object|function(a: any, b: any):boolean} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
    * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object, a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  intersect(other) {
-    return intersect(this.it, other);
+  intersect(other, keySelector, options) {
+    return intersect(this.it, other, keySelector, options);
   }
 
   /**
@@ -908,544 +1824,2174 @@ export default class Iterable {
   }
 
   /**
-   * Returns an Iterable that yields a single value.
-   * @param {any} value
+   * Returns an infinite Iterable that yields the seed, then the results
+   * of applying the next function to the previously yielded value.
+   * @param {any} seed
+   * @param {!function(value: any, index: number):any} next
+   * @throws {BadArgumentError}
+   * throws error if the given next is not a function
    * @returns {Iterable}
    */
-  static just(value) {
-    return just(value);
+  static iterate(seed, next) {
+    return iterate(seed, next);
   }
 
   /**
-   * Returns an Iterable that yields the last value of the source
-   * Iterable that satisfy a predicate(optional).
-   * @param {!Iterable} it
-   * @param {function(item: any):boolean} predicate
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of the source Iterable and the inner Iterable
+   * with equal keys, in the order of the source Iterable.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} outer
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
    * @returns {Iterable}
    */
-  static last(it, predicate) {
-    return last(it, predicate);
+  static join(outer, inner, outerKey, innerKey, resultSelector) {
+    return join(outer, inner, outerKey, innerKey, resultSelector);
   }
 
   /**
-   * Returns an Iterable that yields the last value of the source
-   * Iterable that satisfy a predicate(optional).
-   * @param {function(item: any):boolean} predicate
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of this Iterable and the inner Iterable
+   * with equal keys, in the order of this Iterable.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
    * @returns {Iterable}
    */
-  last(predicate) {
-    return last(this.it, predicate);
+  join(inner, outerKey, innerKey, resultSelector) {
+    return join(this.it, inner, outerKey, innerKey, resultSelector);
   }
 
   /**
-   * Returns an Iterable that yields theitems of the source Iterable
-   * and the items of the other Iterable that are in the source Iterable.
-   * @param {!Iterable} it
-   * @param {!Iterable} other
-   * @throws {BadArgumentError}
-   * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @throws {BadArgumentError}
-   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * Returns an Iterable that yields a single value.
+   * @param {any} value
    * @returns {Iterable}
    */
-  static leftJoin(it, other) {
-    return leftJoin(it, other);
+  static just(value) {
+    return just(value);
   }
 
   /**
-   * Returns an Iterable that yields theitems of the source Iterable
-   * and the items of the other Iterable that are in this Iterable.
-   * @param {!Iterable} other
+   * Returns an Iterable that yields the keys of the given object.
+   *
+   * By default, only the own enumerable string keys of the object are used.
+   * The options are:
+   * - inherited: also use the enumerable keys of the prototype chain.
+   * - symbols: also use the enumerable symbol keys.
+   *
+   * The object is read as the Iterable is iterated. Maps and Sets
+   * yield their own keys, and the options are ignored for them.
+   * @param {!Object} obj
+   * @param {{inherited: boolean, symbols: boolean}} options
    * @throws {BadArgumentError}
-   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * throws error if the given object is not an Object
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
    * @returns {Iterable}
    */
-  leftJoin(other) {
-    return leftJoin(this.it, other);
+  static keys(obj, options) {
+    return keys(obj, options);
   }
 
   /**
-   * Applies a mapping function to each yielded value of the source
-   * Iterable.
+   * Returns an Iterable that yields the last value of the source
+   * Iterable that satisfy a predicate(optional).
    * @param {!Iterable} it
-   * @param {!function(item: any):any} fn
+   * @param {function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given mapper is not a function
+   * throws error if the given predicate is not a function or undefined
    * @returns {Iterable}
    */
-  static map(it, fn) {
-    return map(it, fn);
+  static last(it, predicate) {
+    return last(it, predicate);
   }
 
   /**
-   * Applies a mapping function to each yielded value of this
-   * Iterable.
-   * @param {!function(item: any):any} fn
+   * Returns an Iterable that yields the last value of the source
+   * Iterable that satisfy a predicate(optional).
+   * @param {function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the given predicate is not a function or undefined
    * @returns {Iterable}
    */
-  map(fn) {
-    return map(this.it, fn);
+  last(predicate) {
+    return last(this.it, predicate);
   }
 
   /**
-   * Returns an Iterable that yields the maximum value of
-   * the source Iterable's yields.
+   * Returns an Iterable that yields the items of the source Iterable
+   * in sorted order, sorting each item as it is pulled.
+   *
+   * The items are arranged into a heap once, so that pulling k items
+   * from n costs O(n + k log n) instead of sorting the whole sequence.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
    * @param {!Iterable} it
+   * @param {function(a: any, b: any):number} comparator
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
    * @returns {Iterable}
    */
-  static max(it) {
-    return max(it);
+  static lazySort(it, comparator) {
+    return lazySort(it, comparator);
   }
 
   /**
-   * Returns an Iterable that yields the maximum value of
-   * this Iterable's yields.
+   * Returns an Iterable that yields the items of this Iterable
+   * in sorted order, sorting each item as it is pulled.
+   *
+   * The items are arranged into a heap once, so that pulling k items
+   * from n costs O(n + k log n) instead of sorting the whole sequence.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
+   * @param {function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
    * @returns {Iterable}
    */
-  max() {
-    return max(this.it);
+  lazySort(comparator) {
+    return lazySort(this.it, comparator);
   }
 
   /**
-   * Returns an Iterable that yields the minimum value of
-   * the source Iterable's yields.
+   * Returns an Iterable that yields theitems of the source Iterable
+   * and the items of the other Iterable that are in the source Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
    * @param {!Iterable} it
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static min(it) {
-    return min(it);
+  static leftJoin(it, other, keySelector, comparer) {
+    return leftJoin(it, other, keySelector, comparer);
   }
 
   /**
-   * Returns an Iterable that yields the minimum value of
-   * this Iterable's yields.
+   * Returns an Iterable that yields theitems of the source Iterable
+   * and the items of the other Iterable that are in this Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  min() {
-    return min(this.it);
+  leftJoin(other, keySelector, comparer) {
+    return leftJoin(this.it, other, keySelector, comparer);
   }
 
   /**
-   * Attaches a callback to a source Iterable that is
-   * executed when the Iterable finishes the iteration
-   * process.
-   * @param {!Iterable} it
-   * @param {!function} fn
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of the source Iterable and the inner Iterable
+   * with equal keys, while the rows of the source Iterable without
+   * a match are paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} outer
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given action is not a function
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
    * @returns {Iterable}
    */
-  static onDone(it, fn) {
-    return onDone(it, fn);
+  static leftOuterJoin(outer, inner, outerKey, innerKey, resultSelector) {
+    return leftOuterJoin(outer, inner, outerKey, innerKey, resultSelector);
   }
 
   /**
-   * Attaches a callback to this Iterable that is
-   * executed when this Iterable finishes the iteration
-   * process.
-   * @param {!function} fn
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of this Iterable and the inner Iterable
+   * with equal keys, while the rows of this Iterable without
+   * a match are paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The inner Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
    * @throws {BadArgumentError}
-   * throws error if the given action is not a function
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
    * @returns {Iterable}
    */
-  onDone(fn) {
-    return onDone(this.it, fn);
+  leftOuterJoin(inner, outerKey, innerKey, resultSelector) {
+    return leftOuterJoin(this.it, inner, outerKey, innerKey, resultSelector);
   }
 
   /**
-   * Attaches a callback to a source Iterable that is
-   * executed when the Iterable finishes the iteration
-   * process.
+   * Applies a mapping function to each yielded value of the source
+   * Iterable.
    * @param {!Iterable} it
-   * @param {!function} fn
+   * @param {!function(item: any, index: number):any} fn
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given action is not a function
+   * throws error if the given mapper is not a function
    * @returns {Iterable}
    */
-  static onStart(it, fn) {
-    return onStart(it, fn);
+  static map(it, fn) {
+    return map(it, fn);
   }
 
   /**
-   * Attaches a callback to this Iterable that is
-   * executed when this Iterable finishes the iteration
-   * process.
-   * @param {!function} fn
+   * Applies a mapping function to each yielded value of this
+   * Iterable.
+   * @param {!function(item: any, index: number):any} fn
    * @throws {BadArgumentError}
-   * throws error if the given action is not a function
+   * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  onStart(fn) {
-    return onStart(this.it, fn);
+  map(fn) {
+    return map(this.it, fn);
   }
 
   /**
-   * Attaches a callback to a source Iterable that is
-   * executed whenever the source Iterable yields
-   * a value.
+   * Returns an Iterable that yields the maximum value of
+   * the source Iterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
    * @param {!Iterable} it
-   * @param {!function(item: any)} fn
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given consumer is not a function
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  static onYield(it, fn) {
-    return onYield(it, fn);
+  static max(it, comparer) {
+    return max(it, comparer);
   }
 
   /**
-   * Attaches a callback to this Iterable that is
-   * executed whenever this Iterable yields
-   * a value.
-   * @param {!function(item: any)} fn
+   * Returns an Iterable that yields the maximum value of
+   * this Iterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
-   * throws error if the given consumer is not a function
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  onYield(fn) {
-    return onYield(this.it, fn);
+  max(comparer) {
+    return max(this.it, comparer);
   }
 
   /**
-   * Returns an Iterable that yields the non-mutual items of the source Iterable
-   * and the other Iterable.
+   * Returns an Iterable that yields the item of the source Iterable
+   * with the greatest key, or nothing if it is empty.
+   *
+   * Keys are compared with the relational operators unless a comparer
+   * is given. Among items with equal keys, the first one is yielded,
+   * unless all is set, in which case an Array of all of them is yielded.
+   * @example
+   * Iterable.maxBy(records, x => x.timestamp).toValue(); // the latest record
    * @param {!Iterable} it
-   * @param {!Iterable} other
+   * @param {!Function} keySelector
+   * a function that receives the item and its index and returns the key
+   * @param {?Object} options
+   * @param {?Function} options.comparer
+   * a function that receives two keys and returns a negative number, zero
+   * or a positive number
+   * @param {?boolean} options.all
+   * whether to yield an Array of all the items with the greatest key
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * throws error if the given keySelector or comparer is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
    * @returns {Iterable}
    */
-  static outerJoin(it, other) {
-    return outerJoin(it, other);
+  static maxBy(it, keySelector, options) {
+    return maxBy(it, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that yields the non-mutual items of this Iterable
-   * and the other Iterable.
-   * @param {!Iterable} other
+   * Returns an Iterable that yields the item of this Iterable
+   * with the greatest key, or nothing if it is empty.
+   *
+   * Keys are compared with the relational operators unless a comparer
+   * is given. Among items with equal keys, the first one is yielded,
+   * unless all is set, in which case an Array of all of them is yielded.
+   * @param {!Function} keySelector
+   * a function that receives the item and its index and returns the key
+   * @param {?Object} options
+   * @param {?Function} options.comparer
+   * a function that receives two keys and returns a negative number, zero
+   * or a positive number
+   * @param {?boolean} options.all
+   * whether to yield an Array of all the items with the greatest key
    * @throws {BadArgumentError}
-   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * throws error if the given keySelector or comparer is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
    * @returns {Iterable}
    */
-  outerJoin(other) {
-    return outerJoin(this.it, other);
+  maxBy(keySelector, options) {
+    return maxBy(this.it, keySelector, options);
   }
 
   /**
-   * Given a predicate and an Iterable, return a pair of Iterables
-   * which do and do not satisfy the predicate, respectively.
+   * Returns an Iterable that yields the median of the values of the source Iterable,
+   * which is the mean of the two middle values for an even amount of values.
+   *
+   * If the source Iterable is empty, nothing is yielded.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {function(item: any, index: number):number} selector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given consumer is not a function
+   * throws error if the given selector is not a function or undefined
    * @returns {Iterable}
    */
-  static partition(it, predicate) {
-    return partition(it, predicate);
+  static median(it, selector) {
+    return median(it, selector);
   }
 
   /**
-   * Given a predicate and an Iterable, return a pair of Iterables
-   * which do and do not satisfy the predicate, respectively.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields the median of the values of this Iterable,
+   * which is the mean of the two middle values for an even amount of values.
+   *
+   * If this Iterable is empty, nothing is yielded.
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  median(selector) {
+    return median(this.it, selector);
+  }
+
+  /**
+   * Returns an Iterable that keeps the items of the source Iterable
+   * to replay them to the later consumers.
+   *
+   * Every consumer starts from the oldest item that is kept, and the
+   * items are read from a single iterator of the source Iterable that is
+   * shared by all consumers and never restarted.
+   *
+   * The options are:
+   * - maxSize: the amount of the latest items that are kept.
+   * - ttl: the milliseconds an item is kept after it has been read.
+   * - readAhead: the amount of items that are read in advance
+   * each time the consumers run out of items, which defaults to 0.
+   *
+   * The consumers that fall behind the evicted items continue from
+   * the oldest item that is kept. The returned Iterable has a clear
+   * method that drops all the kept items, after which the consumers
+   * continue with the items that are yet to be read.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @param {!Iterable} it
+   * @param {{maxSize: number, ttl: number, readAhead: number}} options
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given consumer is not a function
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if any of the options is not a positive number or undefined
    * @returns {Iterable}
    */
-  partition(predicate) {
-    return partition(this.it, predicate);
+  static memoize(it, options) {
+    return memoize(it, options);
   }
 
   /**
-   * Returns an Iterable that yields a sequence of numbers
-   * within a specified range.
-   * @param {!number} start
-   * @param {!number} end
-   * @param {?number} steps
+   * Returns an Iterable that keeps the items of this Iterable
+   * to replay them to the later consumers.
+   *
+   * Every consumer starts from the oldest item that is kept, and the
+   * items are read from a single iterator of the Iterable that is
+   * shared by all consumers and never restarted.
+   *
+   * The options are:
+   * - maxSize: the amount of the latest items that are kept.
+   * - ttl: the milliseconds an item is kept after it has been read.
+   * - readAhead: the amount of items that are read in advance
+   * each time the consumers run out of items, which defaults to 0.
+   *
+   * The consumers that fall behind the evicted items continue from
+   * the oldest item that is kept. The returned Iterable has a clear
+   * method that drops all the kept items, after which the consumers
+   * continue with the items that are yet to be read.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @param {{maxSize: number, ttl: number, readAhead: number}} options
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if any of the options is not a positive number or undefined
    * @returns {Iterable}
    */
-  static range(start, end, steps) {
-    return range(start, end, steps);
+  memoize(options) {
+    return memoize(this.it, options);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the first item yielded by a source Iterable, then feeds the
-   * result of that function along with the second item yielded by
-   * the source Iterable into the same function, and so on until all
-   * items have been yielded by the finite source Iterable, and yields
-   * the final result from the final call to your function as its sole item.
+   * Returns an Iterable that yields the minimum value of
+   * the source Iterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
    * @param {!Iterable} it
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  static reduce(it, reducer, seed) {
-    return reduce(it, reducer, seed);
+  static min(it, comparer) {
+    return min(it, comparer);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the first item yielded by a source Iterable, then feeds the
-   * result of that function along with the second item yielded by
-   * the source Iterable into the same function, and so on until all
-   * items have been yielded by the finite source Iterable, and yields
-   * the final result from the final call to your function as its sole item.
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * Returns an Iterable that yields the minimum value of
+   * this Iterable's yields, or undefined if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given, so strings and Dates are also supported. Among equal values,
+   * the first one is yielded.
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  reduce(reducer, seed) {
-    return reduce(this.it, reducer, seed);
+  min(comparer) {
+    return min(this.it, comparer);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the last item yielded by a source Iterable, then feeds the
-   * result of that function along with the second last item yielded by
-   * the source Iterable into the same function, and so on until all
-   * items have been yielded by the finite source Iterable, and yields
-   * the final result from the final call to your function as its sole item.
+   * Returns an Iterable that yields the item of the source Iterable
+   * with the least key, or nothing if it is empty.
+   *
+   * Keys are compared with the relational operators unless a comparer
+   * is given. Among items with equal keys, the first one is yielded,
+   * unless all is set, in which case an Array of all of them is yielded.
+   * @example
+   * Iterable.minBy(records, x => x.timestamp).toValue(); // the earliest record
    * @param {!Iterable} it
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * @param {!Function} keySelector
+   * a function that receives the item and its index and returns the key
+   * @param {?Object} options
+   * @param {?Function} options.comparer
+   * a function that receives two keys and returns a negative number, zero
+   * or a positive number
+   * @param {?boolean} options.all
+   * whether to yield an Array of all the items with the least key
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given keySelector or comparer is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
    * @returns {Iterable}
    */
-  static reduceRight(it, reducer, seed) {
-    return reduceRight(it, reducer, seed);
+  static minBy(it, keySelector, options) {
+    return minBy(it, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the last item yielded by a source Iterable, then feeds the
-   * result of that function along with the second last item yielded by
-   * the source Iterable into the same function, and so on until all
-   * items have been yielded by the finite source Iterable, and yields
-   * the final result from the final call to your function as its sole item.
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * Returns an Iterable that yields the item of this Iterable
+   * with the least key, or nothing if it is empty.
+   *
+   * Keys are compared with the relational operators unless a comparer
+   * is given. Among items with equal keys, the first one is yielded,
+   * unless all is set, in which case an Array of all of them is yielded.
+   * @param {!Function} keySelector
+   * a function that receives the item and its index and returns the key
+   * @param {?Object} options
+   * @param {?Function} options.comparer
+   * a function that receives two keys and returns a negative number, zero
+   * or a positive number
+   * @param {?boolean} options.all
+   * whether to yield an Array of all the items with the least key
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given keySelector or comparer is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object
    * @returns {Iterable}
    */
-  reduceRight(reducer, seed) {
-    return reduceRight(this.it, reducer, seed);
+  minBy(keySelector, options) {
+    return minBy(this.it, keySelector, options);
   }
 
   /**
-   * Repeats the yielded values of a source Iterable by a certain
-   * amount.
+   * Returns an Iterable that yields both the minimum and the maximum
+   * value of the source Iterable as { min, max }, read in a single pass,
+   * or nothing if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given. Among equal values, the first one is kept.
    * @param {!Iterable} it
-   * @param {!number} amount
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  static repeat(it, amount) {
-    return repeat(it, amount);
+  static minMax(it, comparer) {
+    return minMax(it, comparer);
   }
 
   /**
-   * Repeats the yielded values of this Iterable by a certain
-   * amount.
-   * @param {!number} amount
+   * Returns an Iterable that yields both the minimum and the maximum
+   * value of this Iterable as { min, max }, read in a single pass,
+   * or nothing if it is empty.
+   *
+   * Values are compared with the relational operators unless a comparer
+   * is given. Among equal values, the first one is kept.
+   * @param {?Function} comparer
+   * a function that receives two values and returns a negative number, zero
+   * or a positive number
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given comparer is not a function
    * @returns {Iterable}
    */
-  repeat(amount) {
-    return repeat(this.it, amount);
+  minMax(comparer) {
+    return minMax(this.it, comparer);
   }
 
   /**
-   * Returns an Iterable that replaces the value at the
-   * given index of the source Iterable with the given value.
+   * Returns an Iterable that yields the most frequent value of the source Iterable.
+   * Among the values that are as frequent, the one that occurs first is yielded.
+   *
+   * If the source Iterable is empty, nothing is yielded.
    * @param {!Iterable} it
-   * @param {!number} index
-   * @param {any} value
+   * @param {function(item: any, index: number):any} selector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given index is not a number.
+   * throws error if the given selector is not a function or undefined
    * @returns {Iterable}
    */
-  static replace(it, index, value) {
-    return replace(it, index, value);
+  static mode(it, selector) {
+    return mode(it, selector);
   }
 
   /**
-   * Returns an Iterable that replaces the value at the
-   * given index of this Iterable with the given value.
-   * @param {!number} index
-   * @param {any} value
-   * @throws {BadArgumentError}
-   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * Returns an Iterable that yields the most frequent value of this Iterable.
+   * Among the values that are as frequent, the one that occurs first is yielded.
+   *
+   * If this Iterable is empty, nothing is yielded.
+   * @param {function(item: any, index: number):any} selector
    * @throws {BadArgumentError}
-   * throws error if the given index is not a number.
+   * throws error if the given selector is not a function or undefined
    * @returns {Iterable}
    */
-  replace(index, value) {
-    return replace(this.it, index, value);
+  mode(selector) {
+    return mode(this.it, selector);
   }
 
   /**
-   * Reverses the yield sequence of the source Iterable
+   * Attaches a callback to a source Iterable that is
+   * executed when the Iterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!Iterable} it
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {Iterable}
+   */
+  static onDone(it, fn) {
+    return onDone(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this Iterable that is
+   * executed when this Iterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {Iterable}
+   */
+  onDone(fn) {
+    return onDone(this.it, fn);
+  }
+
+  /**
+   * Attaches a callback to a source Iterable that is
+   * executed when the Iterable throws an error during
+   * the iteration process. The error is rethrown after
+   * the callback is executed.
+   * @param {!Iterable} it
+   * @param {!function(error: Error)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  static onError(it, fn) {
+    return onError(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this Iterable that is
+   * executed when this Iterable throws an error during
+   * the iteration process. The error is rethrown after
+   * the callback is executed.
+   * @param {!function(error: Error)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  onError(fn) {
+    return onError(this.it, fn);
+  }
+
+  /**
+   * Concatenates the given set of Iterables into a single Iterable,
+   * continuing with the next Iterable whenever an Iterable throws
+   * an error during the iteration process.
+   * @param  {...Iterable} its
+   * @throws {BadArgumentError}
+   * throws error if one of the given Iterables doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static onErrorResumeNext(...its) {
+    return onErrorResumeNext(...its);
+  }
+
+  /**
+   * Concatenates the given Iterables to this Iterable,
+   * continuing with the next Iterable whenever an Iterable throws
+   * an error during the iteration process.
+   * @param  {...Iterable} its
+   * @throws {BadArgumentError}
+   * throws error if one of the given Iterables doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  onErrorResumeNext(...its) {
+    return onErrorResumeNext(this.it, ...its);
+  }
+
+  /**
+   * Attaches a callback to a source Iterable that is
+   * executed when the Iterable finishes the iteration
+   * process, either by completing or by being closed
+   * early by the consumer (e.g. a break in a for-of loop).
+   *
+   * The callback receives an object whose aborted field
+   * tells if the iteration was closed early.
+   * @param {!Iterable} it
+   * @param {!function(state: {aborted: boolean})} fn
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {Iterable}
+   */
+  static onStart(it, fn) {
+    return onStart(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this Iterable that is
+   * executed when this Iterable finishes the iteration
+   * process.
+   * @param {!function} fn
+   * @throws {BadArgumentError}
+   * throws error if the given action is not a function
+   * @returns {Iterable}
+   */
+  onStart(fn) {
+    return onStart(this.it, fn);
+  }
+
+  /**
+   * Attaches a callback to a source Iterable that is
+   * executed whenever the source Iterable yields
+   * a value.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  static onYield(it, fn) {
+    return onYield(it, fn);
+  }
+
+  /**
+   * Attaches a callback to this Iterable that is
+   * executed whenever this Iterable yields
+   * a value.
+   * @param {!function(item: any, index: number)} fn
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  onYield(fn) {
+    return onYield(this.it, fn);
+  }
+
+  /**
+   * Returns an OrderedIterable that yields the items of the source
+   * Iterable sorted by the keys returned by the key selector, which
+   * defaults to the item itself.
+   *
+   * The sort is stable, and is deferred until the iteration. Items with
+   * equal keys can be sorted further with thenBy and thenByDescending.
+   *
+   * The options may be the direction itself, either "asc" (default)
+   * or "desc", or an object with the following fields:
+   * - direction: either "asc" (default) or "desc".
+   * - nulls: either "first" or "last" (default), placing the null
+   *   and undefined keys regardless of the direction.
+   * - locale, localeOptions: compares the string keys with an
+   *   Intl.Collator created with the given locale and options.
+   * - comparer: a function which compares two keys, returning
+   *   a negative number, zero or a positive number.
+   *
+   * Keys are otherwise compared with the relational operators.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given direction is neither "asc" nor "desc"
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  static orderBy(it, keySelector, options) {
+    return orderBy(it, keySelector, options);
+  }
+
+  /**
+   * Returns an OrderedIterable that yields the items of this
+   * Iterable sorted by the keys returned by the key selector, which
+   * defaults to the item itself.
+   *
+   * The sort is stable, and is deferred until the iteration. Items with
+   * equal keys can be sorted further with thenBy and thenByDescending.
+   *
+   * The options may be the direction itself, either "asc" (default)
+   * or "desc", or an object with the following fields:
+   * - direction: either "asc" (default) or "desc".
+   * - nulls: either "first" or "last" (default), placing the null
+   *   and undefined keys regardless of the direction.
+   * - locale, localeOptions: compares the string keys with an
+   *   Intl.Collator created with the given locale and options.
+   * - comparer: a function which compares two keys, returning
+   *   a negative number, zero or a positive number.
+   *
+   * Keys are otherwise compared with the relational operators.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given direction is neither "asc" nor "desc"
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  orderBy(keySelector, options) {
+    return orderBy(this.it, keySelector, options);
+  }
+
+  /**
+   * Returns an Iterable that yields the non-mutual items of the source Iterable
+   * and the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!Iterable} it
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {Iterable}
+   */
+  static outerJoin(it, other, keySelector, comparer) {
+    return outerJoin(it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an Iterable that yields the non-mutual items of this Iterable
+   * and the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer if one is given.
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(a: any, b: any):boolean} comparer
+   * @throws {BadArgumentError}
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {Iterable}
+   */
+  outerJoin(other, keySelector, comparer) {
+    return outerJoin(this.it, other, keySelector, comparer);
+  }
+
+  /**
+   * Returns an Iterable that yields each item of the source Iterable
+   * paired with the previous item, as an Array.
+   * @param {!Iterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static pairwise(it) {
+    return pairwise(it);
+  }
+
+  /**
+   * Returns an Iterable that yields each item of this Iterable
+   * paired with the previous item, as an Array.
+   * @returns {Iterable}
+   */
+  pairwise() {
+    return pairwise(this.it);
+  }
+
+  /**
+   * Given a predicate and an Iterable, return a pair of Iterables
+   * which do and do not satisfy the predicate, respectively.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  static partition(it, predicate) {
+    return partition(it, predicate);
+  }
+
+  /**
+   * Given a predicate and an Iterable, return a pair of Iterables
+   * which do and do not satisfy the predicate, respectively.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given consumer is not a function
+   * @returns {Iterable}
+   */
+  partition(predicate) {
+    return partition(this.it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields the given percentile of the values
+   * of the source Iterable, interpolated linearly between the closest ranks.
+   *
+   * If the source Iterable is empty, nothing is yielded.
+   * @param {!Iterable} it
+   * @param {!number} p
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given p is not a number from 0 to 100
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static percentile(it, p, selector) {
+    return percentile(it, p, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the given percentile of the values
+   * of this Iterable, interpolated linearly between the closest ranks.
+   *
+   * If this Iterable is empty, nothing is yielded.
+   * @param {!number} p
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given p is not a number from 0 to 100
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  percentile(p, selector) {
+    return percentile(this.it, p, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the product of the values of the source Iterable.
+   *
+   * If the source Iterable is empty, 1 is yielded.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static product(it, selector) {
+    return product(it, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the product of the values of this Iterable.
+   *
+   * If this Iterable is empty, 1 is yielded.
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  product(selector) {
+    return product(this.it, selector);
+  }
+
+  /**
+   * Returns an Iterable that reads the source Iterable only once
+   * for all of its consumers.
+   *
+   * Each consumer gets its own cursor, starting from the items that
+   * are read after its iterator is created, so consumers that run side by side
+   * all receive the same items. Only the items that the slowest
+   * active consumer is yet to receive are kept.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @param {!Iterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static publish(it) {
+    return publish(it);
+  }
+
+  /**
+   * Returns an Iterable that reads this Iterable only once
+   * for all of its consumers.
+   *
+   * Each consumer gets its own cursor, starting from the items that
+   * are read after its iterator is created, so consumers that run side by side
+   * all receive the same items. Only the items that the slowest
+   * active consumer is yet to receive are kept.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @returns {Iterable}
+   */
+  publish() {
+    return publish(this.it);
+  }
+
+  /**
+   * Returns an Iterable that yields the cut points that divide the values
+   * of the source Iterable into the given amount of groups, which defaults to 4.
+   * The cut points are interpolated like the percentiles.
+   *
+   * If the source Iterable is empty, nothing is yielded.
+   * @param {!Iterable} it
+   * @param {number} amount
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive integer or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static quantiles(it, amount, selector) {
+    return quantiles(it, amount, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields the cut points that divide the values
+   * of this Iterable into the given amount of groups, which defaults to 4.
+   * The cut points are interpolated like the percentiles.
+   *
+   * If this Iterable is empty, nothing is yielded.
+   * @param {number} amount
+   * @param {function(item: any, index: number):number} selector
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive integer or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  quantiles(amount, selector) {
+    return quantiles(this.it, amount, selector);
+  }
+
+  /**
+   * Returns an Iterable that yields a sequence of numbers
+   * within a specified range.
+   * @param {!number} start
+   * @param {!number} end
+   * @param {?number} steps
+   * @returns {Iterable}
+   */
+  static range(start, end, steps) {
+    return range(start, end, steps);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the first item yielded by a source Iterable, then feeds the
+   * result of that function along with the second item yielded by
+   * the source Iterable into the same function, and so on until all
+   * items have been yielded by the finite source Iterable, and yields
+   * the final result from the final call to your function as its sole item.
+   * @param {!Iterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  static reduce(it, reducer, seed) {
+    return reduce(it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the first item yielded by a source Iterable, then feeds the
+   * result of that function along with the second item yielded by
+   * the source Iterable into the same function, and so on until all
+   * items have been yielded by the finite source Iterable, and yields
+   * the final result from the final call to your function as its sole item.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  reduce(reducer, seed) {
+    return reduce(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the last item yielded by a source Iterable, then feeds the
+   * result of that function along with the second last item yielded by
+   * the source Iterable into the same function, and so on until all
+   * items have been yielded by the finite source Iterable, and yields
+   * the final result from the final call to your function as its sole item.
+   *
+   * The index given to the reducer is the position of the item
+   * in the source Iterable.
+   * @param {!Iterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  static reduceRight(it, reducer, seed) {
+    return reduceRight(it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the last item yielded by a source Iterable, then feeds the
+   * result of that function along with the second last item yielded by
+   * the source Iterable into the same function, and so on until all
+   * items have been yielded by the finite source Iterable, and yields
+   * the final result from the final call to your function as its sole item.
+   *
+   * The index given to the reducer is the position of the item
+   * in this Iterable.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  reduceRight(reducer, seed) {
+    return reduceRight(this.it, reducer, seed);
+  }
+
+  /**
+   * Repeats the yielded values of a source Iterable by a certain
+   * amount.
+   * @param {!Iterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  static repeat(it, amount) {
+    return repeat(it, amount);
+  }
+
+  /**
+   * Repeats the yielded values of this Iterable by a certain
+   * amount.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  repeat(amount) {
+    return repeat(this.it, amount);
+  }
+
+  /**
+   * Returns an Iterable that yields the given value by a certain amount,
+   * or indefinitely if the amount is not provided.
+   * @param {any} value
+   * @param {number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number or undefined
+   * @returns {Iterable}
+   */
+  static repeatValue(value, amount) {
+    return repeatValue(value, amount);
+  }
+
+  /**
+   * Returns an Iterable that replaces the value at the
+   * given index of the source Iterable with the given value.
+   * @param {!Iterable} it
+   * @param {!number} index
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {Iterable}
+   */
+  static replace(it, index, value) {
+    return replace(it, index, value);
+  }
+
+  /**
+   * Returns an Iterable that replaces the value at the
+   * given index of this Iterable with the given value.
+   * @param {!number} index
+   * @param {any} value
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given index is not a number.
+   * @returns {Iterable}
+   */
+  replace(index, value) {
+    return replace(this.it, index, value);
+  }
+
+  /**
+   * Re-iterates the source Iterable whenever it throws an error,
+   * up to the given amount of retries. Items that are yielded before
+   * the error are yielded again on the next attempt.
+   *
+   * If no amount is provided, the source Iterable is retried
+   * until it completes.
+   * @param {!Iterable} it
+   * @param {number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number or undefined
+   * @returns {Iterable}
+   */
+  static retry(it, amount) {
+    return retry(it, amount);
+  }
+
+  /**
+   * Re-iterates this Iterable whenever it throws an error,
+   * up to the given amount of retries. Items that are yielded before
+   * the error are yielded again on the next attempt.
+   *
+   * If no amount is provided, this Iterable is retried
+   * until it completes.
+   * @param {number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number or undefined
+   * @returns {Iterable}
+   */
+  retry(amount) {
+    return retry(this.it, amount);
+  }
+
+  /**
+   * Reverses the yield sequence of the source Iterable
+   * @param {!Iterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static reverse(it) {
+    return reverse(it);
+  }
+
+  /**
+   * Reverses the yield sequence of this Iterable
+   * @returns {Iterable}
+   */
+  reverse() {
+    return reverse(this.it);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of the source Iterable and the inner Iterable
+   * with equal keys, in the order of the inner Iterable, while the
+   * rows of the inner Iterable without a match are paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. The source Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} outer
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  static rightOuterJoin(outer, inner, outerKey, innerKey, resultSelector) {
+    return rightOuterJoin(outer, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that yields the result selector's value
+   * for every pair of rows of this Iterable and the inner Iterable
+   * with equal keys, in the order of the inner Iterable, while the
+   * rows of the inner Iterable without a match are paired with undefined.
+   *
+   * The result selector defaults to yielding the pair as an array.
+   *
+   * Rows are matched by the keys returned by the key selectors,
+   * with SameValueZero equality. This Iterable is read
+   * in full before the first yield.
+   * @param {!Iterable} inner
+   * @param {!function(item: any, index: number):any} outerKey
+   * @param {!function(item: any, index: number):any} innerKey
+   * @param {function(outer: any, inner: any):any} resultSelector
+   * @throws {BadArgumentError}
+   * throws error if the inner Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given outer key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given inner key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given result selector is not a function or undefined
+   * @returns {Iterable}
+   */
+  rightOuterJoin(inner, outerKey, innerKey, resultSelector) {
+    return rightOuterJoin(this.it, inner, outerKey, innerKey, resultSelector);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the first item yielded by a source Iterable, then feeds the result
+   * of that function along with the second item yielded by the source
+   * Iterable into the same function, and so on until all items have been
+   * yielded by the source Iterable, yielding the result of each of these iterations.
+   * @param {!Iterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  static scan(it, reducer, seed) {
+    return scan(it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the first item yielded by a source Iterable, then feeds the result
+   * of that function along with the second item yielded by the source
+   * Iterable into the same function, and so on until all items have been
+   * yielded by the source Iterable, yielding the result of each of these iterations.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  scan(reducer, seed) {
+    return scan(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the last item yielded by a source Iterable, then feeds the result
+   * of that function along with the second last item yielded by the source
+   * Iterable into the same function, and so on until all items have been
+   * yielded by the source Iterable, yielding the result of each of these iterations.
+   *
+   * The index given to the reducer is the position of the item
+   * in the source Iterable.
+   * @param {!Iterable} it
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  static scanRight(it, reducer, seed) {
+    return scanRight(it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that applies a specified accumulator function
+   * to the last item yielded by a source Iterable, then feeds the result
+   * of that function along with the second last item yielded by the source
+   * Iterable into the same function, and so on until all items have been
+   * yielded by the source Iterable, yielding the result of each of these iterations.
+   *
+   * The index given to the reducer is the position of the item
+   * in this Iterable.
+   * @param {!function(acc: any, item: any, index: number):any} reducer
+   * @param {any} seed
+   * @throws {BadArgumentError}
+   * throws error if the given reducer is not a function
+   * @returns {Iterable}
+   */
+  scanRight(reducer, seed) {
+    return scanRight(this.it, reducer, seed);
+  }
+
+  /**
+   * Returns an Iterable that shares a single iterator of the source Iterable
+   * among all of its consumers.
+   *
+   * Each item is only yielded to the consumer that reads it,
+   * and the consumers that start later continue from where
+   * the previous ones have stopped.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @param {!Iterable} it
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static share(it) {
+    return share(it);
+  }
+
+  /**
+   * Returns an Iterable that shares a single iterator of this Iterable
+   * among all of its consumers.
+   *
+   * Each item is only yielded to the consumer that reads it,
+   * and the consumers that start later continue from where
+   * the previous ones have stopped.
+   *
+   * When a consumer stops early, the shared iterator of the source is
+   * kept open for the later consumers instead of being closed, so it is
+   * only settled once a consumer reads it to the end.
+   * @returns {Iterable}
+   */
+  share() {
+    return share(this.it);
+  }
+
+  /**
+   * Returns the only item of the source Iterable that passes the predicate.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @throws {BadSequenceError}
+   * throws error if no item or more than one item passes the predicate
+   * @returns {any}
+   */
+  static single(it, predicate) {
+    return single(it, predicate);
+  }
+
+  /**
+   * Returns the only item of this Iterable that passes the predicate.
+   * @param {function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @throws {BadSequenceError}
+   * throws error if no item or more than one item passes the predicate
+   * @returns {any}
+   */
+  single(predicate) {
+    return single(this.it, predicate);
+  }
+
+  /**
+   * Returns the only item of the source Iterable that passes the predicate,
+   * or the default value if there is none.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):boolean} predicate
+   * @param {any} defaultValue
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @throws {BadSequenceError}
+   * throws error if more than one item passes the predicate
+   * @returns {any}
+   */
+  static singleOrDefault(it, predicate, defaultValue) {
+    return singleOrDefault(it, predicate, defaultValue);
+  }
+
+  /**
+   * Returns the only item of this Iterable that passes the predicate,
+   * or the default value if there is none.
+   * @param {function(item: any, index: number):boolean} predicate
+   * @param {any} defaultValue
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @throws {BadSequenceError}
+   * throws error if more than one item passes the predicate
+   * @returns {any}
+   */
+  singleOrDefault(predicate, defaultValue) {
+    return singleOrDefault(this.it, predicate, defaultValue);
+  }
+
+  /**
+   * Returns an Iterable that skips the first count items yielded by
+   * the source Iterable and yields the remainder.
+   * @param {!Iterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  static skip(it, amount) {
+    return skip(it, amount);
+  }
+
+  /**
+   * Returns an Iterable that skips the first count items yielded by
+   * the source Iterable and yields the remainder.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  skip(amount) {
+    return skip(this.it, amount);
+  }
+
+  /**
+   * Returns an Iterable that drops a specified number of items
+   * from the end of the sequence yielded by the source
+   * Iterable.
+   * @param {!Iterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  static skipLast(it, amount) {
+    return skipLast(it, amount);
+  }
+
+  /**
+   * Returns an Iterable that drops a specified number of items
+   * from the end of the sequence yielded by this Iterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Iterable}
+   */
+  skipLast(amount) {
+    return skipLast(this.it, amount);
+  }
+
+  /**
+   * Returns an Iterable that skips all items yielded by the source
+   * Iterable as long as a specified condition holds false, but yields
+   * all further source items as soon as the condition becomes true.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static skipUntil(it, predicate) {
+    return skipUntil(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that skips all items yielded by the source
+   * Iterable as long as a specified condition holds false, but yields
+   * all further source items as soon as the condition becomes true.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  skipUntil(predicate) {
+    return skipUntil(this.it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that skips all items yielded by the source
+   * Iterable as long as a specified condition holds true, but yields
+   * all further source items as soon as the condition becomes false.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static skipWhile(it, predicate) {
+    return skipWhile(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that skips all items yielded by the source
+   * Iterable as long as a specified condition holds true, but yields
+   * all further source items as soon as the condition becomes false.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  skipWhile(predicate) {
+    return skipWhile(this.it, predicate);
+  }
+
+  /**
+   * Returns a portion of the source Iterable as a new Iterable.
+   * @param {!Iterable} it
+   * @param {!number} start
+   * @param {!number} end
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @returns {Iterable}
+   */
+  static slice(it, start, end) {
+    return slice(it, start, end);
+  }
+
+
+  /**
+   * Returns a portion of this Iterable as a new Iterable.
+   * @param {!number} start
+   * @param {!number} end
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @returns {Iterable}
+   */
+  slice(start, end) {
+    return slice(this.it, start, end);
+  }
+
+  /**
+   * Returns a new sorted Iterable base from the source Iterable.
+   * which returns a signum can be provided.
+   * @param {!Iterable} it
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  static sort(it, comparator) {
+    return sort(it, comparator);
+  }
+
+  /**
+   * Returns a new sorted Iterable base from this Iterable.
+   * A comparator function which returns a signum can be provided.
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  sort(comparator) {
+    return sort(this.it, comparator);
+  }
+
+  /**
+   * Returns an Iterable that yields true if the source Iterable
+   * (with an optional comparator) is sorted.
+   * @param {!Iterable} it
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given iterables is not an array
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  static sorted(it, comparator) {
+    return sorted(it, comparator);
+  }
+
+  /**
+   * Returns an Iterable that yields true if the source Iterable
+   * (with an optional comparator) is sorted.
+   * @param {!function(a: any, b: any):number} comparator
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function or undefined
+   * @returns {Iterable}
+   */
+  sorted(comparator) {
+    return sorted(this.it, comparator);
+  }
+
+  /**
+   * Split an Iterable into a longest prefix such that all
+   * the elements of it do satisfy a given predicate,
+   * and the rest of the Iterable following them.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static spanWith(it, predicate) {
+    return spanWith(it, predicate);
+  }
+
+  /**
+   * Split an Iterable into a longest prefix such that all
+   * the elements of it do satisfy a given predicate,
+   * and the rest of the Iterable following them.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  spanWith(predicate) {
+    return spanWith(this.it, predicate);
+  }
+
+  /**
+   * Given an index, get a two-tuple of Iterable
+   * from the start of the source Iterable,
+   * and the Iterable that follows them.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!Iterable} it
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Array}
+   */
+  static split(it, amount) {
+    return split(it, amount);
+  }
+
+  /**
+   * Given an index, get a two-tuple of Iterable
+   * from the start of this Iterable,
+   * and the Iterable that follows them.
+   *
+   * Both Iterables read the source once through tee, so each of them
+   * can be iterated once, and the source is closed once both have ended.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
+   * @returns {Array}
+   */
+  split(amount) {
+    return split(this.it, amount);
+  }
+
+  /**
+   * Returns an Iterable that yields the segments of the source Iterable
+   * that are separated by the given delimiter, as Arrays.
+   *
+   * If the delimiter is an Array, the segments are separated by
+   * the sequence of its items, otherwise by the delimiter itself.
+   * The items are compared with strict equality, and the delimiters
+   * are not included in the segments.
+   *
+   * Like String.prototype.split, adjacent delimiters produce empty
+   * segments. Each segment is yielded as soon as its delimiter is read.
+   * @param {!Iterable} it
+   * @param {any} delimiter
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given delimiter is an empty Array
+   * @returns {Iterable}
+   */
+  static splitOn(it, delimiter) {
+    return splitOn(it, delimiter);
+  }
+
+  /**
+   * Returns an Iterable that yields the segments of this Iterable
+   * that are separated by the given delimiter, as Arrays.
+   *
+   * If the delimiter is an Array, the segments are separated by
+   * the sequence of its items, otherwise by the delimiter itself.
+   * The items are compared with strict equality, and the delimiters
+   * are not included in the segments.
+   *
+   * Like String.prototype.split, adjacent delimiters produce empty
+   * segments. Each segment is yielded as soon as its delimiter is read.
+   * @param {any} delimiter
+   * @throws {BadArgumentError}
+   * throws error if the given delimiter is an empty Array
+   * @returns {Iterable}
+   */
+  splitOn(delimiter) {
+    return splitOn(this.it, delimiter);
+  }
+
+  /**
+   * Returns an Iterable that yields the segments of the source Iterable
+   * that are separated by the items that pass the predicate, as Arrays.
+   *
+   * The separating items are not included in the segments,
+   * and adjacent separators produce empty segments.
+   * Each segment is yielded as soon as its separator is read.
+   * @param {!Iterable} it
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  static splitWhen(it, predicate) {
+    return splitWhen(it, predicate);
+  }
+
+  /**
+   * Returns an Iterable that yields the segments of this Iterable
+   * that are separated by the items that pass the predicate, as Arrays.
+   *
+   * The separating items are not included in the segments,
+   * and adjacent separators produce empty segments.
+   * Each segment is yielded as soon as its separator is read.
+   * @param {!function(item: any, index: number):boolean} predicate
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
+   * @returns {Iterable}
+   */
+  splitWhen(predicate) {
+    return splitWhen(this.it, predicate);
+  }
+
+  /**
+   * Same to concat, except that it prefixes the source Iterable
+   * to a set of values into a single Iterable.
+   *
+   * If a value is an Iterable, startWith removes a single layer
+   * of nesting
+   *
+   * @param {!Iterable} it
+   * @param  {...any} its
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Iterable}
+   */
+  static startWith(it, ...its) {
+    return startWith(it, ...its);
+  }
+
+  /**
+   * Same to concat, except that it prefixes this Iterable
+   * to a set of values into a single Iterable.
+   *
+   * If a value is an Iterable, startWith removes a single layer
+   * of nesting
+   *
+   * @param  {...any} its
+   * @returns {Iterable}
+   */
+  startWith(...its) {
+    return startWith(this.it, ...its);
+  }
+
+  /**
+   * Returns an Iterable that yields the standard deviation of the values
+   * of the source Iterable, computed in a single pass with Welford's method.
+   *
+   * The sample standard deviation is computed unless the population option is true.
+   * The options can also be provided in place of the selector.
+   *
+   * If there are not enough values, which are two for the sample
+   * and one for the population, nothing is yielded.
+   * @param {!Iterable} it
+   * @param {function(item: any, index: number):number} selector
+   * @param {{population: boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  static stdDev(it, selector, options) {
+    return stdDev(it, selector, options);
+  }
+
+  /**
+   * Returns an Iterable that yields the standard deviation of the values
+   * of this Iterable, computed in a single pass with Welford's method.
+   *
+   * The sample standard deviation is computed unless the population option is true.
+   * The options can also be provided in place of the selector.
+   *
+   * If there are not enough values, which are two for the sample
+   * and one for the population, nothing is yielded.
+   * @param {function(item: any, index: number):number} selector
+   * @param {{population: boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  stdDev(selector, options) {
+    return stdDev(this.it, selector, options);
+  }
+
+  /**
+   * Returns an Iterable that yields only the elements whose indices
+   * are divisible by the given amount
    * @param {!Iterable} it
+   * @param {!number} amount
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  static reverse(it) {
-    return reverse(it);
+  static step(it, amount) {
+    return step(it, amount);
   }
 
   /**
-   * Reverses the yield sequence of this Iterable
+   * Returns an Iterable that yields only the first count items yielded by
+   * this Iterable.
+   * @param {!number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  reverse() {
-    return reverse(this.it);
+  step(amount) {
+    return step(this.it, amount);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the first item yielded by a source Iterable, then feeds the result
-   * of that function along with the second item yielded by the source
-   * Iterable into the same function, and so on until all items have been
-   * yielded by the source Iterable, yielding the result of each of these iterations.
+   * Returns an Iterable that yields the summation of
+   * the source Iterable's yields.
    * @param {!Iterable} it
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
    * @returns {Iterable}
    */
-  static scan(it, reducer, seed) {
-    return scan(it, reducer, seed);
+  static sum(it) {
+    return sum(it);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the first item yielded by a source Iterable, then feeds the result
-   * of that function along with the second item yielded by the source
-   * Iterable into the same function, and so on until all items have been
-   * yielded by the source Iterable, yielding the result of each of these iterations.
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
-   * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * Returns an Iterable that yields the summation of
+   * this Iterable's yields.
    * @returns {Iterable}
    */
-  scan(reducer, seed) {
-    return scan(this.it, reducer, seed);
+  sum() {
+    return sum(this.it);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the last item yielded by a source Iterable, then feeds the result
-   * of that function along with the second last item yielded by the source
-   * Iterable into the same function, and so on until all items have been
-   * yielded by the source Iterable, yielding the result of each of these iterations.
+   * Returns an Iterable that yields the statistics of the values of the source Iterable,
+   * computed in a single pass.
+   *
+   * The statistics are the count, the sum, the product, the min, the max,
+   * the mean, the median, the mode, the sample variance and standard deviation,
+   * and the population variance and standard deviation.
+   * The ones that are not defined for the amount of values are undefined.
    * @param {!Iterable} it
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * @param {function(item: any, index: number):number} selector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given selector is not a function or undefined
    * @returns {Iterable}
    */
-  static scanRight(it, reducer, seed) {
-    return scanRight(it, reducer, seed);
+  static summary(it, selector) {
+    return summary(it, selector);
   }
 
   /**
-   * Returns an Iterable that applies a specified accumulator function
-   * to the last item yielded by a source Iterable, then feeds the result
-   * of that function along with the second last item yielded by the source
-   * Iterable into the same function, and so on until all items have been
-   * yielded by the source Iterable, yielding the result of each of these iterations.
-   * @param {!function(acc: any, item: any):any} reducer
-   * @param {any} seed
+   * Returns an Iterable that yields the statistics of the values of this Iterable,
+   * computed in a single pass.
+   *
+   * The statistics are the count, the sum, the product, the min, the max,
+   * the mean, the median, the mode, the sample variance and standard deviation,
+   * and the population variance and standard deviation.
+   * The ones that are not defined for the amount of values are undefined.
+   * @param {function(item: any, index: number):number} selector
    * @throws {BadArgumentError}
-   * throws error if the given reducer is not a function
+   * throws error if the given selector is not a function or undefined
    * @returns {Iterable}
    */
-  scanRight(reducer, seed) {
-    return scanRight(this.it, reducer, seed);
+  summary(selector) {
+    return summary(this.it, selector);
   }
 
   /**
-   * Returns an Iterable that skips the first count items yielded by
-   * the source Iterable and yields the remainder.
+   * Returns an Iterable that yields the items of the source Iterable
+   * that are not in the other Iterable, followed by the items of the
+   * other Iterable that are not in the source Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, the occurrences of each item cancel out
+   * in pairs and the remaining ones are yielded.
    * @param {!Iterable} it
-   * @param {!number} amount
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static skip(it, amount) {
-    return skip(it, amount);
+  static symmetricDifference(it, other, keySelector, options) {
+    return symmetricDifference(it, other, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that skips the first count items yielded by
-   * the source Iterable and yields the remainder.
-   * @param {!number} amount
+   * Returns an Iterable that yields the items of this Iterable
+   * that are not in the other Iterable, followed by the items of the
+   * other Iterable that are not in this Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, the occurrences of each item cancel out
+   * in pairs and the remaining ones are yielded.
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  skip(amount) {
-    return skip(this.it, amount);
+  symmetricDifference(other, keySelector, options) {
+    return symmetricDifference(this.it, other, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that drops a specified number of items
-   * from the end of the sequence yielded by the source
-   * Iterable.
+   * Returns an Iterable that yields only the first count items yielded by the
+   * source Iterable.
    * @param {!Iterable} it
    * @param {!number} amount
    * @throws {BadArgumentError}
@@ -1454,428 +4000,651 @@ export default class Iterable {
    * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  static skipLast(it, amount) {
-    return skipLast(it, amount);
+  static take(it, amount) {
+    return take(it, amount);
   }
 
   /**
-   * Returns an Iterable that drops a specified number of items
-   * from the end of the sequence yielded by this Iterable.
+   * Returns an Iterable that yields only the first count items yielded by
+   * this Iterable.
    * @param {!number} amount
    * @throws {BadArgumentError}
    * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  skipLast(amount) {
-    return skipLast(this.it, amount);
+  take(amount) {
+    return take(this.it, amount);
   }
 
   /**
-   * Returns an Iterable that skips all items yielded by the source
-   * Iterable as long as a specified condition holds false, but yields
-   * all further source items as soon as the condition becomes true.
+   * Returns an Iterable that yields at most the last amount
+   * items yielded by the source Iterable.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!number} amount
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  static skipUntil(it, predicate) {
-    return skipUntil(it, predicate);
+  static takeLast(it, amount) {
+    return takeLast(it, amount);
   }
 
   /**
-   * Returns an Iterable that skips all items yielded by the source
-   * Iterable as long as a specified condition holds false, but yields
-   * all further source items as soon as the condition becomes true.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields at most the last amount
+   * items yielded by the source Iterable.
+   * @param {!number} amount
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the given amount is not a number.
    * @returns {Iterable}
    */
-  skipUntil(predicate) {
-    return skipUntil(this.it, predicate);
+  takeLast(amount) {
+    return takeLast(this.it, amount);
   }
 
   /**
-   * Returns an Iterable that skips all items yielded by the source
-   * Iterable as long as a specified condition holds true, but yields
-   * all further source items as soon as the condition becomes false.
+   * Returns an Iterable that yields items yielded by the source Iterable
+   * so long as each item does not satisfie a specified condition, and then
+   * completes as soon as this condition is satisfied.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
    * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  static skipWhile(it, predicate) {
-    return skipWhile(it, predicate);
+  static takeUntil(it, predicate) {
+    return takeUntil(it, predicate);
   }
 
   /**
-   * Returns an Iterable that skips all items yielded by the source
-   * Iterable as long as a specified condition holds true, but yields
-   * all further source items as soon as the condition becomes false.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields items yielded by this Iterable
+   * so long as each item does not satisfie a specified condition, and then
+   * completes as soon as this condition is satisfied.
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
    * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  skipWhile(predicate) {
-    return skipWhile(this.it, predicate);
+  takeUntil(predicate) {
+    return takeUntil(this.it, predicate);
   }
 
   /**
-   * Returns a portion of the source Iterable as a new Iterable.
+   * Returns an Iterable that yields items yielded by the source Iterable
+   * so long as each item satisfied a specified condition, and then
+   * completes as soon as this condition is not satisfied.
    * @param {!Iterable} it
-   * @param {!number} start
-   * @param {!number} end
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  static slice(it, start, end) {
-    return slice(it, start, end);
+  static takeWhile(it, predicate) {
+    return takeWhile(it, predicate);
   }
 
-
   /**
-   * Returns a portion of this Iterable as a new Iterable.
-   * @param {!number} start
-   * @param {!number} end
+   * Returns an Iterable that yields items yielded by this Iterable
+   * so long as each item satisfied a specified condition, and then
+   * completes as soon as this condition is not satisfied.
+   * @param {!function(item: any, index: number):boolean} predicate
    * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
+   * throws error if the given predicate is not a function
    * @returns {Iterable}
    */
-  slice(start, end) {
-    return slice(this.it, start, end);
+  takeWhile(predicate) {
+    return takeWhile(this.it, predicate);
   }
 
   /**
-   * Returns a new sorted Iterable base from the source Iterable.
-   * which returns a signum can be provided.
+   * Splits the source Iterable into an Array of the given amount
+   * of Iterables, which defaults to 2, that each yield all of its items
+   * while the source is only read once.
+   *
+   * Each of the Iterables can be iterated once: when its iteration ends,
+   * even early, it stops holding the items back, and the source is closed
+   * once every one of them has ended. The items are kept until all of the
+   * unended Iterables have yielded them, so consuming one far ahead of
+   * the others makes the rest held in memory.
    * @param {!Iterable} it
-   * @param {!function(a: any, b: any):number} comparator
+   * @param {number} amount
    * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
-   * @returns {Iterable}
+   * throws error if the given amount is not a positive number or undefined
+   * @returns {Array}
    */
-  static sort(it, comparator) {
-    return sort(it, comparator);
+  static tee(it, amount) {
+    return tee(it, amount);
   }
 
   /**
-   * Returns a new sorted Iterable base from this Iterable.
-   * A comparator function which returns a signum can be provided.
-   * @param {!function(a: any, b: any):number} comparator
-   * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
-   * @returns {Iterable}
+   * Splits this Iterable into an Array of the given amount
+   * of Iterables, which defaults to 2, that each yield all of its items
+   * while this Iterable is only read once.
+   *
+   * Each of the Iterables can be iterated once: when its iteration ends,
+   * even early, it stops holding the items back, and the source is closed
+   * once every one of them has ended. The items are kept until all of the
+   * unended Iterables have yielded them, so consuming one far ahead of
+   * the others makes the rest held in memory.
+   * @param {number} amount
+   * @throws {BadArgumentError}
+   * throws error if the given amount is not a positive number or undefined
+   * @returns {Array}
    */
-  sort(comparator) {
-    return sort(this.it, comparator);
+  tee(amount) {
+    return tee(this.it, amount);
   }
 
   /**
-   * Returns an Iterable that yields true if the source Iterable
-   * (with an optional comparator) is sorted.
+   * Converts the source Iterable into an array of its yield
+   * sequence.
    * @param {!Iterable} it
-   * @param {!function(a: any, b: any):number} comparator
-   * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
-   * @returns {Iterable}
+   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * @returns {Array}
    */
-  static sorted(it, comparator) {
-    return sorted(it, comparator);
+  static toArray(it) {
+    return toArray(it);
   }
 
   /**
-   * Returns an Iterable that yields true if the source Iterable
-   * (with an optional comparator) is sorted.
-   * @param {!function(a: any, b: any):number} comparator
-   * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function or undefined
-   * @returns {Iterable}
+   * Converts this Iterable into an array of its yield
+   * sequence.
+   * @returns {Array}
    */
-  sorted(comparator) {
-    return sorted(this.it, comparator);
+  toArray() {
+    return toArray(this.it);
   }
 
   /**
-   * Split an Iterable into a longest prefix such that all
-   * the elements of it do satisfy a given predicate,
-   * and the rest of the Iterable following them.
+   * Converts the source Iterable into a Map of the keys to the Arrays
+   * of the items that share the key, in the order of the items.
+   *
+   * The items are used as the values unless an element selector is provided.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} elementSelector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
-   * @returns {Iterable}
+   * throws error if the given key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given element selector is not a function or undefined
+   * @returns {Map}
    */
-  static spanWith(it, predicate) {
-    return spanWith(it, predicate);
+  static toLookup(it, keySelector, elementSelector) {
+    return toLookup(it, keySelector, elementSelector);
   }
 
   /**
-   * Split an Iterable into a longest prefix such that all
-   * the elements of it do satisfy a given predicate,
-   * and the rest of the Iterable following them.
-   * @param {!function(item: any):boolean} predicate
+   * Converts this Iterable into a Map of the keys to the Arrays
+   * of the items that share the key, in the order of the items.
+   *
+   * The items are used as the values unless an element selector is provided.
+   * @param {!function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} elementSelector
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
-   * @returns {Iterable}
-   */
-  spanWith(predicate) {
-    return spanWith(this.it, predicate);
+   * throws error if the given key selector is not a function
+   * @throws {BadArgumentError}
+   * throws error if the given element selector is not a function or undefined
+   * @returns {Map}
+   */
+  toLookup(keySelector, elementSelector) {
+    return toLookup(this.it, keySelector, elementSelector);
   }
 
   /**
-   * Given an index, get a two-tuple of Iterable
-   * from the start of the source Iterable,
-   * and the Iterable that follows them.
+   * Converts the source Iterable into a Map.
+   *
+   * If no key selector is provided, the yields are expected to be
+   * [key, value] entries, or the groups of groupBy, whose values are
+   * collected under their keys. If only the key selector is provided,
+   * the yields are used as the values. Later keys overwrite earlier ones.
+   *
+   * For instance, the groups of groupBy can also be collected with:
+   * toMap(it, group => group.key, group => group.values)
    * @param {!Iterable} it
-   * @param {!number} amount
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} valueSelector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
-   * @returns {Array}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given value selector is not a function or undefined
+   * @returns {Map}
    */
-  static split(it, amount) {
-    return split(it, amount);
+  static toMap(it, keySelector, valueSelector) {
+    return toMap(it, keySelector, valueSelector);
   }
 
   /**
-   * Given an index, get a two-tuple of Iterable
-   * from the start of this Iterable,
-   * and the Iterable that follows them.
-   * @param {!number} amount
+   * Converts this Iterable into a Map.
+   *
+   * If no key selector is provided, the yields are expected to be
+   * [key, value] entries, or the groups of groupBy, whose values are
+   * collected under their keys. If only the key selector is provided,
+   * the yields are used as the values. Later keys overwrite earlier ones.
+   *
+   * For instance, the groups of groupBy can also be collected with:
+   * it.toMap(group => group.key, group => group.values)
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} valueSelector
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
-   * @returns {Array}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given value selector is not a function or undefined
+   * @returns {Map}
    */
-  split(amount) {
-    return split(this.it, amount);
+  toMap(keySelector, valueSelector) {
+    return toMap(this.it, keySelector, valueSelector);
   }
 
   /**
-   * Same to concat, except that it prefixes the source Iterable
-   * to a set of values into a single Iterable.
-   *
-   * If a value is an Iterable, startWith removes a single layer
-   * of nesting
+   * Converts the source Iterable into an Object.
    *
+   * If no key selector is provided, the yields are expected to be
+   * [key, value] entries, or the groups of groupBy. If only the key
+   * selector is provided, the yields are used as the values. Later
+   * keys overwrite earlier ones.
    * @param {!Iterable} it
-   * @param  {...any} its
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} valueSelector
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @returns {Iterable}
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given value selector is not a function or undefined
+   * @returns {Object}
    */
-  static startWith(it, ...its) {
-    return startWith(it, ...its);
+  static toObject(it, keySelector, valueSelector) {
+    return toObject(it, keySelector, valueSelector);
   }
 
   /**
-   * Same to concat, except that it prefixes this Iterable
-   * to a set of values into a single Iterable.
+   * Converts this Iterable into an Object.
    *
-   * If a value is an Iterable, startWith removes a single layer
-   * of nesting
-   *
-   * @param  {...any} its
-   * @returns {Iterable}
+   * If no key selector is provided, the yields are expected to be
+   * [key, value] entries, or the groups of groupBy. If only the key
+   * selector is provided, the yields are used as the values. Later
+   * keys overwrite earlier ones.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {function(item: any, index: number):any} valueSelector
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given value selector is not a function or undefined
+   * @returns {Object}
    */
-  startWith(...its) {
-    return startWith(this.it, ...its);
+  toObject(keySelector, valueSelector) {
+    return toObject(this.it, keySelector, valueSelector);
   }
 
   /**
-   * Returns an Iterable that yields only the elements whose indices
-   * are divisible by the given amount
+   * Returns an Iterable that yields the given amount of the greatest items of the source
+   * Iterable, from the greatest.
+   *
+   * Only the kept items are held in memory, in a bounded heap.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
    * @param {!Iterable} it
    * @param {!number} amount
+   * @param {function(a: any, b: any):number} comparator
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
    * @returns {Iterable}
    */
-  static step(it, amount) {
-    return step(it, amount);
+  static topK(it, amount, comparator) {
+    return topK(it, amount, comparator);
   }
 
   /**
-   * Returns an Iterable that yields only the first count items yielded by
-   * this Iterable.
+   * Returns an Iterable that yields the given amount of the greatest items of this
+   * Iterable, from the greatest.
+   *
+   * Only the kept items are held in memory, in a bounded heap.
+   * Items are compared with the comparator, which defaults to numeric
+   * comparison, while equal items keep their source order.
    * @param {!number} amount
+   * @param {function(a: any, b: any):number} comparator
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given amount is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given comparator is not a function or undefined
    * @returns {Iterable}
    */
-  step(amount) {
-    return step(this.it, amount);
+  topK(amount, comparator) {
+    return topK(this.it, amount, comparator);
   }
 
   /**
-   * Returns an Iterable that yields the summation of
-   * the source Iterable's yields.
+   * Converts the source Iterable into a Set of its yield
+   * sequence.
    * @param {!Iterable} it
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @returns {Iterable}
+   * @returns {Set}
    */
-  static sum(it) {
-    return sum(it);
+  static toSet(it) {
+    return toSet(it);
   }
 
   /**
-   * Returns an Iterable that yields the summation of
-   * this Iterable's yields.
-   * @returns {Iterable}
+   * Converts this Iterable into a Set of its yield
+   * sequence.
+   * @returns {Set}
    */
-  sum() {
-    return sum(this.it);
+  toSet() {
+    return toSet(this.it);
   }
 
   /**
-   * Returns an Iterable that yields only the first count items yielded by the
-   * source Iterable.
+   * Returns the first yield of the source Iterable, or the default value
+   * if there is none.
+   *
+   * This turns the singular Iterables of the aggregate operators
+   * into their results, for instance: toValue(sum(it))
    * @param {!Iterable} it
-   * @param {!number} amount
+   * @param {any} defaultValue
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
-   * @returns {Iterable}
+   * @returns {any}
    */
-  static take(it, amount) {
-    return take(it, amount);
+  static toValue(it, defaultValue) {
+    return toValue(it, defaultValue);
   }
 
   /**
-   * Returns an Iterable that yields only the first count items yielded by
-   * this Iterable.
-   * @param {!number} amount
-   * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
-   * @returns {Iterable}
+   * Returns the first yield of this Iterable, or the default value
+   * if there is none.
+   *
+   * This turns the singular Iterables of the aggregate operators
+   * into their results, for instance: it.sum().toValue()
+   * @param {any} defaultValue
+   * @returns {any}
    */
-  take(amount) {
-    return take(this.it, amount);
+  toValue(defaultValue) {
+    return toValue(this.it, defaultValue);
   }
 
   /**
-   * Returns an Iterable that yields at most the last amount
-   * items yielded by the source Iterable.
-   * @param {!Iterable} it
-   * @param {!number} amount
+   * Returns an Iterable that walks the tree from the given root,
+   * where the children of each node are given by the getChildren function.
+   *
+   * Each node is yielded as an object with the node, its depth
+   * from the root, and the path of the nodes from the root to it.
+   * The children are only requested when the walk reaches them,
+   * and the children that are already in the path are skipped,
+   * so the cycles are not walked indefinitely.
+   *
+   * The options are:
+   * - order: either 'pre', 'post' or 'level', which defaults to 'pre'.
+   * - maxDepth: the depth after which the children are no longer walked.
+   * @param {any} root
+   * @param {!function(node: any, depth: number):Iterable} getChildren
+   * @param {{order: string, maxDepth: number}} options
    * @throws {BadArgumentError}
-   * throws error if the given Iterable doesn't implement the Iteration Protocol
+   * throws error if the given getChildren is not a function
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given order or maxDepth is invalid
    * @returns {Iterable}
    */
-  static takeLast(it, amount) {
-    return takeLast(it, amount);
+  static traverse(root, getChildren, options) {
+    return traverse(root, getChildren, options);
   }
 
   /**
-   * Returns an Iterable that yields at most the last amount
-   * items yielded by the source Iterable.
-   * @param {!number} amount
+   * Returns an Iterable that yields the values produced from the seed.
+   *
+   * The function receives the current state and returns either
+   * a two-tuple of the value to yield and the next state,
+   * or undefined to end the Iterable.
+   * @param {any} seed
+   * @param {!function(state: any, index: number):Array} fn
    * @throws {BadArgumentError}
-   * throws error if the given amount is not a number.
+   * throws error if the given fn is not a function
    * @returns {Iterable}
    */
-  takeLast(amount) {
-    return takeLast(this.it, amount);
+  static unfold(seed, fn) {
+    return unfold(seed, fn);
   }
 
   /**
-   * Returns an Iterable that yields items yielded by the source Iterable
-   * so long as each item does not satisfie a specified condition, and then
-   * completes as soon as this condition is satisfied.
+   * Returns an Iterable that yields the items of the source Iterable,
+   * followed by the items of the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, each item is yielded as many times as
+   * it occurs in the Iterable where it occurs the most.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  static takeUntil(it, predicate) {
-    return takeUntil(it, predicate);
+  static union(it, other, keySelector, options) {
+    return union(it, other, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that yields items yielded by this Iterable
-   * so long as each item does not satisfie a specified condition, and then
-   * completes as soon as this condition is satisfied.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields the items of this Iterable,
+   * followed by the items of the other Iterable.
+   *
+   * Items are compared by the keys returned by the key selector,
+   * which defaults to the item itself, with SameValueZero equality,
+   * or with the comparer of the options if one is given.
+   * The options may also be given in place of the key selector.
+   *
+   * In the "set" mode (default), the distinct items are yielded,
+   * while in the "bag" mode, each item is yielded as many times as
+   * it occurs in the Iterable where it occurs the most.
+   * @param {!Iterable} other
+   * @param {function(item: any, index: number):any|Object} keySelector
+   * @param {Object} options
+   * @param {string} options.mode
+   * @param {function(a: any, b: any):boolean} options.comparer
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the other given Iterable doesn't implement the Iteration Protocol
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is neither "set" nor "bag"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
    * @returns {Iterable}
    */
-  takeUntil(predicate) {
-    return takeUntil(this.it, predicate);
+  union(other, keySelector, options) {
+    return union(this.it, other, keySelector, options);
   }
 
   /**
-   * Returns an Iterable that yields items yielded by the source Iterable
-   * so long as each item satisfied a specified condition, and then
-   * completes as soon as this condition is not satisfied.
+   * Installs the operators of the given plugin like extend, and returns Iterable.
+   *
+   * The plugin is a function that receives Iterable and the argument-check
+   * helpers (e.g. BadArgumentError, IterableCheck, FunctionCheck,
+   * PositiveNumberCheck), and returns the Object of the operators.
+   * @example
+   * Iterable.use((Iterable, { IterableCheck, FunctionCheck }) => ({
+   *   mapTwice(it, fn) {
+   *     IterableCheck(it, 1, 'Iterable.mapTwice');
+   *     FunctionCheck(fn, 2, 'Iterable.mapTwice');
+   *     return Iterable.map(it, fn).map(fn);
+   *   },
+   * }));
+   * @param {!function(Class: Iterable, utils: Object):Object} plugin
+   * @param {?Object} options
+   * @param {?boolean} options.override
+   * whether the existing methods can be replaced
+   * @throws {BadArgumentError}
+   * throws error if the given plugin is not a function
+   * @throws {BadArgumentError}
+   * throws error if the plugin doesn't return an Object of functions
+   * @throws {TypeError}
+   * throws error if one of the names is reserved, or already defined
+   * and override is not set
+   * @returns {Iterable}
+   */
+  static use(plugin, options) {
+    return use(Iterable, plugin, options, defineField, IterableCheck);
+  }
+
+  /**
+   * Returns an Iterable that yields the sliding windows of the given size
+   * over the source Iterable, starting a window every given stride of items.
+   *
+   * The source is read as the windows are pulled, holding only
+   * the items of the current window, which is yielded as an Iterable
+   * of its own items. The stride defaults to 1.
+   *
+   * If the partial option is true, the windows that are not
+   * filled by the end are yielded as well.
+   *
+   * The options can also be provided in place of the stride.
    * @param {!Iterable} it
-   * @param {!function(item: any):boolean} predicate
+   * @param {!number} size
+   * @param {number} stride
+   * @param {{partial: boolean}} options
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the given size is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given stride is not a number greater than zero or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
    * @returns {Iterable}
    */
-  static takeWhile(it, predicate) {
-    return takeWhile(it, predicate);
+  static windowed(it, size, stride, options) {
+    return windowed(it, size, stride, options);
   }
 
   /**
-   * Returns an Iterable that yields items yielded by this Iterable
-   * so long as each item satisfied a specified condition, and then
-   * completes as soon as this condition is not satisfied.
-   * @param {!function(item: any):boolean} predicate
+   * Returns an Iterable that yields the sliding windows of the given size
+   * over this Iterable, starting a window every given stride of items.
+   *
+   * The source is read as the windows are pulled, holding only
+   * the items of the current window, which is yielded as an Iterable
+   * of its own items. The stride defaults to 1.
+   *
+   * If the partial option is true, the windows that are not
+   * filled by the end are yielded as well.
+   *
+   * The options can also be provided in place of the stride.
+   * @param {!number} size
+   * @param {number} stride
+   * @param {{partial: boolean}} options
    * @throws {BadArgumentError}
-   * throws error if the given predicate is not a function
+   * throws error if the given size is not a positive number
+   * @throws {BadArgumentError}
+   * throws error if the given stride is not a number greater than zero or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
    * @returns {Iterable}
    */
-  takeWhile(predicate) {
-    return takeWhile(this.it, predicate);
+  windowed(size, stride, options) {
+    return windowed(this.it, size, stride, options);
   }
 
   /**
-   * Converts the source Iterable into an array of its yield
-   * sequence.
+   * Returns an Iterable that yields the values of the given object.
+   *
+   * By default, only the own enumerable string keys of the object are used.
+   * The options are:
+   * - inherited: also use the enumerable keys of the prototype chain.
+   * - symbols: also use the enumerable symbol keys.
+   *
+   * The object is read as the Iterable is iterated. Maps and Sets
+   * yield their own values, and the options are ignored for them.
+   * @param {!Object} obj
+   * @param {{inherited: boolean, symbols: boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given object is not an Object
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
+   */
+  static values(obj, options) {
+    return values(obj, options);
+  }
+
+  /**
+   * Returns an Iterable that yields the variance of the values
+   * of the source Iterable, computed in a single pass with Welford's method.
+   *
+   * The sample variance is computed unless the population option is true.
+   * The options can also be provided in place of the selector.
+   *
+   * If there are not enough values, which are two for the sample
+   * and one for the population, nothing is yielded.
    * @param {!Iterable} it
+   * @param {function(item: any, index: number):number} selector
+   * @param {{population: boolean}} options
    * @throws {BadArgumentError}
    * throws error if the given Iterable doesn't implement the Iteration Protocol
-   * @returns {Array}
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
    */
-  static toArray(it) {
-    return toArray(it);
+  static variance(it, selector, options) {
+    return variance(it, selector, options);
   }
 
   /**
-   * Converts this Iterable into an array of its yield
-   * sequence.
-   * @returns {Array}
+   * Returns an Iterable that yields the variance of the values
+   * of this Iterable, computed in a single pass with Welford's method.
+   *
+   * The sample variance is computed unless the population option is true.
+   * The options can also be provided in place of the selector.
+   *
+   * If there are not enough values, which are two for the sample
+   * and one for the population, nothing is yielded.
+   * @param {function(item: any, index: number):number} selector
+   * @param {{population: boolean}} options
+   * @throws {BadArgumentError}
+   * throws error if the given selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not an Object or undefined
+   * @returns {Iterable}
    */
-  toArray() {
-    return toArray(this.it);
+  variance(selector, options) {
+    return variance(this.it, selector, options);
   }
 
   /**
@@ -1911,39 +4680,182 @@ export default class Iterable {
   /**
    * combine the yields of multiple Iterables together via a specified function and
    * yields single items for each combination based on the results of this function.
+   *
+   * The Iterables are iterated in lockstep, and the mode option
+   * decides what happens when one of them runs out of items:
+   * - 'shortest' (default): the iteration stops, closing the rest.
+   * - 'longest': the iteration continues until all are exhausted, using the
+   *   fill option in place of the missing items.
+   * - 'strict': throws a RangeError if the lengths differ, closing the rest.
+   *
+   * The options can also be provided in place of the zipper function.
    * @param {!Array} its
-   * @param {!function(yields: Array):any} fn
+   * @param {function(yields: Array):any} fn
+   * @param {{mode: string, fill: any}} options
    * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
+   * throws error if the given iterables is not an array of Iterables
    * @throws {BadArgumentError}
    * throws error if the given zipper is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is not one of 'shortest', 'longest' or 'strict'
    * @returns {Iterable}
    */
-  static zip(its, fn) {
-    return zip(its, fn);
+  static zip(its, fn, options) {
+    return zip(its, fn, options);
   }
 
   /**
    * combine the yields of this Iterable with multiple Iterables together via a specified
    * function and yields single items for each combination based on the results of this
    * function.
+   *
+   * The Iterables are iterated in lockstep, and the mode option
+   * decides what happens when one of them runs out of items:
+   * - 'shortest' (default): the iteration stops, closing the rest.
+   * - 'longest': the iteration continues until all are exhausted, using the
+   *   fill option in place of the missing items.
+   * - 'strict': throws a RangeError if the lengths differ, closing the rest.
+   *
+   * The options can also be provided in place of the zipper function.
    * @param {!Array} its
-   * @param {!function(yields: Array):any} fn
+   * @param {function(yields: Array):any} fn
+   * @param {{mode: string, fill: any}} options
    * @throws {BadArgumentError}
-   * throws error if the given iterables is not an array
+   * throws error if the given iterables is not an array of Iterables
    * @throws {BadArgumentError}
    * throws error if the given zipper is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given mode is not one of 'shortest', 'longest' or 'strict'
    * @returns {Iterable}
    */
-  zip(its, fn) {
-    return zip([this.it, ...its], fn);
+  zip(its, fn, options) {
+    return zip([this.it, ...its], fn, options);
   }
+}
 
+/**
+ * An Iterable which yields the items of a source Iterable
+ * sorted by one or more keys, as returned by orderBy.
+ *
+ * Each ordering only compares the items whose keys of
+ * the previous orderings are equal.
+ */
+export class OrderedIterable extends Iterable {
   /**
-   * Implements the Iterator Protocol for this Iterable.
    * @ignore
    */
-  [ITERATOR]() {
-    return this.it[ITERATOR]();
+  constructor(iterable, source, orderings) {
+    super(iterable);
+    /**
+     * @ignore
+     */
+    this.source = source;
+    /**
+     * @ignore
+     */
+    this.orderings = orderings;
+  }
+
+  /**
+   * Returns an OrderedIterable that sorts the items of the given
+   * OrderedIterable with equal keys by the keys returned by
+   * the key selector, in the given direction.
+   *
+   * Takes the same options as orderBy.
+   * @param {!OrderedIterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable is not an OrderedIterable
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given direction is neither "asc" nor "desc"
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  static thenBy(it, keySelector, options) {
+    return thenBy(it, keySelector, options);
+  }
+
+  /**
+   * Returns an OrderedIterable that sorts the items of this
+   * OrderedIterable with equal keys by the keys returned by
+   * the key selector, in the given direction.
+   *
+   * Takes the same options as orderBy.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given direction is neither "asc" nor "desc"
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  thenBy(keySelector, options) {
+    return thenBy(this, keySelector, options);
+  }
+
+  /**
+   * Returns an OrderedIterable that sorts the items of the given
+   * OrderedIterable with equal keys by the keys returned by
+   * the key selector, in descending order.
+   *
+   * Takes the same options as orderBy.
+   * @param {!OrderedIterable} it
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given Iterable is not an OrderedIterable
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  static thenByDescending(it, keySelector, options) {
+    return thenByDescending(it, keySelector, options);
+  }
+
+  /**
+   * Returns an OrderedIterable that sorts the items of this
+   * OrderedIterable with equal keys by the keys returned by
+   * the key selector, in descending order.
+   *
+   * Takes the same options as orderBy.
+   * @param {function(item: any, index: number):any} keySelector
+   * @param {string|Object} options
+   * @throws {BadArgumentError}
+   * throws error if the given key selector is not a function or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given options is not a direction, an Object or undefined
+   * @throws {BadArgumentError}
+   * throws error if the given nulls option is neither "first" nor "last"
+   * @throws {BadArgumentError}
+   * throws error if the given comparer is not a function or undefined
+   * @returns {OrderedIterable}
+   */
+  thenByDescending(keySelector, options) {
+    return thenByDescending(this, keySelector, options);
   }
 }
+/**
+ * Makes the operators create instances of Iterable and OrderedIterable.
+ * @ignore
+ */
+registerIterable(Iterable, OrderedIterable);
@@ -0,0 +1,628 @@
+/**
+ * Pipeable versions of the Iterable operators, which receive the
+ * arguments of the operator except the source and return a function
+ * that applies the operator to the given source.
+ *
+ * Arguments are validated once the returned function receives the source.
+ * Like the operator modules, these do not depend on the Iterable class:
+ * their results only have the chained methods once Iterable is imported.
+ * The factory operators (e.g. range, just) are not included, as they
+ * have no source.
+ * @example
+ * import pipe from '@lxsmnsyc/iterable-js/pipe';
+ * import { filter, map, toArray } from '@lxsmnsyc/iterable-js/operators';
+ *
+ * pipe([1, 2, 3, 4], filter(x => x % 2 === 0), map(x => x * 10), toArray()); // [20, 40]
+ */
+import * as operators from './internal/dependency';
+
+/**
+ * Pipeable {@link Iterable.all}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const all = (...args) => source => operators.all(source, ...args);
+/**
+ * Pipeable {@link Iterable.any}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const any = (...args) => source => operators.any(source, ...args);
+/**
+ * Pipeable {@link Iterable.average}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const average = (...args) => source => operators.average(source, ...args);
+/**
+ * Pipeable {@link Iterable.bottomK}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const bottomK = (...args) => source => operators.bottomK(source, ...args);
+/**
+ * Pipeable {@link Iterable.breadthFirst}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const breadthFirst = (...args) => source => operators.breadthFirst(source, ...args);
+/**
+ * Pipeable {@link Iterable.breakWith}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const breakWith = (...args) => source => operators.breakWith(source, ...args);
+/**
+ * Pipeable {@link Iterable.buffer}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const buffer = (...args) => source => operators.buffer(source, ...args);
+/**
+ * Pipeable {@link Iterable.bufferUntil}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const bufferUntil = (...args) => source => operators.bufferUntil(source, ...args);
+/**
+ * Pipeable {@link Iterable.bufferWhile}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const bufferWhile = (...args) => source => operators.bufferWhile(source, ...args);
+/**
+ * Pipeable {@link Iterable.cache}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const cache = (...args) => source => operators.cache(source, ...args);
+/**
+ * Pipeable {@link Iterable.catchError}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const catchError = (...args) => source => operators.catchError(source, ...args);
+/**
+ * Pipeable {@link Iterable.chunkBy}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const chunkBy = (...args) => source => operators.chunkBy(source, ...args);
+/**
+ * Pipeable {@link Iterable.compose}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const compose = (...args) => source => operators.compose(source, ...args);
+/**
+ * Pipeable {@link Iterable.concat}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const concat = (...args) => source => operators.concat(source, ...args);
+/**
+ * Pipeable {@link Iterable.contains}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const contains = (...args) => source => operators.contains(source, ...args);
+/**
+ * Pipeable {@link Iterable.count}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const count = (...args) => source => operators.count(source, ...args);
+/**
+ * Pipeable {@link Iterable.cycle}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const cycle = (...args) => source => operators.cycle(source, ...args);
+/**
+ * Pipeable {@link Iterable.defaultIfEmpty}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const defaultIfEmpty = (...args) => source => operators.defaultIfEmpty(source, ...args);
+/**
+ * Pipeable {@link Iterable.depthFirst}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const depthFirst = (...args) => source => operators.depthFirst(source, ...args);
+/**
+ * Pipeable {@link Iterable.diff}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const diff = (...args) => source => operators.diff(source, ...args);
+/**
+ * Pipeable {@link Iterable.distinct}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const distinct = (...args) => source => operators.distinct(source, ...args);
+/**
+ * Pipeable {@link Iterable.distinctAdjacent}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const distinctAdjacent = (...args) => source => operators.distinctAdjacent(source, ...args);
+/**
+ * Pipeable {@link Iterable.doWhile}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const doWhile = (...args) => source => operators.doWhile(source, ...args);
+/**
+ * Pipeable {@link Iterable.elementAt}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const elementAt = (...args) => source => operators.elementAt(source, ...args);
+/**
+ * Pipeable {@link Iterable.equal}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const equal = (...args) => source => operators.equal(source, ...args);
+/**
+ * Pipeable {@link Iterable.except}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const except = (...args) => source => operators.except(source, ...args);
+/**
+ * Pipeable {@link Iterable.expand}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const expand = (...args) => source => operators.expand(source, ...args);
+/**
+ * Pipeable {@link Iterable.filter}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const filter = (...args) => source => operators.filter(source, ...args);
+/**
+ * Pipeable {@link Iterable.finally}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const finalize = (...args) => source => operators.finalize(source, ...args);
+/**
+ * Pipeable {@link Iterable.find}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const find = (...args) => source => operators.find(source, ...args);
+/**
+ * Pipeable {@link Iterable.first}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const first = (...args) => source => operators.first(source, ...args);
+/**
+ * Pipeable {@link Iterable.firstOrDefault}.
+ * @returns {function(source: Iterable): any}
+ */
+export const firstOrDefault = (...args) => source => operators.firstOrDefault(source, ...args);
+/**
+ * Pipeable {@link Iterable.flat}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const flat = (...args) => source => operators.flat(source, ...args);
+/**
+ * Pipeable {@link Iterable.flatMap}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const flatMap = (...args) => source => operators.flatMap(source, ...args);
+/**
+ * Pipeable {@link Iterable.for}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const forOf = (...args) => source => operators.forOf(source, ...args);
+/**
+ * Pipeable {@link Iterable.fullOuterJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const fullOuterJoin = (...args) => source => operators.fullOuterJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.groupBy}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const groupBy = (...args) => source => operators.groupBy(source, ...args);
+/**
+ * Pipeable {@link Iterable.groupJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const groupJoin = (...args) => source => operators.groupJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.histogram}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const histogram = (...args) => source => operators.histogram(source, ...args);
+/**
+ * Pipeable {@link Iterable.ignoreElements}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const ignoreElements = (...args) => source => operators.ignoreElements(source, ...args);
+/**
+ * Pipeable {@link Iterable.indexOf}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const indexOf = (...args) => source => operators.indexOf(source, ...args);
+/**
+ * Pipeable {@link Iterable.innerJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const innerJoin = (...args) => source => operators.innerJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.intercalate}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const intercalate = (...args) => source => operators.intercalate(source, ...args);
+/**
+ * Pipeable {@link Iterable.intersect}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const intersect = (...args) => source => operators.intersect(source, ...args);
+/**
+ * Pipeable {@link Iterable.intersperse}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const intersperse = (...args) => source => operators.intersperse(source, ...args);
+/**
+ * Pipeable {@link Iterable.isEmpty}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const isEmpty = (...args) => source => operators.isEmpty(source, ...args);
+/**
+ * Pipeable {@link Iterable.join}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const join = (...args) => source => operators.join(source, ...args);
+/**
+ * Pipeable {@link Iterable.last}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const last = (...args) => source => operators.last(source, ...args);
+/**
+ * Pipeable {@link Iterable.lazySort}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const lazySort = (...args) => source => operators.lazySort(source, ...args);
+/**
+ * Pipeable {@link Iterable.leftJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const leftJoin = (...args) => source => operators.leftJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.leftOuterJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const leftOuterJoin = (...args) => source => operators.leftOuterJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.map}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const map = (...args) => source => operators.map(source, ...args);
+/**
+ * Pipeable {@link Iterable.max}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const max = (...args) => source => operators.max(source, ...args);
+/**
+ * Pipeable {@link Iterable.maxBy}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const maxBy = (...args) => source => operators.maxBy(source, ...args);
+/**
+ * Pipeable {@link Iterable.median}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const median = (...args) => source => operators.median(source, ...args);
+/**
+ * Pipeable {@link Iterable.memoize}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const memoize = (...args) => source => operators.memoize(source, ...args);
+/**
+ * Pipeable {@link Iterable.min}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const min = (...args) => source => operators.min(source, ...args);
+/**
+ * Pipeable {@link Iterable.minBy}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const minBy = (...args) => source => operators.minBy(source, ...args);
+/**
+ * Pipeable {@link Iterable.minMax}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const minMax = (...args) => source => operators.minMax(source, ...args);
+/**
+ * Pipeable {@link Iterable.mode}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const mode = (...args) => source => operators.mode(source, ...args);
+/**
+ * Pipeable {@link Iterable.onDone}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const onDone = (...args) => source => operators.onDone(source, ...args);
+/**
+ * Pipeable {@link Iterable.onError}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const onError = (...args) => source => operators.onError(source, ...args);
+/**
+ * Pipeable {@link Iterable.onErrorResumeNext}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const onErrorResumeNext = (...args) => source => operators.onErrorResumeNext(
+  source, ...args,
+);
+/**
+ * Pipeable {@link Iterable.onStart}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const onStart = (...args) => source => operators.onStart(source, ...args);
+/**
+ * Pipeable {@link Iterable.onYield}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const onYield = (...args) => source => operators.onYield(source, ...args);
+/**
+ * Pipeable {@link Iterable.orderBy}.
+ * @returns {function(source: Iterable): OrderedIterable}
+ */
+export const orderBy = (...args) => source => operators.orderBy(source, ...args);
+/**
+ * Pipeable {@link Iterable.outerJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const outerJoin = (...args) => source => operators.outerJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.pairwise}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const pairwise = (...args) => source => operators.pairwise(source, ...args);
+/**
+ * Pipeable {@link Iterable.partition}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const partition = (...args) => source => operators.partition(source, ...args);
+/**
+ * Pipeable {@link Iterable.percentile}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const percentile = (...args) => source => operators.percentile(source, ...args);
+/**
+ * Pipeable {@link Iterable.product}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const product = (...args) => source => operators.product(source, ...args);
+/**
+ * Pipeable {@link Iterable.publish}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const publish = (...args) => source => operators.publish(source, ...args);
+/**
+ * Pipeable {@link Iterable.quantiles}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const quantiles = (...args) => source => operators.quantiles(source, ...args);
+/**
+ * Pipeable {@link Iterable.reduce}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const reduce = (...args) => source => operators.reduce(source, ...args);
+/**
+ * Pipeable {@link Iterable.reduceRight}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const reduceRight = (...args) => source => operators.reduceRight(source, ...args);
+/**
+ * Pipeable {@link Iterable.repeat}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const repeat = (...args) => source => operators.repeat(source, ...args);
+/**
+ * Pipeable {@link Iterable.replace}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const replace = (...args) => source => operators.replace(source, ...args);
+/**
+ * Pipeable {@link Iterable.retry}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const retry = (...args) => source => operators.retry(source, ...args);
+/**
+ * Pipeable {@link Iterable.reverse}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const reverse = (...args) => source => operators.reverse(source, ...args);
+/**
+ * Pipeable {@link Iterable.rightOuterJoin}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const rightOuterJoin = (...args) => source => operators.rightOuterJoin(source, ...args);
+/**
+ * Pipeable {@link Iterable.scan}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const scan = (...args) => source => operators.scan(source, ...args);
+/**
+ * Pipeable {@link Iterable.scanRight}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const scanRight = (...args) => source => operators.scanRight(source, ...args);
+/**
+ * Pipeable {@link Iterable.share}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const share = (...args) => source => operators.share(source, ...args);
+/**
+ * Pipeable {@link Iterable.single}.
+ * @returns {function(source: Iterable): any}
+ */
+export const single = (...args) => source => operators.single(source, ...args);
+/**
+ * Pipeable {@link Iterable.singleOrDefault}.
+ * @returns {function(source: Iterable): any}
+ */
+export const singleOrDefault = (...args) => source => operators.singleOrDefault(source, ...args);
+/**
+ * Pipeable {@link Iterable.skip}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const skip = (...args) => source => operators.skip(source, ...args);
+/**
+ * Pipeable {@link Iterable.skipLast}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const skipLast = (...args) => source => operators.skipLast(source, ...args);
+/**
+ * Pipeable {@link Iterable.skipUntil}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const skipUntil = (...args) => source => operators.skipUntil(source, ...args);
+/**
+ * Pipeable {@link Iterable.skipWhile}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const skipWhile = (...args) => source => operators.skipWhile(source, ...args);
+/**
+ * Pipeable {@link Iterable.slice}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const slice = (...args) => source => operators.slice(source, ...args);
+/**
+ * Pipeable {@link Iterable.sort}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const sort = (...args) => source => operators.sort(source, ...args);
+/**
+ * Pipeable {@link Iterable.sorted}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const sorted = (...args) => source => operators.sorted(source, ...args);
+/**
+ * Pipeable {@link Iterable.spanWith}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const spanWith = (...args) => source => operators.spanWith(source, ...args);
+/**
+ * Pipeable {@link Iterable.split}.
+ * @returns {function(source: Iterable): Array}
+ */
+export const split = (...args) => source => operators.split(source, ...args);
+/**
+ * Pipeable {@link Iterable.splitOn}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const splitOn = (...args) => source => operators.splitOn(source, ...args);
+/**
+ * Pipeable {@link Iterable.splitWhen}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const splitWhen = (...args) => source => operators.splitWhen(source, ...args);
+/**
+ * Pipeable {@link Iterable.startWith}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const startWith = (...args) => source => operators.startWith(source, ...args);
+/**
+ * Pipeable {@link Iterable.stdDev}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const stdDev = (...args) => source => operators.stdDev(source, ...args);
+/**
+ * Pipeable {@link Iterable.step}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const step = (...args) => source => operators.step(source, ...args);
+/**
+ * Pipeable {@link Iterable.sum}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const sum = (...args) => source => operators.sum(source, ...args);
+/**
+ * Pipeable {@link Iterable.summary}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const summary = (...args) => source => operators.summary(source, ...args);
+/**
+ * Pipeable {@link Iterable.symmetricDifference}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const symmetricDifference = (...args) => source => operators.symmetricDifference(
+  source, ...args,
+);
+/**
+ * Pipeable {@link Iterable.take}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const take = (...args) => source => operators.take(source, ...args);
+/**
+ * Pipeable {@link Iterable.takeLast}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const takeLast = (...args) => source => operators.takeLast(source, ...args);
+/**
+ * Pipeable {@link Iterable.takeUntil}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const takeUntil = (...args) => source => operators.takeUntil(source, ...args);
+/**
+ * Pipeable {@link Iterable.takeWhile}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const takeWhile = (...args) => source => operators.takeWhile(source, ...args);
+/**
+ * Pipeable {@link Iterable.tee}.
+ * @returns {function(source: Iterable): Array}
+ */
+export const tee = (...args) => source => operators.tee(source, ...args);
+/**
+ * Pipeable {@link OrderedIterable.thenBy}.
+ * @returns {function(source: Iterable): OrderedIterable}
+ */
+export const thenBy = (...args) => source => operators.thenBy(source, ...args);
+/**
+ * Pipeable {@link OrderedIterable.thenByDescending}.
+ * @returns {function(source: Iterable): OrderedIterable}
+ */
+export const thenByDescending = (...args) => source => operators.thenByDescending(source, ...args);
+/**
+ * Pipeable {@link Iterable.toArray}.
+ * @returns {function(source: Iterable): Array}
+ */
+export const toArray = (...args) => source => operators.toArray(source, ...args);
+/**
+ * Pipeable {@link Iterable.toLookup}.
+ * @returns {function(source: Iterable): Map}
+ */
+export const toLookup = (...args) => source => operators.toLookup(source, ...args);
+/**
+ * Pipeable {@link Iterable.toMap}.
+ * @returns {function(source: Iterable): Map}
+ */
+export const toMap = (...args) => source => operators.toMap(source, ...args);
+/**
+ * Pipeable {@link Iterable.toObject}.
+ * @returns {function(source: Iterable): Object}
+ */
+export const toObject = (...args) => source => operators.toObject(source, ...args);
+/**
+ * Pipeable {@link Iterable.topK}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const topK = (...args) => source => operators.topK(source, ...args);
+/**
+ * Pipeable {@link Iterable.toSet}.
+ * @returns {function(source: Iterable): Set}
+ */
+export const toSet = (...args) => source => operators.toSet(source, ...args);
+/**
+ * Pipeable {@link Iterable.toValue}.
+ * @returns {function(source: Iterable): any}
+ */
+export const toValue = (...args) => source => operators.toValue(source, ...args);
+/**
+ * Pipeable {@link Iterable.union}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const union = (...args) => source => operators.union(source, ...args);
+/**
+ * Pipeable {@link Iterable.variance}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const variance = (...args) => source => operators.variance(source, ...args);
+/**
+ * Pipeable {@link Iterable.whileDo}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const whileDo = (...args) => source => operators.whileDo(source, ...args);
+/**
+ * Pipeable {@link Iterable.windowed}.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const windowed = (...args) => source => operators.windowed(source, ...args);
+/**
+ * Pipeable {@link Iterable.zip}, where the source is zipped
+ * before the given Iterables.
+ * @returns {function(source: Iterable): Iterable}
+ */
+export const zip = (its, ...args) => source => operators.zip([source, ...its], ...args);
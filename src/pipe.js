@@ -0,0 +1,31 @@
+import { IterableCheck, FunctionCheck } from './internal/utils';
+
+/**
+ * @ignore
+ */
+const FIELD = 'pipe';
+/**
+ * Passes the source through the given functions from left to right
+ * and returns the result of the last one. Unlike compose, the source
+ * is not wrapped in an Iterable, so pipe does not depend on the class.
+ *
+ * This is meant for the pipeable operators, but any function that
+ * receives the previous result can be given.
+ * @example
+ * import pipe from '@lxsmnsyc/iterable-js/pipe';
+ * import { map, sum, toValue } from '@lxsmnsyc/iterable-js/operators';
+ *
+ * pipe([1, 2, 3], map(x => x * 2), sum(), toValue()); // 12
+ * @param {!Iterable} source
+ * @param {...Function} operators
+ * @throws {BadArgumentError}
+ * throws error if the given source doesn't implement the Iteration Protocol
+ * @throws {BadArgumentError}
+ * throws error if one of the given operators is not a function
+ * @returns {any}
+ */
+export default (source, ...operators) => {
+  IterableCheck(source, 1, FIELD);
+  operators.forEach((x, i) => FunctionCheck(x, i + 2, FIELD));
+  return operators.reduce((acc, x) => x(acc), source);
+};
@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../src/asyncIterable';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable<brackets>', () => {
+  it('should resolve to the nth-yield of the given AsyncIterable', async () => {
+    const base = [1, 2, 3, 4];
+    assert(await new AsyncIterable(base)[0] === base[0]);
+  });
+  it('should resolve to undefined if the index is out of bounds', async () => {
+    const base = [1, 2, 3, 4];
+    assert(typeof await new AsyncIterable(base)[5] === 'undefined');
+  });
+});
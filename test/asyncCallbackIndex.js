@@ -0,0 +1,89 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../src/asyncIterable';
+
+const items = ['a', 'b', 'c'];
+const others = ['d', 'e'];
+/**
+ * The position of the item in its own source.
+ * @ignore
+ */
+const position = x => (items.includes(x) ? items.indexOf(x) : others.indexOf(x));
+/**
+ * Runs the result of an operator, which may be an AsyncIterable
+ * or a pair of AsyncIterables.
+ * @ignore
+ */
+const run = (result) => {
+  if (result instanceof Array) {
+    return run(result[0]);
+  }
+  return result.toArray();
+};
+/**
+ * Each case receives the operator caller and a callback maker,
+ * whose callbacks record the item and the index they are given
+ * and resolve to the given value.
+ * @ignore
+ */
+const cases = [
+  ['all', (call, cb) => call('all', cb(true))],
+  ['any', (call, cb) => call('any', cb(false))],
+  ['breakWith', (call, cb) => call('breakWith', cb(false))],
+  ['filter', (call, cb) => call('filter', cb(true))],
+  ['find', (call, cb) => call('find', cb(false))],
+  ['first', (call, cb) => call('first', cb(false))],
+  ['flatMap', (call, cb) => call('flatMap', cb([1]))],
+  ['last', (call, cb) => call('last', cb(true))],
+  ['map', (call, cb) => call('map', cb(1))],
+  ['onYield', (call, cb) => call('onYield', cb())],
+  ['partition', (call, cb) => call('partition', cb(true))],
+  ['skipUntil', (call, cb) => call('skipUntil', cb(false))],
+  ['skipWhile', (call, cb) => call('skipWhile', cb(true))],
+  ['spanWith', (call, cb) => call('spanWith', cb(true))],
+  ['takeUntil', (call, cb) => call('takeUntil', cb(false))],
+  ['takeWhile', (call, cb) => call('takeWhile', cb(true))],
+  ['reduce', (call, cb) => call('reduce', cb(''), '')],
+  ['reduceRight', (call, cb) => call('reduceRight', cb(''), '')],
+  ['scan', (call, cb) => call('scan', cb(''), '')],
+  ['scanRight', (call, cb) => call('scanRight', cb(''), '')],
+  ['distinct', (call, cb) => call('distinct', cb(0))],
+  ['distinctAdjacent', (call, cb) => call('distinctAdjacent', cb(0))],
+  ['diff', (call, cb) => call('diff', others, cb(0))],
+  ['intersect', (call, cb) => call('intersect', others, cb(0))],
+  ['innerJoin', (call, cb) => call('innerJoin', others, cb(0))],
+  ['leftJoin', (call, cb) => call('leftJoin', others, cb(0))],
+  ['outerJoin', (call, cb) => call('outerJoin', others, cb(0))],
+];
+
+const forms = [
+  ['static', (name, ...args) => AsyncIterable[name](items, ...args)],
+  ['instance', (name, ...args) => new AsyncIterable(items)[name](...args)],
+];
+
+/* eslint-disable no-undef */
+describe('AsyncIterable callback index', () => {
+  for (const [name, test] of cases) {
+    for (const [form, call] of forms) {
+      it(`should give the index of each item to the callbacks of the ${form} ${name}`, async () => {
+        const calls = [];
+        const cb = value => async (...args) => {
+          const index = args.pop();
+          calls.push([args.pop(), index]);
+          return value;
+        };
+        await run(test(call, cb));
+        assert(calls.length > 0);
+        for (const [item, index] of calls) {
+          assert(position(item) === index);
+        }
+      });
+    }
+  }
+  it('should give the source positions to reduceRight', async () => {
+    const reducer = async (acc, x, index) => [...acc, index];
+    const iterable = AsyncIterable.reduceRight([3, 4, 5], reducer, []);
+    assert.deepStrictEqual(await iterable.toArray(), [[2, 1, 0]]);
+  });
+});
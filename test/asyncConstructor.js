@@ -0,0 +1,60 @@
+/* eslint-disable func-names */
+/* eslint-disable no-unused-vars */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../src/asyncIterable';
+import { BadArgumentError } from '../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable<constructor>', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      const i = new AsyncIterable();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should accept an object that implements the Async Iteration Protocol', async () => {
+    const source = {
+      async* [Symbol.asyncIterator]() {
+        yield 1;
+        yield 2;
+      },
+    };
+    assert.deepStrictEqual(await new AsyncIterable(source).toArray(), [1, 2]);
+  });
+  it('should accept an object that implements the Iteration Protocol', async () => {
+    assert.deepStrictEqual(await new AsyncIterable([1, Promise.resolve(2)]).toArray(), [1, 2]);
+  });
+  it('should accept an async generator', async () => {
+    const iterable = new AsyncIterable(async function* () {
+      yield 1;
+      yield await Promise.resolve(2);
+    });
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2]);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2]);
+  });
+  it('should accept a generator', async () => {
+    const iterable = new AsyncIterable(function* () {
+      yield 1;
+      yield 2;
+    });
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2]);
+  });
+  it('should accept a Promise that resolves to an Iterable', async () => {
+    const iterable = new AsyncIterable(Promise.resolve('abc'));
+    assert.deepStrictEqual(await iterable.toArray(), ['a', 'b', 'c']);
+  });
+  it('should be consumable with for-await', async () => {
+    const result = [];
+    for await (const i of new AsyncIterable([1, 2, 3])) {
+      result.push(i);
+    }
+    assert.deepStrictEqual(result, [1, 2, 3]);
+  });
+  it('should not be mistaken for a Promise', async () => {
+    const iterable = new AsyncIterable([1, 2, 3]);
+    assert(await Promise.resolve(iterable) === iterable);
+  });
+});
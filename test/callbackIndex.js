@@ -0,0 +1,117 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../src/iterable';
+
+const items = ['a', 'b', 'c'];
+const others = ['d', 'e'];
+/**
+ * The position of the item in its own source.
+ * @ignore
+ */
+const position = x => (items.includes(x) ? items.indexOf(x) : others.indexOf(x));
+/**
+ * Runs the result of an operator, which may be an Iterable,
+ * a pair of Iterables or an eager value.
+ * @ignore
+ */
+const run = (result) => {
+  if (result instanceof Array) {
+    return run(result[0]);
+  }
+  if (result instanceof Iterable) {
+    return result.toArray();
+  }
+  return result;
+};
+/**
+ * Each case receives the operator caller and a callback maker,
+ * whose callbacks record the item and the index they are given
+ * and return the given value.
+ * @ignore
+ */
+const cases = [
+  ['all', (call, cb) => call('all', cb(true))],
+  ['any', (call, cb) => call('any', cb(false))],
+  ['breakWith', (call, cb) => call('breakWith', cb(false))],
+  ['filter', (call, cb) => call('filter', cb(true))],
+  ['find', (call, cb) => call('find', cb(false))],
+  ['first', (call, cb) => call('first', cb(false))],
+  ['flatMap', (call, cb) => call('flatMap', cb([1]))],
+  ['last', (call, cb) => call('last', cb(true))],
+  ['map', (call, cb) => call('map', cb(1))],
+  ['onYield', (call, cb) => call('onYield', cb())],
+  ['partition', (call, cb) => call('partition', cb(true))],
+  ['skipUntil', (call, cb) => call('skipUntil', cb(false))],
+  ['skipWhile', (call, cb) => call('skipWhile', cb(true))],
+  ['spanWith', (call, cb) => call('spanWith', cb(true))],
+  ['takeUntil', (call, cb) => call('takeUntil', cb(false))],
+  ['takeWhile', (call, cb) => call('takeWhile', cb(true))],
+  ['reduce', (call, cb) => call('reduce', cb(''), '')],
+  ['reduceRight', (call, cb) => call('reduceRight', cb(''), '')],
+  ['scan', (call, cb) => call('scan', cb(''), '')],
+  ['scanRight', (call, cb) => call('scanRight', cb(''), '')],
+  ['groupBy', (call, cb) => call('groupBy', cb(0), cb(0))],
+  ['maxBy', (call, cb) => call('maxBy', cb(0))],
+  ['minBy', (call, cb) => call('minBy', cb(0))],
+  ['toMap', (call, cb) => call('toMap', cb(0), cb(0))],
+  ['orderBy', (call, cb) => call('orderBy', cb(0))],
+  ['distinct', (call, cb) => call('distinct', cb(0))],
+  ['distinctAdjacent', (call, cb) => call('distinctAdjacent', cb(0))],
+  ['diff', (call, cb) => call('diff', others, cb(0))],
+  ['intersect', (call, cb) => call('intersect', others, cb(0))],
+  ['innerJoin', (call, cb) => call('innerJoin', others, cb(0))],
+  ['leftJoin', (call, cb) => call('leftJoin', others, cb(0))],
+  ['outerJoin', (call, cb) => call('outerJoin', others, cb(0))],
+  ['union', (call, cb) => call('union', others, cb(0))],
+  ['except', (call, cb) => call('except', others, cb(0))],
+  ['symmetricDifference', (call, cb) => call('symmetricDifference', others, cb(0))],
+  ['join', (call, cb) => call('join', others, cb(0), cb(0))],
+  ['leftOuterJoin', (call, cb) => call('leftOuterJoin', others, cb(0), cb(0))],
+  ['rightOuterJoin', (call, cb) => call('rightOuterJoin', others, cb(0), cb(0))],
+  ['fullOuterJoin', (call, cb) => call('fullOuterJoin', others, cb(0), cb(0))],
+  ['groupJoin', (call, cb) => call('groupJoin', others, cb(0), cb(0))],
+];
+
+const forms = [
+  ['static', (name, ...args) => Iterable[name](items, ...args)],
+  ['instance', (name, ...args) => new Iterable(items)[name](...args)],
+];
+
+/* eslint-disable no-undef */
+describe('callback index', () => {
+  for (const [name, test] of cases) {
+    for (const [form, call] of forms) {
+      it(`should give the index of each item to the callbacks of the ${form} ${name}`, () => {
+        const calls = [];
+        const cb = value => (...args) => {
+          const index = args.pop();
+          calls.push([args.pop(), index]);
+          return value;
+        };
+        run(test(call, cb));
+        assert(calls.length > 0);
+        for (const [item, index] of calls) {
+          assert(position(item) === index);
+        }
+      });
+    }
+  }
+  it('should give the index after the accumulator to the reducers', () => {
+    const result = Iterable.reduce([3, 4, 5], (acc, x, index) => [...acc, index], []).toArray();
+    assert.deepStrictEqual(result, [[0, 1, 2]]);
+  });
+  it('should give the source positions to reduceRight', () => {
+    const iterable = Iterable.reduceRight([3, 4, 5], (acc, x, index) => [...acc, index], []);
+    const result = iterable.toArray();
+    assert.deepStrictEqual(result, [[2, 1, 0]]);
+  });
+  it('should count the index from the first item without a seed', () => {
+    const indices = [];
+    Iterable.reduce([3, 4, 5], (acc, x, index) => {
+      indices.push(index);
+      return acc + x;
+    }).toArray();
+    assert.deepStrictEqual(indices, [1, 2]);
+  });
+});
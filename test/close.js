@@ -0,0 +1,213 @@
+/* eslint-disable no-unused-vars */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../src/iterable';
+
+/**
+ * Creates an Iterable over the given items that records
+ * the state of every iterator it creates.
+ * @ignore
+ */
+const tracked = (items, iterators) => ({
+  [Symbol.iterator]() {
+    const state = { completed: false, closed: 0 };
+    iterators.push(state);
+    let index = 0;
+    return {
+      next() {
+        if (index < items.length) {
+          index += 1;
+          return { value: items[index - 1], done: false };
+        }
+        state.completed = true;
+        return { value: undefined, done: true };
+      },
+      return() {
+        state.closed += 1;
+        return { value: undefined, done: true };
+      },
+    };
+  },
+});
+/**
+ * Every upstream iterator must either be completed
+ * or be closed exactly once.
+ * @ignore
+ */
+const assertSettled = (iterators) => {
+  assert(iterators.length > 0);
+  for (const state of iterators) {
+    assert(state.completed ? state.closed === 0 : state.closed === 1);
+  }
+};
+/**
+ * Consumes both of the Iterables returned by an operator,
+ * whose source is only closed once both of them have ended.
+ * @ignore
+ */
+const both = ([a, b]) => a.zip([b]);
+/**
+ * @ignore
+ */
+const pipelines = {
+  all: s => s.all(() => true),
+  any: s => s.any(() => false),
+  average: s => s.average(),
+  breadthFirst: s => s.breadthFirst(),
+  breakWith: s => both(s.breakWith(x => x > 2)),
+  buffer: s => s.buffer(2),
+  cache: s => s.cache(),
+  catchError: (s, o) => s.catchError(o),
+  compose: s => s.compose(x => Iterable.map(x, y => y)),
+  concat: (s, o) => s.concat(o),
+  contains: s => s.contains(3),
+  count: s => s.count(),
+  defaultIfEmpty: s => s.defaultIfEmpty(0),
+  depthFirst: s => s.depthFirst(),
+  diff: (s, o) => s.diff(o),
+  distinct: s => s.distinct(),
+  distinctAdjacent: s => s.distinctAdjacent(),
+  doWhile: s => s.doWhile(() => true),
+  elementAt: s => s.elementAt(1),
+  equal: (s, o) => s.equal(o),
+  filter: s => s.filter(() => true),
+  finally: s => s.finally(() => {}),
+  find: s => s.find(x => x === 3),
+  first: s => s.first(),
+  flat: s => s.flat(),
+  flatMap: s => s.flatMap(x => [x, x]),
+  indexOf: s => s.indexOf(3),
+  innerJoin: (s, o) => s.innerJoin(o),
+  intercalate: (s, o) => s.intercalate(o),
+  intersect: (s, o) => s.intersect(o),
+  intersperse: s => s.intersperse(0),
+  isEmpty: s => s.isEmpty(),
+  last: s => s.last(),
+  leftJoin: (s, o) => s.leftJoin(o),
+  map: s => s.map(x => x),
+  max: s => s.max(),
+  memoize: s => s.memoize(),
+  min: s => s.min(),
+  onDone: s => s.onDone(() => {}),
+  onError: s => s.onError(() => {}),
+  onErrorResumeNext: (s, o) => s.onErrorResumeNext(o),
+  onStart: s => s.onStart(() => {}),
+  onYield: s => s.onYield(() => {}),
+  outerJoin: (s, o) => s.outerJoin(o),
+  partition: s => both(s.partition(x => x % 2)),
+  publish: s => s.publish(),
+  reduce: s => s.reduce((a, b) => a + b),
+  reduceRight: s => s.reduceRight((a, b) => a + b),
+  repeat: s => s.repeat(2),
+  replace: s => s.replace(1, 0),
+  retry: s => s.retry(1),
+  reverse: s => s.reverse(),
+  scan: s => s.scan((a, b) => a + b),
+  scanRight: s => s.scanRight((a, b) => a + b),
+  share: s => s.share(),
+  skip: s => s.skip(1),
+  skipLast: s => s.skipLast(1),
+  skipUntil: s => s.skipUntil(() => true),
+  skipWhile: s => s.skipWhile(() => false),
+  slice: s => s.slice(1, 3),
+  sort: s => s.sort(),
+  sorted: s => s.sorted(),
+  spanWith: s => both(s.spanWith(x => x < 3)),
+  split: s => both(s.split(2)),
+  startWith: (s, o) => s.startWith(o),
+  step: s => s.step(2),
+  sum: s => s.sum(),
+  take: s => s.take(3),
+  takeLast: s => s.takeLast(2),
+  takeUntil: s => s.takeUntil(() => false),
+  takeWhile: s => s.takeWhile(() => true),
+  tee: s => s.tee(1)[0],
+  whileDo: s => s.whileDo(() => true),
+  zip: (s, o) => s.zip([o]),
+};
+/**
+ * Operators that share a single upstream iterator across iterations,
+ * which is kept open when a consumer breaks out so that the later
+ * consumers can continue it. They are tested separately below.
+ * @ignore
+ */
+const shared = ['cache', 'memoize', 'publish', 'share'];
+
+/* eslint-disable no-undef */
+describe('<close>', () => {
+  for (const [name, pipeline] of Object.entries(pipelines)) {
+    if (!shared.includes(name)) {
+      it(`should settle every upstream iterator when breaking out of ${name}`, () => {
+        const iterators = [];
+        const source = new Iterable(tracked([1, 2, 3, 4, 5], iterators));
+        const other = tracked([3, 4, 6], iterators);
+
+        for (const i of pipeline(source, other)) {
+          break;
+        }
+        assertSettled(iterators);
+      });
+    }
+    it(`should settle every upstream iterator when completing ${name}`, () => {
+      const iterators = [];
+      const source = new Iterable(tracked([1, 2, 3, 4, 5], iterators));
+      const other = tracked([3, 4, 6], iterators);
+      const iterable = pipeline(source, other);
+
+      if (name === 'doWhile' || name === 'whileDo') {
+        iterable.take(12).toArray();
+      } else {
+        iterable.toArray();
+      }
+      assertSettled(iterators);
+    });
+  }
+  for (const name of shared) {
+    it(`should keep the upstream iterator open for the later consumers of ${name}`, () => {
+      const iterators = [];
+      const iterable = pipelines[name](new Iterable(tracked([1, 2, 3], iterators)));
+      for (const i of iterable) {
+        break;
+      }
+      assert(iterators.length === 1);
+      assert(!iterators[0].completed && iterators[0].closed === 0);
+
+      iterable.toArray();
+      assert(iterators.length === 1);
+      assertSettled(iterators);
+    });
+  }
+  it('should close the source of tee once every branch has ended', () => {
+    const iterators = [];
+    const [a, b] = new Iterable(tracked([1, 2, 3], iterators)).tee();
+    for (const i of a) {
+      break;
+    }
+    assert(iterators[0].closed === 0);
+    for (const i of b) {
+      break;
+    }
+    assert(iterators.length === 1);
+    assertSettled(iterators);
+  });
+  it('should close the source of a nested pipeline exactly once', () => {
+    const iterators = [];
+    const iterable = new Iterable(tracked([1, 2, 3, 4, 5], iterators))
+      .map(x => x * 2)
+      .filter(x => x > 2)
+      .scan((a, b) => a + b)
+      .onDone(() => {})
+      .take(2);
+
+    assert.deepStrictEqual(iterable.toArray(), [4, 10]);
+    assert(iterators.length === 1);
+    assertSettled(iterators);
+  });
+  it('should not pull more items than what take needs', () => {
+    let pulled = 0;
+    const iterable = Iterable.range(1, Infinity).onYield(() => { pulled += 1; }).take(3);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert(pulled === 3);
+  });
+});
@@ -0,0 +1,120 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable, { OrderedIterable } from '../src/iterable';
+import AsyncIterable from '../src/asyncIterable';
+import { BadArgumentError } from '../src/internal/utils';
+
+/**
+ * Removes the installed methods so the classes stay untouched between the tests.
+ * @ignore
+ */
+const uninstall = (Class, names) => {
+  for (const name of names) {
+    Reflect.deleteProperty(Class, name);
+    Reflect.deleteProperty(Class.prototype, name);
+  }
+};
+
+const names = ['double', 'mapTwice', 'plus'];
+
+const double = it => Iterable.map(it, x => x * 2);
+
+/* eslint-disable no-undef */
+describe('Iterable.extend', () => {
+  afterEach(() => uninstall(Iterable, names));
+
+  it('should throw a BadArgumentError if there are invalid operators', () => {
+    assert.throws(() => Iterable.extend(), BadArgumentError);
+    assert.throws(() => Iterable.extend({ double: 1 }), BadArgumentError);
+    assert.throws(() => Iterable.extend({ 0: double }), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.extend({ double }, 1), BadArgumentError);
+  });
+  it('should install the static and the instance methods', () => {
+    assert(Iterable.extend({ double }) === Iterable);
+    assert.deepStrictEqual(Iterable.double([1, 2]).toArray(), [2, 4]);
+    assert.deepStrictEqual(new Iterable([1, 2]).double().double().toArray(), [4, 8]);
+  });
+  it('should pass the arguments after the source', () => {
+    Iterable.extend({ plus: (it, a, b) => Iterable.map(it, x => x + a + b) });
+    assert.deepStrictEqual(Iterable.plus([1], 2, 3).toArray(), [6]);
+    assert.deepStrictEqual(new Iterable([1]).plus(2, 3).toArray(), [6]);
+  });
+  it('should make the methods available through the bracket notation', () => {
+    Iterable.extend({ double });
+    const iterable = new Iterable([1, 2]);
+    assert(typeof iterable.double === 'function');
+    assert.deepStrictEqual(iterable.double()[1], 4);
+  });
+  it('should make the methods available to the OrderedIterable', () => {
+    Iterable.extend({ double });
+    const iterable = new Iterable([2, 1]).orderBy();
+    assert(iterable instanceof OrderedIterable);
+    assert.deepStrictEqual(iterable.double().toArray(), [2, 4]);
+  });
+  it('should check the source of the static method', () => {
+    Iterable.extend({ double });
+    assert.throws(() => Iterable.double(1), BadArgumentError);
+  });
+  it('should refuse to replace an existing method', () => {
+    const { map } = Iterable;
+    assert.throws(() => Iterable.extend({ map: double }), TypeError);
+    assert.throws(() => Iterable.extend({ get: double }), TypeError);
+    assert(Iterable.map === map);
+  });
+  it('should not install any operator if one of them is refused', () => {
+    assert.throws(() => Iterable.extend({ double, map: double }), TypeError);
+    assert(!('double' in Iterable));
+  });
+  it('should replace an existing method if override is set', () => {
+    Iterable.extend({ double });
+    Iterable.extend({ double: it => Iterable.map(it, x => x * 3) }, { override: true });
+    assert.deepStrictEqual(new Iterable([1]).double().toArray(), [3]);
+  });
+  it('should refuse to replace the reserved names even if override is set', () => {
+    assert.throws(() => Iterable.extend({ it: double }, { override: true }), TypeError);
+    assert.throws(() => Iterable.extend({ constructor: double }, { override: true }), TypeError);
+  });
+});
+
+describe('Iterable.use', () => {
+  afterEach(() => uninstall(Iterable, names));
+
+  it('should throw a BadArgumentError if there is an invalid plugin', () => {
+    assert.throws(() => Iterable.use(), BadArgumentError);
+    assert.throws(() => Iterable.use(() => 1), BadArgumentError);
+  });
+  it('should give the class and the argument-check helpers to the plugin', () => {
+    Iterable.use((Class, { IterableCheck, FunctionCheck }) => ({
+      mapTwice(it, fn) {
+        IterableCheck(it, 1, 'Iterable.mapTwice');
+        FunctionCheck(fn, 2, 'Iterable.mapTwice');
+        return Class.map(it, fn).map(fn);
+      },
+    }));
+    assert.deepStrictEqual(new Iterable([1]).mapTwice(x => x + 1).toArray(), [3]);
+    assert.throws(() => new Iterable([1]).mapTwice(1), BadArgumentError);
+  });
+  it('should refuse to replace an existing method', () => {
+    assert.throws(() => Iterable.use(() => ({ filter: double })), TypeError);
+  });
+});
+
+describe('AsyncIterable.extend', () => {
+  afterEach(() => uninstall(AsyncIterable, names));
+
+  it('should install the static and the instance methods', async () => {
+    AsyncIterable.extend({ double: it => AsyncIterable.map(it, x => x * 2) });
+    assert.deepStrictEqual(await AsyncIterable.double([1, 2]).toArray(), [2, 4]);
+    assert.deepStrictEqual(await new AsyncIterable([1]).double().double().toArray(), [4]);
+  });
+  it('should refuse to replace an existing method', () => {
+    assert.throws(() => AsyncIterable.extend({ map: double }), TypeError);
+  });
+  it('should check the source of the static method', () => {
+    AsyncIterable.use(() => ({ double: it => AsyncIterable.map(it, x => x * 2) }));
+    assert.throws(() => AsyncIterable.double(1), BadArgumentError);
+  });
+});
@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#all', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.all();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.all([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.all([1, 2, 3], x => x);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield true if all items pass the predicate.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.all(async x => x > 0);
+    assert.deepStrictEqual(await iterable.toArray(), [true]);
+  });
+  it('should yield false if an item fails the predicate.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.all(x => x < 3);
+    assert.deepStrictEqual(await iterable.toArray(), [false]);
+  });
+});
@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#any', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.any();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.any([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.any([1, 2, 3], x => x);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield true if an item passes the predicate.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.any(async x => x === 2);
+    assert.deepStrictEqual(await iterable.toArray(), [true]);
+  });
+  it('should yield false if no item passes the predicate.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.any(x => x > 3);
+    assert.deepStrictEqual(await iterable.toArray(), [false]);
+  });
+});
@@ -0,0 +1,26 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#average', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.average();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.average([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the average value.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.average();
+    assert.deepStrictEqual(await iterable.toArray(), [2]);
+  });
+});
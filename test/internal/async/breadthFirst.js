@@ -0,0 +1,24 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#breadthFirst', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.breadthFirst();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.breadthFirst([1, [2, 3]]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield shallow elements first.', async () => {
+    const iterable = new AsyncIterable([1, [2, [3]], 4]).breadthFirst();
+    assert.deepStrictEqual(await iterable.toArray(), [1, 4, 2, 3]);
+  });
+});
@@ -0,0 +1,28 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#breakWith', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.breakWith();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.breakWith([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Array of two AsyncIterables.', async () => {
+    const [a, b] = new AsyncIterable([1, 2, 3, 4]).breakWith(async x => x > 2);
+    assert.deepStrictEqual(await a.toArray(), [1, 2]);
+    assert.deepStrictEqual(await b.toArray(), [3, 4]);
+  });
+});
@@ -0,0 +1,44 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#buffer', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.buffer();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid number', () => {
+    try {
+      AsyncIterable.buffer([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.buffer([1, 2, 3, 4], 2);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield Arrays of the given length along with an excess.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.buffer(2);
+    assert.deepStrictEqual(await iterable.toArray(), [[1, 2], [3]]);
+  });
+  it('should yield overlapping buffers if the skip is lower than the amount', async () => {
+    const iterable = AsyncIterable.buffer([1, 2, 3, 4], 3, 2);
+    assert.deepStrictEqual(await iterable.toArray(), [[1, 2, 3], [3, 4]]);
+  });
+  it('should leave out items if the skip is greater than the amount', async () => {
+    const iterable = AsyncIterable.buffer([1, 2, 3, 4, 5, 6, 7], 2, 3);
+    assert.deepStrictEqual(await iterable.toArray(), [[1, 2], [4, 5], [7]]);
+  });
+  it('should throw a BadArgumentError if the skip is not greater than zero', () => {
+    assert.throws(() => AsyncIterable.buffer([1, 2, 3], 2, 0), BadArgumentError);
+  });
+});
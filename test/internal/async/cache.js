@@ -0,0 +1,72 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#cache', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.cache();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.cache([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should not re-run the source once it has completed.', async () => {
+    let calls = 0;
+    const iterable = new AsyncIterable(async function* () {
+      calls += 1;
+      yield 1;
+      yield 2;
+    }).cache();
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2]);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2]);
+    assert(calls === 1);
+  });
+  it('should continue a one-shot source after a consumer stops early.', async () => {
+    const source = (async function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+    }());
+    const iterable = AsyncIterable.cache(source);
+    for await (const i of iterable) {
+      assert(i === 1);
+      break;
+    }
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+  });
+  it('should read each item of the source once.', async () => {
+    const reads = [];
+    const iterable = new AsyncIterable(async function* () {
+      for (const i of [1, 2, 3]) {
+        reads.push(i);
+        yield i;
+      }
+    }).cache();
+    for await (const i of iterable) {
+      assert(i === 1);
+      break;
+    }
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+    assert.deepStrictEqual(reads, [1, 2, 3]);
+  });
+  it('should share the reads between the iterations that run side by side.', async () => {
+    let reads = 0;
+    const iterable = new AsyncIterable(async function* () {
+      for (const i of [1, 2, 3]) {
+        reads += 1;
+        yield i;
+      }
+    }).cache();
+    const results = await Promise.all([iterable.toArray(), iterable.toArray()]);
+    assert.deepStrictEqual(results, [[1, 2, 3], [1, 2, 3]]);
+    assert(reads === 3);
+  });
+});
@@ -0,0 +1,34 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#compose', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.compose();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid composer', () => {
+    try {
+      AsyncIterable.compose([1, 2, 3], 1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a TypeError if a composer returned a non-AsyncIterable', () => {
+    try {
+      AsyncIterable.compose([1, 2, 3], () => 1);
+    } catch (e) {
+      assert(e instanceof TypeError);
+    }
+  });
+  it('should yield the composed sequence.', async () => {
+    const iterable = new AsyncIterable([1, 2, 3]).compose(x => x.map(async y => y * 2));
+    assert.deepStrictEqual(await iterable.toArray(), [2, 4, 6]);
+  });
+});
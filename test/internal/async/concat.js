@@ -0,0 +1,18 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#concat', () => {
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.concat([1, 2], [3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should concatenate AsyncIterables, Iterables and values.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.concat([4, 5], 6);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3, 4, 5, 6]);
+  });
+});
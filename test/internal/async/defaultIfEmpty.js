@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#defaultIfEmpty', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.defaultIfEmpty();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.defaultIfEmpty([], 1);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the default value if empty.', async () => {
+    const iterable = AsyncIterable.empty().defaultIfEmpty(10);
+    assert.deepStrictEqual(await iterable.toArray(), [10]);
+  });
+  it('should yield the source items if not empty.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.defaultIfEmpty(10);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+  });
+});
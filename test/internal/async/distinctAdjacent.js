@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#distinctAdjacent', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.distinctAdjacent();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.distinctAdjacent([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the correct sequence.', async () => {
+    const iterable = new AsyncIterable([1, 2, 2, 3, 1, 1]).distinctAdjacent();
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3, 1]);
+  });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => AsyncIterable.distinctAdjacent([1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => AsyncIterable.distinctAdjacent([1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', async () => {
+    const iterable = AsyncIterable.distinctAdjacent(
+      [{ id: 1 }, { id: 1 }, { id: 2 }, { id: 1 }], async x => x.id,
+    );
+    assert.deepStrictEqual(await iterable.map(x => x.id).toArray(), [1, 2, 1]);
+  });
+  it('should compare the keys with the given comparer.', async () => {
+    const iterable = AsyncIterable.distinctAdjacent(
+      ['a', 'A', 'b', 'a'], undefined, async (a, b) => a.toLowerCase() === b.toLowerCase(),
+    );
+    assert.deepStrictEqual(await iterable.toArray(), ['a', 'b', 'a']);
+  });
+});
@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#empty', () => {
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.empty();
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield nothing.', async () => {
+    const iterable = AsyncIterable.empty();
+    assert.deepStrictEqual(await iterable.toArray(), []);
+  });
+});
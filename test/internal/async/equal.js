@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#equal', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.equal();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a second invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.equal([1]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.equal([1], [1]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield true if the sequences are equal.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.equal([1, 2, 3]);
+    assert.deepStrictEqual(await iterable.toArray(), [true]);
+  });
+  it('should yield false if the sequences are not equal.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.equal([1, 2]);
+    assert.deepStrictEqual(await iterable.toArray(), [false]);
+  });
+});
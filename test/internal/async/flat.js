@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#flat', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.flat();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.flat([1, [2]]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should flatten a single layer.', async () => {
+    const iterable = new AsyncIterable([1, new AsyncIterable([2, [3]]), 4]).flat();
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, [3], 4]);
+  });
+  it('should flatten up to the given depth', async () => {
+    const iterable = new AsyncIterable([1, new AsyncIterable([2, [3, [4]]])]).flat(2);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3, [4]]);
+  });
+  it('should not flatten the strings', async () => {
+    const iterable = new AsyncIterable(['ab', ['c']]).flat(Infinity);
+    assert.deepStrictEqual(await iterable.toArray(), ['ab', 'c']);
+  });
+  it('should throw a BadArgumentError if there is an invalid depth', () => {
+    assert.throws(() => AsyncIterable.flat([1], -1), BadArgumentError);
+  });
+});
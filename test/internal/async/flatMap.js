@@ -0,0 +1,33 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#flatMap', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.flatMap();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid mapper', () => {
+    try {
+      AsyncIterable.flatMap([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.flatMap([1, 2, 3], x => [x]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should flatten the mapped items.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.flatMap(async x => [x, x]);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 1, 2, 2, 3, 3]);
+  });
+});
@@ -0,0 +1,33 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#intercalate', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.intercalate();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a second invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.intercalate([1]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.intercalate([1, 2], [0]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should insert the other sequence in between items.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.intercalate([0, 0]);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 0, 0, 2, 0, 0, 3]);
+  });
+});
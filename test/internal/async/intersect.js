@@ -0,0 +1,50 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#intersect', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.intersect();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a second invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.intersect([1]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.intersect([1, 2], [2]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the correct sequence.', async () => {
+    const other = new AsyncIterable(Promise.resolve([4, 2, 6]));
+    const iterable = new AsyncIterable([1, 2, 3, 4]).intersect(other);
+    assert.deepStrictEqual(await iterable.toArray(), [2, 4]);
+  });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => AsyncIterable.intersect([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => AsyncIterable.intersect([1], [1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', async () => {
+    const iterable = AsyncIterable.intersect(
+      [{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 3 }, { id: 1 }], async x => x.id,
+    );
+    assert.deepStrictEqual(await iterable.map(x => x.id).toArray(), [1, 3]);
+  });
+  it('should compare the keys with the given comparer.', async () => {
+    const iterable = AsyncIterable.intersect(
+      ['a', 'B', 'c'], ['b', 'C'], undefined, async (a, b) => a.toLowerCase() === b.toLowerCase(),
+    );
+    assert.deepStrictEqual(await iterable.toArray(), ['B', 'c']);
+  });
+});
@@ -0,0 +1,30 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#isEmpty', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.isEmpty();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.isEmpty([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield true if empty.', async () => {
+    const iterable = AsyncIterable.empty().isEmpty();
+    assert.deepStrictEqual(await iterable.toArray(), [true]);
+  });
+  it('should yield false if not empty.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.isEmpty();
+    assert.deepStrictEqual(await iterable.toArray(), [false]);
+  });
+});
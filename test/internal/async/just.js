@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#just', () => {
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.just(1);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the given value.', async () => {
+    const iterable = AsyncIterable.just(1);
+    assert.deepStrictEqual(await iterable.toArray(), [1]);
+  });
+});
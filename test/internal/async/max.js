@@ -0,0 +1,28 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#max', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.max();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.max([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the max value.', async () => {
+    const iterable = new AsyncIterable([2, 3, 1]).max();
+    assert.deepStrictEqual(await iterable.toArray(), [3]);
+  });
+  it('should use the given comparer, which may be async.', async () => {
+    const iterable = new AsyncIterable(['bb', 'a', 'ccc']).max(async (a, b) => b.length - a.length);
+    assert.deepStrictEqual(await iterable.toArray(), ['a']);
+  });
+});
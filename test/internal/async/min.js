@@ -0,0 +1,28 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#min', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.min();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.min([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the min value.', async () => {
+    const iterable = new AsyncIterable([2, 1, 3]).min();
+    assert.deepStrictEqual(await iterable.toArray(), [1]);
+  });
+  it('should use the given comparer, which may be async.', async () => {
+    const iterable = new AsyncIterable(['bb', 'a', 'ccc']).min(async (a, b) => b.length - a.length);
+    assert.deepStrictEqual(await iterable.toArray(), ['ccc']);
+  });
+});
@@ -0,0 +1,42 @@
+/* eslint-disable no-unused-vars */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#onDone', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.onDone();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.onDone([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.onDone([1, 2, 3], () => {});
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should call the function when the iteration finishes.', async () => {
+    let flag = false;
+    const iterable = new AsyncIterable([1, 2, 3]).onDone(async () => { flag = true; });
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+    assert(flag === true);
+  });
+  it('should tell if the iteration was closed early.', async () => {
+    let state;
+    const iterable = new AsyncIterable([1, 2, 3]).onDone((x) => { state = x; });
+    for await (const i of iterable) {
+      break;
+    }
+    assert(state.aborted === true);
+  });
+});
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#onStart', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.onStart();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.onStart([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.onStart([1, 2, 3], () => {});
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should call the function before the iteration starts.', async () => {
+    const calls = [];
+    const iterable = new AsyncIterable([1, 2])
+      .onStart(async () => { calls.push(0); })
+      .onYield((x) => { calls.push(x); });
+    await iterable.toArray();
+    assert.deepStrictEqual(calls, [0, 1, 2]);
+  });
+});
@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#onYield', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.onYield();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.onYield([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.onYield([1, 2, 3], () => {});
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should call the function for every yield.', async () => {
+    const calls = [];
+    const iterable = new AsyncIterable([1, 2, 3]).onYield(async (x) => { calls.push(x); });
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+    assert.deepStrictEqual(calls, [1, 2, 3]);
+  });
+});
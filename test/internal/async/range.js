@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#range', () => {
+  it('should throw a BadArgumentError if there is an invalid start', () => {
+    try {
+      AsyncIterable.range();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid end', () => {
+    try {
+      AsyncIterable.range(1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid step', () => {
+    try {
+      AsyncIterable.range(1, 2, '1');
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.range(1, 2);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the correct sequence.', async () => {
+    const iterable = AsyncIterable.range(1, 5, 2);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 3, 5]);
+  });
+  it('should yield the correct sequence in a negative slope.', async () => {
+    const iterable = AsyncIterable.range(3, 1);
+    assert.deepStrictEqual(await iterable.toArray(), [3, 2, 1]);
+  });
+});
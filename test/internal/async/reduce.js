@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#reduce', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.reduce();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid reducer', () => {
+    try {
+      AsyncIterable.reduce([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.reduce([1, 2, 3], (a, b) => a + b);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the reduced value.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.reduce(async (a, b) => a + b);
+    assert.deepStrictEqual(await iterable.toArray(), [6]);
+  });
+  it('should yield the reduced value with a seed.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.reduce((a, b) => a + b, '');
+    assert.deepStrictEqual(await iterable.toArray(), ['123']);
+  });
+});
@@ -0,0 +1,31 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#repeat', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.repeat();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid number', () => {
+    try {
+      AsyncIterable.repeat([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.repeat([1, 2, 3], 2);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should repeat the sequence.', async () => {
+    const iterable = new AsyncIterable([1, 2]).repeat(2);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 1, 2]);
+  });
+});
@@ -0,0 +1,47 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#sort', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.sort();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function provided (except undefined)', () => {
+    try {
+      AsyncIterable.sort([1, 2, 3], 1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.sort([1, 2, 3]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the sorted sequence.', async () => {
+    const iterable = new AsyncIterable([3, 1, 2]).sort();
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3]);
+  });
+  it('should yield the sorted sequence with comparator.', async () => {
+    const iterable = new AsyncIterable([3, 1, 2]).sort((a, b) => b - a);
+    assert.deepStrictEqual(await iterable.toArray(), [3, 2, 1]);
+  });
+  it('should await an async comparator.', async () => {
+    const iterable = new AsyncIterable([5, 3, 1, 4, 2]).sort(async (a, b) => a - b);
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 3, 4, 5]);
+  });
+  it('should keep the order of the items that compare equal.', async () => {
+    const items = [[1, 'a'], [0, 'b'], [1, 'c'], [0, 'd']];
+    const iterable = new AsyncIterable(items).sort(async (a, b) => a[0] - b[0]);
+    assert.deepStrictEqual(
+      (await iterable.toArray()).map(([, v]) => v),
+      ['b', 'd', 'a', 'c'],
+    );
+  });
+});
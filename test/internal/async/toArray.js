@@ -0,0 +1,21 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#toArray', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.toArray();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should resolve to an Array', async () => {
+    const promise = new AsyncIterable(Promise.resolve([1, 2, 3])).toArray();
+    assert(promise instanceof Promise);
+    assert.deepStrictEqual(await promise, [1, 2, 3]);
+  });
+});
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#whileDo', () => {
+  it('should throw a BadArgumentError if there is an invalid AsyncIterable', () => {
+    try {
+      AsyncIterable.whileDo();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    try {
+      AsyncIterable.whileDo([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.whileDo([1, 2, 3], () => false);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should repeat the sequence while the predicate is true.', async () => {
+    let c = 0;
+    const iterable = new AsyncIterable([1, 2]).whileDo(async () => {
+      c += 1;
+      return c < 3;
+    });
+    assert.deepStrictEqual(await iterable.toArray(), [1, 2, 1, 2]);
+  });
+});
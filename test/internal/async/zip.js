@@ -0,0 +1,57 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import AsyncIterable from '../../../src/asyncIterable';
+import { BadArgumentError } from '../../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('AsyncIterable#zip', () => {
+  it('should throw a BadArgumentError if there is an invalid Array', () => {
+    try {
+      AsyncIterable.zip();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function provided (except undefined)', () => {
+    try {
+      AsyncIterable.zip([[1, 2, 3]], 1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an AsyncIterable if no errors.', () => {
+    const iterable = AsyncIterable.zip([[1, 2, 3]]);
+    assert(iterable instanceof AsyncIterable);
+  });
+  it('should yield the correct sequence.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.zip([['a', 'b', 'c']]);
+    assert.deepStrictEqual(await iterable.toArray(), [[1, 'a'], [2, 'b'], [3, 'c']]);
+  });
+  it('should yield the correct sequence with the given zipper.', async () => {
+    const source = new AsyncIterable(async function* () { yield 1; yield 2; yield 3; });
+    const iterable = source.zip([['a', 'b', 'c']], async ([a, b]) => `${a}${b}`);
+    assert.deepStrictEqual(await iterable.toArray(), ['1a', '2b', '3c']);
+  });
+  it('should iterate the AsyncIterables in lockstep', async () => {
+    const iterable = AsyncIterable.zip([AsyncIterable.range(0, Infinity), ['a', 'b']]);
+    assert.deepStrictEqual(await iterable.toArray(), [[0, 'a'], [1, 'b']]);
+  });
+  it('should pad the shorter AsyncIterables in longest mode', async () => {
+    const iterable = new AsyncIterable([1, 2, 3]).zip([[1]], { mode: 'longest', fill: 0 });
+    assert.deepStrictEqual(await iterable.toArray(), [[1, 1], [2, 0], [3, 0]]);
+  });
+  it('should throw a RangeError in strict mode if the lengths differ', async () => {
+    let state;
+    const long = new AsyncIterable([1, 2, 3]).onDone((x) => { state = x; });
+    try {
+      await AsyncIterable.zip([[1], long], { mode: 'strict' }).toArray();
+      assert(false);
+    } catch (e) {
+      assert(e instanceof RangeError);
+    }
+    assert(state.aborted === true);
+  });
+});
@@ -0,0 +1,30 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#bottomK', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.bottomK(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid amount', () => {
+    assert.throws(() => Iterable.bottomK([1], -1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparator', () => {
+    assert.throws(() => Iterable.bottomK([1], 1, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.bottomK([1, 2, 3], 2) instanceof Iterable);
+  });
+  it('should yield the lowest items from the lowest', () => {
+    const iterable = new Iterable([5, 1, 9, 3, 7, 2]).bottomK(3);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should keep the earlier items among equal ones', () => {
+    const base = [{ v: 2, i: 0 }, { v: 1, i: 1 }, { v: 1, i: 2 }, { v: 1, i: 3 }];
+    const iterable = Iterable.bottomK(base, 2, (a, b) => a.v - b.v);
+    assert.deepStrictEqual(iterable.map(x => x.i).toArray(), [1, 2]);
+  });
+});
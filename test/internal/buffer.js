@@ -48,4 +48,16 @@ describe('#buffer', () => {
     }
     assert(acc);
   });
+  it('should yield overlapping buffers if the skip is lower than the count', () => {
+    const iterable = Iterable.buffer([1, 2, 3, 4, 5], 3, 1);
+    assert.deepStrictEqual(iterable.toArray(), [[1, 2, 3], [2, 3, 4], [3, 4, 5], [4, 5], [5]]);
+  });
+  it('should leave out items if the skip is greater than the count', () => {
+    const iterable = new Iterable([1, 2, 3, 4, 5, 6, 7]).buffer(2, 3);
+    assert.deepStrictEqual(iterable.toArray(), [[1, 2], [4, 5], [7]]);
+  });
+  it('should throw a BadArgumentError if the skip is not greater than zero', () => {
+    assert.throws(() => Iterable.buffer([1, 2, 3], 2, 0), BadArgumentError);
+    assert.throws(() => Iterable.buffer([1, 2, 3], 2, 'a'), BadArgumentError);
+  });
 });
@@ -0,0 +1,24 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#bufferWhile', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.bufferWhile(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    assert.throws(() => Iterable.bufferWhile([1, 2, 3]), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.bufferWhile([1, 2, 3], x => x) instanceof Iterable);
+  });
+  it('should start a new buffer on the items that fail the predicate', () => {
+    const iterable = new Iterable([1, 2, 0, 3, 0, 0, 4]).bufferWhile(x => x !== 0);
+    assert.deepStrictEqual(iterable.toArray(), [[1, 2], [0, 3], [0], [0, 4]]);
+  });
+  it('should yield nothing for an empty Iterable', () => {
+    assert.deepStrictEqual(Iterable.bufferWhile([], x => x).toArray(), []);
+  });
+});
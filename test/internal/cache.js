@@ -1,3 +1,4 @@
+/* eslint-disable func-names */
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-restricted-syntax */
 import '@babel/polyfill';
@@ -28,4 +29,30 @@ describe('#cache', () => {
     for (const c of cache1) {
     }
   });
+  it('should not re-run the source once it has completed', () => {
+    let calls = 0;
+    const iterable = new Iterable([1, 2, 3]).onStart(() => { calls += 1; }).cache();
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert(calls === 1);
+  });
+  it('should resume the source if it was closed early', () => {
+    const iterable = new Iterable([1, 2, 3]).cache();
+    for (const c of iterable) {
+      break;
+    }
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should read a one-shot generator only once', () => {
+    const generator = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+    }());
+    const iterable = Iterable.cache(generator);
+    for (const c of iterable) {
+      break;
+    }
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
 });
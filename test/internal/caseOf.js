@@ -0,0 +1,33 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#case', () => {
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.case(1, {}), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid sources', () => {
+    assert.throws(() => Iterable.case(() => 1, 1), BadArgumentError);
+    assert.throws(() => Iterable.case(() => 1, {}, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.case(() => 'a', { a: [1] }) instanceof Iterable);
+  });
+  it('should pick the source of the key each time it is iterated', () => {
+    let key = 'a';
+    const iterable = Iterable.case(() => key, { a: [1], b: [2] });
+    assert.deepStrictEqual(iterable.toArray(), [1]);
+    key = 'b';
+    assert.deepStrictEqual(iterable.toArray(), [2]);
+  });
+  it('should accept a Map of sources', () => {
+    const iterable = Iterable.case(() => 1, new Map([[1, [1, 2]]]));
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+  });
+  it('should yield the default source if no key matches', () => {
+    assert.deepStrictEqual(Iterable.case(() => 'c', { a: [1] }, [0]).toArray(), [0]);
+    assert.deepStrictEqual(Iterable.case(() => 'toString', { a: [1] }).toArray(), []);
+  });
+});
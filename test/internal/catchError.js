@@ -0,0 +1,73 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/**
+ * @ignore
+ */
+const faulty = new Iterable(function* () {
+  yield 1;
+  yield 2;
+  throw new Error('faulty');
+});
+
+/* eslint-disable no-undef */
+describe('#catchError', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.catchError();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid handler', () => {
+    try {
+      Iterable.catchError([1, 2, 3], 1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.catchError([1, 2, 3], []);
+    assert(iterable instanceof Iterable);
+  });
+  it('should yield the source sequence if no error is thrown.', () => {
+    const iterable = new Iterable([1, 2, 3]).catchError([4, 5]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should continue with the fallback Iterable if an error is thrown.', () => {
+    const iterable = faulty.catchError([3, 4]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4]);
+  });
+  it('should continue with the Iterable returned by the handler.', () => {
+    let error;
+    const iterable = faulty.catchError((e) => {
+      error = e;
+      return [e.message];
+    });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 'faulty']);
+    assert(error instanceof Error);
+  });
+  it('should catch errors thrown by the callbacks of the source Iterable.', () => {
+    const iterable = new Iterable([1, 2, 0, 4])
+      .map((x) => {
+        if (x === 0) {
+          throw new Error('zero');
+        }
+        return 12 / x;
+      })
+      .catchError([-1]);
+    assert.deepStrictEqual(iterable.toArray(), [12, 6, -1]);
+  });
+  it('should throw a TypeError if the handler returned a non-Iterable.', () => {
+    try {
+      faulty.catchError(() => 1).toArray();
+      assert(false);
+    } catch (e) {
+      assert(e instanceof TypeError);
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#chunkBy', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.chunkBy(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid keySelector', () => {
+    assert.throws(() => Iterable.chunkBy([1, 2, 3]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparer', () => {
+    assert.throws(() => Iterable.chunkBy([1, 2, 3], x => x, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.chunkBy([1, 2, 3], x => x) instanceof Iterable);
+  });
+  it('should yield the runs of items with the same key', () => {
+    const iterable = new Iterable([1, 3, 2, 4, 5, 6]).chunkBy(x => x % 2);
+    const result = iterable.map(({ key, values }) => [key, values.toArray()]).toArray();
+    assert.deepStrictEqual(result, [[1, [1, 3]], [0, [2, 4]], [1, [5]], [0, [6]]]);
+  });
+  it('should compare the keys with the given comparer', () => {
+    const comparer = (a, b) => a.toLowerCase() === b.toLowerCase();
+    const iterable = new Iterable(['a', 'A', 'b']).chunkBy(x => x, comparer);
+    const result = iterable.map(({ key, values }) => [key, values.toArray()]).toArray();
+    assert.deepStrictEqual(result, [['a', ['a', 'A']], ['b', ['b']]]);
+  });
+  it('should yield nothing for an empty Iterable', () => {
+    assert.deepStrictEqual(Iterable.chunkBy([], x => x).toArray(), []);
+  });
+  it('should yield each run as soon as the next key is read', () => {
+    let read = 0;
+    const source = new Iterable([1, 1, 2, 2, 3]).onYield(() => { read += 1; });
+    const iterator = source.chunkBy(x => x)[Symbol.iterator]();
+    iterator.next();
+    assert(read === 3);
+  });
+});
@@ -0,0 +1,21 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#cycle', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.cycle(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.cycle([1, 2]) instanceof Iterable);
+  });
+  it('should repeat the items indefinitely', () => {
+    const iterable = new Iterable([1, 2, 3]).cycle().take(7);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 1, 2, 3, 1]);
+  });
+  it('should stop if a pass yields nothing', () => {
+    assert.deepStrictEqual(Iterable.cycle([]).toArray(), []);
+  });
+});
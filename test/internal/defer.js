@@ -0,0 +1,27 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#defer', () => {
+  it('should throw a BadArgumentError if there is an invalid factory', () => {
+    assert.throws(() => Iterable.defer(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.defer(() => [1]) instanceof Iterable);
+  });
+  it('should call the factory each time it is iterated', () => {
+    let calls = 0;
+    const iterable = Iterable.defer(() => {
+      calls += 1;
+      return [calls];
+    });
+    assert(calls === 0);
+    assert.deepStrictEqual(iterable.toArray(), [1]);
+    assert.deepStrictEqual(iterable.toArray(), [2]);
+  });
+  it('should throw a BadArgumentError if the factory does not return an Iterable', () => {
+    assert.throws(() => Iterable.defer(() => 1).toArray(), BadArgumentError);
+  });
+});
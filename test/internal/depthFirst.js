@@ -27,4 +27,14 @@ describe('#depthFirst', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should yield the items before the whole Iterable is read', () => {
+    let read = 0;
+    const iterable = new Iterable([[1, 2], [3, 4]]).onYield(() => { read += 1; }).depthFirst();
+    assert.deepStrictEqual(iterable.take(1).toArray(), [1]);
+    assert(read === 1);
+  });
+  it('should not flatten the strings', () => {
+    const iterable = new Iterable(['ab', ['c', ['d']]]).depthFirst();
+    assert.deepStrictEqual(iterable.toArray(), ['ab', 'c', 'd']);
+  });
 });
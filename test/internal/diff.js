@@ -29,4 +29,22 @@ describe('#diff', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => Iterable.diff([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.diff([1], [1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', () => {
+    const iterable = Iterable.diff(
+      [{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 3 }, { id: 1 }], x => x.id,
+    );
+    assert.deepStrictEqual(iterable.map(x => x.id).toArray(), [2]);
+  });
+  it('should compare the keys with the given comparer.', () => {
+    const iterable = Iterable.diff(
+      ['a', 'B', 'c'], ['b', 'C'], x => x.toLowerCase(), (a, b) => a === b,
+    );
+    assert.deepStrictEqual(iterable.toArray(), ['a']);
+  });
 });
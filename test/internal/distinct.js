@@ -28,4 +28,23 @@ describe('#distinct', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => Iterable.distinct([1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.distinct([1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', () => {
+    const iterable = Iterable.distinct([{ id: 1 }, { id: 2 }, { id: 1 }, { id: 3 }], x => x.id);
+    assert.deepStrictEqual(iterable.map(x => x.id).toArray(), [1, 2, 3]);
+  });
+  it('should compare the keys with the given comparer.', () => {
+    const iterable = Iterable.distinct(
+      ['a', 'A', 'b', 'B'], x => x.toLowerCase(), (a, b) => a === b,
+    );
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b']);
+  });
+  it('should treat NaN as equal to itself.', () => {
+    assert.deepStrictEqual(Iterable.distinct([NaN, 1, NaN]).toArray(), [NaN, 1]);
+  });
 });
@@ -27,4 +27,22 @@ describe('#distinctAdjacent', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => Iterable.distinctAdjacent([1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.distinctAdjacent([1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', () => {
+    const iterable = Iterable.distinctAdjacent(
+      [{ id: 1 }, { id: 1 }, { id: 2 }, { id: 1 }], x => x.id,
+    );
+    assert.deepStrictEqual(iterable.map(x => x.id).toArray(), [1, 2, 1]);
+  });
+  it('should compare the keys with the given comparer.', () => {
+    const iterable = Iterable.distinctAdjacent(
+      ['a', 'A', 'b', 'a'], x => x.toLowerCase(), (a, b) => a === b,
+    );
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b', 'a']);
+  });
 });
@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#entries', () => {
+  it('should throw a BadArgumentError if there is an invalid object', () => {
+    assert.throws(() => Iterable.entries(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.entries({}) instanceof Iterable);
+  });
+  it('should yield the entries of the object', () => {
+    assert.deepStrictEqual(Iterable.entries({ a: 1, b: 2 }).toArray(), [['a', 1], ['b', 2]]);
+  });
+  it('should yield the symbol entries if the option is set', () => {
+    const symbol = Symbol('b');
+    const iterable = Iterable.entries({ a: 1, [symbol]: 2 }, { symbols: true });
+    assert.deepStrictEqual(iterable.toArray(), [['a', 1], [symbol, 2]]);
+  });
+  it('should yield the entries of a Map', () => {
+    const iterable = Iterable.entries(new Map([['a', 1]]));
+    assert.deepStrictEqual(iterable.toArray(), [['a', 1]]);
+  });
+});
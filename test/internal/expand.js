@@ -0,0 +1,32 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#expand', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.expand(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid function', () => {
+    assert.throws(() => Iterable.expand([1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid depth', () => {
+    assert.throws(() => Iterable.expand([1], x => [x], -1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.expand([1], () => []) instanceof Iterable);
+  });
+  it('should feed the yielded items back breadth-first', () => {
+    const iterable = new Iterable([1]).expand(x => (x < 4 ? [x * 2, x * 2 + 1] : []));
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4, 5, 6, 7]);
+  });
+  it('should stop expanding at the given depth', () => {
+    const iterable = new Iterable([1]).expand(x => [x * 2, x * 2 + 1], 2);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4, 5, 6, 7]);
+  });
+  it('should expand lazily', () => {
+    const iterable = new Iterable([1]).expand(x => [x + 1]);
+    assert.deepStrictEqual(iterable.take(4).toArray(), [1, 2, 3, 4]);
+  });
+});
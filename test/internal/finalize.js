@@ -0,0 +1,57 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#finally', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.finally();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid action', () => {
+    try {
+      Iterable.finally([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.finally([1, 2, 3], () => {});
+    assert(iterable instanceof Iterable);
+  });
+  it('should execute the action when the iteration completes.', () => {
+    let flag = false;
+    const iterable = new Iterable([1, 2, 3]).finally(() => { flag = true; });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert(flag === true);
+  });
+  it('should execute the action when the iteration throws.', () => {
+    let flag = false;
+    const iterable = new Iterable(function* () {
+      yield 1;
+      throw new Error('faulty');
+    }).finally(() => { flag = true; });
+    try {
+      iterable.toArray();
+    } catch (e) {
+      assert(e.message === 'faulty');
+    }
+    assert(flag === true);
+  });
+  it('should execute the action when the iteration is closed early.', () => {
+    let flag = false;
+    const iterable = new Iterable([1, 2, 3]).finally(() => { flag = true; });
+    for (const i of iterable) {
+      if (i === 1) {
+        break;
+      }
+    }
+    assert(flag === true);
+  });
+});
@@ -0,0 +1,24 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#firstOrDefault', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.firstOrDefault(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    assert.throws(() => Iterable.firstOrDefault([1], 1), BadArgumentError);
+  });
+  it('should return the first item', () => {
+    assert(new Iterable([3, 4]).firstOrDefault() === 3);
+  });
+  it('should return the first item that passes the predicate', () => {
+    assert(new Iterable([1, 2, 3, 4]).firstOrDefault(x => x % 2 === 0) === 2);
+  });
+  it('should return the default value if no item passes the predicate', () => {
+    assert(Iterable.firstOrDefault([1, 3], x => x % 2 === 0, -1) === -1);
+    assert(Iterable.firstOrDefault([], undefined, -1) === -1);
+  });
+});
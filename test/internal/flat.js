@@ -28,4 +28,33 @@ describe('#flat', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if there is an invalid depth', () => {
+    assert.throws(() => Iterable.flat([1], -1), BadArgumentError);
+    assert.throws(() => Iterable.flat([1], 'a'), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.flat([1], 1, 1), BadArgumentError);
+    assert.throws(() => Iterable.flat([1], { isLeaf: 1 }), BadArgumentError);
+  });
+  it('should flatten up to the given depth', () => {
+    const base = [1, [2, [3, [4]]]];
+    assert.deepStrictEqual(Iterable.flat(base, 0).toArray(), base);
+    assert.deepStrictEqual(Iterable.flat(base, 2).toArray(), [1, 2, 3, [4]]);
+    assert.deepStrictEqual(Iterable.flat(base, Infinity).toArray(), [1, 2, 3, 4]);
+  });
+  it('should not flatten the strings', () => {
+    const iterable = new Iterable(['ab', ['c', ['de']]]).flat(Infinity);
+    assert.deepStrictEqual(iterable.toArray(), ['ab', 'c', 'de']);
+  });
+  it('should yield the items that pass the isLeaf option as they are', () => {
+    const leaf = new Set([1, 2]);
+    const iterable = new Iterable([leaf, [new Set([3])]]).flat(Infinity, {
+      isLeaf: x => x === leaf,
+    });
+    assert.deepStrictEqual(iterable.toArray(), [leaf, 3]);
+  });
+  it('should accept the options in place of the depth', () => {
+    const iterable = new Iterable(['ab', ['c']]).flat({ isLeaf: () => false });
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b', 'c']);
+  });
 });
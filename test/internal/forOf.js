@@ -0,0 +1,18 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#for', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.for(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid result selector', () => {
+    assert.throws(() => Iterable.for([1]), BadArgumentError);
+  });
+  it('should yield the items of the selected Iterables', () => {
+    const iterable = Iterable.for([1, 2, 3], x => Iterable.repeatValue(x, x));
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 2, 3, 3, 3]);
+  });
+});
@@ -0,0 +1,28 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#generate', () => {
+  it('should throw a BadArgumentError if there is an invalid condition', () => {
+    assert.throws(() => Iterable.generate(0, 1, x => x), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid next function', () => {
+    assert.throws(() => Iterable.generate(0, () => true), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.generate(0, () => true, x => x, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.generate(0, () => false, x => x) instanceof Iterable);
+  });
+  it('should yield the states while they pass the condition', () => {
+    const iterable = Iterable.generate(0, x => x < 5, x => x + 1);
+    assert.deepStrictEqual(iterable.toArray(), [0, 1, 2, 3, 4]);
+  });
+  it('should yield the selected values', () => {
+    const iterable = Iterable.generate(1, x => x < 20, x => x * 2, x => `${x}`);
+    assert.deepStrictEqual(iterable.toArray(), ['1', '2', '4', '8', '16']);
+  });
+});
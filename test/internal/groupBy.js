@@ -0,0 +1,81 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#groupBy', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.groupBy();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    try {
+      Iterable.groupBy([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function element selector (except undefined)', () => {
+    try {
+      Iterable.groupBy([1, 2, 3], x => x, 1);
+      assert(false);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function result selector (except undefined)', () => {
+    try {
+      Iterable.groupBy([1, 2, 3], x => x, undefined, 1);
+      assert(false);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.groupBy([1, 2, 3], x => x);
+    assert(iterable instanceof Iterable);
+  });
+  it('should yield the groups in the order the keys were first seen', () => {
+    const iterable = new Iterable([3, 1, 4, 1, 5, 9, 2, 6]).groupBy(x => x % 3);
+    const groups = iterable.toArray();
+    assert.deepStrictEqual(groups.map(x => x.key), [0, 1, 2]);
+    assert(groups.every(x => x.values instanceof Iterable));
+    assert.deepStrictEqual(groups.map(x => x.values.toArray()), [[3, 9, 6], [1, 4, 1], [5, 2]]);
+  });
+  it('should apply the element selector to the values', () => {
+    const records = [{ id: 1, tag: 'a' }, { id: 2, tag: 'b' }, { id: 3, tag: 'a' }];
+    const groups = Iterable.groupBy(records, x => x.tag, x => x.id).toArray();
+    assert.deepStrictEqual(groups.map(x => [x.key, x.values.toArray()]), [['a', [1, 3]], ['b', [2]]]);
+  });
+  it('should apply the result selector to the groups', () => {
+    const iterable = Iterable.groupBy('mississippi', x => x, undefined, (key, values) => `${key}${values.count()[0]}`);
+    assert.deepStrictEqual(iterable.toArray(), ['m1', 'i4', 's4', 'p2']);
+  });
+  it('should iterate the source Iterable once', () => {
+    let calls = 0;
+    const source = new Iterable([1, 2, 3, 4]).onStart(() => { calls += 1; });
+    source.groupBy(x => x % 2).toArray();
+    assert(calls === 1);
+  });
+  it('should collect the groups into a Map', () => {
+    const map = new Iterable([1, 2, 3, 4]).groupBy(x => (x % 2 === 0 ? 'even' : 'odd'))
+      .toMap(x => x.key, x => x.values.toArray());
+    assert.deepStrictEqual([...map], [['odd', [1, 3]], ['even', [2, 4]]]);
+  });
+  it('should collect the groups into a Map without selectors', () => {
+    const map = Iterable.groupBy([1, 2, 3], x => x % 2).toMap();
+    assert.deepStrictEqual([...map.keys()], [1, 0]);
+    assert.deepStrictEqual(map.get(1).toArray(), [1, 3]);
+    assert.deepStrictEqual(map.get(0).toArray(), [2]);
+  });
+  it('should collect the groups into an Object without selectors', () => {
+    const object = Iterable.groupBy(['a', 'bb', 'c'], x => x.length).toObject();
+    assert.deepStrictEqual(Object.keys(object), ['1', '2']);
+    assert.deepStrictEqual(object[1].toArray(), ['a', 'c']);
+  });
+});
@@ -0,0 +1,50 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const users = [
+  { id: 1, name: 'ann' },
+  { id: 2, name: 'bob' },
+  { id: 3, name: 'cid' },
+];
+const orders = [
+  { user: 1, item: 'tea' },
+  { user: 4, item: 'pen' },
+  { user: 1, item: 'jam' },
+  { user: 3, item: 'ink' },
+];
+const userId = x => x.id;
+const orderUser = x => x.user;
+
+/* eslint-disable no-undef */
+describe('#groupJoin', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.groupJoin(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid inner Iterable', () => {
+    assert.throws(() => Iterable.groupJoin(users), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.groupJoin(users, orders, userId), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid result selector', () => {
+    assert.throws(() => Iterable.groupJoin(users, orders, userId, orderUser, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.groupJoin(users, orders, userId, orderUser) instanceof Iterable);
+  });
+  it('should yield each row with the Iterable of its matches', () => {
+    const iterable = new Iterable(users).groupJoin(
+      orders, userId, orderUser, (u, o) => [u.name, o.map(x => x.item).toArray()],
+    );
+    assert.deepStrictEqual(iterable.toArray(), [['ann', ['tea', 'jam']], ['bob', []], ['cid', ['ink']]]);
+  });
+  it('should yield the pairs as arrays by default', () => {
+    const [[outer, inner]] = Iterable.groupJoin([1], [1, 1], x => x, x => x).toArray();
+    assert(outer === 1);
+    assert(inner instanceof Iterable);
+    assert.deepStrictEqual(inner.toArray(), [1, 1]);
+  });
+});
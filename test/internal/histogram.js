@@ -0,0 +1,55 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#histogram', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.histogram(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid bins', () => {
+    assert.throws(() => Iterable.histogram([1]), BadArgumentError);
+    assert.throws(() => Iterable.histogram([1], 0), BadArgumentError);
+    assert.throws(() => Iterable.histogram([1], [2, 1]), BadArgumentError);
+  });
+  it('should count the values in the bins of equal width', () => {
+    const iterable = new Iterable([0, 1, 2, 5, 9, 10]).histogram(2);
+    assert.deepStrictEqual(iterable.toArray(), [
+      { start: 0, end: 5, count: 3 },
+      { start: 5, end: 10, count: 3 },
+    ]);
+  });
+  it('should count the values in the bins between the boundaries', () => {
+    const iterable = new Iterable([-1, 0, 1, 2, 3, 4, 9]).histogram([0, 2, 4]);
+    assert.deepStrictEqual(iterable.toArray(), [
+      { start: 0, end: 2, count: 2 },
+      { start: 2, end: 4, count: 3 },
+    ]);
+  });
+  it('should use the selected values', () => {
+    const iterable = Iterable.histogram(['a', 'bb', 'cc'], [1, 2, 3], x => x.length);
+    assert.deepStrictEqual(iterable.map(x => x.count).toArray(), [1, 2]);
+  });
+  it('should yield nothing for an amount of bins if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.histogram([], 3).toArray(), []);
+  });
+  it('should yield a single bin if all of the values are the same', () => {
+    assert.deepStrictEqual(Iterable.histogram([5, 5, 5], 3).toArray(), [
+      { start: 5, end: 5, count: 3 },
+    ]);
+  });
+  it('should leave out the values that are not finite numbers', () => {
+    assert.deepStrictEqual(Iterable.histogram([1, NaN, 2, Infinity], 2).toArray(), [
+      { start: 1, end: 1.5, count: 1 },
+      { start: 1.5, end: 2, count: 1 },
+    ]);
+    assert.deepStrictEqual(Iterable.histogram([NaN, 0, 3], [0, 2, 4]).toArray(), [
+      { start: 0, end: 2, count: 1 },
+      { start: 2, end: 4, count: 1 },
+    ]);
+  });
+  it('should yield nothing for an amount of bins if there are no finite values', () => {
+    assert.deepStrictEqual(Iterable.histogram([NaN, -Infinity], 2).toArray(), []);
+  });
+});
@@ -0,0 +1,28 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#if', () => {
+  it('should throw a BadArgumentError if there is an invalid condition', () => {
+    assert.throws(() => Iterable.if(1, [1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid sources', () => {
+    assert.throws(() => Iterable.if(() => true), BadArgumentError);
+    assert.throws(() => Iterable.if(() => true, [1], 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.if(() => true, [1]) instanceof Iterable);
+  });
+  it('should pick the source each time it is iterated', () => {
+    let flag = true;
+    const iterable = Iterable.if(() => flag, [1, 2], [3]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+    flag = false;
+    assert.deepStrictEqual(iterable.toArray(), [3]);
+  });
+  it('should yield nothing if the condition is false without an else source', () => {
+    assert.deepStrictEqual(Iterable.if(() => false, [1]).toArray(), []);
+  });
+});
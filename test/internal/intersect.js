@@ -29,4 +29,60 @@ describe('#intersect', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => Iterable.intersect([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.intersect([1], [1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', () => {
+    const iterable = Iterable.intersect(
+      [{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 3 }, { id: 1 }], x => x.id,
+    );
+    assert.deepStrictEqual(iterable.map(x => x.id).toArray(), [1, 3]);
+  });
+  it('should compare the keys with the given comparer.', () => {
+    const iterable = Iterable.intersect(
+      ['a', 'B', 'c'], ['b', 'C'], x => x.toLowerCase(), (a, b) => a === b,
+    );
+    assert.deepStrictEqual(iterable.toArray(), ['B', 'c']);
+  });
+  it('should yield the distinct mutual items in set mode', () => {
+    const iterable = new Iterable([1, 2, 2, 3, 4]).intersect([6, 4, 4, 2], { mode: 'set' });
+    assert.deepStrictEqual(iterable.toArray(), [2, 4]);
+  });
+  it('should keep the lowest multiplicity in bag mode', () => {
+    const iterable = new Iterable([1, 1, 2]).intersect([1, 2, 2], { mode: 'bag' });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+  });
+  it('should accept the options in place of the comparer', () => {
+    const iterable = Iterable.intersect(['a', 'A', 'b'], ['A'], x => x.toLowerCase(), { mode: 'bag' });
+    assert.deepStrictEqual(iterable.toArray(), ['a']);
+  });
+  it('should throw a BadArgumentError if there is an invalid mode', () => {
+    assert.throws(() => Iterable.intersect([1], [1], { mode: 'list' }), BadArgumentError);
+  });
+  it('should default to the set mode with any options', () => {
+    const iterable = new Iterable([1, 2, 2, 3, 4]).intersect([6, 4, 4, 2], {});
+    assert.deepStrictEqual(iterable.toArray(), [2, 4]);
+  });
+  it('should default to the set mode with options that only have a comparer', () => {
+    const iterable = Iterable.intersect(['a', 'A', 'b'], ['a'], { comparer: (a, b) => a.toLowerCase() === b.toLowerCase() });
+    assert.deepStrictEqual(iterable.toArray(), ['a']);
+  });
+  it('should default to the set mode with the options in place of the key selector', () => {
+    const iterable = Iterable.intersect([1, 1, 2], [1], {});
+    assert.deepStrictEqual(iterable.toArray(), [1]);
+  });
+  it('should compare the keys with the comparer of the options in set mode', () => {
+    const iterable = Iterable.intersect(['a', 'A', 'b'], ['a'], { mode: 'set', comparer: (a, b) => a.toLowerCase() === b.toLowerCase() });
+    assert.deepStrictEqual(iterable.toArray(), ['a']);
+  });
+  it('should compare the keys with the comparer of the options in bag mode', () => {
+    const iterable = Iterable.intersect(['a', 'A', 'b'], ['A', 'a'], { mode: 'bag', comparer: (a, b) => a.toLowerCase() === b.toLowerCase() });
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'A']);
+  });
+  it('should throw a BadArgumentError if the comparer of the options is not a function', () => {
+    assert.throws(() => Iterable.intersect([1], [1], { comparer: 1 }), BadArgumentError);
+  });
 });
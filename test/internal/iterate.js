@@ -0,0 +1,22 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#iterate', () => {
+  it('should throw a BadArgumentError if there is an invalid function', () => {
+    assert.throws(() => Iterable.iterate(1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.iterate(1, x => x) instanceof Iterable);
+  });
+  it('should yield the seed and the results of the function', () => {
+    const iterable = Iterable.iterate(1, x => x * 2).take(5);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 4, 8, 16]);
+  });
+  it('should pass the index of the previous value', () => {
+    const iterable = Iterable.iterate(0, (x, i) => x + i).take(5);
+    assert.deepStrictEqual(iterable.toArray(), [0, 0, 1, 3, 6]);
+  });
+});
@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const users = [
+  { id: 1, name: 'ann' },
+  { id: 2, name: 'bob' },
+  { id: 3, name: 'cid' },
+];
+const orders = [
+  { user: 1, item: 'tea' },
+  { user: 4, item: 'pen' },
+  { user: 1, item: 'jam' },
+  { user: 3, item: 'ink' },
+];
+const userId = x => x.id;
+const orderUser = x => x.user;
+const pair = (u, o) => `${u ? u.name : '-'}:${o ? o.item : '-'}`;
+
+/* eslint-disable no-undef */
+describe('#join', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.join(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid inner Iterable', () => {
+    assert.throws(() => Iterable.join(users), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.join(users, orders, userId), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid result selector', () => {
+    assert.throws(() => Iterable.join(users, orders, userId, orderUser, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.join(users, orders, userId, orderUser) instanceof Iterable);
+  });
+  it('should yield the matching pairs', () => {
+    const iterable = new Iterable(users).join(orders, userId, orderUser, pair);
+    assert.deepStrictEqual(iterable.toArray(), ['ann:tea', 'ann:jam', 'cid:ink']);
+  });
+  it('should yield the pairs as arrays by default', () => {
+    const iterable = Iterable.join([1, 2], [2, 3], x => x, x => x);
+    assert.deepStrictEqual(iterable.toArray(), [[2, 2]]);
+  });
+  it('should read the inner Iterable once', () => {
+    let reads = 0;
+    const inner = new Iterable(orders).onStart(() => { reads += 1; });
+    Iterable.join(users, inner, userId, orderUser).toArray();
+    assert(reads === 1);
+  });
+});
@@ -0,0 +1,54 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/**
+ * @ignore
+ */
+const symbol = Symbol('c');
+/**
+ * @ignore
+ */
+const create = () => {
+  const obj = Object.create({ b: 2 });
+  obj.a = 1;
+  obj[symbol] = 3;
+  Object.defineProperty(obj, 'hidden', { value: 4, enumerable: false });
+  return obj;
+};
+
+/* eslint-disable no-undef */
+describe('#keys', () => {
+  it('should throw a BadArgumentError if there is an invalid object', () => {
+    assert.throws(() => Iterable.keys(), BadArgumentError);
+    assert.throws(() => Iterable.keys(1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.keys({}, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.keys({}) instanceof Iterable);
+  });
+  it('should yield the own enumerable string keys by default', () => {
+    assert.deepStrictEqual(Iterable.keys(create()).toArray(), ['a']);
+  });
+  it('should yield the inherited keys if the option is set', () => {
+    const iterable = Iterable.keys(create(), { inherited: true });
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b']);
+  });
+  it('should yield the symbol keys if the option is set', () => {
+    const iterable = Iterable.keys(create(), { symbols: true });
+    assert.deepStrictEqual(iterable.toArray(), ['a', symbol]);
+  });
+  it('should yield the keys of a Map', () => {
+    const iterable = Iterable.keys(new Map([[1, 'a'], [2, 'b']]));
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+  });
+  it('should read the object as it is iterated', () => {
+    const obj = { a: 1 };
+    const iterable = Iterable.keys(obj);
+    obj.b = 2;
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b']);
+  });
+});
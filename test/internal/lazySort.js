@@ -0,0 +1,40 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#lazySort', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.lazySort(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparator', () => {
+    assert.throws(() => Iterable.lazySort([1], 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.lazySort([1, 2, 3]) instanceof Iterable);
+  });
+  it('should yield the items in sorted order', () => {
+    const base = [5, 1, 9, 3, 7, 2, 8, 4, 6, 0];
+    const iterable = new Iterable(base).lazySort();
+    assert.deepStrictEqual(iterable.toArray(), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+  it('should keep the source order of equal items', () => {
+    const base = Iterable.range(0, 49).map(i => ({ i, k: i % 4 })).toArray();
+    const result = Iterable.lazySort(base, (a, b) => a.k - b.k).toArray();
+    for (let i = 1; i < result.length; i += 1) {
+      const a = result[i - 1];
+      const b = result[i];
+      assert(a.k < b.k || (a.k === b.k && a.i < b.i));
+    }
+  });
+  it('should compare less items when only a few are pulled', () => {
+    let lazy = 0;
+    let eager = 0;
+    const base = Iterable.range(0, 999).map(i => (i * 7919) % 1000).toArray();
+    new Iterable(base).lazySort((a, b) => { lazy += 1; return a - b; }).take(3).toArray();
+    new Iterable(base).sort((a, b) => { eager += 1; return a - b; }).take(3).toArray();
+    assert(lazy < eager);
+  });
+});
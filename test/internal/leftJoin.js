@@ -29,4 +29,22 @@ describe('#leftJoin', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if the key selector is not a function', () => {
+    assert.throws(() => Iterable.leftJoin([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.leftJoin([1], [1], undefined, 1), BadArgumentError);
+  });
+  it('should compare the keys returned by the key selector.', () => {
+    const iterable = Iterable.leftJoin(
+      [{ id: 1 }, { id: 2 }, { id: 3 }], [{ id: 3 }, { id: 4 }], x => x.id,
+    );
+    assert.deepStrictEqual(iterable.map(x => x.id).toArray(), [1, 2, 3, 3]);
+  });
+  it('should compare the keys with the given comparer.', () => {
+    const iterable = Iterable.leftJoin(
+      ['a', 'B'], ['b', 'c'], x => x.toLowerCase(), (a, b) => a === b,
+    );
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'B', 'b']);
+  });
 });
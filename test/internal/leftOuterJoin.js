@@ -0,0 +1,50 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const users = [
+  { id: 1, name: 'ann' },
+  { id: 2, name: 'bob' },
+  { id: 3, name: 'cid' },
+];
+const orders = [
+  { user: 1, item: 'tea' },
+  { user: 4, item: 'pen' },
+  { user: 1, item: 'jam' },
+  { user: 3, item: 'ink' },
+];
+const userId = x => x.id;
+const orderUser = x => x.user;
+const pair = (u, o) => `${u ? u.name : '-'}:${o ? o.item : '-'}`;
+
+/* eslint-disable no-undef */
+describe('#leftOuterJoin', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.leftOuterJoin(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid inner Iterable', () => {
+    assert.throws(() => Iterable.leftOuterJoin(users), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.leftOuterJoin(users, orders, userId), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid result selector', () => {
+    assert.throws(
+      () => Iterable.leftOuterJoin(users, orders, userId, orderUser, 1),
+      BadArgumentError,
+    );
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.leftOuterJoin(users, orders, userId, orderUser) instanceof Iterable);
+  });
+  it('should pair the unmatched rows with undefined', () => {
+    const iterable = new Iterable(users).leftOuterJoin(orders, userId, orderUser, pair);
+    assert.deepStrictEqual(iterable.toArray(), ['ann:tea', 'ann:jam', 'bob:-', 'cid:ink']);
+  });
+  it('should yield the pairs as arrays by default', () => {
+    const iterable = Iterable.leftOuterJoin([1, 2], [2, 3], x => x, x => x);
+    assert.deepStrictEqual(iterable.toArray(), [[1, undefined], [2, 2]]);
+  });
+});
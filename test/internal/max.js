@@ -25,4 +25,23 @@ describe('#max', () => {
       assert(c === base.reduce((x, y) => max(x, y)));
     }
   });
+  it('should throw a BadArgumentError if there is an invalid comparer', () => {
+    assert.throws(() => Iterable.max([1], 1), BadArgumentError);
+  });
+  it('should compare strings and Dates', () => {
+    assert.deepStrictEqual(new Iterable(['m', 'z', 'a']).max().toArray(), ['z']);
+    const dates = [new Date(2000, 1, 1), new Date(2010, 1, 1), new Date(1990, 1, 1)];
+    assert(Iterable.max(dates).toArray()[0] === dates[1]);
+  });
+  it('should not treat null as a missing value', () => {
+    assert.deepStrictEqual(Iterable.max([null, -2, -1]).toArray(), [null]);
+  });
+  it('should use the given comparer and yield the first of equal values', () => {
+    const items = [{ v: 1, k: 'a' }, { v: 2, k: 'a' }, { v: 1, k: 'b' }, { v: 2, k: 'b' }];
+    const iterable = Iterable.max(items, (a, b) => a.v - b.v);
+    assert.deepStrictEqual(iterable.toArray(), [{ v: 2, k: 'a' }]);
+  });
+  it('should yield undefined if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.max([]).toArray(), [undefined]);
+  });
 });
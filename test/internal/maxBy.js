@@ -0,0 +1,45 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const records = [
+  { id: 1, at: new Date(2020, 0, 1) },
+  { id: 2, at: new Date(2020, 5, 1) },
+  { id: 3, at: new Date(2019, 0, 1) },
+];
+
+/* eslint-disable no-undef */
+describe('#maxBy', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.maxBy(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.maxBy([1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.maxBy([1], x => x, 1), BadArgumentError);
+    assert.throws(() => Iterable.maxBy([1], x => x, { comparer: 1 }), BadArgumentError);
+  });
+  it('should yield the item with the greatest key', () => {
+    const iterable = new Iterable(records).maxBy(x => x.at);
+    assert.deepStrictEqual(iterable.toArray(), [{ id: 2, at: new Date(2020, 5, 1) }]);
+  });
+  it('should yield the first of the items with equal keys', () => {
+    const iterable = new Iterable(['a', 'bb', 'cc', 'd']).maxBy(x => x.length);
+    assert.deepStrictEqual(iterable.toArray(), ['bb']);
+  });
+  it('should yield all the items with equal keys if all is set', () => {
+    const iterable = new Iterable(['a', 'bb', 'cc', 'd']).maxBy(x => x.length, { all: true });
+    assert.deepStrictEqual(iterable.toArray(), [['bb', 'cc']]);
+  });
+  it('should use the given comparer', () => {
+    const comparer = (a, b) => b.localeCompare(a);
+    const iterable = Iterable.maxBy(['x', 'y', 'z'], x => x, { comparer });
+    assert.deepStrictEqual(iterable.toArray(), ['x']);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.maxBy([], x => x).toArray(), []);
+    assert.deepStrictEqual(Iterable.maxBy([], x => x, { all: true }).toArray(), []);
+  });
+});
@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#median', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.median(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.median([1], 1), BadArgumentError);
+  });
+  it('should yield the middle value for an odd amount of values', () => {
+    assert.deepStrictEqual(new Iterable([5, 1, 3]).median().toArray(), [3]);
+  });
+  it('should yield the mean of the middle values for an even amount of values', () => {
+    assert.deepStrictEqual(new Iterable([4, 1, 3, 10]).median().toArray(), [3.5]);
+  });
+  it('should use the selected values', () => {
+    assert.deepStrictEqual(Iterable.median(['aaa', 'a', 'aa'], x => x.length).toArray(), [2]);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.median([]).toArray(), []);
+  });
+});
@@ -0,0 +1,92 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#memoize', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.memoize(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.memoize([1, 2, 3], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if any of the options is not a positive number', () => {
+    assert.throws(() => Iterable.memoize([1], { maxSize: -1 }), BadArgumentError);
+    assert.throws(() => Iterable.memoize([1], { ttl: 'a' }), BadArgumentError);
+    assert.throws(() => Iterable.memoize([1], { readAhead: NaN }), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.memoize([1, 2, 3]) instanceof Iterable);
+  });
+  it('should replay the items of a one-shot generator', () => {
+    const generator = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+    }());
+    const iterable = Iterable.memoize(generator);
+    assert.deepStrictEqual(iterable.take(2).toArray(), [1, 2]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should read the source once for consumers that run side by side', () => {
+    let read = 0;
+    const iterable = new Iterable([1, 2, 3]).onYield(() => { read += 1; }).memoize();
+    const result = Iterable.zip([iterable, iterable]).toArray();
+    assert.deepStrictEqual(result, [[1, 1], [2, 2], [3, 3]]);
+    assert(read === 3);
+  });
+  it('should only keep the latest items up to the maxSize', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).memoize({ maxSize: 2 });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4]);
+    assert.deepStrictEqual(iterable.toArray(), [3, 4]);
+  });
+  it('should evict the items older than the ttl', () => {
+    const { now } = Date;
+    let time = 0;
+    Date.now = () => time;
+    try {
+      const iterable = new Iterable([1, 2, 3, 4]).memoize({ ttl: 10 });
+      assert.deepStrictEqual(iterable.take(2).toArray(), [1, 2]);
+      time = 20;
+      assert.deepStrictEqual(iterable.toArray(), [3, 4]);
+      time = 25;
+      assert.deepStrictEqual(iterable.toArray(), [3, 4]);
+    } finally {
+      Date.now = now;
+    }
+  });
+  it('should read the given amount of items in advance', () => {
+    let read = 0;
+    const iterable = new Iterable([1, 2, 3, 4, 5]).onYield(() => { read += 1; });
+    const iterator = iterable.memoize({ readAhead: 2 })[Symbol.iterator]();
+    iterator.next();
+    assert(read === 3);
+    iterator.next();
+    iterator.next();
+    assert(read === 3);
+    iterator.next();
+    assert(read === 5);
+  });
+  it('should not read an infinite source ahead of the consumers', () => {
+    const iterable = new Iterable(function* () {
+      let i = 0;
+      for (;;) {
+        yield i;
+        i += 1;
+      }
+    }).memoize({ maxSize: 10 });
+    assert.deepStrictEqual(iterable.take(3).toArray(), [0, 1, 2]);
+    assert.deepStrictEqual(iterable.take(5).toArray(), [0, 1, 2, 3, 4]);
+  });
+  it('should drop the kept items on clear', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).memoize();
+    assert.deepStrictEqual(iterable.take(2).toArray(), [1, 2]);
+    iterable.clear();
+    assert.deepStrictEqual(iterable.toArray(), [3, 4]);
+    assert.deepStrictEqual(iterable.toArray(), [3, 4]);
+  });
+});
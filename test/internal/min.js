@@ -25,4 +25,23 @@ describe('#min', () => {
       assert(c === base.reduce((x, y) => min(x, y)));
     }
   });
+  it('should throw a BadArgumentError if there is an invalid comparer', () => {
+    assert.throws(() => Iterable.min([1], 1), BadArgumentError);
+  });
+  it('should compare strings and Dates', () => {
+    assert.deepStrictEqual(new Iterable(['m', 'a', 'z']).min().toArray(), ['a']);
+    const dates = [new Date(2000, 1, 1), new Date(2010, 1, 1), new Date(1990, 1, 1)];
+    assert(Iterable.min(dates).toArray()[0] === dates[2]);
+  });
+  it('should not treat null as a missing value', () => {
+    assert.deepStrictEqual(Iterable.min([null, 2, 1]).toArray(), [null]);
+  });
+  it('should use the given comparer and yield the first of equal values', () => {
+    const items = [{ v: 1, k: 'a' }, { v: 2, k: 'a' }, { v: 1, k: 'b' }, { v: 2, k: 'b' }];
+    const iterable = Iterable.min(items, (a, b) => a.v - b.v);
+    assert.deepStrictEqual(iterable.toArray(), [{ v: 1, k: 'a' }]);
+  });
+  it('should yield undefined if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.min([]).toArray(), [undefined]);
+  });
 });
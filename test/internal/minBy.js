@@ -0,0 +1,45 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const records = [
+  { id: 1, at: new Date(2020, 0, 1) },
+  { id: 2, at: new Date(2020, 5, 1) },
+  { id: 3, at: new Date(2019, 0, 1) },
+];
+
+/* eslint-disable no-undef */
+describe('#minBy', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.minBy(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.minBy([1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.minBy([1], x => x, 1), BadArgumentError);
+    assert.throws(() => Iterable.minBy([1], x => x, { comparer: 1 }), BadArgumentError);
+  });
+  it('should yield the item with the least key', () => {
+    const iterable = new Iterable(records).minBy(x => x.at);
+    assert.deepStrictEqual(iterable.toArray(), [{ id: 3, at: new Date(2019, 0, 1) }]);
+  });
+  it('should yield the first of the items with equal keys', () => {
+    const iterable = new Iterable(['a', 'bb', 'cc', 'd']).minBy(x => x.length);
+    assert.deepStrictEqual(iterable.toArray(), ['a']);
+  });
+  it('should yield all the items with equal keys if all is set', () => {
+    const iterable = new Iterable(['a', 'bb', 'cc', 'd']).minBy(x => x.length, { all: true });
+    assert.deepStrictEqual(iterable.toArray(), [['a', 'd']]);
+  });
+  it('should use the given comparer', () => {
+    const comparer = (a, b) => b.localeCompare(a);
+    const iterable = Iterable.minBy(['x', 'y', 'z'], x => x, { comparer });
+    assert.deepStrictEqual(iterable.toArray(), ['z']);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.minBy([], x => x).toArray(), []);
+    assert.deepStrictEqual(Iterable.minBy([], x => x, { all: true }).toArray(), []);
+  });
+});
@@ -0,0 +1,31 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#minMax', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.minMax(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparer', () => {
+    assert.throws(() => Iterable.minMax([1], 1), BadArgumentError);
+  });
+  it('should yield the minimum and the maximum in a single pass', () => {
+    let read = 0;
+    const iterable = new Iterable([3, 1, 4, 1, 5, 9, 2]).onYield(() => { read += 1; });
+    assert.deepStrictEqual(iterable.minMax().toArray(), [{ min: 1, max: 9 }]);
+    assert(read === 7);
+  });
+  it('should compare strings', () => {
+    const iterable = new Iterable(['pear', 'apple', 'quince']).minMax();
+    assert.deepStrictEqual(iterable.toArray(), [{ min: 'apple', max: 'quince' }]);
+  });
+  it('should use the given comparer', () => {
+    const iterable = Iterable.minMax(['ccc', 'a', 'bb'], (a, b) => a.length - b.length);
+    assert.deepStrictEqual(iterable.toArray(), [{ min: 'a', max: 'ccc' }]);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.minMax([]).toArray(), []);
+  });
+});
@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#mode', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.mode(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.mode([1], 1), BadArgumentError);
+  });
+  it('should yield the most frequent value', () => {
+    assert.deepStrictEqual(new Iterable([1, 2, 2, 3, 2, 1]).mode().toArray(), [2]);
+  });
+  it('should yield the value that occurs first among the most frequent', () => {
+    assert.deepStrictEqual(new Iterable([1, 2, 2, 1]).mode().toArray(), [1]);
+  });
+  it('should use the selected values', () => {
+    assert.deepStrictEqual(Iterable.mode(['a', 'bb', 'cc'], x => x.length).toArray(), [2]);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.mode([]).toArray(), []);
+  });
+});
@@ -34,4 +34,18 @@ describe('#onDone', () => {
     }
     assert(flag === true);
   });
+  it('should tell if the iteration completed.', () => {
+    let state;
+    const iterable = new Iterable([1, 2, 3]).onDone((x) => { state = x; });
+    iterable.toArray();
+    assert(state.aborted === false);
+  });
+  it('should be executed if the iteration is closed early.', () => {
+    let state;
+    const iterable = new Iterable([1, 2, 3]).onDone((x) => { state = x; });
+    for (const i of iterable) {
+      break;
+    }
+    assert(state.aborted === true);
+  });
 });
@@ -0,0 +1,49 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#onError', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.onError();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is an invalid consumer', () => {
+    try {
+      Iterable.onError([1, 2, 3]);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.onError([1, 2, 3], () => {});
+    assert(iterable instanceof Iterable);
+  });
+  it('should not execute the consumer if no error is thrown.', () => {
+    let flag = false;
+    const iterable = new Iterable([1, 2, 3]).onError(() => { flag = true; });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+    assert(flag === false);
+  });
+  it('should execute the consumer with the error, then rethrow it.', () => {
+    const error = new Error('faulty');
+    let received;
+    const iterable = new Iterable(function* () {
+      yield 1;
+      throw error;
+    }).onError((e) => { received = e; });
+    try {
+      iterable.toArray();
+      assert(false);
+    } catch (e) {
+      assert(e === error);
+    }
+    assert(received === error);
+  });
+});
@@ -0,0 +1,33 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#onErrorResumeNext', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.onErrorResumeNext([1, 2], 3);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.onErrorResumeNext([1, 2, 3], [4]);
+    assert(iterable instanceof Iterable);
+  });
+  it('should yield the sequences in order.', () => {
+    const iterable = new Iterable([1, 2]).onErrorResumeNext([3], [4, 5]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4, 5]);
+  });
+  it('should continue with the next Iterable if an error is thrown.', () => {
+    const faulty = new Iterable(function* () {
+      yield 1;
+      throw new Error('faulty');
+    });
+    const iterable = Iterable.onErrorResumeNext(faulty, [2], faulty, [3]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 1, 3]);
+  });
+});
@@ -0,0 +1,71 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable, { OrderedIterable } from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#orderBy', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.orderBy(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.orderBy([1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid direction', () => {
+    assert.throws(() => Iterable.orderBy([1], x => x, 'up'), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid nulls option', () => {
+    assert.throws(() => Iterable.orderBy([1], x => x, { nulls: 'middle' }), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparer', () => {
+    assert.throws(() => Iterable.orderBy([1], x => x, { comparer: 1 }), BadArgumentError);
+  });
+  it('should return an OrderedIterable if no errors.', () => {
+    const iterable = Iterable.orderBy([1, 2, 3]);
+    assert(iterable instanceof OrderedIterable);
+    assert(iterable instanceof Iterable);
+  });
+  it('should sort by the items by default', () => {
+    const iterable = new Iterable(['b', 'c', 'a']).orderBy();
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b', 'c']);
+  });
+  it('should sort by the keys in the given direction', () => {
+    const iterable = new Iterable([{ n: 2 }, { n: 3 }, { n: 1 }]).orderBy(x => x.n, 'desc');
+    assert.deepStrictEqual(iterable.map(x => x.n).toArray(), [3, 2, 1]);
+  });
+  it('should keep the source order of equal keys', () => {
+    const base = Iterable.range(0, 99).map(i => ({ i, k: i % 3 })).toArray();
+    const iterable = Iterable.orderBy(base, x => x.k);
+    const result = iterable.toArray();
+    for (let i = 1; i < result.length; i += 1) {
+      const a = result[i - 1];
+      const b = result[i];
+      assert(a.k < b.k || (a.k === b.k && a.i < b.i));
+    }
+  });
+  it('should place the null keys last by default', () => {
+    const iterable = Iterable.orderBy([2, null, 1, undefined], x => x, 'desc');
+    assert.deepStrictEqual(iterable.toArray(), [2, 1, null, undefined]);
+  });
+  it('should place the null keys first if specified', () => {
+    const iterable = Iterable.orderBy([2, null, 1], x => x, { nulls: 'first' });
+    assert.deepStrictEqual(iterable.toArray(), [null, 1, 2]);
+  });
+  it('should compare the string keys with the given locale', () => {
+    const iterable = Iterable.orderBy(['b', 'a', 'B', 'A'], x => x, { locale: 'en', localeOptions: { caseFirst: 'upper' } });
+    assert.deepStrictEqual(iterable.toArray(), ['A', 'a', 'B', 'b']);
+  });
+  it('should compare the keys with the given comparer', () => {
+    const iterable = Iterable.orderBy(['aaa', 'b', 'cc'], x => x, { comparer: (a, b) => a.length - b.length });
+    assert.deepStrictEqual(iterable.toArray(), ['b', 'cc', 'aaa']);
+  });
+  it('should defer the sort until the iteration', () => {
+    let read = false;
+    const source = new Iterable([2, 1]).onStart(() => { read = true; });
+    const iterable = source.orderBy();
+    assert(!read);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+    assert(read);
+  });
+});
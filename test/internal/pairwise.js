@@ -0,0 +1,21 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#pairwise', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.pairwise(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.pairwise([1, 2, 3]) instanceof Iterable);
+  });
+  it('should yield each item paired with the previous one', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).pairwise();
+    assert.deepStrictEqual(iterable.toArray(), [[1, 2], [2, 3], [3, 4]]);
+  });
+  it('should yield nothing if there are less than two items', () => {
+    assert.deepStrictEqual(Iterable.pairwise([1]).toArray(), []);
+  });
+});
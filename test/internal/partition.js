@@ -1,3 +1,4 @@
+/* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import '@babel/polyfill';
 import assert from 'assert';
@@ -33,4 +34,26 @@ describe('#partition', () => {
       assert(i % 2 === 1);
     }
   });
+  it('should read a one-shot source once for both Iterables', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.partition(source, x => x % 2);
+    assert.deepStrictEqual(a.toArray(), [1, 3]);
+    assert.deepStrictEqual(b.toArray(), [2, 4]);
+  });
+  it('should read a one-shot source once when the second Iterable is read first', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.partition(source, x => x % 2);
+    assert.deepStrictEqual(b.toArray(), [2, 4]);
+    assert.deepStrictEqual(a.toArray(), [1, 3]);
+  });
 });
@@ -0,0 +1,30 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#percentile', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.percentile(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid percentile', () => {
+    assert.throws(() => Iterable.percentile([1]), BadArgumentError);
+    assert.throws(() => Iterable.percentile([1], 101), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.percentile([1], 50, 1), BadArgumentError);
+  });
+  it('should interpolate between the closest ranks', () => {
+    const iterable = new Iterable([15, 20, 35, 40, 50]);
+    assert.deepStrictEqual(iterable.percentile(0).toArray(), [15]);
+    assert.deepStrictEqual(iterable.percentile(40).toArray(), [29]);
+    assert.deepStrictEqual(iterable.percentile(100).toArray(), [50]);
+  });
+  it('should use the selected values', () => {
+    assert.deepStrictEqual(Iterable.percentile([{ v: 1 }, { v: 3 }], 50, x => x.v).toArray(), [2]);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.percentile([], 50).toArray(), []);
+  });
+});
@@ -0,0 +1,23 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#product', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.product(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.product([1], 1), BadArgumentError);
+  });
+  it('should yield the product of the values', () => {
+    assert.deepStrictEqual(new Iterable([2, 3, 4]).product().toArray(), [24]);
+  });
+  it('should yield the product of the selected values', () => {
+    assert.deepStrictEqual(Iterable.product([{ v: 2 }, { v: 5 }], x => x.v).toArray(), [10]);
+  });
+  it('should yield 1 if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.product([]).toArray(), [1]);
+  });
+});
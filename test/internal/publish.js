@@ -0,0 +1,38 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#publish', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.publish(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.publish([1, 2, 3]) instanceof Iterable);
+  });
+  it('should yield the same items to consumers that run side by side', () => {
+    let read = 0;
+    const source = new Iterable([1, 2, 3]).onYield(() => { read += 1; });
+    const published = source.publish();
+    const result = Iterable.zip([published, published]).toArray();
+    assert.deepStrictEqual(result, [[1, 1], [2, 2], [3, 3]]);
+    assert(read === 3);
+  });
+  it('should start each consumer from the items read after its iterator is created', () => {
+    const published = Iterable.publish([1, 2, 3, 4]);
+    const a = published[Symbol.iterator]();
+    assert.deepStrictEqual(a.next().value, 1);
+    const b = published[Symbol.iterator]();
+    assert.deepStrictEqual(b.next().value, 2);
+    assert.deepStrictEqual(a.next().value, 2);
+    assert.deepStrictEqual(a.next().value, 3);
+    assert.deepStrictEqual(b.next().value, 3);
+  });
+  it('should continue the source for the consumers that start later', () => {
+    const published = Iterable.publish([1, 2, 3, 4]);
+    assert.deepStrictEqual(published.take(2).toArray(), [1, 2]);
+    assert.deepStrictEqual(published.toArray(), [3, 4]);
+    assert.deepStrictEqual(published.toArray(), []);
+  });
+});
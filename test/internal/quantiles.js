@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#quantiles', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.quantiles(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid amount', () => {
+    assert.throws(() => Iterable.quantiles([1], 0), BadArgumentError);
+    assert.throws(() => Iterable.quantiles([1], 2.5), BadArgumentError);
+  });
+  it('should yield the quartiles by default', () => {
+    const iterable = new Iterable([1, 2, 3, 4, 5, 6, 7, 8, 9]).quantiles();
+    assert.deepStrictEqual(iterable.toArray(), [3, 5, 7]);
+  });
+  it('should yield the cut points of the given amount of groups', () => {
+    const iterable = new Iterable([0, 10]).quantiles(5);
+    assert.deepStrictEqual(iterable.toArray(), [2, 4, 6, 8]);
+  });
+  it('should yield nothing if the Iterable is empty', () => {
+    assert.deepStrictEqual(Iterable.quantiles([]).toArray(), []);
+  });
+});
@@ -0,0 +1,21 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#repeatValue', () => {
+  it('should throw a BadArgumentError if there is an invalid amount', () => {
+    assert.throws(() => Iterable.repeatValue(1, -1), BadArgumentError);
+    assert.throws(() => Iterable.repeatValue(1, 'a'), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.repeatValue(1, 2) instanceof Iterable);
+  });
+  it('should yield the value by the given amount', () => {
+    assert.deepStrictEqual(Iterable.repeatValue('a', 3).toArray(), ['a', 'a', 'a']);
+  });
+  it('should yield the value indefinitely by default', () => {
+    assert(Iterable.repeatValue(1).take(100).count().toArray()[0] === 100);
+  });
+});
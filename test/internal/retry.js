@@ -0,0 +1,59 @@
+/* eslint-disable func-names */
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/**
+ * @ignore
+ */
+const failFor = (times) => {
+  let attempts = 0;
+  return new Iterable(function* () {
+    attempts += 1;
+    yield attempts;
+    if (attempts <= times) {
+      throw new Error('faulty');
+    }
+  });
+};
+
+/* eslint-disable no-undef */
+describe('#retry', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.retry();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-positive number', () => {
+    try {
+      Iterable.retry([1, 2, 3], -1);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return an Iterable if no errors.', () => {
+    const iterable = Iterable.retry([1, 2, 3], 1);
+    assert(iterable instanceof Iterable);
+  });
+  it('should re-iterate the source Iterable until it completes.', () => {
+    const iterable = failFor(2).retry(2);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should retry indefinitely if no amount is given.', () => {
+    const iterable = failFor(5).retry();
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4, 5, 6]);
+  });
+  it('should throw the error once the retries are exhausted.', () => {
+    const iterable = failFor(3).retry(2);
+    try {
+      iterable.toArray();
+      assert(false);
+    } catch (e) {
+      assert(e.message === 'faulty');
+    }
+  });
+});
@@ -0,0 +1,25 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#share', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.share(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.share([1, 2, 3]) instanceof Iterable);
+  });
+  it('should yield each item to only one of the consumers', () => {
+    const shared = new Iterable([1, 2, 3, 4, 5]).share();
+    assert.deepStrictEqual(Iterable.zip([shared, shared]).toArray(), [[1, 2], [3, 4]]);
+  });
+  it('should continue from where the previous consumer has stopped', () => {
+    let read = 0;
+    const shared = new Iterable([1, 2, 3, 4]).onYield(() => { read += 1; }).share();
+    assert.deepStrictEqual(shared.take(2).toArray(), [1, 2]);
+    assert.deepStrictEqual(shared.toArray(), [3, 4]);
+    assert(read === 4);
+  });
+});
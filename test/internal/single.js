@@ -0,0 +1,30 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError, BadSequenceError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#single', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.single(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    assert.throws(() => Iterable.single([1], 1), BadArgumentError);
+  });
+  it('should return the only item', () => {
+    assert(new Iterable([3]).single() === 3);
+  });
+  it('should return the only item that passes the predicate', () => {
+    assert(new Iterable([1, 2, 3]).single(x => x % 2 === 0) === 2);
+  });
+  it('should throw a BadSequenceError if no item passes the predicate', () => {
+    assert.throws(() => Iterable.single([]), BadSequenceError);
+    assert.throws(() => Iterable.single([1, 3], x => x % 2 === 0), BadSequenceError);
+  });
+  it('should throw a BadSequenceError if more than one item passes the predicate', () => {
+    assert.throws(() => Iterable.single([1, 2]), BadSequenceError);
+  });
+  it('should stop reading at the second matching item', () => {
+    assert.throws(() => Iterable.range(1, Infinity).single(x => x > 2), BadSequenceError);
+  });
+});
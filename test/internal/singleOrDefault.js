@@ -0,0 +1,24 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError, BadSequenceError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#singleOrDefault', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.singleOrDefault(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    assert.throws(() => Iterable.singleOrDefault([1], 1), BadArgumentError);
+  });
+  it('should return the only item that passes the predicate', () => {
+    assert(new Iterable([1, 2, 3]).singleOrDefault(x => x % 2 === 0) === 2);
+  });
+  it('should return the default value if no item passes the predicate', () => {
+    assert(Iterable.singleOrDefault([], undefined, -1) === -1);
+    assert(Iterable.singleOrDefault([1, 3], x => x % 2 === 0, -1) === -1);
+  });
+  it('should throw a BadSequenceError if more than one item passes the predicate', () => {
+    assert.throws(() => Iterable.singleOrDefault([1, 2], undefined, -1), BadSequenceError);
+  });
+});
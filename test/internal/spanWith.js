@@ -1,3 +1,4 @@
+/* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import '@babel/polyfill';
 import assert from 'assert';
@@ -27,4 +28,26 @@ describe('#spanWith', () => {
     assert(iterable[0] instanceof Iterable);
     assert(iterable[1] instanceof Iterable);
   });
+  it('should read a one-shot source once for both Iterables', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.spanWith(source, x => x < 3);
+    assert.deepStrictEqual(a.toArray(), [1, 2]);
+    assert.deepStrictEqual(b.toArray(), [3, 4]);
+  });
+  it('should read a one-shot source once when the second Iterable is read first', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.spanWith(source, x => x < 3);
+    assert.deepStrictEqual(b.toArray(), [3, 4]);
+    assert.deepStrictEqual(a.toArray(), [1, 2]);
+  });
 });
@@ -1,3 +1,4 @@
+/* eslint-disable func-names */
 /* eslint-disable no-restricted-syntax */
 import '@babel/polyfill';
 import assert from 'assert';
@@ -40,4 +41,26 @@ describe('#split', () => {
     assert(iterable[0] instanceof Iterable);
     assert(iterable[1] instanceof Iterable);
   });
+  it('should read a one-shot source once for both Iterables', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.split(source, 1);
+    assert.deepStrictEqual(a.toArray(), [1]);
+    assert.deepStrictEqual(b.toArray(), [2, 3, 4]);
+  });
+  it('should read a one-shot source once when the second Iterable is read first', () => {
+    const source = (function* () {
+      yield 1;
+      yield 2;
+      yield 3;
+      yield 4;
+    }());
+    const [a, b] = Iterable.split(source, 1);
+    assert.deepStrictEqual(b.toArray(), [2, 3, 4]);
+    assert.deepStrictEqual(a.toArray(), [1]);
+  });
 });
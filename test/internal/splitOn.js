@@ -0,0 +1,42 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#splitOn', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.splitOn(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an empty delimiter sequence', () => {
+    assert.throws(() => Iterable.splitOn([1, 2, 3], []), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.splitOn([1, 2, 3], 2) instanceof Iterable);
+  });
+  it('should split on the delimiter value', () => {
+    const iterable = new Iterable('a,b,,c').splitOn(',');
+    assert.deepStrictEqual(iterable.toArray(), [['a'], ['b'], [], ['c']]);
+  });
+  it('should split on the delimiter sequence', () => {
+    const iterable = new Iterable('ab\r\ncd\r\n\re').splitOn(['\r', '\n']);
+    assert.deepStrictEqual(iterable.toArray(), [['a', 'b'], ['c', 'd'], ['\r', 'e']]);
+  });
+  it('should match the delimiter sequence across a partial match', () => {
+    const iterable = new Iterable([1, 1, 2, 3]).splitOn([1, 2]);
+    assert.deepStrictEqual(iterable.toArray(), [[1], [3]]);
+  });
+  it('should yield a trailing empty segment', () => {
+    assert.deepStrictEqual(Iterable.splitOn([1, 0], 0).toArray(), [[1], []]);
+  });
+  it('should yield nothing for an empty Iterable', () => {
+    assert.deepStrictEqual(Iterable.splitOn([], 0).toArray(), []);
+  });
+  it('should yield each segment as soon as its delimiter is read', () => {
+    let read = 0;
+    const source = new Iterable([1, 0, 2, 3, 4]).onYield(() => { read += 1; });
+    const iterator = source.splitOn(0)[Symbol.iterator]();
+    assert.deepStrictEqual(iterator.next().value, [1]);
+    assert(read === 2);
+  });
+});
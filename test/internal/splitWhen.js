@@ -0,0 +1,35 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#splitWhen', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.splitWhen(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid predicate', () => {
+    assert.throws(() => Iterable.splitWhen([1, 2, 3]), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.splitWhen([1, 2, 3], x => x) instanceof Iterable);
+  });
+  it('should yield the segments between the separators', () => {
+    const iterable = new Iterable([1, 2, 0, 3, 0, 0, 4]).splitWhen(x => x === 0);
+    assert.deepStrictEqual(iterable.toArray(), [[1, 2], [3], [], [4]]);
+  });
+  it('should yield empty segments on the edges', () => {
+    const iterable = new Iterable([0, 1, 0]).splitWhen(x => x === 0);
+    assert.deepStrictEqual(iterable.toArray(), [[], [1], []]);
+  });
+  it('should yield nothing for an empty Iterable', () => {
+    assert.deepStrictEqual(Iterable.splitWhen([], x => x).toArray(), []);
+  });
+  it('should yield each segment as soon as its separator is read', () => {
+    let read = 0;
+    const source = new Iterable([1, 0, 2, 3, 4]).onYield(() => { read += 1; });
+    const iterator = source.splitWhen(x => x === 0)[Symbol.iterator]();
+    assert.deepStrictEqual(iterator.next().value, [1]);
+    assert(read === 2);
+  });
+});
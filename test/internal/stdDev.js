@@ -0,0 +1,24 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#stdDev', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.stdDev(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.stdDev([1], 1), BadArgumentError);
+  });
+  it('should yield the sample standard deviation by default', () => {
+    assert.deepStrictEqual(new Iterable([1, 3]).stdDev().toArray(), [Math.SQRT2]);
+  });
+  it('should yield the population standard deviation if the option is set', () => {
+    const iterable = new Iterable([2, 4, 4, 4, 5, 5, 7, 9]).stdDev({ population: true });
+    assert.deepStrictEqual(iterable.toArray(), [2]);
+  });
+  it('should yield nothing if there are not enough values', () => {
+    assert.deepStrictEqual(Iterable.stdDev([1]).toArray(), []);
+  });
+});
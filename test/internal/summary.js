@@ -0,0 +1,43 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#summary', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.summary(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.summary([1], 1), BadArgumentError);
+  });
+  it('should yield the statistics of the values', () => {
+    let read = 0;
+    const iterable = new Iterable([2, 4, 4, 4, 5, 5, 7, 9]).onYield(() => { read += 1; });
+    assert.deepStrictEqual(iterable.summary().toArray(), [{
+      count: 8,
+      sum: 40,
+      product: 201600,
+      min: 2,
+      max: 9,
+      mean: 5,
+      median: 4.5,
+      mode: 4,
+      variance: 32 / 7,
+      stdDev: Math.sqrt(32 / 7),
+      populationVariance: 4,
+      populationStdDev: 2,
+    }]);
+    assert(read === 8);
+  });
+  it('should use the selected values', () => {
+    const [result] = Iterable.summary([{ v: 1 }, { v: 3 }], x => x.v).toArray();
+    assert(result.mean === 2);
+  });
+  it('should leave the statistics that are not defined as undefined', () => {
+    const [result] = Iterable.summary([]).toArray();
+    assert(result.count === 0 && result.sum === 0 && result.product === 1);
+    assert(result.mean === undefined && result.median === undefined);
+    assert(result.variance === undefined && result.populationVariance === undefined);
+  });
+});
@@ -0,0 +1,47 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#symmetricDifference', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.symmetricDifference(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is a second invalid Iterable', () => {
+    assert.throws(() => Iterable.symmetricDifference([1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.symmetricDifference([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid mode', () => {
+    assert.throws(() => Iterable.symmetricDifference([1], [1], { mode: 'list' }), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.symmetricDifference([1], [1]) instanceof Iterable);
+  });
+  it('should yield the distinct items that are in only one Iterable', () => {
+    const iterable = new Iterable([1, 1, 2, 3]).symmetricDifference([3, 4, 4]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 4]);
+  });
+  it('should cancel out the occurrences in bag mode', () => {
+    const iterable = new Iterable([1, 1, 2, 3]).symmetricDifference([1, 3, 3, 4], { mode: 'bag' });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3, 4]);
+  });
+  it('should compare the keys returned by the key selector', () => {
+    const iterable = Iterable.symmetricDifference(['a', 'B'], ['b', 'c'], x => x.toLowerCase());
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'c']);
+  });
+  it('should compare the keys with the comparer of the options', () => {
+    const iterable = Iterable.symmetricDifference(['a', 'B'], ['b', 'c'], { comparer: (a, b) => a.toLowerCase() === b.toLowerCase() });
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'c']);
+  });
+  it('should compare the keys with the comparer in bag mode', () => {
+    const iterable = Iterable.symmetricDifference(['a', 'A'], ['a', 'b'], { mode: 'bag', comparer: (a, b) => a.toLowerCase() === b.toLowerCase() });
+    assert.deepStrictEqual(iterable.toArray(), ['A', 'b']);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.symmetricDifference([1], [1], { comparer: 1 }), BadArgumentError);
+  });
+});
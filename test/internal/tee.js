@@ -0,0 +1,46 @@
+/* eslint-disable func-names */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#tee', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.tee(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid amount', () => {
+    assert.throws(() => Iterable.tee([1, 2, 3], -1), BadArgumentError);
+  });
+  it('should return an Array of two Iterables by default', () => {
+    const branches = Iterable.tee([1, 2, 3]);
+    assert(branches instanceof Array);
+    assert(branches.length === 2);
+    assert(branches.every(x => x instanceof Iterable));
+  });
+  it('should return an Array of the given amount of Iterables', () => {
+    assert(new Iterable([1, 2, 3]).tee(3).length === 3);
+  });
+  it('should yield all items to each Iterable while reading the source once', () => {
+    let read = 0;
+    const source = new Iterable([1, 2, 3]).onYield(() => { read += 1; });
+    const [a, b] = source.tee();
+    assert.deepStrictEqual(a.toArray(), [1, 2, 3]);
+    assert.deepStrictEqual(b.toArray(), [1, 2, 3]);
+    assert(read === 3);
+  });
+  it('should work with a one-shot generator', () => {
+    const generator = (function* () {
+      yield 1;
+      yield 2;
+    }());
+    const [a, b] = Iterable.tee(generator);
+    assert.deepStrictEqual(Iterable.zip([a, b]).toArray(), [[1, 1], [2, 2]]);
+  });
+  it('should end an Iterable once its iteration has ended', () => {
+    const [a, b] = Iterable.tee([1, 2, 3, 4]);
+    assert.deepStrictEqual(a.take(2).toArray(), [1, 2]);
+    assert.deepStrictEqual(a.toArray(), []);
+    assert.deepStrictEqual(b.toArray(), [1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,38 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable, { OrderedIterable } from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+const people = [
+  { name: 'cid', age: 30 },
+  { name: 'ann', age: 25 },
+  { name: 'bob', age: 30 },
+  { name: 'dan', age: 25 },
+];
+
+/* eslint-disable no-undef */
+describe('#thenBy', () => {
+  it('should throw a BadArgumentError if there is a non-OrderedIterable', () => {
+    assert.throws(() => OrderedIterable.thenBy([1], x => x), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.orderBy([1]).thenBy(1), BadArgumentError);
+  });
+  it('should return an OrderedIterable if no errors.', () => {
+    assert(Iterable.orderBy([1]).thenBy() instanceof OrderedIterable);
+  });
+  it('should sort the items with equal keys', () => {
+    const iterable = new Iterable(people).orderBy(x => x.age).thenBy(x => x.name);
+    assert.deepStrictEqual(iterable.map(x => x.name).toArray(), ['ann', 'dan', 'bob', 'cid']);
+  });
+  it('should sort the items with equal keys in the given direction', () => {
+    const iterable = new Iterable(people).orderBy(x => x.age, 'desc').thenBy(x => x.name, 'desc');
+    assert.deepStrictEqual(iterable.map(x => x.name).toArray(), ['cid', 'bob', 'dan', 'ann']);
+  });
+  it('should not change the previous ordering', () => {
+    const ordered = new Iterable(people).orderBy(x => x.age);
+    ordered.thenBy(x => x.name);
+    assert.deepStrictEqual(ordered.map(x => x.name).toArray(), ['ann', 'dan', 'cid', 'bob']);
+  });
+});
@@ -0,0 +1,27 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable, { OrderedIterable } from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#thenByDescending', () => {
+  it('should throw a BadArgumentError if there is a non-OrderedIterable', () => {
+    assert.throws(() => OrderedIterable.thenByDescending([1], x => x), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.orderBy([1]).thenByDescending(1), BadArgumentError);
+  });
+  it('should return an OrderedIterable if no errors.', () => {
+    assert(Iterable.orderBy([1]).thenByDescending() instanceof OrderedIterable);
+  });
+  it('should sort the items with equal keys in descending order', () => {
+    const iterable = Iterable.orderBy(['ab', 'c', 'a', 'bc'], x => x.length).thenByDescending();
+    assert.deepStrictEqual(iterable.toArray(), ['c', 'a', 'bc', 'ab']);
+  });
+  it('should keep the null keys last', () => {
+    const iterable = Iterable.orderBy([{ k: null }, { k: 1 }, { k: 2 }], () => 0)
+      .thenByDescending(x => x.k);
+    assert.deepStrictEqual(iterable.map(x => x.k).toArray(), [2, 1, null]);
+  });
+});
@@ -0,0 +1,26 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#toLookup', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.toLookup(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.toLookup([1, 2]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid element selector', () => {
+    assert.throws(() => Iterable.toLookup([1, 2], x => x, 1), BadArgumentError);
+  });
+  it('should return a Map of the keys to the Arrays of the items', () => {
+    const lookup = new Iterable([1, 2, 3, 4, 5]).toLookup(x => x % 2);
+    assert(lookup instanceof Map);
+    assert.deepStrictEqual([...lookup], [[1, [1, 3, 5]], [0, [2, 4]]]);
+  });
+  it('should use the element selector', () => {
+    const lookup = Iterable.toLookup(['a', 'bb', 'cc'], x => x.length, x => x.toUpperCase());
+    assert.deepStrictEqual([...lookup], [[1, ['A']], [2, ['BB', 'CC']]]);
+  });
+});
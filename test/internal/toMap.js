@@ -0,0 +1,47 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#toMap', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    try {
+      Iterable.toMap();
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function key selector (except undefined)', () => {
+    try {
+      Iterable.toMap([1, 2, 3], 1);
+      assert(false);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should throw a BadArgumentError if there is a non-function value selector (except undefined)', () => {
+    try {
+      Iterable.toMap([1, 2, 3], x => x, 1);
+      assert(false);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should return a Map', () => {
+    assert(Iterable.toMap([]) instanceof Map);
+  });
+  it('should treat the yields as entries if no selector is provided', () => {
+    const map = new Iterable([['a', 1], ['b', 2]]).toMap();
+    assert.deepStrictEqual([...map], [['a', 1], ['b', 2]]);
+  });
+  it('should use the yields as values if only the key selector is provided', () => {
+    const map = new Iterable(['a', 'bb']).toMap(x => x.length);
+    assert.deepStrictEqual([...map], [[1, 'a'], [2, 'bb']]);
+  });
+  it('should use the given selectors', () => {
+    const map = new Iterable(['a', 'bb', 'cc']).toMap(x => x.length, x => x.toUpperCase());
+    assert.deepStrictEqual([...map], [[1, 'A'], [2, 'CC']]);
+  });
+});
@@ -0,0 +1,32 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#toObject', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.toObject(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid selectors', () => {
+    assert.throws(() => Iterable.toObject([], 1), BadArgumentError);
+    assert.throws(() => Iterable.toObject([], x => x, 1), BadArgumentError);
+  });
+  it('should treat the items as entries by default', () => {
+    const obj = new Iterable([['a', 1], ['b', 2]]).toObject();
+    assert.deepStrictEqual(obj, { a: 1, b: 2 });
+  });
+  it('should use the items as the values if only the key selector is provided', () => {
+    const obj = Iterable.toObject([{ id: 'a' }], x => x.id);
+    assert.deepStrictEqual(obj, { a: { id: 'a' } });
+  });
+  it('should use the selectors', () => {
+    const obj = Iterable.toObject([1, 2], x => `k${x}`, (x, i) => x * 10 + i);
+    assert.deepStrictEqual(obj, { k1: 10, k2: 21 });
+  });
+  it('should define the __proto__ key as an own property', () => {
+    const obj = Iterable.toObject([['__proto__', { polluted: true }]]);
+    assert(Object.getPrototypeOf(obj) === Object.prototype);
+    assert(Object.prototype.hasOwnProperty.call(obj, '__proto__'));
+  });
+});
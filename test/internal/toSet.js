@@ -0,0 +1,16 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#toSet', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.toSet(), BadArgumentError);
+  });
+  it('should return a Set of the distinct items', () => {
+    const set = new Iterable([1, 2, 1, 3]).toSet();
+    assert(set instanceof Set);
+    assert.deepStrictEqual([...set], [1, 2, 3]);
+  });
+});
@@ -0,0 +1,27 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#toValue', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.toValue(), BadArgumentError);
+  });
+  it('should return the result of an aggregate operator', () => {
+    const iterable = new Iterable([1, 2, 3]);
+    assert(iterable.sum().toValue() === 6);
+    assert(iterable.count().toValue() === 3);
+    assert(iterable.all(x => x > 0).toValue() === true);
+  });
+  it('should return the default value if there is no yield', () => {
+    assert(Iterable.toValue([]) === undefined);
+    assert(new Iterable([]).first().toValue(0) === 0);
+  });
+  it('should only read the first yield', () => {
+    let read = 0;
+    const iterable = new Iterable([1, 2, 3]).onYield(() => { read += 1; });
+    assert(iterable.toValue() === 1);
+    assert(read === 1);
+  });
+});
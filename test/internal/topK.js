@@ -0,0 +1,44 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#topK', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.topK(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid amount', () => {
+    assert.throws(() => Iterable.topK([1], -1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid comparator', () => {
+    assert.throws(() => Iterable.topK([1], 1, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.topK([1, 2, 3], 2) instanceof Iterable);
+  });
+  it('should yield the greatest items from the greatest', () => {
+    const iterable = new Iterable([5, 1, 9, 3, 7, 2]).topK(3);
+    assert.deepStrictEqual(iterable.toArray(), [9, 7, 5]);
+  });
+  it('should yield all items if there are less than the amount', () => {
+    const iterable = new Iterable([2, 3, 1]).topK(5);
+    assert.deepStrictEqual(iterable.toArray(), [3, 2, 1]);
+  });
+  it('should not read the Iterable if the amount is zero', () => {
+    let read = false;
+    const source = new Iterable([1]).onStart(() => { read = true; });
+    assert.deepStrictEqual(source.topK(0).toArray(), []);
+    assert(!read);
+  });
+  it('should keep the earlier items among equal ones', () => {
+    const base = [{ v: 1, i: 0 }, { v: 2, i: 1 }, { v: 2, i: 2 }, { v: 2, i: 3 }];
+    const iterable = Iterable.topK(base, 2, (a, b) => a.v - b.v);
+    assert.deepStrictEqual(iterable.map(x => x.i).toArray(), [1, 2]);
+  });
+  it('should use the given comparator', () => {
+    const iterable = Iterable.topK(['bb', 'a', 'dddd', 'ccc'], 2, (a, b) => a.length - b.length);
+    assert.deepStrictEqual(iterable.toArray(), ['dddd', 'ccc']);
+  });
+});
@@ -0,0 +1,77 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/**
+ * @ignore
+ */
+const tree = {
+  name: 'a',
+  children: [
+    { name: 'b', children: [{ name: 'd' }, { name: 'e' }] },
+    { name: 'c', children: [{ name: 'f' }] },
+  ],
+};
+/**
+ * @ignore
+ */
+const getChildren = x => x.children;
+
+/* eslint-disable no-undef */
+describe('#traverse', () => {
+  it('should throw a BadArgumentError if there is an invalid getChildren', () => {
+    assert.throws(() => Iterable.traverse(tree), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.traverse(tree, getChildren, 1), BadArgumentError);
+    assert.throws(() => Iterable.traverse(tree, getChildren, { order: 'in' }), BadArgumentError);
+    assert.throws(() => Iterable.traverse(tree, getChildren, { maxDepth: -1 }), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.traverse(tree, getChildren) instanceof Iterable);
+  });
+  it('should walk the tree in pre-order by default', () => {
+    const iterable = Iterable.traverse(tree, getChildren).map(x => x.node.name);
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b', 'd', 'e', 'c', 'f']);
+  });
+  it('should walk the tree in post-order', () => {
+    const iterable = Iterable.traverse(tree, getChildren, { order: 'post' }).map(x => x.node.name);
+    assert.deepStrictEqual(iterable.toArray(), ['d', 'e', 'b', 'f', 'c', 'a']);
+  });
+  it('should walk the tree in level-order', () => {
+    const iterable = Iterable.traverse(tree, getChildren, { order: 'level' }).map(x => x.node.name);
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'b', 'c', 'd', 'e', 'f']);
+  });
+  it('should yield the depth and the path of the nodes', () => {
+    const iterable = Iterable.traverse(tree, getChildren)
+      .map(({ depth, path }) => [depth, path.map(x => x.name).join('/')]);
+    assert.deepStrictEqual(iterable.toArray(), [
+      [0, 'a'], [1, 'a/b'], [2, 'a/b/d'], [2, 'a/b/e'], [1, 'a/c'], [2, 'a/c/f'],
+    ]);
+  });
+  it('should not walk the children after the maxDepth', () => {
+    ['pre', 'post', 'level'].forEach((order) => {
+      const iterable = Iterable.traverse(tree, getChildren, { order, maxDepth: 1 });
+      assert(iterable.toArray().length === 3);
+    });
+  });
+  it('should skip the nodes that are already in the path', () => {
+    const a = { name: 'a' };
+    const b = { name: 'b', children: [a] };
+    a.children = [b, b];
+    ['pre', 'post', 'level'].forEach((order) => {
+      const iterable = Iterable.traverse(a, getChildren, { order }).map(x => x.node.name);
+      assert(iterable.toArray().length === 3);
+    });
+  });
+  it('should only request the children when the walk reaches them', () => {
+    const requested = [];
+    const iterable = Iterable.traverse(tree, (x) => {
+      requested.push(x.name);
+      return x.children;
+    });
+    assert.deepStrictEqual(iterable.take(3).map(x => x.node.name).toArray(), ['a', 'b', 'd']);
+    assert.deepStrictEqual(requested, ['a', 'b']);
+  });
+});
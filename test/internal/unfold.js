@@ -0,0 +1,22 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#unfold', () => {
+  it('should throw a BadArgumentError if there is an invalid function', () => {
+    assert.throws(() => Iterable.unfold(1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.unfold(1, () => undefined) instanceof Iterable);
+  });
+  it('should yield the values until the function returns undefined', () => {
+    const iterable = Iterable.unfold(10, x => (x > 0 ? [x, x - 3] : undefined));
+    assert.deepStrictEqual(iterable.toArray(), [10, 7, 4, 1]);
+  });
+  it('should yield the values separately from the states', () => {
+    const iterable = Iterable.unfold([0, 1], ([a, b]) => [a, [b, a + b]]).take(6);
+    assert.deepStrictEqual(iterable.toArray(), [0, 1, 1, 2, 3, 5]);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#union', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.union(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is a second invalid Iterable', () => {
+    assert.throws(() => Iterable.union([1]), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid key selector', () => {
+    assert.throws(() => Iterable.union([1], [1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid mode', () => {
+    assert.throws(() => Iterable.union([1], [1], { mode: 'list' }), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.union([1], [1]) instanceof Iterable);
+  });
+  it('should yield the distinct items of both Iterables', () => {
+    const iterable = new Iterable([1, 1, 2]).union([1, 2, 2, 3]);
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 3]);
+  });
+  it('should keep the highest multiplicity in bag mode', () => {
+    const iterable = new Iterable([1, 1, 2]).union([1, 2, 2, 3], { mode: 'bag' });
+    assert.deepStrictEqual(iterable.toArray(), [1, 1, 2, 2, 3]);
+  });
+  it('should compare the keys returned by the key selector', () => {
+    const iterable = Iterable.union(['a', 'B'], ['b', 'c'], x => x.toLowerCase());
+    assert.deepStrictEqual(iterable.toArray(), ['a', 'B', 'c']);
+  });
+  it('should yield the source items before reading the other Iterable', () => {
+    let read = false;
+    const other = new Iterable([2]).onStart(() => { read = true; });
+    const iterable = Iterable.union([1], other)[Symbol.iterator]();
+    iterable.next();
+    assert(!read);
+  });
+  it('should compare the keys with the comparer of the options', () => {
+    const iterable = Iterable.union([1, 3, 2], [5, 4, 7], { comparer: (a, b) => a % 2 === b % 2 });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2]);
+  });
+  it('should compare the keys with the comparer in bag mode', () => {
+    const iterable = Iterable.union([1, 2], [3, 5, 4], { mode: 'bag', comparer: (a, b) => a % 2 === b % 2 });
+    assert.deepStrictEqual(iterable.toArray(), [1, 2, 5]);
+  });
+  it('should throw a BadArgumentError if the comparer is not a function', () => {
+    assert.throws(() => Iterable.union([1], [1], { comparer: 1 }), BadArgumentError);
+  });
+});
@@ -0,0 +1,25 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#values', () => {
+  it('should throw a BadArgumentError if there is an invalid object', () => {
+    assert.throws(() => Iterable.values(), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.values({}) instanceof Iterable);
+  });
+  it('should yield the values of the object', () => {
+    assert.deepStrictEqual(Iterable.values({ a: 1, b: 2 }).toArray(), [1, 2]);
+  });
+  it('should yield the inherited values if the option is set', () => {
+    const obj = Object.create({ b: 2 });
+    obj.a = 1;
+    assert.deepStrictEqual(Iterable.values(obj, { inherited: true }).toArray(), [1, 2]);
+  });
+  it('should yield the values of a Set', () => {
+    assert.deepStrictEqual(Iterable.values(new Set([1, 2])).toArray(), [1, 2]);
+  });
+});
@@ -0,0 +1,37 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#variance', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.variance(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid selector', () => {
+    assert.throws(() => Iterable.variance([1], 1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.variance([1], x => x, 1), BadArgumentError);
+  });
+  it('should yield the sample variance by default', () => {
+    assert.deepStrictEqual(new Iterable([2, 4, 4, 4, 5, 5, 7, 9]).variance().toArray(), [32 / 7]);
+  });
+  it('should yield the population variance if the option is set', () => {
+    const iterable = new Iterable([2, 4, 4, 4, 5, 5, 7, 9]).variance({ population: true });
+    assert.deepStrictEqual(iterable.toArray(), [4]);
+  });
+  it('should use the selected values', () => {
+    const iterable = Iterable.variance([{ v: 1 }, { v: 3 }], x => x.v, { population: true });
+    assert.deepStrictEqual(iterable.toArray(), [1]);
+  });
+  it('should stay accurate for large offsets', () => {
+    const iterable = Iterable.variance([1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16]);
+    assert.deepStrictEqual(iterable.toArray(), [30]);
+  });
+  it('should yield nothing if there are not enough values', () => {
+    assert.deepStrictEqual(Iterable.variance([1]).toArray(), []);
+    assert.deepStrictEqual(Iterable.variance([], { population: true }).toArray(), []);
+    assert.deepStrictEqual(Iterable.variance([1], { population: true }).toArray(), [0]);
+  });
+});
@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable from '../../src/iterable';
+import { BadArgumentError } from '../../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('#windowed', () => {
+  it('should throw a BadArgumentError if there is an invalid Iterable', () => {
+    assert.throws(() => Iterable.windowed(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid size', () => {
+    assert.throws(() => Iterable.windowed([1, 2, 3], -1), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid step', () => {
+    assert.throws(() => Iterable.windowed([1, 2, 3], 2, 0), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there are invalid options', () => {
+    assert.throws(() => Iterable.windowed([1, 2, 3], 2, 1, 1), BadArgumentError);
+  });
+  it('should return an Iterable if no errors.', () => {
+    assert(Iterable.windowed([1, 2, 3], 2) instanceof Iterable);
+  });
+  it('should yield the windows as Iterables', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).windowed(2);
+    let acc = true;
+    for (const i of iterable) {
+      acc = acc && i instanceof Iterable;
+    }
+    assert(acc);
+    assert.deepStrictEqual(iterable.map(x => x.toArray()).toArray(), [[1, 2], [2, 3], [3, 4]]);
+  });
+  it('should start a window every given step', () => {
+    const iterable = new Iterable([1, 2, 3, 4, 5, 6, 7]).windowed(3, 2);
+    const expected = [[1, 2, 3], [3, 4, 5], [5, 6, 7]];
+    assert.deepStrictEqual(iterable.map(x => x.toArray()).toArray(), expected);
+  });
+  it('should only yield full windows by default', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).windowed(3, 2);
+    assert.deepStrictEqual(iterable.map(x => x.toArray()).toArray(), [[1, 2, 3]]);
+  });
+  it('should yield the partial windows if the option is set', () => {
+    const iterable = new Iterable([1, 2, 3, 4]).windowed(3, 2, { partial: true });
+    assert.deepStrictEqual(iterable.map(x => x.toArray()).toArray(), [[1, 2, 3], [3, 4]]);
+  });
+  it('should accept the options in place of the step', () => {
+    const iterable = new Iterable([1, 2]).windowed(3, { partial: true });
+    assert.deepStrictEqual(iterable.map(x => x.toArray()).toArray(), [[1, 2], [2]]);
+  });
+  it('should read the source as the windows are pulled', () => {
+    let read = 0;
+    const source = new Iterable([1, 2, 3, 4, 5]).onYield(() => { read += 1; });
+    const iterator = source.windowed(2)[Symbol.iterator]();
+    iterator.next();
+    assert(read === 2);
+  });
+});
@@ -1,3 +1,4 @@
+/* eslint-disable no-unused-vars */
 /* eslint-disable no-restricted-syntax */
 import '@babel/polyfill';
 import assert from 'assert';
@@ -46,4 +47,69 @@ describe('#zip', () => {
     }
     assert(acc && expected.length === 0);
   });
+  it('should throw a BadArgumentError if there is an invalid mode', () => {
+    try {
+      Iterable.zip([[1, 2, 3]], { mode: 'widest' });
+      assert(false);
+    } catch (e) {
+      assert(e instanceof BadArgumentError);
+    }
+  });
+  it('should iterate the Iterables in lockstep', () => {
+    const names = ['a', 'b', 'c'];
+    const iterable = Iterable.zip([Iterable.range(0, Infinity), names]);
+    assert.deepStrictEqual(iterable.toArray(), [[0, 'a'], [1, 'b'], [2, 'c']]);
+  });
+  it('should pull one item per Iterable for each yield', () => {
+    let pulled = 0;
+    const iterable = Iterable.range(0, Infinity).onYield(() => { pulled += 1; }).zip([[1, 2, 3]]);
+    for (const i of iterable) {
+      break;
+    }
+    assert(pulled === 1);
+  });
+  it('should stop at the shortest Iterable and close the rest', () => {
+    let flag = false;
+    const long = new Iterable([1, 2, 3, 4]).finally(() => { flag = true; });
+    const iterable = Iterable.zip([long, [1, 2]], { mode: 'shortest' });
+    assert.deepStrictEqual(iterable.toArray(), [[1, 1], [2, 2]]);
+    assert(flag === true);
+  });
+  it('should pad the shorter Iterables with the fill value in longest mode', () => {
+    const iterable = new Iterable([1, 2, 3]).zip([[1], []], { mode: 'longest', fill: 0 });
+    assert.deepStrictEqual(iterable.toArray(), [[1, 1, 0], [2, 0, 0], [3, 0, 0]]);
+  });
+  it('should accept both the zipper and the options', () => {
+    const iterable = Iterable.zip([[1, 2], [3]], x => x[0] + x[1], { mode: 'longest', fill: 10 });
+    assert.deepStrictEqual(iterable.toArray(), [4, 12]);
+  });
+  it('should throw a RangeError in strict mode if the lengths differ', () => {
+    let flag = false;
+    const long = new Iterable([1, 2, 3, 4]).finally(() => { flag = true; });
+    const iterable = Iterable.zip([[1, 2], long], { mode: 'strict' });
+    const result = [];
+    try {
+      for (const i of iterable) {
+        result.push(i);
+      }
+      assert(false);
+    } catch (e) {
+      assert(e instanceof RangeError);
+    }
+    assert.deepStrictEqual(result, [[1, 1], [2, 2]]);
+    assert(flag === true);
+  });
+  it('should not throw in strict mode if the lengths are equal', () => {
+    const iterable = Iterable.zip([[1, 2], 'ab'], { mode: 'strict' });
+    assert.deepStrictEqual(iterable.toArray(), [[1, 'a'], [2, 'b']]);
+  });
+  it('should close every Iterable if the iteration is closed early', () => {
+    let closed = 0;
+    const source = new Iterable([1, 2, 3]).finally(() => { closed += 1; });
+    const iterable = Iterable.zip([source, source, source]);
+    for (const i of iterable) {
+      break;
+    }
+    assert(closed === 3);
+  });
 });
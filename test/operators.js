@@ -0,0 +1,54 @@
+/* eslint-disable no-restricted-syntax */
+import '@babel/polyfill';
+import assert from 'assert';
+import Iterable, { OrderedIterable } from '../src/iterable';
+import pipe from '../src/pipe';
+import * as operators from '../src/operators';
+import { BadArgumentError } from '../src/internal/utils';
+
+const {
+  filter, map, sum, toArray, toValue, zip, orderBy, thenBy,
+} = operators;
+
+/**
+ * Names of the pipeable operators that differ from their Iterable methods.
+ * @ignore
+ */
+const methods = { forOf: 'for', finalize: 'finally' };
+
+/* eslint-disable no-undef */
+describe('pipeable operators', () => {
+  it('should have a static Iterable method for each operator', () => {
+    for (const name of Object.keys(operators)) {
+      const method = methods[name] || name;
+      assert(typeof (Iterable[method] || OrderedIterable[method]) === 'function', name);
+    }
+  });
+  it('should return a function that applies the operator to the source', () => {
+    const result = pipe([1, 2, 3, 4], filter(x => x % 2 === 0), map(x => x * 10));
+    assert(result instanceof Iterable);
+    assert.deepStrictEqual(result.toArray(), [20, 40]);
+  });
+  it('should allow the eager operators at the end of the pipe', () => {
+    assert.deepStrictEqual(pipe([1, 2, 3], map(x => x * 2), toArray()), [2, 4, 6]);
+    assert(pipe([1, 2, 3], sum(), toValue()) === 6);
+  });
+  it('should be reusable for several sources', () => {
+    const double = map(x => x * 2);
+    assert.deepStrictEqual(double([1]).toArray(), [2]);
+    assert.deepStrictEqual(double([2]).toArray(), [4]);
+  });
+  it('should zip the source before the given Iterables', () => {
+    const result = pipe([1, 2], zip([[3, 4], [5, 6]]), toArray());
+    assert.deepStrictEqual(result, [[1, 3, 5], [2, 4, 6]]);
+  });
+  it('should keep the OrderedIterable for thenBy', () => {
+    const items = [{ a: 1, b: 2 }, { a: 0, b: 1 }, { a: 1, b: 1 }];
+    const result = pipe(items, orderBy(x => x.a), thenBy(x => x.b), toArray());
+    assert.deepStrictEqual(result, [{ a: 0, b: 1 }, { a: 1, b: 1 }, { a: 1, b: 2 }]);
+  });
+  it('should validate the arguments once the source is given', () => {
+    const operator = map(1);
+    assert.throws(() => operator([1]), BadArgumentError);
+  });
+});
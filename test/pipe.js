@@ -0,0 +1,22 @@
+import '@babel/polyfill';
+import assert from 'assert';
+import pipe from '../src/pipe';
+import { BadArgumentError } from '../src/internal/utils';
+
+/* eslint-disable no-undef */
+describe('pipe', () => {
+  it('should throw a BadArgumentError if there is an invalid source', () => {
+    assert.throws(() => pipe(), BadArgumentError);
+  });
+  it('should throw a BadArgumentError if there is an invalid operator', () => {
+    assert.throws(() => pipe([1], x => x, 1), BadArgumentError);
+  });
+  it('should return the source if there are no operators', () => {
+    const source = [1, 2];
+    assert(pipe(source) === source);
+  });
+  it('should pass the results from left to right and return the last one', () => {
+    const result = pipe([1, 2], x => x.map(y => y + 1), x => x.reverse(), x => x.join());
+    assert(result === '3,2');
+  });
+});